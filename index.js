@@ -33,7 +33,7 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET','POST','PUT','PATCH','DELETE','OPTIONS'],
-  
+  exposedHeaders: ['X-Total-Count'],   // paginated lists (customers)
 };
 
 app.use(cors(corsOptions));
@@ -55,6 +55,9 @@ app.get('/__up',      (_req, res) => res.json({ ok: true, at: '/__up',      t: D
 const stripeWebhookMod = require('./routes/stripeWebhook');
 const stripeWebhook = resolveRouter(stripeWebhookMod);
 app.use('/api/webhook', stripeWebhook);
+// Stripe Connect (shops' own accounts) — separate endpoint + signing secret
+const connectWebhookMod = require('./routes/connectWebhook');
+app.use('/api/webhook', resolveRouter(connectWebhookMod));
 
 /* ───────────────────────── Body parsers & access log ───────────────────────── */
 app.use(express.json({ limit: '25mb' }));
@@ -88,6 +91,8 @@ const customTabsRoutesMod  = require('./routes/customTabs');
 const storeInfoRoutesMod   = require('./routes/storeInfoRoutes');
 const profileRoutesMod     = require('./routes/profile');
 const billingRoutesMod     = require('./routes/billing');
+const connectRoutesMod     = require('./routes/connect');
+const recurringInvoicesRoutesMod = require('./routes/recurringInvoices');
 
 const authenticate      = require('./middleware/authenticate');
 const subscriptionGuard = require('./middleware/subscriptionGuard');
@@ -96,6 +101,10 @@ const subscriptionGuard = require('./middleware/subscriptionGuard');
 app.use('/api/auth', resolveRouter(passwordResetMod));
 app.use('/api/auth', resolveRouter(authRoutesMod));
 
+/* public estimate approval links (token-checked inside the router) */
+const publicEstimatesMod = require('./routes/publicEstimates');
+app.use('/api/public/estimates', resolveRouter(publicEstimatesMod));
+
 /* ✅ Notification routes (admin email notifications, tests, etc.) */
 const notifyMod = require('./routes/notify');
 app.use('/api/notify', resolveRouter(notifyMod));
@@ -123,6 +132,8 @@ app.use('/api/customers',   authenticate, subscriptionGuard, resolveRouter(custo
 app.use('/api/reports',     authenticate, subscriptionGuard, resolveRouter(reportsRoutesMod));
 app.use('/api/custom_tabs', authenticate, subscriptionGuard, resolveRouter(customTabsRoutesMod));
 app.use('/api/store-info',  authenticate, subscriptionGuard, resolveRouter(storeInfoRoutesMod));
+app.use('/api/connect',     authenticate, subscriptionGuard, resolveRouter(connectRoutesMod));
+app.use('/api/recurring-invoices', authenticate, subscriptionGuard, resolveRouter(recurringInvoicesRoutesMod));
 
 /* ✅ Downloads (presigned S3) — mount BEFORE 404 */
 const downloadsMod = require('./routes/downloads');
@@ -144,6 +155,19 @@ app.use((err, _req, res, _next) => {
     .json({ error: err.message || 'Server error' });
 });
 
+/* ───────────────────────── Schema (idempotent, non-fatal) ───────────────────────── */
+const { ensureSchema } = require('./utils/ensureSchema');
+const { startEstimateExpiryJob } = require('./utils/estimateExpiry');
+const { startInvoiceReminderJob } = require('./utils/invoiceReminders');
+const { startRecurringInvoiceJob } = require('./utils/recurringInvoices');
+
+/* background jobs start once the schema helpers have had their go */
+ensureSchema().finally(() => {
+  startEstimateExpiryJob();
+  startInvoiceReminderJob();
+  startRecurringInvoiceJob();
+});
+
 /* ───────────────────────── start ───────────────────────── */
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, '0.0.0.0', () => {
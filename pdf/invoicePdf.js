@@ -0,0 +1,455 @@
+// backend/pdf/invoicePdf.js
+// Server-side invoice / estimate PDFs (pdfkit). Takes the { header, items, store }
+// objects from utils/documentLoaders and resolves to a Buffer.
+const path = require('path');
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const { invoiceBreakdown } = require('../utils/lineItems');
+const { paymentTermsLabel } = require('../utils/paymentTerms');
+
+const logosDir = path.join(__dirname, '..', 'uploads', 'logos');
+
+const PAGE_MARGIN = 50;
+const COLS = {
+  desc:   { x: 50,  w: 245 },
+  qty:    { x: 300, w: 50 },
+  unit:   { x: 355, w: 80 },
+  tax:    { x: 440, w: 30 },
+  amount: { x: 472, w: 90 },
+};
+
+const money = (n) =>
+  (Number(n) || 0).toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+
+const pct = (rate) => `${((Number(rate) || 0) * 100).toFixed(2).replace(/\.?0+$/, '')}%`;
+
+const fmtDate = (d) => {
+  if (!d) return '';
+  // date-only strings are calendar dates, not UTC midnight
+  const dateOnly = typeof d === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(d);
+  const dt = d instanceof Date ? d : new Date(dateOnly ? `${d}T00:00:00` : d);
+  return Number.isNaN(dt.getTime())
+    ? String(d)
+    : dt.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+/** Resolves store_info.logo_url (/uploads/logos/<file>) to a file on disk, if present. */
+function logoPath(logoUrl) {
+  if (!logoUrl) return null;
+  const file = path.join(logosDir, path.basename(String(logoUrl)));
+  return fs.existsSync(file) ? file : null;
+}
+
+function lineDescription(it) {
+  const bits = [String(it.product_name || 'Item')];
+  if (it.size) bits.push(String(it.size));
+  if (it.accessory && String(it.accessory).toLowerCase() !== 'none') bits.push(String(it.accessory));
+  return bits.join(' — ');
+}
+
+function subtotalsOf(items) {
+  let taxableSubtotal = 0;
+  let nonTaxableSubtotal = 0;
+  for (const it of items) {
+    const line = (Number(it.price) || 0) * (Number(it.quantity) || 0);
+    (it.taxable ? (taxableSubtotal += line) : (nonTaxableSubtotal += line));
+  }
+  return { taxableSubtotal, nonTaxableSubtotal };
+}
+
+function toBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', (c) => chunks.push(c));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+}
+
+function drawHeader(doc, { title, numberLabel, number, dateLabel, date, store, extraMeta = [] }) {
+  const top = PAGE_MARGIN;
+  const logo = logoPath(store.logo_url);
+  if (logo) {
+    try {
+      doc.image(logo, PAGE_MARGIN, top, { fit: [140, 70] });
+    } catch (e) {
+      console.warn('PDF logo skipped:', e?.message || e);
+    }
+  }
+
+  const storeLines = [store.address, store.phone, store.email].filter(Boolean).join('\n');
+  doc.font('Helvetica-Bold').fontSize(14).fillColor('#000')
+    .text(store.name || 'Print Shop', 300, top, { width: 262, align: 'right' });
+  if (storeLines) {
+    doc.font('Helvetica').fontSize(9).fillColor('#444')
+      .text(storeLines, 300, doc.y + 2, { width: 262, align: 'right' });
+  }
+
+  let y = Math.max(doc.y, top + 75) + 15;
+  doc.font('Helvetica-Bold').fontSize(22).fillColor('#000').text(title, PAGE_MARGIN, y);
+
+  const meta = [[numberLabel, number], [dateLabel, fmtDate(date)], ...extraMeta]
+    .filter(([, v]) => v);
+  doc.font('Helvetica').fontSize(10);
+  meta.forEach(([label, value], i) => {
+    doc.fillColor('#666').text(label, 330, y + i * 14, { width: 110, align: 'right' });
+    doc.fillColor('#000').text(String(value), 445, y + i * 14, { width: 117, align: 'right' });
+  });
+
+  return Math.max(doc.y, y + 30) + 10;
+}
+
+/**
+ * Bill-to block; a picked billing address / contact (customer_info.billing_address, .contact)
+ * replaces the free-text address and adds an "Attn:" line. A shipping address is drawn beside it.
+ */
+function drawBillTo(doc, y, customer = {}) {
+  const contact = customer.contact || null;
+  const lines = [
+    customer.name,
+    customer.company,
+    contact?.name ? `Attn: ${contact.name}` : '',
+    customer.billing_address?.text || customer.address,
+    contact?.phone || customer.phone,
+    contact?.email || customer.email,
+  ].filter(Boolean).map(String);
+
+  doc.font('Helvetica-Bold').fontSize(10).fillColor('#666').text('BILL TO', PAGE_MARGIN, y);
+  doc.font('Helvetica').fontSize(10).fillColor('#000')
+    .text(lines.length ? lines.join('\n') : '—', PAGE_MARGIN, doc.y + 2, { width: 260 });
+  let bottom = doc.y;
+
+  if (customer.shipping_address?.text) {
+    const shipTo = [customer.name, customer.company, customer.shipping_address.text].filter(Boolean).map(String);
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#666').text('SHIP TO', 320, y);
+    doc.font('Helvetica').fontSize(10).fillColor('#000')
+      .text(shipTo.join('\n'), 320, doc.y + 2, { width: 240 });
+    bottom = Math.max(bottom, doc.y);
+  }
+  return bottom + 18;
+}
+
+function drawTableHeader(doc, y) {
+  doc.rect(PAGE_MARGIN, y - 4, 512, 18).fill('#f0f0f0');
+  doc.font('Helvetica-Bold').fontSize(9).fillColor('#333');
+  doc.text('Description', COLS.desc.x + 4, y, { width: COLS.desc.w });
+  doc.text('Qty', COLS.qty.x, y, { width: COLS.qty.w, align: 'right' });
+  doc.text('Unit price', COLS.unit.x, y, { width: COLS.unit.w, align: 'right' });
+  doc.text('Tax', COLS.tax.x, y, { width: COLS.tax.w, align: 'center' });
+  doc.text('Amount', COLS.amount.x, y, { width: COLS.amount.w - 4, align: 'right' });
+  return y + 20;
+}
+
+function ensureRoom(doc, y, needed, redrawHeader) {
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  if (y + needed <= bottom) return y;
+  doc.addPage();
+  const top = doc.page.margins.top;
+  return redrawHeader ? drawTableHeader(doc, top) : top;
+}
+
+function drawItems(doc, y, items) {
+  y = drawTableHeader(doc, y);
+  doc.font('Helvetica').fontSize(9).fillColor('#000');
+
+  for (const it of items) {
+    if (it.heading) {
+      y = ensureRoom(doc, y, 20, true);
+      doc.font('Helvetica-Bold').fontSize(9).fillColor('#333')
+        .text(it.heading, COLS.desc.x + 4, y + 2, { width: 500 });
+      doc.font('Helvetica').fillColor('#000');
+      y = doc.y + 4;
+      continue;
+    }
+
+    const desc = lineDescription(it);
+    const h = Math.max(12, doc.heightOfString(desc, { width: COLS.desc.w }));
+    y = ensureRoom(doc, y, h + 6, true);
+
+    const qty = Number(it.quantity) || 0;
+    const price = Number(it.price) || 0;
+    doc.text(desc, COLS.desc.x + 4, y, { width: COLS.desc.w });
+    doc.text(String(qty), COLS.qty.x, y, { width: COLS.qty.w, align: 'right' });
+    doc.text(money(price), COLS.unit.x, y, { width: COLS.unit.w, align: 'right' });
+    doc.text(it.taxable ? 'T' : '', COLS.tax.x, y, { width: COLS.tax.w, align: 'center' });
+    doc.text(money(price * qty), COLS.amount.x, y, { width: COLS.amount.w - 4, align: 'right' });
+
+    y += h + 6;
+    doc.moveTo(PAGE_MARGIN, y - 3).lineTo(562, y - 3).lineWidth(0.5).strokeColor('#e5e5e5').stroke();
+  }
+  return y + 6;
+}
+
+function drawTotals(doc, y, rows) {
+  y = ensureRoom(doc, y, rows.length * 16 + 10, false);
+  for (const [label, value, strong] of rows) {
+    doc.font(strong ? 'Helvetica-Bold' : 'Helvetica').fontSize(strong ? 11 : 10).fillColor('#000');
+    doc.text(label, 330, y, { width: 135, align: 'right' });
+    doc.text(value, COLS.amount.x, y, { width: COLS.amount.w - 4, align: 'right' });
+    y += 16;
+  }
+  return y + 10;
+}
+
+function drawNotes(doc, y, notes) {
+  if (!notes || !String(notes).trim()) return y;
+  y = ensureRoom(doc, y, 40, false);
+  doc.font('Helvetica-Bold').fontSize(10).fillColor('#666').text('NOTES', PAGE_MARGIN, y);
+  doc.font('Helvetica').fontSize(9).fillColor('#000')
+    .text(String(notes), PAGE_MARGIN, doc.y + 2, { width: 512 });
+  return doc.y + 14;
+}
+
+function drawDisclaimer(doc, y, disclaimer, withSignature) {
+  y = ensureRoom(doc, y, withSignature ? 90 : 40, false);
+  doc.font('Helvetica').fontSize(8).fillColor('#555')
+    .text(disclaimer, PAGE_MARGIN, y, { width: 512 });
+  y = doc.y + 10;
+
+  if (withSignature) {
+    y += 20;
+    doc.moveTo(PAGE_MARGIN, y).lineTo(300, y).lineWidth(0.7).strokeColor('#000').stroke();
+    doc.moveTo(340, y).lineTo(562, y).stroke();
+    doc.fontSize(8).fillColor('#555')
+      .text('Customer signature', PAGE_MARGIN, y + 3)
+      .text('Date', 340, y + 3);
+    y += 20;
+  }
+  return y;
+}
+
+/** Tax totals row: the rate, or the exemption certificate on tax-exempt documents. */
+const taxRow = (header, taxRate, tax) => (header.tax_exempt
+  ? [`Tax exempt${header.tax_exempt_certificate ? ` (cert. ${header.tax_exempt_certificate})` : ''}`, money(0)]
+  : [`Tax (${pct(taxRate)})`, money(tax)]);
+
+function drawVoidStamp(doc) {
+  doc.save();
+  doc.rotate(-30, { origin: [306, 396] });
+  doc.font('Helvetica-Bold').fontSize(120).fillColor('#cc0000').opacity(0.15)
+    .text('VOID', 120, 330, { width: 400, align: 'center' });
+  doc.restore();
+  doc.opacity(1);
+}
+
+/** Renders an invoice { header, items, store } to a PDF Buffer. */
+function renderInvoicePdf({ header, items, store }) {
+  const doc = new PDFDocument({ size: 'LETTER', margin: PAGE_MARGIN });
+  const done = toBuffer(doc);
+
+  const taxRate = header.tax_rate != null ? Number(header.tax_rate) : store.tax_rate;
+  const b = invoiceBreakdown({
+    ...subtotalsOf(items),
+    taxRate,
+    discType: header.discount_type === 'percent' ? 'percent' : 'amount',
+    discVal: Number(header.discount_value) || 0,
+  });
+
+  let y = drawHeader(doc, {
+    title: header.kind === 'deposit' ? 'DEPOSIT INVOICE' : 'INVOICE',
+    numberLabel: 'Invoice #',
+    number: header.invoice_number || header.id,
+    dateLabel: 'Date',
+    date: header.invoice_date,
+    store,
+    extraMeta: [
+      ['Terms', paymentTermsLabel(header.payment_terms, header.payment_terms_days)],
+      ['Due date', header.payment_terms ? fmtDate(header.due_date) : ''],
+    ],
+  });
+  y = drawBillTo(doc, y, header.customer_info || {});
+  y = drawItems(doc, y, items);
+
+  const rows = [['Subtotal', money(b.subtotal)]];
+  if (b.discount > 0) {
+    const label = header.discount_type === 'percent' ? `Discount (${Number(header.discount_value)}%)` : 'Discount';
+    rows.push([label, `-${money(b.discount)}`]);
+  }
+  rows.push(taxRow(header, taxRate, b.tax));
+  if (Number(header.deposit_applied) > 0) rows.push(['Less deposits', `-${money(header.deposit_applied)}`]);
+  rows.push(['Total', money(header.total), true]);
+  if (Number(header.amount_credited) > 0) rows.push(['Credits', `-${money(header.amount_credited)}`]);
+  if (Number(header.amount_paid) > 0) rows.push(['Paid', `-${money(header.amount_paid)}`]);
+  if (!header.voided_at) rows.push(['Balance due', money(header.balance_due), true]);
+  y = drawTotals(doc, y, rows);
+
+  y = drawNotes(doc, y, header.notes);
+  drawDisclaimer(doc, y, store.disclaimer, false);
+
+  if (header.voided_at) drawVoidStamp(doc);
+
+  doc.end();
+  return done;
+}
+
+/**
+ * Base lines first, then each option group's alternatives under a heading row.
+ * Totals only count base lines and selected options (item.included).
+ */
+function estimateRows(items) {
+  const rows = items.filter((it) => it.option_id == null);
+  const seen = new Set();
+  for (const it of items) {
+    if (it.option_id == null || seen.has(it.option_id)) continue;
+    seen.add(it.option_id);
+    const label = `${it.option_group || 'Options'}: ${it.option_name || 'Option'}`;
+    rows.push({ heading: `${label}${it.included ? '  (selected)' : '  (alternative, not included)'}` });
+    rows.push(...items.filter((x) => x.option_id === it.option_id));
+  }
+  return rows;
+}
+
+/** Renders an estimate { header, items, store } to a PDF Buffer. */
+function renderEstimatePdf({ header, items, store }) {
+  const doc = new PDFDocument({ size: 'LETTER', margin: PAGE_MARGIN });
+  const done = toBuffer(doc);
+
+  // Estimate totals carry tax (none when exempt) but no discount (see POST /api/estimates)
+  const taxRate = header.tax_exempt ? 0 : store.tax_rate;
+  const b = invoiceBreakdown({
+    ...subtotalsOf(items.filter((it) => it.included !== false)),
+    taxRate,
+    discType: 'amount',
+    discVal: 0,
+  });
+
+  let y = drawHeader(doc, {
+    title: 'ESTIMATE',
+    numberLabel: 'Estimate #',
+    number: header.estimate_number || header.id,
+    dateLabel: 'Date',
+    date: header.estimate_date,
+    store,
+    extraMeta: [['Valid until', fmtDate(header.valid_until)]],
+  });
+  y = drawBillTo(doc, y, header.customer_info || {});
+  y = drawItems(doc, y, estimateRows(items));
+
+  y = drawTotals(doc, y, [
+    ['Subtotal', money(b.subtotal)],
+    taxRow(header, taxRate, b.tax),
+    ['Total', money(header.total), true],
+  ]);
+
+  y = drawNotes(doc, y, header.notes);
+  drawDisclaimer(doc, y, store.disclaimer, true);
+
+  doc.end();
+  return done;
+}
+
+// Statement table columns
+const STMT_COLS = {
+  date:    { x: 50,  w: 70 },
+  desc:    { x: 125, w: 200 },
+  charge:  { x: 330, w: 75 },
+  credit:  { x: 410, w: 75 },
+  balance: { x: 490, w: 72 },
+};
+
+const ENTRY_LABELS = { invoice: 'Invoice', payment: 'Payment', credit: 'Credit note' };
+
+function drawStatementTableHeader(doc, y) {
+  doc.rect(PAGE_MARGIN, y - 4, 512, 18).fill('#f0f0f0');
+  doc.font('Helvetica-Bold').fontSize(9).fillColor('#333');
+  doc.text('Date', STMT_COLS.date.x + 4, y, { width: STMT_COLS.date.w });
+  doc.text('Description', STMT_COLS.desc.x, y, { width: STMT_COLS.desc.w });
+  doc.text('Charges', STMT_COLS.charge.x, y, { width: STMT_COLS.charge.w, align: 'right' });
+  doc.text('Credits', STMT_COLS.credit.x, y, { width: STMT_COLS.credit.w, align: 'right' });
+  doc.text('Balance', STMT_COLS.balance.x, y, { width: STMT_COLS.balance.w - 4, align: 'right' });
+  return y + 20;
+}
+
+function entryDescription(t) {
+  const bits = [ENTRY_LABELS[t.type] || t.type];
+  if (t.type === 'invoice') bits.push(t.invoice_number || `#${t.invoice_id}`);
+  else bits.push(`on ${t.invoice_number || `#${t.invoice_id}`}`);
+  if (t.type === 'payment' && t.method) bits.push(`(${t.method}${t.reference ? ` ${t.reference}` : ''})`);
+  if (t.type === 'credit' && t.reference) bits.push(`(${t.reference})`);
+  return bits.join(' ');
+}
+
+/** Draws one statement (see utils/statements.buildStatement) starting at the top of the page. */
+function drawStatement(doc, statement, store) {
+  let y = drawHeader(doc, {
+    title: 'STATEMENT',
+    numberLabel: 'Period',
+    number: `${fmtDate(statement.from)} – ${fmtDate(statement.to)}`,
+    dateLabel: 'Statement date',
+    date: statement.to,
+    store,
+    extraMeta: [['Amount due', money(Math.max(0, statement.closing_balance))]],
+  });
+  y = drawBillTo(doc, y, statement.customer);
+
+  const row = (cells, bold = false) => {
+    y = ensureRoom(doc, y, 18, false);
+    if (y === doc.page.margins.top) y = drawStatementTableHeader(doc, y);
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('#000');
+    const h = Math.max(12, doc.heightOfString(cells.desc, { width: STMT_COLS.desc.w }));
+    doc.text(cells.date || '', STMT_COLS.date.x + 4, y, { width: STMT_COLS.date.w });
+    doc.text(cells.desc, STMT_COLS.desc.x, y, { width: STMT_COLS.desc.w });
+    doc.text(cells.charge || '', STMT_COLS.charge.x, y, { width: STMT_COLS.charge.w, align: 'right' });
+    doc.text(cells.credit || '', STMT_COLS.credit.x, y, { width: STMT_COLS.credit.w, align: 'right' });
+    doc.text(cells.balance || '', STMT_COLS.balance.x, y, { width: STMT_COLS.balance.w - 4, align: 'right' });
+    y += h + 6;
+    doc.moveTo(PAGE_MARGIN, y - 3).lineTo(562, y - 3).lineWidth(0.5).strokeColor('#e5e5e5').stroke();
+  };
+
+  y = drawStatementTableHeader(doc, y);
+  row({ date: fmtDate(statement.from), desc: 'Opening balance', balance: money(statement.opening_balance) }, true);
+  for (const t of statement.transactions) {
+    row({
+      date: fmtDate(t.date),
+      desc: entryDescription(t),
+      charge: t.amount > 0 ? money(t.amount) : '',
+      credit: t.amount < 0 ? money(-t.amount) : '',
+      balance: money(t.balance),
+    });
+  }
+  y += 6;
+
+  y = drawTotals(doc, y, [
+    ['Opening balance', money(statement.opening_balance)],
+    ['Invoiced', money(statement.invoiced)],
+    ['Payments', `-${money(statement.paid)}`],
+    ['Credits', `-${money(statement.credited)}`],
+    ['Closing balance', money(statement.closing_balance), true],
+  ]);
+
+  if (statement.open_invoices.length) {
+    y = ensureRoom(doc, y, 50, false);
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#666').text('OPEN INVOICES', PAGE_MARGIN, y);
+    y = doc.y + 6;
+    for (const inv of statement.open_invoices) {
+      y = ensureRoom(doc, y, 14, false);
+      const overdue = Number(inv.days_past_due) > 0 ? `${inv.days_past_due} days past due` : 'current';
+      const label = `${inv.invoice_number || `#${inv.invoice_id}`} — ${fmtDate(inv.invoice_date)}, `
+        + `due ${fmtDate(inv.due_date)} (${overdue})`;
+      doc.font('Helvetica').fontSize(9).fillColor('#000');
+      doc.text(label, PAGE_MARGIN, y, { width: 400 });
+      doc.text(money(inv.balance_due), STMT_COLS.balance.x, y, { width: STMT_COLS.balance.w - 4, align: 'right' });
+      y += 14;
+    }
+  }
+  return y;
+}
+
+/** Renders a statement (utils/statements.buildStatement) to a PDF Buffer. */
+function renderStatementPdf({ statement, store }) {
+  return renderStatementsPdf([statement], store);
+}
+
+/** Several statements in one PDF (batch mailing), each starting on a new page. */
+function renderStatementsPdf(statements, store) {
+  const doc = new PDFDocument({ size: 'LETTER', margin: PAGE_MARGIN });
+  const done = toBuffer(doc);
+  statements.forEach((statement, i) => {
+    if (i > 0) doc.addPage();
+    drawStatement(doc, statement, store);
+  });
+  doc.end();
+  return done;
+}
+
+module.exports = { renderInvoicePdf, renderEstimatePdf, renderStatementPdf, renderStatementsPdf };
@@ -0,0 +1,51 @@
+// backend/routes/connect.js
+// Stripe Connect onboarding so a shop's customers can pay invoices online.
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const {
+  STUB_MODE,
+  startOnboarding,
+  refreshConnectAccount,
+} = require('../utils/stripeConnect');
+
+const toStatusResponse = (acct) => ({
+  connected: !!acct.account_id,
+  account_id: acct.account_id,
+  charges_enabled: acct.charges_enabled,
+  details_submitted: acct.details_submitted,
+  stub: STUB_MODE,
+});
+
+/** GET /api/connect/status — refreshed from Stripe while onboarding is unfinished */
+router.get('/status', async (req, res) => {
+  try {
+    const acct = await refreshConnectAccount(pool, req.user.id);
+    res.json(toStatusResponse(acct));
+  } catch (err) {
+    console.error('❌ Connect status failed:', err);
+    res.status(500).json({ error: 'Failed to load Stripe account status' });
+  }
+});
+
+/**
+ * POST /api/connect/onboard
+ * Creates the shop's connected account on first call; returns { url } to Stripe's
+ * hosted onboarding (call again for a fresh link if the old one lapsed).
+ */
+router.post('/onboard', async (req, res) => {
+  const userId = req.user.id;
+  try {
+    const { rows } = await pool.query('SELECT email FROM users WHERE id = $1', [userId]);
+    const result = await startOnboarding(pool, userId, rows[0]?.email);
+    if (!result) {
+      return res.status(409).json({ error: 'Save your store info before connecting Stripe.' });
+    }
+    res.json({ url: result.url, account_id: result.account_id, stub: STUB_MODE });
+  } catch (err) {
+    console.error('❌ Connect onboarding failed:', err);
+    res.status(500).json({ error: 'Failed to start Stripe onboarding' });
+  }
+});
+
+module.exports = router;
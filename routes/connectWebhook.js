@@ -0,0 +1,129 @@
+// backend/routes/connectWebhook.js
+// Stripe Connect events (payments on shops' connected accounts) + the local stand-in
+// checkout page used when STRIPE_CONNECT_STUB=1.
+const express = require('express');
+const Stripe = require('stripe');
+const pool = require('../db');
+const {
+  STUB_MODE,
+  syncConnectAccount,
+  recordCheckoutPayment,
+  expireCheckoutSession,
+} = require('../utils/stripeConnect');
+const { round2 } = require('../utils/invoicePayments');
+
+const router = express.Router();
+
+// Connect endpoints have their own signing secret in the Stripe dashboard
+const endpointSecret = process.env.STRIPE_CONNECT_WEBHOOK_SECRET;
+
+// Raw body ONLY for this route
+const rawBody = express.raw({ type: 'application/json' });
+
+const FRONTEND = (process.env.FRONTEND_URL || 'https://printshopinvoice.com').replace(/\/+$/, '');
+const PAYMENT_RETURN_PATH = process.env.INVOICE_PAYMENT_RETURN_PATH || '/invoice-payment.html';
+
+/* ───────────────────────── Webhook route ───────────────────────── */
+router.post('/stripe/connect-webhook', rawBody, async (req, res) => {
+  const sig = req.headers['stripe-signature'];
+  let event;
+
+  try {
+    event = Stripe.webhooks.constructEvent(req.body, sig, endpointSecret);
+  } catch (err) {
+    console.error('Connect webhook signature verify failed:', err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+
+  try {
+    switch (event.type) {
+      // Card payments are paid on completion; async methods (ACH) report success later
+      case 'checkout.session.completed':
+      case 'checkout.session.async_payment_succeeded': {
+        const s = event.data.object;
+        if (s.payment_status !== 'paid') break;
+        const result = await recordCheckoutPayment(s, event.account);
+        if (result?.recorded) {
+          console.log(`💳 Online payment recorded for invoice ${result.invoiceId} (${s.id})`);
+        }
+        break;
+      }
+
+      case 'checkout.session.expired': {
+        await expireCheckoutSession(event.data.object.id);
+        break;
+      }
+
+      case 'account.updated': {
+        await syncConnectAccount(pool, event.data.object);
+        break;
+      }
+
+      default:
+        break;
+    }
+
+    return res.json({ received: true });
+  } catch (err) {
+    console.error('Connect webhook handler failed:', err);
+    return res.status(500).send('Webhook handler error');
+  }
+});
+
+/* ───────────────────────── Local stand-in checkout ─────────────────────────
+   Only mounted in stub mode. GET shows a minimal pay page; POST acts like a
+   completed checkout.session.completed event for the session. */
+if (STUB_MODE) {
+  const loadStubSession = async (sessionId) => {
+    const { rows } = await pool.query(
+      `SELECT s.session_id, s.amount, s.currency, s.status, s.expires_at, inv.invoice_number, inv.id AS invoice_id
+         FROM invoice_checkout_sessions s
+         JOIN invoices inv ON inv.id = s.invoice_id
+        WHERE s.session_id = $1 AND s.stub`,
+      [sessionId]
+    );
+    return rows[0] || null;
+  };
+
+  router.get('/stripe/connect-stub/:sessionId', async (req, res) => {
+    try {
+      const s = await loadStubSession(req.params.sessionId);
+      if (!s) return res.status(404).send('Unknown checkout session');
+
+      const label = s.invoice_number || `#${s.invoice_id}`;
+      const amount = `${round2(s.amount).toFixed(2)} ${s.currency.toUpperCase()}`;
+      res.type('html').send(`<!doctype html>
+<html><body style="font-family:sans-serif;max-width:420px;margin:40px auto">
+  <h2>Test checkout</h2>
+  <p>Invoice ${String(label).replace(/[<>&"]/g, '')} — ${amount}</p>
+  <p>Status: ${s.status}</p>
+  ${s.status === 'open'
+    ? `<form method="post"><button type="submit">Pay ${amount} (stand-in)</button></form>`
+    : ''}
+</body></html>`);
+    } catch (err) {
+      console.error('Stub checkout page failed:', err);
+      res.status(500).send('Stub checkout error');
+    }
+  });
+
+  router.post('/stripe/connect-stub/:sessionId', async (req, res) => {
+    try {
+      const s = await loadStubSession(req.params.sessionId);
+      if (!s) return res.status(404).send('Unknown checkout session');
+      if (s.status === 'open' && s.expires_at && new Date(s.expires_at) < new Date()) {
+        return res.status(409).send('Session expired');
+      }
+      if (s.status !== 'open' && s.status !== 'paid') return res.status(409).send(`Session ${s.status}`);
+
+      await recordCheckoutPayment({ id: s.session_id, amount_total: Math.round(round2(s.amount) * 100) });
+      const label = s.invoice_number || `#${s.invoice_id}`;
+      res.redirect(303, `${FRONTEND}${PAYMENT_RETURN_PATH}?invoice=${encodeURIComponent(label)}&status=paid`);
+    } catch (err) {
+      console.error('Stub checkout payment failed:', err);
+      res.status(500).send('Stub checkout error');
+    }
+  });
+}
+
+module.exports = router;
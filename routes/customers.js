@@ -1,31 +1,185 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const pool = require('../db');
 const authenticate = require('../middleware/authenticate');
+const { parsePaymentTerms } = require('../utils/paymentTerms');
+const { toBool } = require('../utils/lineItems');
+const { INVOICE_HEADER_SELECT, ESTIMATE_HEADER_SELECT } = require('../utils/documentLoaders');
+const { withPaymentStatus } = require('../utils/invoicePayments');
+const {
+  invoiceCustomerMatch,
+  estimateCustomerMatch,
+  findUpsertMatch,
+  CUSTOMER_STATS_JOIN,
+  CUSTOMER_STATS_COLUMNS,
+} = require('../utils/customers');
+const {
+  MAX_MERGE,
+  findDuplicateGroups,
+  mergeCustomers,
+  undoCustomerMerge,
+} = require('../utils/customerMerge');
+const {
+  rowsFromCsv,
+  rowsFromVcf,
+  planImport,
+  applyImport,
+  customersToCsv,
+  customersToVcf,
+} = require('../utils/customerImport');
+const {
+  CERT_TYPES,
+  MAX_CERT_BYTES,
+  TAX_EXEMPT_EXPIRED_SQL,
+  TAX_EXEMPTION_COLUMNS,
+  certificatePath,
+  saveCertificateFile,
+  removeCertificateFile,
+} = require('../utils/taxExemptions');
+const {
+  CONTACT_COLUMNS,
+  ADDRESS_COLUMNS,
+  contactFromBody,
+  addressFromBody,
+  invoiceRecipients,
+} = require('../utils/customerContacts');
+const {
+  statementPeriod,
+  buildStatement,
+  customersWithOpenBalance,
+  statementFileName,
+} = require('../utils/statements');
+const { sendMail } = require('../utils/mailer');
+const { loadStoreProfile, storeMailIdentity } = require('../utils/storeInfo');
+const { renderStatementPdf, renderStatementsPdf } = require('../pdf/invoicePdf');
+const { TIMELINE_TYPES, normalizeTags, logEmail, customerTimeline } = require('../utils/customerActivity');
+const { parseDate } = require('../utils/recurrence');
 
 router.use(authenticate);
 
-// GET /api/customers
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// ?sort= keys → ORDER BY expressions (customers aliased c, totals as stats)
+const SORTS = {
+  name: `LOWER(COALESCE(c.name, ''))`,
+  company: `LOWER(COALESCE(c.company, ''))`,
+  email: `LOWER(COALESCE(c.email, ''))`,
+  created_at: 'c.created_at',
+  last_order_date: 'stats.last_order_date',
+  lifetime_revenue: 'COALESCE(stats.lifetime_revenue, 0)',
+  open_balance: 'COALESCE(stats.open_balance, 0)',
+};
+
+// ?deleted= include | only; anything else lists active customers
+const DELETED_FILTERS = {
+  include: 'TRUE',
+  only: 'c.deleted_at IS NOT NULL',
+  active: 'c.deleted_at IS NULL',
+};
+
+// Import files are parsed in memory
+const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
+// Tax-exemption certificates are checked against the customer before they are written to disk
+const certificateUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_CERT_BYTES },
+  fileFilter: (_req, file, cb) => {
+    if (CERT_TYPES[file.mimetype]) return cb(null, true);
+    return cb(new Error('PDF, PNG or JPEG only'));
+  },
+});
+
+const MAX_NOTE_LENGTH = 5000;
+const NOTE_COLUMNS = 'id, customer_id, body, author, pinned, created_at, updated_at';
+
+const parseCustomerId = (value) => {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+};
+
+/** True when customerId is one of the user's active (not deleted) customers. */
+async function isActiveCustomer(db, userId, customerId) {
+  const { rowCount } = await db.query(
+    `SELECT 1 FROM customers WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL`,
+    [customerId, userId]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * GET /api/customers
+ * Query: q, tag (repeat or comma-separate; customers must have all of them), page (1-based),
+ * page_size (≤ 200), sort (name, company, email, created_at, last_order_date, lifetime_revenue,
+ * open_balance), dir (asc|desc), deleted (include|only).
+ * Body is the page of customers with their totals; X-Total-Count carries the match count.
+ */
 router.get('/', async (req, res) => {
-  const search = req.query.q || '';
   const userId = req.user.id;
+  const search = req.query.q ? `%${String(req.query.q).trim()}%` : null;
+
+  const sortKey = String(req.query.sort || 'name').toLowerCase();
+  if (!SORTS[sortKey]) {
+    return res.status(400).json({ error: `sort must be one of: ${Object.keys(SORTS).join(', ')}` });
+  }
+  // Text columns read A→Z by default, dates and amounts newest / largest first
+  const defaultDir = ['name', 'company', 'email'].includes(sortKey) ? 'asc' : 'desc';
+  const dir = String(req.query.dir || defaultDir).toLowerCase() === 'desc' ? 'DESC' : 'ASC';
+  const deletedFilter = DELETED_FILTERS[String(req.query.deleted || 'active').toLowerCase()] || DELETED_FILTERS.active;
+  const tagFilter = normalizeTags([].concat(req.query.tag || []).join(','));
+  if (tagFilter.error) return res.status(400).json({ error: tagFilter.error });
+  const tags = tagFilter.tags.length ? tagFilter.tags : null;
+
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.page_size, 10) || DEFAULT_PAGE_SIZE));
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+  const where = `
+    WHERE c.user_id = $1
+      AND ${deletedFilter}
+      AND ($2::text IS NULL OR c.name ILIKE $2 OR c.company ILIKE $2 OR c.email ILIKE $2 OR c.phone ILIKE $2)
+      AND ($3::text[] IS NULL OR c.tags @> $3::text[])`;
 
   try {
-    const result = await pool.query(
-      `SELECT DISTINCT ON (name, company) * FROM customers
-       WHERE user_id = $2
-         AND (name ILIKE $1 OR email ILIKE $1 OR phone ILIKE $1 OR company ILIKE $1)
-       ORDER BY name, company, created_at DESC
-       LIMIT 10`,
-      [`%${search}%`, userId]
+    const { rows: count } = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM customers c ${where}`,
+      [userId, search, tags]
+    );
+    const { rows } = await pool.query(
+      `SELECT c.*,
+              ${TAX_EXEMPT_EXPIRED_SQL} AS tax_exempt_expired,
+              ${CUSTOMER_STATS_COLUMNS}
+         FROM customers c
+         ${CUSTOMER_STATS_JOIN}
+         ${where}
+        ORDER BY ${SORTS[sortKey]} ${dir} NULLS LAST, c.id ${dir}
+        LIMIT $4 OFFSET $5`,
+      [userId, search, tags, pageSize, (page - 1) * pageSize]
     );
-    res.json(result.rows);
+
+    res.set('X-Total-Count', String(count[0].total));
+    res.json(rows);
   } catch (err) {
-    
+    console.error('❌ Customers GET failed:', err);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Terms are only touched when the key is sent: '' / null clears them (store default applies)
+const termsFromBody = (body) => {
+  if (!body || !('payment_terms' in body)) return { keep: true };
+  if (body.payment_terms == null || body.payment_terms === '') return { terms: null, days: null };
+  return parsePaymentTerms(body.payment_terms, body.payment_terms_days);
+};
+
+// reminders_paused is likewise left alone unless sent
+const remindersPausedFromBody = (body) =>
+  body && 'reminders_paused' in body ? toBool(body.reminders_paused, false) : null;
+
+// and so are tags: { tags: null } when not sent, else the normalized list or { error }
+const tagsFromBody = (body) => (body && 'tags' in body ? normalizeTags(body.tags) : { tags: null });
+
 // POST /api/customers/upsert
 router.post('/upsert', async (req, res) => {
   const {
@@ -43,37 +197,45 @@ router.post('/upsert', async (req, res) => {
     return res.status(400).json({ error: 'At least a name or company is required' });
   }
 
+  const terms = termsFromBody(req.body);
+  if (terms.error) return res.status(400).json({ error: terms.error });
+  const { tags, error: tagsError } = tagsFromBody(req.body);
+  if (tagsError) return res.status(400).json({ error: tagsError });
+
   try {
-    // Check if customer exists for this user
-    const result = await pool.query(
-      `SELECT id FROM customers 
-       WHERE 
-         user_id = $3
-         AND COALESCE(name, '') = $1 
-         AND COALESCE(company, '') = $2
-       LIMIT 1`,
-      [name.trim(), company.trim(), userId]
-    );
+    // Check if customer exists for this user (a deleted match is brought back)
+    const customerId = await findUpsertMatch(pool, userId, name, company);
 
-    if (result.rows.length > 0) {
-      const customerId = result.rows[0].id;
+    if (customerId) {
       await pool.query(
         `UPDATE customers SET
           email = $1,
           phone = $2,
-          address = $3
+          address = $3,
+          payment_terms      = CASE WHEN $6 THEN payment_terms      ELSE $7 END,
+          payment_terms_days = CASE WHEN $6 THEN payment_terms_days ELSE $8::int END,
+          reminders_paused   = COALESCE($9, reminders_paused),
+          tags               = COALESCE($10::text[], tags),
+          deleted_at = NULL
          WHERE id = $4
            AND user_id = $5`,
-        [email, phone, address, customerId, userId]
+        [
+          email, phone, address, customerId, userId, !!terms.keep, terms.terms ?? null, terms.days ?? null,
+          remindersPausedFromBody(req.body), tags,
+        ]
       );
       return res.json({ customerId });
     }
 
     const insert = await pool.query(
-      `INSERT INTO customers (user_id, name, company, email, phone, address)
-       VALUES ($1, $2, $3, $4, $5, $6)
+      `INSERT INTO customers (user_id, name, company, email, phone, address, payment_terms, payment_terms_days,
+                              reminders_paused, tags)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, FALSE), COALESCE($10::text[], '{}'))
        RETURNING id`,
-      [userId, name.trim(), company.trim(), email, phone, address]
+      [
+        userId, name.trim(), company.trim(), email, phone, address, terms.terms ?? null, terms.days ?? null,
+        remindersPausedFromBody(req.body), tags,
+      ]
     );
     res.json({ customerId: insert.rows[0].id });
 
@@ -83,7 +245,7 @@ router.post('/upsert', async (req, res) => {
   }
 });
 
-// PUT /api/customers/:id
+// PUT /api/customers/:id — tags (array or "a, b") replace the current ones when sent
 router.put('/:id', async (req, res) => {
   const customerId = parseInt(req.params.id);
   const { name, company, email, phone, address } = req.body;
@@ -93,13 +255,25 @@ router.put('/:id', async (req, res) => {
     return res.status(400).json({ error: 'Invalid customer ID' });
   }
 
+  const terms = termsFromBody(req.body);
+  if (terms.error) return res.status(400).json({ error: terms.error });
+  const { tags, error: tagsError } = tagsFromBody(req.body);
+  if (tagsError) return res.status(400).json({ error: tagsError });
+
   try {
     const result = await pool.query(
       `UPDATE customers
-       SET name = $1, company = $2, email = $3, phone = $4, address = $5
-       WHERE id = $6 AND user_id = $7
+       SET name = $1, company = $2, email = $3, phone = $4, address = $5,
+           payment_terms      = CASE WHEN $8 THEN payment_terms      ELSE $9 END,
+           payment_terms_days = CASE WHEN $8 THEN payment_terms_days ELSE $10::int END,
+           reminders_paused   = COALESCE($11, reminders_paused),
+           tags               = COALESCE($12::text[], tags)
+       WHERE id = $6 AND user_id = $7 AND deleted_at IS NULL
        RETURNING id`,
-      [name || '', company || '', email || '', phone || '', address || '', customerId, userId]
+      [
+        name || '', company || '', email || '', phone || '', address || '', customerId, userId,
+        !!terms.keep, terms.terms ?? null, terms.days ?? null, remindersPausedFromBody(req.body), tags,
+      ]
     );
 
     if (result.rows.length === 0) {
@@ -113,7 +287,1086 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/customers/duplicates
+ * Active customers that look like the same one (normalized name + company, email or phone).
+ * Each group lists its customers oldest first with their totals, plus why they matched.
+ */
+router.get('/duplicates', async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT c.*,
+              ${CUSTOMER_STATS_COLUMNS}
+         FROM customers c
+         ${CUSTOMER_STATS_JOIN}
+        WHERE c.user_id = $1 AND c.deleted_at IS NULL`,
+      [req.user.id]
+    );
+    res.json(findDuplicateGroups(rows));
+  } catch (err) {
+    console.error('❌ Customer duplicates GET failed:', err);
+    res.status(500).json({ error: 'Failed to find duplicate customers' });
+  }
+});
+
+/** GET /api/customers/merges — recent merges, newest first, with whether they can still be undone */
+router.get('/merges', async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT m.id, m.survivor_id, c.name AS survivor_name, c.company AS survivor_company,
+              m.merged_ids, m.created_at, m.undo_expires_at, m.undone_at,
+              (m.undone_at IS NULL AND m.undo_expires_at > NOW()) AS can_undo
+         FROM customer_merges m
+         LEFT JOIN customers c ON c.id = m.survivor_id
+        WHERE m.user_id = $1
+        ORDER BY m.created_at DESC
+        LIMIT 50`,
+      [req.user.id]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('❌ Customer merges GET failed:', err);
+    res.status(500).json({ error: 'Failed to load customer merges' });
+  }
+});
+
+/**
+ * POST /api/customers/merges/:mergeId/undo — within the undo window. Refused (409) once the
+ * survivor has itself been merged into another customer; undo that later merge first.
+ */
+router.post('/merges/:mergeId/undo', async (req, res) => {
+  const mergeId = parseCustomerId(req.params.mergeId);
+  if (!mergeId) return res.status(400).json({ error: 'Invalid merge ID' });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await undoCustomerMerge(client, req.user.id, mergeId);
+    if (!result) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Merge not found' });
+    }
+    if (result.undone || result.expired) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: result.undone ? 'Merge was already undone' : 'The undo window for this merge has passed',
+      });
+    }
+    if (result.survivorMergedInto) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'The surviving customer was merged again since; undo that merge first',
+        merged_into: result.survivorMergedInto,
+      });
+    }
+    await client.query('COMMIT');
+    res.json({ message: 'Merge undone', merge: result.merge });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Customer merge undo failed:', err);
+    res.status(500).json({ error: 'Failed to undo merge' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/customers/import
+ * multipart `file` (.csv / .vcf) or JSON { content }, plus:
+ *   format   csv | vcf (defaults from the file name)
+ *   mapping  CSV only: { name, company, email, phone, address, city, state, zip, first_name,
+ *            last_name, payment_terms, payment_terms_days } → header name or column index;
+ *            unmapped fields are matched by common header names (JSON string in multipart)
+ *   dry_run  true → report what would happen without saving
+ * Rows match existing customers by exact name + company like /upsert (updates fill blanks
+ * only); rows with errors are skipped. Each row lists likely duplicates by normalized
+ * name, email or phone.
+ */
+router.post('/import', (req, res) => {
+  importUpload.single('file')(req, res, async (uploadErr) => {
+    if (uploadErr) {
+      const tooBig = uploadErr.code === 'LIMIT_FILE_SIZE';
+      return res.status(400).json({ error: tooBig ? 'File exceeds 5MB' : uploadErr.message || 'Upload failed' });
+    }
+
+    const userId = req.user.id;
+    const body = req.body || {};
+    const content = req.file ? req.file.buffer.toString('utf8') : typeof body.content === 'string' ? body.content : '';
+    if (!content.trim()) return res.status(400).json({ error: 'Upload a file or send content' });
+
+    const fileName = String(req.file?.originalname || '').toLowerCase();
+    let format = String(body.format || '').toLowerCase();
+    if (!format) format = /\.(vcf|vcard)$/.test(fileName) || /^\s*BEGIN:VCARD/i.test(content) ? 'vcf' : 'csv';
+    if (format === 'vcard') format = 'vcf';
+    if (!['csv', 'vcf'].includes(format)) return res.status(400).json({ error: 'format must be csv or vcf' });
+
+    let mapping = body.mapping;
+    if (typeof mapping === 'string' && mapping.trim()) {
+      try {
+        mapping = JSON.parse(mapping);
+      } catch {
+        return res.status(400).json({ error: 'mapping must be a JSON object' });
+      }
+    }
+    if (mapping != null && mapping !== '' && (typeof mapping !== 'object' || Array.isArray(mapping))) {
+      return res.status(400).json({ error: 'mapping must be an object of field → column' });
+    }
+
+    const parsed = format === 'vcf' ? rowsFromVcf(content) : rowsFromCsv(content, mapping || null);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const dryRun = toBool(body.dry_run, false);
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const { rows: existing } = await client.query(
+        `SELECT id, name, company, email, phone FROM customers WHERE user_id = $1 AND deleted_at IS NULL`,
+        [userId]
+      );
+      const plan = await planImport(client, userId, parsed.rows, existing);
+
+      let written = { created: 0, updated: 0 };
+      if (dryRun) {
+        await client.query('ROLLBACK');
+      } else {
+        written = await applyImport(client, userId, plan);
+        await client.query('COMMIT');
+      }
+
+      const count = (action) => plan.filter((p) => p.action === action).length;
+      res.json({
+        dry_run: dryRun,
+        format,
+        ...(parsed.mapping ? { mapping: parsed.mapping } : {}),
+        summary: {
+          rows: plan.length,
+          create: count('create'),
+          update: count('update'),
+          errors: count('error'),
+          possible_duplicates: plan.filter((p) => p.possible_duplicates?.length).length,
+          created: written.created,
+          updated: written.updated,
+        },
+        rows: plan.map(({ customer, ...row }) => row),
+      });
+    } catch (err) {
+      await client.query('ROLLBACK');
+      console.error('❌ Customer import failed:', err);
+      res.status(500).json({ error: 'Failed to import customers' });
+    } finally {
+      client.release();
+    }
+  });
+});
+
+/** GET /api/customers/tags — the tags in use on active customers, most used first */
+router.get('/tags', async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT t.tag, COUNT(*)::int AS count
+         FROM customers c
+         CROSS JOIN LATERAL UNNEST(c.tags) AS t(tag)
+        WHERE c.user_id = $1 AND c.deleted_at IS NULL
+        GROUP BY t.tag
+        ORDER BY count DESC, t.tag`,
+      [req.user.id]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('❌ Customer tags GET failed:', err);
+    res.status(500).json({ error: 'Failed to load tags' });
+  }
+});
+
+/** GET /api/customers/export?format=csv|vcf — active customers as a download */
+router.get('/export', async (req, res) => {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!['csv', 'vcf'].includes(format)) return res.status(400).json({ error: 'format must be csv or vcf' });
+
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, name, company, email, phone, address, payment_terms, payment_terms_days, created_at
+         FROM customers
+        WHERE user_id = $1 AND deleted_at IS NULL
+        ORDER BY LOWER(COALESCE(name, '')), LOWER(COALESCE(company, '')), id`,
+      [req.user.id]
+    );
+    const isCsv = format === 'csv';
+    res.setHeader('Content-Type', isCsv ? 'text/csv; charset=utf-8' : 'text/vcard; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="customers.${format}"`);
+    res.send(isCsv ? customersToCsv(rows) : customersToVcf(rows));
+  } catch (err) {
+    console.error('❌ Customer export failed:', err);
+    res.status(500).json({ error: 'Failed to export customers' });
+  }
+});
+
+// Statement fields listed by the batch endpoint (the full statement is per customer)
+const statementSummary = ({ transactions, open_invoices, ...summary }) => ({
+  ...summary,
+  transaction_count: transactions.length,
+  open_invoice_count: open_invoices.length,
+});
+
+/**
+ * Emails a statement PDF from the store (Reply-To = store email). `to` defaults to the
+ * customer's invoice contacts, else the customer email. Returns the recipients, or null
+ * when there is nobody to send to.
+ */
+async function emailStatement(userId, statement, store, { to, subject, message_text, message_html, reply_to } = {}) {
+  const recipients = to || (await invoiceRecipients(pool, userId, statement.customer.id, statement.customer));
+  if (!recipients || !recipients.length) return null;
+
+  const { storeName, from, replyTo } = await storeMailIdentity(pool, userId, reply_to);
+  const pdf = await renderStatementPdf({ statement, store });
+  const text = message_text || 'Please find your statement of account attached.';
+  const mailSubject = subject || `Statement of account from ${storeName} (${statement.from} to ${statement.to})`;
+
+  await sendMail({
+    from,
+    to: recipients,
+    subject: mailSubject,
+    text,
+    html: message_html || `<p>${text}</p>`,
+    replyTo,
+    attachments: [{ filename: statementFileName(statement), content: pdf }],
+  });
+  await logEmail(pool, userId, { customerId: statement.customer.id, kind: 'statement', to: recipients, subject: mailSubject });
+  return recipients;
+}
+
+/**
+ * GET /api/customers/statements?from=&to=[&format=pdf]
+ * Statements for every active customer owing money at the end of the period (largest
+ * balance first): summaries as JSON, or all of them in one PDF for mailing.
+ */
+router.get('/statements', async (req, res) => {
+  const period = statementPeriod(req.query.from, req.query.to);
+  if (period.error) return res.status(400).json({ error: period.error });
+  const userId = req.user.id;
+
+  try {
+    const ids = await customersWithOpenBalance(pool, userId, period.to);
+    const statements = [];
+    for (const id of ids) statements.push(await buildStatement(pool, userId, id, period));
+
+    if (String(req.query.format || '').toLowerCase() === 'pdf') {
+      if (!statements.length) return res.status(404).json({ error: 'No customers with an open balance' });
+      const pdf = await renderStatementsPdf(statements, await loadStoreProfile(pool, userId));
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="statements-${period.to}.pdf"`);
+      return res.send(pdf);
+    }
+    res.json({ ...period, statements: statements.map(statementSummary) });
+  } catch (err) {
+    console.error('❌ Customer statements batch failed:', err);
+    res.status(500).json({ error: 'Failed to generate statements' });
+  }
+});
+
+/**
+ * POST /api/customers/statements/email
+ * Body: { from?, to?, subject?, message_text?, message_html?, reply_to? }
+ * Emails each customer with an open balance its statement; customers without an email
+ * address are skipped and one failure does not stop the rest.
+ */
+router.post('/statements/email', async (req, res) => {
+  const body = req.body || {};
+  const period = statementPeriod(body.from, body.to);
+  if (period.error) return res.status(400).json({ error: period.error });
+  const userId = req.user.id;
+  const { subject, message_text, message_html, reply_to } = body;
+
+  try {
+    const store = await loadStoreProfile(pool, userId);
+    const ids = await customersWithOpenBalance(pool, userId, period.to);
+    const results = [];
+    for (const id of ids) {
+      const statement = await buildStatement(pool, userId, id, period);
+      const who = { customer_id: id, name: statement.customer.name, company: statement.customer.company };
+      try {
+        const sentTo = await emailStatement(userId, statement, store, { subject, message_text, message_html, reply_to });
+        results.push(sentTo
+          ? { ...who, status: 'sent', to: sentTo, closing_balance: statement.closing_balance }
+          : { ...who, status: 'skipped', error: 'Customer email is missing' });
+      } catch (err) {
+        console.error(`⚠️ Statement email (customer ${id}) failed:`, err?.message || err);
+        results.push({ ...who, status: 'failed', error: err?.message || 'Failed to send email' });
+      }
+    }
+
+    const count = (status) => results.filter((r) => r.status === status).length;
+    res.json({ ...period, sent: count('sent'), skipped: count('skipped'), failed: count('failed'), results });
+  } catch (err) {
+    console.error('❌ Customer statements email failed:', err);
+    res.status(500).json({ error: 'Failed to email statements' });
+  }
+});
+
+/**
+ * GET /api/customers/:id — the customer with lifetime revenue, open balance and last order date
+ * (tax_exempt_expired flags an exemption whose certificate has run out), contacts and addresses
+ */
+router.get('/:id', async (req, res) => {
+  const customerId = parseCustomerId(req.params.id);
+  if (!customerId) return res.status(400).json({ error: 'Invalid customer ID' });
+
+  try {
+    const { rows } = await pool.query(
+      `SELECT c.*,
+              ${TAX_EXEMPT_EXPIRED_SQL} AS tax_exempt_expired,
+              ${CUSTOMER_STATS_COLUMNS}
+         FROM customers c
+         ${CUSTOMER_STATS_JOIN}
+        WHERE c.id = $1 AND c.user_id = $2`,
+      [customerId, req.user.id]
+    );
+    if (!rows[0]) return res.status(404).json({ error: 'Customer not found' });
+
+    const { rows: contacts } = await pool.query(
+      `SELECT ${CONTACT_COLUMNS} FROM customer_contacts WHERE customer_id = $1 AND user_id = $2 ORDER BY id`,
+      [customerId, req.user.id]
+    );
+    const { rows: addresses } = await pool.query(
+      `SELECT ${ADDRESS_COLUMNS} FROM customer_addresses
+        WHERE customer_id = $1 AND user_id = $2
+        ORDER BY kind, is_default DESC, id`,
+      [customerId, req.user.id]
+    );
+    res.json({ ...rows[0], contacts, addresses });
+  } catch (err) {
+    console.error('❌ Customer GET failed:', err);
+    res.status(500).json({ error: 'Failed to load customer' });
+  }
+});
+
+/** GET /api/customers/:id/invoices — newest first, voided ones included */
+router.get('/:id/invoices', async (req, res) => {
+  const customerId = parseCustomerId(req.params.id);
+  if (!customerId) return res.status(400).json({ error: 'Invalid customer ID' });
+  const userId = req.user.id;
+
+  try {
+    const check = await pool.query(`SELECT 1 FROM customers WHERE id = $1 AND user_id = $2`, [customerId, userId]);
+    if (check.rowCount === 0) return res.status(404).json({ error: 'Customer not found' });
+
+    const { rows } = await pool.query(
+      `${INVOICE_HEADER_SELECT}
+        WHERE inv.user_id = $1
+          AND ${invoiceCustomerMatch('$2::int')}
+        ORDER BY inv.invoice_date DESC, inv.id DESC`,
+      [userId, customerId]
+    );
+    res.json(rows.map(withPaymentStatus));
+  } catch (err) {
+    console.error('❌ Customer invoices GET failed:', err);
+    res.status(500).json({ error: 'Failed to load customer invoices' });
+  }
+});
+
+/** GET /api/customers/:id/estimates — newest first */
+router.get('/:id/estimates', async (req, res) => {
+  const customerId = parseCustomerId(req.params.id);
+  if (!customerId) return res.status(400).json({ error: 'Invalid customer ID' });
+  const userId = req.user.id;
+
+  try {
+    const check = await pool.query(`SELECT 1 FROM customers WHERE id = $1 AND user_id = $2`, [customerId, userId]);
+    if (check.rowCount === 0) return res.status(404).json({ error: 'Customer not found' });
+
+    const { rows } = await pool.query(
+      `${ESTIMATE_HEADER_SELECT}
+        WHERE e.user_id = $1
+          AND ${estimateCustomerMatch('$2::int')}
+        ORDER BY e.estimate_date DESC, e.id DESC`,
+      [userId, customerId]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('❌ Customer estimates GET failed:', err);
+    res.status(500).json({ error: 'Failed to load customer estimates' });
+  }
+});
+
+/**
+ * GET /api/customers/:id/statement?from=&to=[&format=pdf]
+ * Opening balance, every invoice, payment and credit note in the period with a running
+ * balance, the closing balance and the invoices still open at its end. Defaults to the
+ * current month to date.
+ */
+router.get('/:id/statement', async (req, res) => {
+  const customerId = parseCustomerId(req.params.id);
+  if (!customerId) return res.status(400).json({ error: 'Invalid customer ID' });
+  const period = statementPeriod(req.query.from, req.query.to);
+  if (period.error) return res.status(400).json({ error: period.error });
+  const userId = req.user.id;
+
+  try {
+    const statement = await buildStatement(pool, userId, customerId, period);
+    if (!statement) return res.status(404).json({ error: 'Customer not found' });
+
+    if (String(req.query.format || '').toLowerCase() === 'pdf') {
+      const pdf = await renderStatementPdf({ statement, store: await loadStoreProfile(pool, userId) });
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename="${statementFileName(statement)}"`);
+      return res.send(pdf);
+    }
+    res.json(statement);
+  } catch (err) {
+    console.error('❌ Customer statement GET failed:', err);
+    res.status(500).json({ error: 'Failed to build statement' });
+  }
+});
+
+/**
+ * POST /api/customers/:id/statement/email
+ * Body: { from?, to? (period), recipients?, subject?, message_text?, message_html?, reply_to? }
+ * recipients defaults to the customer's invoice contacts, else the customer email.
+ */
+router.post('/:id/statement/email', async (req, res) => {
+  const customerId = parseCustomerId(req.params.id);
+  if (!customerId) return res.status(400).json({ error: 'Invalid customer ID' });
+  const body = req.body || {};
+  const period = statementPeriod(body.from, body.to);
+  if (period.error) return res.status(400).json({ error: period.error });
+  const userId = req.user.id;
+
+  try {
+    const statement = await buildStatement(pool, userId, customerId, period);
+    if (!statement) return res.status(404).json({ error: 'Customer not found' });
+
+    const sentTo = await emailStatement(userId, statement, await loadStoreProfile(pool, userId), {
+      to: body.recipients || null,
+      subject: body.subject,
+      message_text: body.message_text,
+      message_html: body.message_html,
+      reply_to: body.reply_to,
+    });
+    if (!sentTo) return res.status(400).json({ error: 'Customer email is missing.' });
+    res.json({ ok: true, to: sentTo, closing_balance: statement.closing_balance });
+  } catch (err) {
+    console.error('❌ Customer statement email failed:', err);
+    res.status(500).json({ error: 'Failed to send statement' });
+  }
+});
+
+/** GET /api/customers/:id/notes — pinned notes first, then newest first */
+router.get('/:id/notes', async (req, res) => {
+  const customerId = parseCustomerId(req.params.id);
+  if (!customerId) return res.status(400).json({ error: 'Invalid customer ID' });
+
+  try {
+    const check = await pool.query(`SELECT 1 FROM customers WHERE id = $1 AND user_id = $2`, [customerId, req.user.id]);
+    if (check.rowCount === 0) return res.status(404).json({ error: 'Customer not found' });
+
+    const { rows } = await pool.query(
+      `SELECT ${NOTE_COLUMNS} FROM customer_notes
+        WHERE customer_id = $1 AND user_id = $2
+        ORDER BY pinned DESC, created_at DESC, id DESC`,
+      [customerId, req.user.id]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('❌ Customer notes GET failed:', err);
+    res.status(500).json({ error: 'Failed to load notes' });
+  }
+});
+
+/**
+ * POST /api/customers/:id/notes
+ * Body: { body, author?, pinned? } — author defaults to the signed-in user's email.
+ */
+router.post('/:id/notes', async (req, res) => {
+  const customerId = parseCustomerId(req.params.id);
+  if (!customerId) return res.status(400).json({ error: 'Invalid customer ID' });
+  const { body, author, pinned } = req.body || {};
+  const text = String(body ?? '').trim();
+  if (!text) return res.status(400).json({ error: 'Note body is required' });
+  if (text.length > MAX_NOTE_LENGTH) {
+    return res.status(400).json({ error: `Notes can be at most ${MAX_NOTE_LENGTH} characters` });
+  }
+
+  try {
+    if (!(await isActiveCustomer(pool, req.user.id, customerId))) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    const { rows } = await pool.query(
+      `INSERT INTO customer_notes (user_id, customer_id, body, author, pinned)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${NOTE_COLUMNS}`,
+      [
+        req.user.id, customerId, text,
+        String(author ?? '').trim().slice(0, 200) || req.user.email || '',
+        toBool(pinned, false),
+      ]
+    );
+    res.status(201).json(rows[0]);
+  } catch (err) {
+    console.error('❌ Customer note create failed:', err);
+    res.status(500).json({ error: 'Failed to save note' });
+  }
+});
+
+/** PUT /api/customers/:id/notes/:noteId — body / pinned; fields not sent are kept */
+router.put('/:id/notes/:noteId', async (req, res) => {
+  const customerId = parseCustomerId(req.params.id);
+  const noteId = parseCustomerId(req.params.noteId);
+  if (!customerId || !noteId) return res.status(400).json({ error: 'Invalid note ID' });
+  const b = req.body || {};
+  const text = 'body' in b ? String(b.body ?? '').trim() : null;
+  if (text === '') return res.status(400).json({ error: 'Note body is required' });
+  if (text && text.length > MAX_NOTE_LENGTH) {
+    return res.status(400).json({ error: `Notes can be at most ${MAX_NOTE_LENGTH} characters` });
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `UPDATE customer_notes
+          SET body = COALESCE($4, body),
+              pinned = COALESCE($5, pinned),
+              updated_at = NOW()
+        WHERE id = $1 AND customer_id = $2 AND user_id = $3
+        RETURNING ${NOTE_COLUMNS}`,
+      [noteId, customerId, req.user.id, text, 'pinned' in b ? toBool(b.pinned, false) : null]
+    );
+    if (!rows[0]) return res.status(404).json({ error: 'Note not found' });
+    res.json(rows[0]);
+  } catch (err) {
+    console.error('❌ Customer note update failed:', err);
+    res.status(500).json({ error: 'Failed to update note' });
+  }
+});
+
+/** DELETE /api/customers/:id/notes/:noteId */
+router.delete('/:id/notes/:noteId', async (req, res) => {
+  const customerId = parseCustomerId(req.params.id);
+  const noteId = parseCustomerId(req.params.noteId);
+  if (!customerId || !noteId) return res.status(400).json({ error: 'Invalid note ID' });
+
+  try {
+    const { rowCount } = await pool.query(
+      `DELETE FROM customer_notes WHERE id = $1 AND customer_id = $2 AND user_id = $3`,
+      [noteId, customerId, req.user.id]
+    );
+    if (rowCount === 0) return res.status(404).json({ error: 'Note not found' });
+    res.json({ message: 'Note deleted', noteId });
+  } catch (err) {
+    console.error('❌ Customer note delete failed:', err);
+    res.status(500).json({ error: 'Failed to delete note' });
+  }
+});
+
+/**
+ * GET /api/customers/:id/timeline
+ * Estimates, invoices, payments, emails sent and notes in one list, newest first.
+ * Query: limit (≤ 500, default 100), before (ISO time; the `at` of the last entry for the
+ * next page), type (repeat or comma-separate to narrow), order=asc for oldest first (with
+ * before then meaning "after").
+ */
+router.get('/:id/timeline', async (req, res) => {
+  const customerId = parseCustomerId(req.params.id);
+  if (!customerId) return res.status(400).json({ error: 'Invalid customer ID' });
+
+  const types = [].concat(req.query.type || []).join(',').split(',').map((t) => t.trim()).filter(Boolean);
+  const unknown = types.filter((t) => !TIMELINE_TYPES.includes(t));
+  if (unknown.length) {
+    return res.status(400).json({ error: `type must be one of: ${TIMELINE_TYPES.join(', ')}` });
+  }
+  const before = req.query.before ? String(req.query.before) : null;
+  if (before && Number.isNaN(Date.parse(before))) {
+    return res.status(400).json({ error: 'before must be an ISO date/time' });
+  }
+
+  try {
+    const check = await pool.query(`SELECT 1 FROM customers WHERE id = $1 AND user_id = $2`, [customerId, req.user.id]);
+    if (check.rowCount === 0) return res.status(404).json({ error: 'Customer not found' });
+
+    const entries = await customerTimeline(pool, req.user.id, customerId, {
+      limit: req.query.limit,
+      before,
+      types,
+      order: String(req.query.order || '').toLowerCase(),
+    });
+    res.json(entries);
+  } catch (err) {
+    console.error('❌ Customer timeline GET failed:', err);
+    res.status(500).json({ error: 'Failed to load timeline' });
+  }
+});
+
+/** GET /api/customers/:id/contacts */
+router.get('/:id/contacts', async (req, res) => {
+  const customerId = parseCustomerId(req.params.id);
+  if (!customerId) return res.status(400).json({ error: 'Invalid customer ID' });
+
+  try {
+    const check = await pool.query(`SELECT 1 FROM customers WHERE id = $1 AND user_id = $2`, [customerId, req.user.id]);
+    if (check.rowCount === 0) return res.status(404).json({ error: 'Customer not found' });
+
+    const { rows } = await pool.query(
+      `SELECT ${CONTACT_COLUMNS} FROM customer_contacts WHERE customer_id = $1 AND user_id = $2 ORDER BY id`,
+      [customerId, req.user.id]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('❌ Customer contacts GET failed:', err);
+    res.status(500).json({ error: 'Failed to load contacts' });
+  }
+});
+
+/**
+ * POST /api/customers/:id/contacts
+ * Body: { name, role?, email?, phone?, receives_invoices? } — role is free text (billing, shipping,
+ * artwork, …); contacts with receives_invoices get emailed invoices by default.
+ */
+router.post('/:id/contacts', async (req, res) => {
+  const customerId = parseCustomerId(req.params.id);
+  if (!customerId) return res.status(400).json({ error: 'Invalid customer ID' });
+  const parsed = contactFromBody(req.body || {});
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const c = parsed.values;
+
+  try {
+    if (!(await isActiveCustomer(pool, req.user.id, customerId))) {
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    const { rows } = await pool.query(
+      `INSERT INTO customer_contacts (user_id, customer_id, name, role, email, phone, receives_invoices)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING ${CONTACT_COLUMNS}`,
+      [req.user.id, customerId, c.name, c.role, c.email, c.phone, c.receives_invoices]
+    );
+    res.status(201).json(rows[0]);
+  } catch (err) {
+    console.error('❌ Customer contact create failed:', err);
+    res.status(500).json({ error: 'Failed to save contact' });
+  }
+});
+
+/** PUT /api/customers/:id/contacts/:contactId — fields not sent are kept */
+router.put('/:id/contacts/:contactId', async (req, res) => {
+  const customerId = parseCustomerId(req.params.id);
+  const contactId = parseCustomerId(req.params.contactId);
+  if (!customerId || !contactId) return res.status(400).json({ error: 'Invalid contact ID' });
+  const parsed = contactFromBody(req.body || {}, true);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const c = parsed.values;
+
+  try {
+    const { rows } = await pool.query(
+      `UPDATE customer_contacts
+          SET name = COALESCE($4, name),
+              role = COALESCE($5, role),
+              email = COALESCE($6, email),
+              phone = COALESCE($7, phone),
+              receives_invoices = COALESCE($8, receives_invoices),
+              updated_at = NOW()
+        WHERE id = $1 AND customer_id = $2 AND user_id = $3
+        RETURNING ${CONTACT_COLUMNS}`,
+      [contactId, customerId, req.user.id, c.name ?? null, c.role ?? null, c.email ?? null, c.phone ?? null,
+        c.receives_invoices ?? null]
+    );
+    if (!rows[0]) return res.status(404).json({ error: 'Contact not found' });
+    res.json(rows[0]);
+  } catch (err) {
+    console.error('❌ Customer contact update failed:', err);
+    res.status(500).json({ error: 'Failed to update contact' });
+  }
+});
+
+/** DELETE /api/customers/:id/contacts/:contactId — documents keep their copy of the contact */
+router.delete('/:id/contacts/:contactId', async (req, res) => {
+  const customerId = parseCustomerId(req.params.id);
+  const contactId = parseCustomerId(req.params.contactId);
+  if (!customerId || !contactId) return res.status(400).json({ error: 'Invalid contact ID' });
+
+  try {
+    const { rowCount } = await pool.query(
+      `DELETE FROM customer_contacts WHERE id = $1 AND customer_id = $2 AND user_id = $3`,
+      [contactId, customerId, req.user.id]
+    );
+    if (rowCount === 0) return res.status(404).json({ error: 'Contact not found' });
+    res.json({ message: 'Contact deleted', contactId });
+  } catch (err) {
+    console.error('❌ Customer contact delete failed:', err);
+    res.status(500).json({ error: 'Failed to delete contact' });
+  }
+});
+
+/** GET /api/customers/:id/addresses — billing first, defaults first */
+router.get('/:id/addresses', async (req, res) => {
+  const customerId = parseCustomerId(req.params.id);
+  if (!customerId) return res.status(400).json({ error: 'Invalid customer ID' });
+
+  try {
+    const check = await pool.query(`SELECT 1 FROM customers WHERE id = $1 AND user_id = $2`, [customerId, req.user.id]);
+    if (check.rowCount === 0) return res.status(404).json({ error: 'Customer not found' });
+
+    const { rows } = await pool.query(
+      `SELECT ${ADDRESS_COLUMNS} FROM customer_addresses
+        WHERE customer_id = $1 AND user_id = $2
+        ORDER BY kind, is_default DESC, id`,
+      [customerId, req.user.id]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('❌ Customer addresses GET failed:', err);
+    res.status(500).json({ error: 'Failed to load addresses' });
+  }
+});
+
+/** Clears the other defaults of the address's kind once it is made the default. */
+async function keepOneDefaultAddress(client, userId, address) {
+  if (!address.is_default) return;
+  await client.query(
+    `UPDATE customer_addresses SET is_default = FALSE, updated_at = NOW()
+      WHERE customer_id = $1 AND user_id = $2 AND kind = $3 AND id <> $4 AND is_default`,
+    [address.customer_id, userId, address.kind, address.id]
+  );
+}
+
+/**
+ * POST /api/customers/:id/addresses
+ * Body: { kind: billing|shipping, label?, street, street2?, city, state, zip, country?, is_default? }
+ */
+router.post('/:id/addresses', async (req, res) => {
+  const customerId = parseCustomerId(req.params.id);
+  if (!customerId) return res.status(400).json({ error: 'Invalid customer ID' });
+  const parsed = addressFromBody(req.body || {});
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const a = parsed.values;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    if (!(await isActiveCustomer(client, req.user.id, customerId))) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Customer not found' });
+    }
+    const { rows } = await client.query(
+      `INSERT INTO customer_addresses
+         (user_id, customer_id, kind, label, street, street2, city, state, zip, country, is_default)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING ${ADDRESS_COLUMNS}`,
+      [req.user.id, customerId, a.kind, a.label, a.street, a.street2, a.city, a.state, a.zip, a.country, a.is_default]
+    );
+    await keepOneDefaultAddress(client, req.user.id, rows[0]);
+    await client.query('COMMIT');
+    res.status(201).json(rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Customer address create failed:', err);
+    res.status(500).json({ error: 'Failed to save address' });
+  } finally {
+    client.release();
+  }
+});
+
+/** PUT /api/customers/:id/addresses/:addressId — fields not sent are kept */
+router.put('/:id/addresses/:addressId', async (req, res) => {
+  const customerId = parseCustomerId(req.params.id);
+  const addressId = parseCustomerId(req.params.addressId);
+  if (!customerId || !addressId) return res.status(400).json({ error: 'Invalid address ID' });
+  const parsed = addressFromBody(req.body || {}, true);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const a = parsed.values;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `UPDATE customer_addresses
+          SET kind = COALESCE($4, kind),
+              label = COALESCE($5, label),
+              street = COALESCE($6, street),
+              street2 = COALESCE($7, street2),
+              city = COALESCE($8, city),
+              state = COALESCE($9, state),
+              zip = COALESCE($10, zip),
+              country = COALESCE($11, country),
+              is_default = COALESCE($12, is_default),
+              updated_at = NOW()
+        WHERE id = $1 AND customer_id = $2 AND user_id = $3
+        RETURNING ${ADDRESS_COLUMNS}`,
+      [
+        addressId, customerId, req.user.id, a.kind ?? null, a.label ?? null, a.street ?? null, a.street2 ?? null,
+        a.city ?? null, a.state ?? null, a.zip ?? null, a.country ?? null, a.is_default ?? null,
+      ]
+    );
+    if (!rows[0]) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Address not found' });
+    }
+    await keepOneDefaultAddress(client, req.user.id, rows[0]);
+    await client.query('COMMIT');
+    res.json(rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Customer address update failed:', err);
+    res.status(500).json({ error: 'Failed to update address' });
+  } finally {
+    client.release();
+  }
+});
+
+/** DELETE /api/customers/:id/addresses/:addressId — documents keep their copy of the address */
+router.delete('/:id/addresses/:addressId', async (req, res) => {
+  const customerId = parseCustomerId(req.params.id);
+  const addressId = parseCustomerId(req.params.addressId);
+  if (!customerId || !addressId) return res.status(400).json({ error: 'Invalid address ID' });
+
+  try {
+    const { rowCount } = await pool.query(
+      `DELETE FROM customer_addresses WHERE id = $1 AND customer_id = $2 AND user_id = $3`,
+      [addressId, customerId, req.user.id]
+    );
+    if (rowCount === 0) return res.status(404).json({ error: 'Address not found' });
+    res.json({ message: 'Address deleted', addressId });
+  } catch (err) {
+    console.error('❌ Customer address delete failed:', err);
+    res.status(500).json({ error: 'Failed to delete address' });
+  }
+});
+
+/**
+ * PUT /api/customers/:id/tax-exemption
+ * Body: { tax_exempt, certificate_number?, expires_on? (YYYY-MM-DD, '' / null = no expiry) }
+ * New invoices and estimates for an exempt customer carry no tax until expires_on has passed.
+ */
+router.put('/:id/tax-exemption', async (req, res) => {
+  const customerId = parseCustomerId(req.params.id);
+  if (!customerId) return res.status(400).json({ error: 'Invalid customer ID' });
 
+  const { tax_exempt, certificate_number, expires_on } = req.body || {};
+  const certificate = String(certificate_number ?? '').trim().slice(0, 100);
+  const expires = expires_on == null || expires_on === '' ? null : parseDate(expires_on);
+  if (expires === null && expires_on != null && expires_on !== '') {
+    return res.status(400).json({ error: 'expires_on must be a YYYY-MM-DD date' });
+  }
 
+  try {
+    const { rows } = await pool.query(
+      `UPDATE customers c
+          SET tax_exempt = $3, tax_exempt_certificate = $4, tax_exempt_expires = $5::date
+        WHERE c.id = $1 AND c.user_id = $2 AND c.deleted_at IS NULL
+        RETURNING ${TAX_EXEMPTION_COLUMNS}`,
+      [customerId, req.user.id, toBool(tax_exempt, false), certificate || null, expires]
+    );
+    if (!rows[0]) return res.status(404).json({ error: 'Customer not found' });
+    res.json(rows[0]);
+  } catch (err) {
+    console.error('❌ Customer tax exemption update failed:', err);
+    res.status(500).json({ error: 'Failed to update tax exemption' });
+  }
+});
+
+/**
+ * POST /api/customers/:id/tax-exemption/certificate
+ * multipart `file` (PDF, PNG or JPEG, ≤ 10MB); replaces any earlier certificate file.
+ */
+router.post('/:id/tax-exemption/certificate', (req, res) => {
+  certificateUpload.single('file')(req, res, async (uploadErr) => {
+    if (uploadErr) {
+      const tooBig = uploadErr.code === 'LIMIT_FILE_SIZE';
+      return res.status(400).json({ error: tooBig ? 'File exceeds 10MB' : uploadErr.message || 'Upload failed' });
+    }
+    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+
+    const customerId = parseCustomerId(req.params.id);
+    if (!customerId) return res.status(400).json({ error: 'Invalid customer ID' });
+    const userId = req.user.id;
+
+    let saved = null;
+    try {
+      const { rows: own } = await pool.query(
+        `SELECT tax_exempt_file FROM customers WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL`,
+        [customerId, userId]
+      );
+      if (!own[0]) return res.status(404).json({ error: 'Customer not found' });
+
+      saved = await saveCertificateFile(userId, customerId, req.file);
+      const { rows } = await pool.query(
+        `UPDATE customers c
+            SET tax_exempt_file = $3, tax_exempt_file_name = $4, tax_exempt_file_type = $5
+          WHERE c.id = $1 AND c.user_id = $2
+          RETURNING ${TAX_EXEMPTION_COLUMNS}`,
+        [customerId, userId, saved, String(req.file.originalname || '').slice(0, 255), req.file.mimetype]
+      );
+      await removeCertificateFile(own[0].tax_exempt_file);
+      res.json(rows[0]);
+    } catch (err) {
+      await removeCertificateFile(saved);
+      console.error('❌ Tax certificate upload failed:', err);
+      res.status(500).json({ error: 'Failed to save certificate' });
+    }
+  });
+});
+
+/** GET /api/customers/:id/tax-exemption/certificate — the stored certificate file */
+router.get('/:id/tax-exemption/certificate', async (req, res) => {
+  const customerId = parseCustomerId(req.params.id);
+  if (!customerId) return res.status(400).json({ error: 'Invalid customer ID' });
+
+  try {
+    const { rows } = await pool.query(
+      `SELECT tax_exempt_file, tax_exempt_file_name, tax_exempt_file_type
+         FROM customers
+        WHERE id = $1 AND user_id = $2`,
+      [customerId, req.user.id]
+    );
+    if (!rows[0]) return res.status(404).json({ error: 'Customer not found' });
+    if (!rows[0].tax_exempt_file) return res.status(404).json({ error: 'No certificate on file' });
+
+    const { tax_exempt_file: file, tax_exempt_file_name: name, tax_exempt_file_type: type } = rows[0];
+    const downloadName = String(name || `tax-certificate-${customerId}`).replace(/[^\x20-\x7e]|["\\]/g, '_');
+    res.setHeader('Content-Type', type || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `inline; filename="${downloadName}"`);
+    res.sendFile(certificatePath(file), (err) => {
+      if (err && !res.headersSent) res.status(404).json({ error: 'Certificate file is missing' });
+    });
+  } catch (err) {
+    console.error('❌ Tax certificate GET failed:', err);
+    res.status(500).json({ error: 'Failed to load certificate' });
+  }
+});
+
+/** DELETE /api/customers/:id/tax-exemption/certificate — removes the file; the exemption itself stays */
+router.delete('/:id/tax-exemption/certificate', async (req, res) => {
+  const customerId = parseCustomerId(req.params.id);
+  if (!customerId) return res.status(400).json({ error: 'Invalid customer ID' });
+
+  try {
+    const { rows: own } = await pool.query(
+      `SELECT tax_exempt_file FROM customers WHERE id = $1 AND user_id = $2`,
+      [customerId, req.user.id]
+    );
+    if (!own[0]) return res.status(404).json({ error: 'Customer not found' });
+
+    const { rows } = await pool.query(
+      `UPDATE customers c
+          SET tax_exempt_file = NULL, tax_exempt_file_name = NULL, tax_exempt_file_type = NULL
+        WHERE c.id = $1 AND c.user_id = $2
+        RETURNING ${TAX_EXEMPTION_COLUMNS}`,
+      [customerId, req.user.id]
+    );
+    await removeCertificateFile(own[0].tax_exempt_file);
+    res.json(rows[0]);
+  } catch (err) {
+    console.error('❌ Tax certificate delete failed:', err);
+    res.status(500).json({ error: 'Failed to delete certificate' });
+  }
+});
+
+/**
+ * DELETE /api/customers/:id — soft delete; hidden from lists and search until restored.
+ * Invoices and estimates keep their copy of the customer details.
+ */
+router.delete('/:id', async (req, res) => {
+  const customerId = parseCustomerId(req.params.id);
+  if (!customerId) return res.status(400).json({ error: 'Invalid customer ID' });
+
+  try {
+    const { rows } = await pool.query(
+      `UPDATE customers SET deleted_at = COALESCE(deleted_at, NOW())
+        WHERE id = $1 AND user_id = $2
+        RETURNING id, deleted_at`,
+      [customerId, req.user.id]
+    );
+    if (!rows[0]) return res.status(404).json({ error: 'Customer not found' });
+    res.json({ message: 'Customer deleted', customerId: rows[0].id, deleted_at: rows[0].deleted_at });
+  } catch (err) {
+    console.error('❌ Customer delete failed:', err);
+    res.status(500).json({ error: 'Failed to delete customer' });
+  }
+});
+
+/**
+ * POST /api/customers/:id/merge
+ * Body: { duplicate_ids: [..] } — folds those customers into :id (the survivor) in one
+ * transaction: their invoices, estimates, recurring invoices, contacts, addresses, notes and
+ * email log entries move over (every table in MERGE_REFERENCES), blank survivor fields are
+ * filled from them, and they are soft-deleted. Undo via /merges/:mergeId/undo.
+ */
+router.post('/:id/merge', async (req, res) => {
+  const survivorId = parseCustomerId(req.params.id);
+  if (!survivorId) return res.status(400).json({ error: 'Invalid customer ID' });
+
+  const raw = req.body?.duplicate_ids;
+  const duplicateIds = Array.isArray(raw) ? [...new Set(raw.map(parseCustomerId))] : [];
+  if (!duplicateIds.length || duplicateIds.includes(null)) {
+    return res.status(400).json({ error: 'duplicate_ids must be a non-empty list of customer IDs' });
+  }
+  if (duplicateIds.includes(survivorId)) {
+    return res.status(400).json({ error: 'A customer cannot be merged into itself' });
+  }
+  if (duplicateIds.length > MAX_MERGE) {
+    return res.status(400).json({ error: `At most ${MAX_MERGE} customers can be merged at once` });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await mergeCustomers(client, req.user.id, survivorId, duplicateIds);
+    if (result.notFound || result.missing) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        error: result.notFound ? 'Customer not found' : 'Some customers to merge were not found',
+        ...(result.missing ? { missing_ids: result.missing } : {}),
+      });
+    }
+    await client.query('COMMIT');
+    res.json({ message: 'Customers merged', customerId: survivorId, merge: result.merge });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Customer merge failed:', err);
+    res.status(500).json({ error: 'Failed to merge customers' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/customers/:id/restore — undoes a soft delete. A customer merged into another
+ * is refused (409): its invoices and history moved to the survivor, so it comes back only
+ * through POST /merges/:mergeId/undo.
+ */
+router.post('/:id/restore', async (req, res) => {
+  const customerId = parseCustomerId(req.params.id);
+  if (!customerId) return res.status(400).json({ error: 'Invalid customer ID' });
+
+  try {
+    const { rows: own } = await pool.query(
+      `SELECT id, merged_into FROM customers WHERE id = $1 AND user_id = $2`,
+      [customerId, req.user.id]
+    );
+    if (!own[0]) return res.status(404).json({ error: 'Customer not found' });
+    if (own[0].merged_into != null) {
+      const { rows: merge } = await pool.query(
+        `SELECT id FROM customer_merges
+          WHERE user_id = $1 AND $2 = ANY(merged_ids) AND undone_at IS NULL
+          ORDER BY created_at DESC
+          LIMIT 1`,
+        [req.user.id, customerId]
+      );
+      return res.status(409).json({
+        error: 'This customer was merged into another; undo the merge to restore it',
+        merged_into: own[0].merged_into,
+        merge_id: merge[0]?.id ?? null,
+      });
+    }
+
+    const { rows } = await pool.query(
+      `UPDATE customers SET deleted_at = NULL
+        WHERE id = $1 AND user_id = $2 AND merged_into IS NULL
+        RETURNING id`,
+      [customerId, req.user.id]
+    );
+    if (!rows[0]) return res.status(404).json({ error: 'Customer not found' });
+    res.json({ message: 'Customer restored', customerId: rows[0].id });
+  } catch (err) {
+    console.error('❌ Customer restore failed:', err);
+    res.status(500).json({ error: 'Failed to restore customer' });
+  }
+});
 
 module.exports = router;
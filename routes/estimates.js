@@ -4,37 +4,71 @@ const router = express.Router();
 const pool = require('../db');
 const authenticate = require('../middleware/authenticate');
 const { sendMail } = require('../utils/mailer');
+const { nextDocumentNumber } = require('../utils/documentNumbers');
+const { toString, toBool, normalizeDiscount, variationLinesError, insertEstimateLines } = require('../utils/lineItems');
+const {
+  ESTIMATE_STATUSES,
+  MANUAL_ESTIMATE_STATUSES,
+  lockEstimate,
+  convertEstimateToInvoice,
+} = require('../utils/estimateConversion');
+const { issueShareToken } = require('../utils/estimateShare');
+const {
+  TODAY_SQL,
+  DEFAULT_VALIDITY_DAYS,
+  parseValidUntil,
+  isEstimateExpired,
+} = require('../utils/estimateExpiry');
+const {
+  snapshotEstimateRevision,
+  hasRevisions,
+  diffRevisions,
+} = require('../utils/estimateRevisions');
+const {
+  saveOptionGroups,
+  estimateTotals,
+  recomputeEstimateTotal,
+  selectEstimateOption,
+} = require('../utils/estimateOptions');
+const { parsePaymentTerms } = require('../utils/paymentTerms');
+const {
+  parseDepositRequest,
+  depositCredit,
+  openDepositsError,
+  createDepositInvoice,
+} = require('../utils/estimateDeposits');
+const { round2, withPaymentStatus } = require('../utils/invoicePayments');
+const {
+  INVOICE_HEADER_SELECT,
+  ESTIMATE_HEADER_SELECT,
+  loadEstimateItems,
+  loadEstimateDocument,
+} = require('../utils/documentLoaders');
+const { renderEstimatePdf } = require('../pdf/invoicePdf');
+const { applyEstimateTax } = require('../utils/taxExemptions');
+const { resolveInvoiceCustomerId } = require('../utils/customers');
+const { resolveContactPicks, withContactSnapshot } = require('../utils/customerContacts');
+const { logEmail } = require('../utils/customerActivity');
+const { lineDimensionsError } = require('../utils/areaPricing');
 
 router.use(authenticate);
 
-const clamp = (v, min, max) => Math.min(Math.max(Number(v) || 0, min), max);
-const toString = (v) => (v == null ? '' : String(v));
-const toBool = (v, def = true) => {
-  if (typeof v === 'boolean') return v;
-  if (v == null) return def;
-  if (typeof v === 'number') return v !== 0;
-  if (typeof v === 'string') return !['false', '0', 'no', 'off'].includes(v.toLowerCase());
-  return def;
-};
-
-/** GET /api/estimates — list, mine only */
+/** GET /api/estimates — list, mine only; ?status= narrows to one lifecycle status */
 router.get('/', async (req, res) => {
   const userId = req.user.id;
+  const status = req.query.status ? String(req.query.status).toLowerCase() : null;
+
+  if (status && !ESTIMATE_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${ESTIMATE_STATUSES.join(', ')}` });
+  }
 
   try {
     const result = await pool.query(
-      `SELECT 
-         e.id,
-         e.customer_info,
-         e.estimate_date,
-         ROUND(e.total, 2) AS total,
-         e.discount_type,
-         e.discount_value,
-         e.notes
-       FROM estimates e
+      `${ESTIMATE_HEADER_SELECT}
        WHERE e.user_id = $1
+         AND ($2::text IS NULL OR e.status = $2)
        ORDER BY e.estimate_date DESC`,
-      [userId]
+      [userId, status]
     );
 
     res.json(result.rows);
@@ -51,17 +85,8 @@ router.get('/:id', async (req, res) => {
 
   try {
     const { rows, rowCount } = await pool.query(
-      `
-      SELECT id,
-             customer_info,
-             estimate_date,
-             ROUND(total, 2) AS total,
-             discount_type,
-             discount_value,
-             notes
-        FROM estimates
-       WHERE id = $1 AND user_id = $2
-      `,
+      `${ESTIMATE_HEADER_SELECT}
+       WHERE e.id = $1 AND e.user_id = $2`,
       [estimateId, userId]
     );
     if (rowCount === 0) return res.status(404).json({ error: 'Estimate not found' });
@@ -72,12 +97,26 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Base variation lines plus those of every option (for validating them together)
+const withOptionLines = (variationItems, optionGroups) => [
+  ...(Array.isArray(variationItems) ? variationItems : []),
+  ...(Array.isArray(optionGroups) ? optionGroups : []).flatMap((g) =>
+    (Array.isArray(g?.options) ? g.options : []).flatMap((o) => (Array.isArray(o?.variationItems) ? o.variationItems : []))),
+];
+
 /**
  * POST /api/estimates
  * - one row per built-in selection (NO DEDUP)
  * - allows per-line overrides: unit_price, taxable, display_name
+ * - area-priced products need width, height (unless unit_price is sent), dimension_unit (in|ft)
+ *   and finishing the variation offers per line
  * - custom lines preserved with taxable flag
  * - notes ≤ 150 chars
+ * - valid_until (YYYY-MM-DD) defaults to today + store_info.estimate_validity_days
+ * - optionGroups: [{ name, selected?, options: [{ name, variationItems, customItems }] }]
+ *   alternatives; the total counts the base lines plus each group's selected option
+ * - no tax for a tax-exempt customer; an expired certificate is taxed and listed in `warnings`
+ * - contact_id / billing_address_id / shipping_address_id pick the customer's contact and addresses
  */
 router.post('/', async (req, res) => {
   const userId = req.user.id;
@@ -89,6 +128,8 @@ router.post('/', async (req, res) => {
     notes,
     discount_type,
     discount_value,
+    valid_until,
+    optionGroups = [],
   } = req.body || {};
 
   const cleanNotes = toString(notes).trim();
@@ -96,6 +137,14 @@ router.post('/', async (req, res) => {
     return res.status(400).json({ error: 'Notes must be 150 characters or fewer.' });
   }
 
+  const validUntil = parseValidUntil(valid_until);
+  if (validUntil === undefined) {
+    return res.status(400).json({ error: 'valid_until must be a YYYY-MM-DD date' });
+  }
+
+  const dimensionsError = lineDimensionsError(withOptionLines(variationItems, optionGroups));
+  if (dimensionsError) return res.status(400).json({ error: dimensionsError });
+
   const discType = String(discount_type || '').toLowerCase() === 'percent' ? 'percent' : 'amount';
   const discVal = Number(discount_value || 0);
 
@@ -103,90 +152,56 @@ router.post('/', async (req, res) => {
   try {
     await client.query('BEGIN');
 
-    const { rows: estRows } = await client.query(
-      `INSERT INTO estimates (user_id, customer_id, customer_info, estimate_date, total, notes, discount_type, discount_value)
-       VALUES ($1, $2, $3, NOW(), 0, $4, $5, $6)
-       RETURNING id`,
-      [userId, customer_id ?? null, customer_info || {}, cleanNotes, discType, discVal]
-    );
-    const estimateId = estRows[0].id;
-
-    let taxableSubtotal = 0;
-    let nonTaxableSubtotal = 0;
-
-    // Built-in lines with overrides
-    for (const it of (Array.isArray(variationItems) ? variationItems : [])) {
-      const variationId = Number(it.variation_id ?? it.variationId);
-      if (!Number.isFinite(variationId)) continue;
-
-      const qty = Math.max(1, parseInt(it.quantity, 10) || 1);
-
-      const overridePrice = it.unit_price != null ? Number(it.unit_price) : Number(it.price);
-      const hasOverridePrice = Number.isFinite(overridePrice);
-      const displayName = toString(it.display_name || it.product_name || '').trim() || null;
-      const taxable = toBool(it.taxable, true);
-
-      let lineUnitPrice = hasOverridePrice ? overridePrice : null;
-      if (lineUnitPrice == null) {
-        const { rows: priceRows } = await client.query(
-          `SELECT price FROM product_variations WHERE id = $1`,
-          [variationId]
-        );
-        lineUnitPrice = Number(priceRows[0]?.price || 0);
-      }
-
-      const lineTotal = lineUnitPrice * qty;
-      (taxable ? (taxableSubtotal += lineTotal) : (nonTaxableSubtotal += lineTotal));
-
-      await client.query(
-        `INSERT INTO estimate_items
-           (estimate_id, product_variation_id, quantity, unit_price, taxable, display_name)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        [estimateId, variationId, qty, lineUnitPrice, taxable, displayName]
-      );
+    const customerId = await resolveInvoiceCustomerId(client, userId, customer_info || {}, customer_id);
+    const picks = await resolveContactPicks(client, userId, customerId, req.body || {});
+    if (picks.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: picks.error });
     }
 
-    // Custom lines
-    for (const it of (Array.isArray(customItems) ? customItems : [])) {
-      const qty = Math.max(1, parseInt(it.quantity, 10) || 1);
-      const price = Number(it.price) || 0;
-      const taxable = toBool(it.taxable, true);
-
-      (taxable ? (taxableSubtotal += price * qty) : (nonTaxableSubtotal += price * qty));
-
-      await client.query(
-        `INSERT INTO custom_estimate_items
-           (estimate_id, product_name, size, price, quantity, accessory, taxable)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-        [
-          estimateId,
-          toString(it.product_name || it.productName),
-          toString(it.size),
-          price,
-          qty,
-          toString(it.accessory),
-          taxable,
-        ]
-      );
+    const pricingError = await variationLinesError(client, withOptionLines(variationItems, optionGroups));
+    if (pricingError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: pricingError });
     }
 
-    // tax
-    const { rows: rateRows } = await client.query(
-      `SELECT COALESCE(tax_rate, 0.06) AS tax_rate
-         FROM store_info
-        WHERE user_id = $1`,
-      [userId]
-    );
-    const taxRate = Number(rateRows[0]?.tax_rate ?? 0.06);
-    const finalTotal = taxableSubtotal * (1 + taxRate) + nonTaxableSubtotal;
+    const estimateNumber = await nextDocumentNumber(client, userId, 'estimate');
 
-    await client.query(
-      `UPDATE estimates SET total = $1 WHERE id = $2 AND user_id = $3`,
-      [finalTotal, estimateId, userId]
+    // valid_until defaults to today + store_info.estimate_validity_days
+    const { rows: estRows } = await client.query(
+      `INSERT INTO estimates (user_id, estimate_number, customer_id, customer_info, estimate_date, total, notes, discount_type, discount_value,
+                              valid_until, updated_at, contact_id, billing_address_id, shipping_address_id)
+       VALUES ($1, $2, $3, $4, NOW(), 0, $5, $6, $7,
+               COALESCE($8::date, ${TODAY_SQL} + COALESCE(
+                 (SELECT estimate_validity_days FROM store_info WHERE user_id = $1), ${DEFAULT_VALIDITY_DAYS})),
+               NOW(), $9, $10, $11)
+       RETURNING id, valid_until`,
+      [
+        userId, estimateNumber, customerId, withContactSnapshot(customer_info, picks.snapshot),
+        cleanNotes, discType, discVal, validUntil,
+        picks.ids.contact_id, picks.ids.billing_address_id, picks.ids.shipping_address_id,
+      ]
     );
+    const estimateId = estRows[0].id;
+
+    await insertEstimateLines(client, estimateId, { variationItems, customItems });
+    await saveOptionGroups(client, estimateId, optionGroups);
+    const tax = await applyEstimateTax(client, userId, estimateId, customer_info, customerId);
+    const { total } = await recomputeEstimateTotal(client, userId, estimateId);
+
+    const revision = await snapshotEstimateRevision(client, userId, estimateId);
 
     await client.query('COMMIT');
-    res.status(201).json({ message: 'Estimate saved', estimateId });
+    res.status(201).json({
+      message: 'Estimate saved',
+      estimateId,
+      estimateNumber,
+      revision,
+      total,
+      valid_until: estRows[0].valid_until,
+      tax_exempt: tax.taxExempt,
+      warnings: tax.warnings,
+    });
   } catch (err) {
     await client.query('ROLLBACK');
     console.error('❌ Error saving estimate:', err);
@@ -196,21 +211,47 @@ router.post('/', async (req, res) => {
   }
 });
 
-/** PUT /api/estimates/:id — replace children (keeps duplicates) */
+/**
+ * PUT /api/estimates/:id — replace children (keeps duplicates); 409 once converted.
+ * estimate_date stays the creation date; updated_at tracks edits. valid_until? moves the expiry.
+ * Every save is kept as a numbered revision (GET /:id/revisions).
+ * A customer_id? or customer_info sent re-links the estimate to that customer.
+ * Tax exemption is re-checked against the customer on every save. Contact / address picks
+ * not sent are kept while they still belong to the customer.
+ */
 router.put('/:id', async (req, res) => {
   const userId = req.user.id;
   const estimateId = parseInt(req.params.id, 10);
-  const { customer_info, variationItems = [], customItems = [], notes, discount_type, discount_value } = req.body || {};
+  const {
+    customer_id,
+    customer_info,
+    variationItems = [],
+    customItems = [],
+    notes,
+    discount_type,
+    discount_value,
+    valid_until,
+    optionGroups = [],
+  } = req.body || {};
 
   if (!Number.isFinite(estimateId)) {
     return res.status(400).json({ error: 'Invalid estimate id' });
   }
 
+  // Omitted valid_until keeps the stored date
+  const validUntil = parseValidUntil(valid_until);
+  if (validUntil === undefined) {
+    return res.status(400).json({ error: 'valid_until must be a YYYY-MM-DD date' });
+  }
+
   const cleanNotes = toString(notes).trim();
   if (cleanNotes.length > 150) {
     return res.status(400).json({ error: 'Notes must be 150 characters or fewer.' });
   }
 
+  const dimensionsError = lineDimensionsError(withOptionLines(variationItems, optionGroups));
+  if (dimensionsError) return res.status(400).json({ error: dimensionsError });
+
   const discType = String(discount_type || '').toLowerCase() === 'percent' ? 'percent' : 'amount';
   const discVal = Number(discount_value || 0);
 
@@ -218,101 +259,87 @@ router.put('/:id', async (req, res) => {
   try {
     await client.query('BEGIN');
 
-    const { rowCount } = await client.query(
-      `SELECT 1 FROM estimates WHERE id = $1 AND user_id = $2`,
-      [estimateId, userId]
-    );
-    if (rowCount === 0) {
+    const est = await lockEstimate(client, userId, estimateId);
+    if (!est) {
       await client.query('ROLLBACK');
       return res.status(403).json({ error: 'Access denied' });
     }
+    if (est.status === 'converted') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'Converted estimates are kept as quoted and can no longer be edited.',
+        converted_invoice_id: est.converted_invoice_id,
+      });
+    }
+
+    // Estimates saved before revisions existed: keep what the customer was quoted as revision 1
+    if (!(await hasRevisions(client, estimateId))) {
+      await snapshotEstimateRevision(client, userId, estimateId);
+    }
+
+    // Re-linked only when a new bill-to is sent
+    const newBillTo = (customer_info && typeof customer_info === 'object') || customer_id != null;
+    const customerId = newBillTo
+      ? await resolveInvoiceCustomerId(client, userId, customer_info || {}, customer_id)
+      : est.customer_id;
+    const picks = await resolveContactPicks(client, userId, customerId, req.body || {}, est);
+    if (picks.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: picks.error });
+    }
+
+    const pricingError = await variationLinesError(client, withOptionLines(variationItems, optionGroups));
+    if (pricingError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: pricingError });
+    }
 
     await client.query(
       `UPDATE estimates
           SET customer_info = $1,
-              estimate_date = NOW(),
               notes = $2,
               discount_type = $3,
-              discount_value = $4
+              discount_value = $4,
+              valid_until = COALESCE($7::date, valid_until),
+              contact_id = $8,
+              billing_address_id = $9,
+              shipping_address_id = $10,
+              customer_id = $11,
+              updated_at = NOW(),
+              -- a signed decision no longer matches edited lines, and a new
+              -- validity date revives an expired quote
+              status = CASE
+                         WHEN status IN ('approved', 'declined') THEN 'draft'
+                         WHEN status = 'expired' AND $7::date >= ${TODAY_SQL} THEN 'draft'
+                         ELSE status
+                       END
         WHERE id = $5 AND user_id = $6`,
-      [customer_info || {}, cleanNotes, discType, discVal, estimateId, userId]
+      [
+        withContactSnapshot(customer_info, picks.snapshot), cleanNotes, discType, discVal, estimateId, userId, validUntil,
+        picks.ids.contact_id, picks.ids.billing_address_id, picks.ids.shipping_address_id, customerId,
+      ]
     );
 
     await client.query(`DELETE FROM estimate_items WHERE estimate_id = $1`, [estimateId]);
     await client.query(`DELETE FROM custom_estimate_items WHERE estimate_id = $1`, [estimateId]);
+    await client.query(`DELETE FROM estimate_option_groups WHERE estimate_id = $1`, [estimateId]);
 
-    let taxableSubtotal = 0;
-    let nonTaxableSubtotal = 0;
-
-    for (const it of (Array.isArray(variationItems) ? variationItems : [])) {
-      const variationId = Number(it.variation_id ?? it.variationId);
-      if (!Number.isFinite(variationId)) continue;
-
-      const qty = Math.max(1, parseInt(it.quantity, 10) || 1);
-      const overridePrice = it.unit_price != null ? Number(it.unit_price) : Number(it.price);
-      const hasOverridePrice = Number.isFinite(overridePrice);
-      const displayName = toString(it.display_name || it.product_name || '').trim() || null;
-      const taxable = toBool(it.taxable, true);
-
-      let lineUnitPrice = hasOverridePrice ? overridePrice : null;
-      if (lineUnitPrice == null) {
-        const { rows: priceRows } = await client.query(
-          `SELECT price FROM product_variations WHERE id = $1`,
-          [variationId]
-        );
-        lineUnitPrice = Number(priceRows[0]?.price || 0);
-      }
-
-      const lineTotal = lineUnitPrice * qty;
-      (taxable ? (taxableSubtotal += lineTotal) : (nonTaxableSubtotal += lineTotal));
-
-      await client.query(
-        `INSERT INTO estimate_items
-           (estimate_id, product_variation_id, quantity, unit_price, taxable, display_name)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        [estimateId, variationId, qty, lineUnitPrice, taxable, displayName]
-      );
-    }
-
-    for (const it of (Array.isArray(customItems) ? customItems : [])) {
-      const qty = Math.max(1, parseInt(it.quantity, 10) || 1);
-      const price = Number(it.price) || 0;
-      const taxable = toBool(it.taxable, true);
-
-      (taxable ? (taxableSubtotal += price * qty) : (nonTaxableSubtotal += price * qty));
-
-      await client.query(
-        `INSERT INTO custom_estimate_items
-           (estimate_id, product_name, size, price, quantity, accessory, taxable)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-        [
-          estimateId,
-          toString(it.product_name || it.productName),
-          toString(it.size),
-          price,
-          qty,
-          toString(it.accessory),
-          taxable,
-        ]
-      );
-    }
+    await insertEstimateLines(client, estimateId, { variationItems, customItems });
+    await saveOptionGroups(client, estimateId, optionGroups);
+    const tax = await applyEstimateTax(client, userId, estimateId, customer_info || {}, customerId);
+    const { total } = await recomputeEstimateTotal(client, userId, estimateId);
 
-    const { rows: rateRows } = await client.query(
-      `SELECT COALESCE(tax_rate, 0.06) AS tax_rate
-         FROM store_info
-        WHERE user_id = $1`,
-      [userId]
-    );
-    const taxRate = Number(rateRows[0]?.tax_rate ?? 0.06);
-    const finalTotal = taxableSubtotal * (1 + taxRate) + nonTaxableSubtotal;
-
-    await client.query(
-      `UPDATE estimates SET total = $1 WHERE id = $2 AND user_id = $3`,
-      [finalTotal, estimateId, userId]
-    );
+    const revision = await snapshotEstimateRevision(client, userId, estimateId);
 
     await client.query('COMMIT');
-    res.json({ message: 'Estimate updated', estimateId });
+    res.json({
+      message: 'Estimate updated',
+      estimateId,
+      revision,
+      total,
+      tax_exempt: tax.taxExempt,
+      warnings: tax.warnings,
+    });
   } catch (err) {
     await client.query('ROLLBACK');
     console.error('❌ Error updating estimate:', err);
@@ -336,65 +363,7 @@ router.get('/:id/items', async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Built-in (variation) lines
-    const { rows: variationItems } = await pool.query(
-      `
-      SELECT
-        ei.product_variation_id                             AS variation_id,
-        COALESCE(pv.size, '')                               AS size,
-        COALESCE(ei.unit_price, pv.price, 0)::numeric(12,2) AS price,
-        ei.quantity,
-        COALESCE(ei.taxable, TRUE)                          AS taxable,
-        COALESCE(pv.accessory, '')                          AS accessory,
-        COALESCE(ei.display_name, p.name, 'Item')           AS product_name
-      FROM estimate_items ei
-      LEFT JOIN product_variations pv ON pv.id = ei.product_variation_id
-      LEFT JOIN products p            ON p.id = pv.product_id
-      WHERE ei.estimate_id = $1
-      ORDER BY ei.id ASC
-      `,
-      [estimateId]
-    );
-
-    const { rows: customItems } = await pool.query(
-      `
-      SELECT
-        product_name,
-        size,
-        price::numeric(12,2)  AS price,
-        quantity,
-        accessory,
-        COALESCE(taxable, TRUE) AS taxable
-      FROM custom_estimate_items
-      WHERE estimate_id = $1
-      ORDER BY id ASC
-      `,
-      [estimateId]
-    );
-
-    const items = [
-      ...variationItems.map(v => ({
-        type: 'variation',
-        variation_id: v.variation_id,
-        product_name: v.product_name,
-        size: v.size,
-        price: Number(v.price),
-        quantity: v.quantity,
-        accessory: v.accessory,
-        taxable: !!v.taxable,
-      })),
-      ...customItems.map(c => ({
-        type: 'custom',
-        variation_id: null,
-        product_name: c.product_name,
-        size: c.size,
-        price: Number(c.price),
-        quantity: c.quantity,
-        accessory: c.accessory,
-        taxable: !!c.taxable,
-      })),
-    ];
-
+    const items = await loadEstimateItems(pool, estimateId);
     res.json(items);
   } catch (err) {
     console.error('❌ Estimates items GET failed:', {
@@ -409,145 +378,532 @@ router.get('/:id/items', async (req, res) => {
 });
 
 /**
- * POST /api/estimates/:id/convert-to-invoice
- * Keeps duplicates 1:1, carries edited name/price/taxable.
+ * GET /api/estimates/:id/options
+ * Option groups with per-option subtotal / tax / total and the estimate total if chosen.
  */
-router.post('/:id/convert-to-invoice', async (req, res) => {
-  const estimateId = req.params.id;
+router.get('/:id/options', async (req, res) => {
+  const estimateId = Number(req.params.id);
   const userId = req.user.id;
 
-  if (!/^\d+$/.test(String(estimateId))) {
-    return res.status(400).json({ error: 'Invalid estimate id' });
+  try {
+    const own = await pool.query(
+      `SELECT 1 FROM estimates WHERE id = $1 AND user_id = $2`,
+      [estimateId, userId]
+    );
+    if (own.rowCount === 0) return res.status(403).json({ error: 'Access denied' });
+
+    res.json(await estimateTotals(pool, userId, estimateId));
+  } catch (err) {
+    console.error('❌ Estimate options failed:', err);
+    res.status(500).json({ error: 'Failed to load estimate options' });
   }
+});
+
+/**
+ * POST /api/estimates/:id/options/:optionId/select
+ * Makes optionId the chosen alternative of its group and recomputes the total.
+ */
+router.post('/:id/options/:optionId/select', async (req, res) => {
+  const estimateId = Number(req.params.id);
+  const optionId = Number(req.params.optionId);
+  const userId = req.user.id;
 
-  const rawType = String(req.body?.discount_type || '').toLowerCase();
-  const discType = rawType === 'percent' ? 'percent' : 'amount';
-  let discVal = Number(req.body?.discount_value || 0);
-  discVal = discType === 'percent' ? clamp(discVal, 0, 100) : clamp(discVal, 0, 1e12);
+  if (!Number.isInteger(estimateId) || !Number.isInteger(optionId)) {
+    return res.status(400).json({ error: 'Invalid estimate or option id' });
+  }
 
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
 
-    const { rows: estHdr } = await client.query(
-      `SELECT id, customer_info, notes
-         FROM estimates
+    const est = await lockEstimate(client, userId, estimateId);
+    if (!est) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (est.status === 'converted') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'Converted estimates are kept as quoted and can no longer be edited.',
+        converted_invoice_id: est.converted_invoice_id,
+      });
+    }
+
+    if (!(await selectEstimateOption(client, estimateId, optionId))) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Option not found on this estimate' });
+    }
+
+    const totals = await recomputeEstimateTotal(client, userId, estimateId);
+    // Same rule as PUT: a signed decision no longer matches a different choice
+    await client.query(
+      `UPDATE estimates
+          SET updated_at = NOW(),
+              status = CASE WHEN status IN ('approved', 'declined') THEN 'draft' ELSE status END
         WHERE id = $1 AND user_id = $2`,
       [estimateId, userId]
     );
-    if (!estHdr[0]) {
-      await client.query('ROLLBACK');
-      return res.status(403).json({ error: 'Access denied' });
+    const revision = await snapshotEstimateRevision(client, userId, estimateId);
+
+    await client.query('COMMIT');
+    res.json({ ...totals, revision });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Estimate option select failed:', err);
+    res.status(500).json({ error: 'Failed to select option' });
+  } finally {
+    client.release();
+  }
+});
+
+/** GET /api/estimates/:id/revisions — revision list, newest first (no lines) */
+router.get('/:id/revisions', async (req, res) => {
+  const estimateId = Number(req.params.id);
+  const userId = req.user.id;
+
+  try {
+    const { rows } = await pool.query(
+      `SELECT revision,
+              created_at,
+              header->>'total' AS total,
+              jsonb_array_length(items) AS line_count
+         FROM estimate_revisions
+        WHERE estimate_id = $1 AND user_id = $2
+        ORDER BY revision DESC`,
+      [estimateId, userId]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('❌ Estimate revisions failed:', err);
+    res.status(500).json({ error: 'Failed to load revisions' });
+  }
+});
+
+/**
+ * GET /api/estimates/:id/revisions/diff?from=&to=
+ * Line-level changes between two revisions: added, removed, changed (price, quantity,
+ * taxable, name) plus header changes. Defaults: to = latest, from = the one before it.
+ */
+router.get('/:id/revisions/diff', async (req, res) => {
+  const estimateId = Number(req.params.id);
+  const userId = req.user.id;
+
+  try {
+    const { rows: revs } = await pool.query(
+      `SELECT revision, header, items, created_at
+         FROM estimate_revisions
+        WHERE estimate_id = $1 AND user_id = $2
+        ORDER BY revision ASC`,
+      [estimateId, userId]
+    );
+    if (revs.length === 0) return res.status(404).json({ error: 'No revisions for this estimate' });
+
+    const latest = revs[revs.length - 1].revision;
+    const toRev = req.query.to != null ? parseInt(req.query.to, 10) : latest;
+    const fromRev = req.query.from != null ? parseInt(req.query.from, 10) : toRev - 1;
+
+    const from = revs.find((r) => r.revision === fromRev);
+    const to = revs.find((r) => r.revision === toRev);
+    if (!from || !to) {
+      return res.status(404).json({ error: 'Revision not found', available: revs.map((r) => r.revision) });
     }
 
-    const carriedNotes = toString(estHdr[0].notes || '');
-    const invNotes = toString(req.body?.notes ?? carriedNotes).slice(0, 2000);
+    res.json({
+      from: { revision: from.revision, created_at: from.created_at },
+      to: { revision: to.revision, created_at: to.created_at },
+      ...diffRevisions(from, to),
+    });
+  } catch (err) {
+    console.error('❌ Estimate revision diff failed:', err);
+    res.status(500).json({ error: 'Failed to diff revisions' });
+  }
+});
+
+/** GET /api/estimates/:id/revisions/:rev — one snapshot: { revision, header, items, created_at } */
+router.get('/:id/revisions/:rev', async (req, res) => {
+  const estimateId = Number(req.params.id);
+  const rev = parseInt(req.params.rev, 10);
+  const userId = req.user.id;
+
+  if (!Number.isInteger(rev)) return res.status(400).json({ error: 'Invalid revision' });
+
+  try {
+    const { rows } = await pool.query(
+      `SELECT revision, header, items, created_at
+         FROM estimate_revisions
+        WHERE estimate_id = $1 AND user_id = $2 AND revision = $3`,
+      [estimateId, userId, rev]
+    );
+    if (!rows[0]) return res.status(404).json({ error: 'Revision not found' });
+    res.json(rows[0]);
+  } catch (err) {
+    console.error('❌ Estimate revision GET failed:', err);
+    res.status(500).json({ error: 'Failed to load revision' });
+  }
+});
+
+/** GET /api/estimates/:id/pdf — server-rendered estimate PDF */
+router.get('/:id/pdf', async (req, res) => {
+  const estimateId = req.params.id;
+  const userId = req.user.id;
+
+  try {
+    const doc = await loadEstimateDocument(pool, userId, estimateId);
+    if (!doc) return res.status(404).json({ error: 'Estimate not found' });
+
+    const pdf = await renderEstimatePdf(doc);
+    const filename = `estimate-${doc.header.estimate_number || doc.header.id}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `${req.query.download ? 'attachment' : 'inline'}; filename="${filename}"`
+    );
+    res.send(pdf);
+  } catch (err) {
+    console.error('❌ Estimate PDF failed:', err);
+    res.status(500).json({ error: 'Failed to render estimate PDF' });
+  }
+});
+
+/**
+ * POST /api/estimates/:id/share
+ * Issues a public approval link. Body: { expires_in_days? } (default 14, max 90).
+ * Re-sharing replaces the previous link.
+ */
+router.post('/:id/share', async (req, res) => {
+  const estimateId = Number(req.params.id);
+  const userId = req.user.id;
+
+  if (!Number.isInteger(estimateId)) {
+    return res.status(400).json({ error: 'Invalid estimate id' });
+  }
 
-    const { rows: invRows } = await client.query(
-      `INSERT INTO invoices (user_id, customer_info, invoice_date, total, discount_type, discount_value, notes)
-       VALUES ($1, $2, (CURRENT_TIMESTAMP AT TIME ZONE 'America/New_York'), 0, $3, $4, $5)
-       RETURNING id`,
-      [userId, estHdr[0].customer_info || {}, discType, discVal, invNotes]
+  try {
+    const share = issueShareToken(estimateId, req.body?.expires_in_days);
+    const { rowCount } = await pool.query(
+      `UPDATE estimates
+          SET share_token_id = $1,
+              share_expires_at = $2,
+              status = CASE WHEN status = 'draft' THEN 'sent' ELSE status END
+        WHERE id = $3 AND user_id = $4`,
+      [share.jti, share.expiresAt, estimateId, userId]
     );
-    const invoiceId = invRows[0].id;
-
-    // Copy variation lines with overrides coalesced
-    const { rows: varItems } = await client.query(
-      `SELECT 
-         ei.product_variation_id AS variation_id,
-         ei.quantity,
-         COALESCE(ei.unit_price, pv.price) AS unit_price,
-         COALESCE(ei.taxable, TRUE) AS taxable,
-         COALESCE(ei.display_name, p.name) AS display_name
-       FROM estimate_items ei
-       JOIN product_variations pv ON pv.id = ei.product_variation_id
-       JOIN products p ON p.id = pv.product_id
-       WHERE ei.estimate_id = $1
-       ORDER BY ei.id ASC`,
-      [estimateId]
+    if (rowCount === 0) return res.status(403).json({ error: 'Access denied' });
+
+    res.status(201).json({ token: share.token, url: share.url, expires_at: share.expiresAt });
+  } catch (err) {
+    console.error('❌ Estimate share failed:', err);
+    res.status(500).json({ error: 'Failed to create approval link' });
+  }
+});
+
+/** DELETE /api/estimates/:id/share — revoke the public approval link */
+router.delete('/:id/share', async (req, res) => {
+  const estimateId = Number(req.params.id);
+  const userId = req.user.id;
+
+  try {
+    const { rowCount } = await pool.query(
+      `UPDATE estimates
+          SET share_token_id = NULL, share_expires_at = NULL
+        WHERE id = $1 AND user_id = $2`,
+      [estimateId, userId]
     );
+    if (rowCount === 0) return res.status(403).json({ error: 'Access denied' });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error('❌ Estimate share revoke failed:', err);
+    res.status(500).json({ error: 'Failed to revoke approval link' });
+  }
+});
+
+/** GET /api/estimates/:id/signatures — approval / decline history, newest first */
+router.get('/:id/signatures', async (req, res) => {
+  const estimateId = Number(req.params.id);
+  const userId = req.user.id;
 
-    // Custom estimate lines
-    const { rows: custItems } = await client.query(
-      `SELECT
-         product_name,
-         size,
-         price::numeric(12,2) AS price,
-         quantity,
-         accessory,
-         COALESCE(taxable, TRUE) AS taxable
-       FROM custom_estimate_items
-       WHERE estimate_id = $1
-       ORDER BY id ASC`,
-      [estimateId]
+  try {
+    const { rows } = await pool.query(
+      `SELECT id, decision, signer_name, signature_text, signature_image,
+              decline_reason, ip, user_agent, invoice_id, signed_at
+         FROM estimate_signatures
+        WHERE estimate_id = $1 AND user_id = $2
+        ORDER BY signed_at DESC, id DESC`,
+      [estimateId, userId]
     );
+    res.json(rows);
+  } catch (err) {
+    console.error('❌ Estimate signatures failed:', err);
+    res.status(500).json({ error: 'Failed to load signatures' });
+  }
+});
 
-    let taxableSubtotal = 0;
-    let nonTaxableSubtotal = 0;
+/**
+ * PATCH /api/estimates/:id/status
+ * Body: { status } — draft | sent | approved | declined | expired.
+ * 'converted' is set by conversion only, and converted estimates keep their status.
+ */
+router.patch('/:id/status', async (req, res) => {
+  const estimateId = Number(req.params.id);
+  const userId = req.user.id;
+  const status = String(req.body?.status || '').toLowerCase();
 
-    for (const it of varItems) {
-      const qty = Math.max(1, parseInt(it.quantity, 10) || 1);
-      const price = Number(it.unit_price) || 0;
-      const line = price * qty;
+  if (!Number.isInteger(estimateId)) {
+    return res.status(400).json({ error: 'Invalid estimate id' });
+  }
+  if (!MANUAL_ESTIMATE_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${MANUAL_ESTIMATE_STATUSES.join(', ')}` });
+  }
 
-      (it.taxable ? (taxableSubtotal += line) : (nonTaxableSubtotal += line));
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
 
-      await client.query(
-        `INSERT INTO invoice_items
-           (invoice_id, product_variation_id, quantity, price, taxable, display_name)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        [invoiceId, it.variation_id, qty, price, it.taxable, it.display_name]
-      );
+    const est = await lockEstimate(client, userId, estimateId);
+    if (!est) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (est.status === 'converted') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'Estimate was already converted to an invoice',
+        converted_invoice_id: est.converted_invoice_id,
+      });
     }
 
-    for (const it of custItems) {
-      const qty = Math.max(1, parseInt(it.quantity, 10) || 1);
-      const price = Number(it.price) || 0;
-      const line = price * qty;
+    await client.query(
+      `UPDATE estimates SET status = $1 WHERE id = $2 AND user_id = $3`,
+      [status, estimateId, userId]
+    );
+
+    await client.query('COMMIT');
+    res.json({ message: 'Estimate status updated', estimateId, status });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Estimate status update failed:', err);
+    res.status(500).json({ error: 'Failed to update estimate status' });
+  } finally {
+    client.release();
+  }
+});
 
-      (it.taxable ? (taxableSubtotal += line) : (nonTaxableSubtotal += line));
+/**
+ * POST /api/estimates/:id/deposit-invoice
+ * Body: { percent? | amount?, notes?, payment_terms?, payment_terms_days?, override_expiry? }
+ * Bills a deposit (share of the estimate total or a fixed amount) as its own invoice, due on
+ * receipt unless terms are given. Deposits together may not exceed the estimate total;
+ * convert-to-invoice deducts them from the final invoice.
+ */
+router.post('/:id/deposit-invoice', async (req, res) => {
+  const estimateId = req.params.id;
+  const userId = req.user.id;
 
-      await client.query(
-        `INSERT INTO custom_invoice_items
-           (invoice_id, product_name, size, price, quantity, accessory, taxable)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-        [invoiceId, it.product_name, it.size, price, qty, it.accessory, it.taxable]
-      );
+  if (!/^\d+$/.test(String(estimateId))) {
+    return res.status(400).json({ error: 'Invalid estimate id' });
+  }
+  const paymentTerms = parsePaymentTerms(req.body?.payment_terms, req.body?.payment_terms_days);
+  if (paymentTerms?.error) return res.status(400).json({ error: paymentTerms.error });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const est = await lockEstimate(client, userId, estimateId);
+    if (!est) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (['converted', 'declined'].includes(est.status)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `Cannot bill a deposit on a ${est.status} estimate` });
+    }
+    if (isEstimateExpired(est) && !toBool(req.body?.override_expiry, false)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'Estimate has expired. Re-quote it or pass override_expiry: true to bill a deposit anyway.',
+        valid_until: est.valid_until,
+      });
     }
 
-    const { rows: rateRows } = await client.query(
-      `SELECT COALESCE(tax_rate, 0.06) AS tax_rate
-         FROM store_info
-        WHERE user_id = $1`,
-      [userId]
+    const deposit = parseDepositRequest(req.body || {}, est.total);
+    if (deposit.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: deposit.error });
+    }
+    if (!(deposit.amount > 0)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Deposit amount must be greater than zero' });
+    }
+
+    const created = await createDepositInvoice(client, userId, est, {
+      amount: deposit.amount,
+      percent: deposit.percent,
+      notes: toString(req.body?.notes).slice(0, 2000),
+      paymentTerms,
+    });
+    if (created.exceeds) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'Deposits would exceed the estimate total',
+        remaining: created.remaining,
+      });
+    }
+
+    await client.query('COMMIT');
+    res.status(201).json({
+      message: 'Deposit invoice created',
+      invoiceId: created.invoiceId,
+      invoiceNumber: created.invoiceNumber,
+      amount: created.amount,
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Deposit invoice failed:', err);
+    res.status(500).json({ error: 'Failed to create deposit invoice' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * GET /api/estimates/:id/job
+ * Job-level view: quoted total, deposit invoices and what was collected on them,
+ * the final invoice (once converted) and the remaining balance.
+ */
+router.get('/:id/job', async (req, res) => {
+  const estimateId = req.params.id;
+  const userId = req.user.id;
+
+  if (!/^\d+$/.test(String(estimateId))) {
+    return res.status(400).json({ error: 'Invalid estimate id' });
+  }
+
+  try {
+    const { rows } = await pool.query(
+      `${ESTIMATE_HEADER_SELECT}
+       WHERE e.id = $1 AND e.user_id = $2`,
+      [estimateId, userId]
     );
-    const taxRate = Number(rateRows[0]?.tax_rate ?? 0.06);
+    const est = rows[0];
+    if (!est) return res.status(403).json({ error: 'Access denied' });
 
-    let finalTotal;
-    if (discType === 'amount') {
-      finalTotal = taxableSubtotal * (1 + taxRate) + nonTaxableSubtotal - clamp(discVal, 0, 1e12);
-      finalTotal = Math.max(0, finalTotal);
-    } else {
-      const pct = clamp(discVal, 0, 100) / 100;
-      const taxableAfter = taxableSubtotal * (1 - pct);
-      const nonTaxAfter = nonTaxableSubtotal * (1 - pct);
-      const taxAfter = taxableAfter * taxRate;
-      finalTotal = taxableAfter + nonTaxAfter + taxAfter;
+    const { deposits, applied, received } = await depositCredit(pool, userId, est.id);
+
+    let finalInvoice = null;
+    if (est.converted_invoice_id) {
+      const { rows: inv } = await pool.query(
+        `${INVOICE_HEADER_SELECT}
+         WHERE inv.id = $1 AND inv.user_id = $2`,
+        [est.converted_invoice_id, userId]
+      );
+      finalInvoice = inv[0] ? withPaymentStatus(inv[0]) : null;
     }
+    const finalLive = finalInvoice && !finalInvoice.voided_at ? finalInvoice : null;
+
+    // Until the final invoice exists the job is worth the quote; after, what was billed
+    const jobTotal = finalLive ? round2(applied + Number(finalLive.total)) : round2(est.total);
+    const finalPaid = finalLive ? round2(finalLive.amount_paid) : 0;
+    const finalCredited = finalLive ? round2(finalLive.amount_credited) : 0;
+    const collected = round2(received + finalPaid);
+
+    res.json({
+      estimate: {
+        id: est.id,
+        estimate_number: est.estimate_number,
+        status: est.status,
+        customer_info: est.customer_info,
+        total: round2(est.total),
+      },
+      deposits: deposits.map((d) => withPaymentStatus(d)),
+      final_invoice: finalInvoice,
+      totals: {
+        quoted_total: round2(est.total),
+        deposits_billed: applied,
+        deposits_collected: received,
+        final_billed: finalLive ? round2(finalLive.total) : null,
+        job_total: jobTotal,
+        collected,
+        remaining_balance: Math.max(0, round2(jobTotal - collected - finalCredited)),
+      },
+    });
+  } catch (err) {
+    console.error('❌ Estimate job view failed:', err);
+    res.status(500).json({ error: 'Failed to load job' });
+  }
+});
 
-    await client.query(`UPDATE invoices SET total = $1 WHERE id = $2 AND user_id = $3`, [
-      finalTotal,
-      invoiceId,
-      userId,
-    ]);
+/**
+ * POST /api/estimates/:id/convert-to-invoice
+ * Keeps duplicates 1:1, carries edited name/price/taxable.
+ * The estimate is kept, marked converted and linked to the new invoice (409 if already converted).
+ * Expired estimates are refused (409) unless override_expiry: true.
+ * Deposit invoices are deducted from the final invoice; while one is unpaid the
+ * conversion is refused (409) unless allow_open_deposits: true.
+ * discount_type / discount_value default to the estimate's discount.
+ * payment_terms / payment_terms_days override the customer / store terms.
+ */
+router.post('/:id/convert-to-invoice', async (req, res) => {
+  const estimateId = req.params.id;
+  const userId = req.user.id;
 
-    // Remove estimate
-    await client.query(`DELETE FROM estimate_items WHERE estimate_id = $1`, [estimateId]);
-    await client.query(`DELETE FROM custom_estimate_items WHERE estimate_id = $1`, [estimateId]);
-    await client.query(`DELETE FROM estimates WHERE id = $1 AND user_id = $2`, [estimateId, userId]);
+  if (!/^\d+$/.test(String(estimateId))) {
+    return res.status(400).json({ error: 'Invalid estimate id' });
+  }
+
+  // Without a discount sent the estimate's own discount carries over
+  const discountSent = req.body?.discount_type != null || req.body?.discount_value != null;
+  const { discType, discVal } = discountSent
+    ? normalizeDiscount(req.body.discount_type, req.body.discount_value)
+    : {};
+  const paymentTerms = parsePaymentTerms(req.body?.payment_terms, req.body?.payment_terms_days);
+  if (paymentTerms?.error) return res.status(400).json({ error: paymentTerms.error });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const converted = await convertEstimateToInvoice(client, userId, estimateId, {
+      discType,
+      discVal,
+      notes: req.body?.notes,
+      allowExpired: toBool(req.body?.override_expiry, false),
+      allowOpenDeposits: toBool(req.body?.allow_open_deposits, false),
+      paymentTerms,
+    });
+    if (!converted) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (converted.alreadyConverted) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'Estimate was already converted to an invoice',
+        converted_invoice_id: converted.invoiceId,
+      });
+    }
+    if (converted.expired) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'Estimate has expired. Re-quote it or pass override_expiry: true to convert anyway.',
+        valid_until: converted.validUntil,
+      });
+    }
+    if (converted.openDeposits) {
+      await client.query('ROLLBACK');
+      return res.status(409).json(openDepositsError(converted.openDeposits));
+    }
+    const { invoiceId, invoiceNumber, depositApplied, taxExempt, warnings } = converted;
 
     await client.query('COMMIT');
-    res.status(201).json({ message: 'Converted to invoice', invoiceId });
+    res.status(201).json({
+      message: 'Converted to invoice',
+      invoiceId,
+      invoiceNumber,
+      deposit_applied: depositApplied,
+      tax_exempt: taxExempt,
+      warnings,
+    });
   } catch (err) {
     await client.query('ROLLBACK');
     console.error('❌ convert-to-invoice failed:', err);
@@ -560,7 +916,8 @@ router.post('/:id/convert-to-invoice', async (req, res) => {
 /**
  * POST /api/estimates/:id/email
  * Send an estimate PDF to the customer using store info as Reply-To (if present).
- * Body: { pdf_base64, to?, subject?, message_html?, message_text?, reply_to? }
+ * Body: { pdf_base64?, to?, subject?, message_html?, message_text?, reply_to?, include_approval_link? }
+ * Without pdf_base64 the PDF is rendered server-side (pdf/invoicePdf.js).
  */
 router.post('/:id/email', async (req, res) => {
   const userId = req.user.id;
@@ -568,10 +925,11 @@ router.post('/:id/email', async (req, res) => {
 
   try {
     const hdr = await pool.query(
-      'SELECT customer_info FROM estimates WHERE id = $1 AND user_id = $2',
+      'SELECT customer_id, customer_info, estimate_number FROM estimates WHERE id = $1 AND user_id = $2',
       [estimateId, userId]
     );
     if (hdr.rowCount === 0) return res.status(403).json({ error: 'Access denied' });
+    const estimateLabel = hdr.rows[0].estimate_number || `#${estimateId}`;
 
     const customer = hdr.rows[0]?.customer_info || {};
     const fallbackTo = (customer.email || '').trim();
@@ -582,10 +940,21 @@ router.post('/:id/email', async (req, res) => {
       message_html,
       message_text,
       reply_to,
+      include_approval_link,
     } = req.body || {};
 
     if (!to) return res.status(400).json({ error: 'Customer email is missing.' });
-    if (!pdf_base64) return res.status(400).json({ error: 'Missing pdf_base64' });
+
+    // Optional public approval link (same as POST /:id/share)
+    let approvalUrl = null;
+    if (include_approval_link) {
+      const share = issueShareToken(estimateId);
+      await pool.query(
+        `UPDATE estimates SET share_token_id = $1, share_expires_at = $2 WHERE id = $3 AND user_id = $4`,
+        [share.jti, share.expiresAt, estimateId, userId]
+      );
+      approvalUrl = share.url;
+    }
 
     // Store Reply-To
     const s = await pool.query(
@@ -597,13 +966,22 @@ router.post('/:id/email', async (req, res) => {
     const replyToAddr =
       reply_to || (storeEmail ? `${storeName ? storeName + ' ' : ''}<${storeEmail}>` : undefined);
 
-    // Base64 → Buffer
-    const clean = String(pdf_base64).replace(/^data:application\/pdf;base64,/, '');
-    const pdfBuffer = Buffer.from(clean, 'base64');
+    // Base64 → Buffer, or render server-side when the client sent no PDF
+    let pdfBuffer;
+    if (pdf_base64) {
+      const clean = String(pdf_base64).replace(/^data:application\/pdf;base64,/, '');
+      pdfBuffer = Buffer.from(clean, 'base64');
+    } else {
+      pdfBuffer = await renderEstimatePdf(await loadEstimateDocument(pool, userId, estimateId));
+    }
 
-    const defaultSubject = subject || `Estimate #${estimateId} from ${storeName || 'Print Shop'}`;
-    const defaultText = message_text || 'Please find your estimate attached.';
-    const defaultHtml = message_html || `<p>Please find your estimate attached.</p>`;
+    const defaultSubject = subject || `Estimate ${estimateLabel} from ${storeName || 'Print Shop'}`;
+    let defaultText = message_text || 'Please find your estimate attached.';
+    let defaultHtml = message_html || `<p>Please find your estimate attached.</p>`;
+    if (approvalUrl) {
+      defaultText += `\n\nReview and approve online: ${approvalUrl}`;
+      defaultHtml += `<p><a href="${approvalUrl}">Review and approve this estimate online</a></p>`;
+    }
 
     await sendMail({
       from: { email: 'receipts@printshopinvoice.com', name: storeName || 'Print Shop' },
@@ -612,16 +990,27 @@ router.post('/:id/email', async (req, res) => {
       text: defaultText,
       html: defaultHtml,
       replyTo: replyToAddr,
-      attachments: [{ filename: `estimate-${estimateId}.pdf`, content: pdfBuffer }],
+      attachments: [{ filename: `estimate-${hdr.rows[0].estimate_number || estimateId}.pdf`, content: pdfBuffer }],
     });
-    res.json({ ok: true });
+    await pool.query(
+      `UPDATE estimates SET status = 'sent' WHERE id = $1 AND user_id = $2 AND status = 'draft'`,
+      [estimateId, userId]
+    );
+    await logEmail(pool, userId, {
+      customerId: await resolveInvoiceCustomerId(pool, userId, customer, hdr.rows[0].customer_id),
+      estimateId,
+      kind: 'estimate',
+      to,
+      subject: defaultSubject,
+    });
+    res.json({ ok: true, approval_url: approvalUrl });
   } catch (err) {
     console.error('Email estimate failed:', err);
     res.status(500).json({ error: 'Failed to send email' });
   }
 });
 
-/** DELETE /api/estimates/:id */
+/** DELETE /api/estimates/:id — refused (409) once converted */
 router.delete('/:id', async (req, res) => {
   const estimateId = req.params.id;
   const userId = req.user.id;
@@ -632,12 +1021,25 @@ router.delete('/:id', async (req, res) => {
 
   try {
     const check = await pool.query(
-      `SELECT 1 FROM estimates WHERE id = $1 AND user_id = $2`,
+      `SELECT status, converted_invoice_id FROM estimates WHERE id = $1 AND user_id = $2`,
       [estimateId, userId]
     );
     if (check.rowCount === 0) {
       return res.status(403).json({ error: 'Access denied' });
     }
+    if (check.rows[0].status === 'converted') {
+      return res.status(409).json({
+        error: 'Converted estimates are kept as the quote of record and cannot be deleted.',
+        converted_invoice_id: check.rows[0].converted_invoice_id,
+      });
+    }
+    const { deposits } = await depositCredit(pool, userId, estimateId);
+    if (deposits.length) {
+      return res.status(409).json({
+        error: 'This estimate has deposit invoices. Void them before deleting the estimate.',
+        deposit_invoice_ids: deposits.map((d) => d.id),
+      });
+    }
 
     await pool.query(`DELETE FROM estimate_items WHERE estimate_id = $1`, [estimateId]);
     await pool.query(`DELETE FROM custom_estimate_items WHERE estimate_id = $1`, [estimateId]);
@@ -4,24 +4,67 @@ const router = express.Router();
 const pool = require('../db');
 // const authenticate = require('../middleware/authenticate'); // If not mounted globally
 const { sendMail } = require('../utils/mailer');
+const { nextDocumentNumber } = require('../utils/documentNumbers');
+const {
+  toString,
+  toBool,
+  normalizeDiscount,
+  invoiceBreakdown,
+  variationLinesError,
+  insertInvoiceLines,
+} = require('../utils/lineItems');
+const { PAYMENT_METHODS, round2, withPaymentStatus } = require('../utils/invoicePayments');
+const {
+  INVOICE_HEADER_SELECT,
+  loadInvoiceItems,
+  loadInvoiceDocument,
+} = require('../utils/documentLoaders');
+const { renderInvoicePdf } = require('../pdf/invoicePdf');
+const { lockEstimate, markEstimateConverted } = require('../utils/estimateConversion');
+const { depositCredit, openDepositsError } = require('../utils/estimateDeposits');
+const { isEstimateExpired } = require('../utils/estimateExpiry');
+const { parsePaymentTerms, applyPaymentTerms } = require('../utils/paymentTerms');
+const { storeMailIdentity, loadStoreProfile } = require('../utils/storeInfo');
+const { loadConnectAccount, createInvoiceCheckout } = require('../utils/stripeConnect');
+const { resolveInvoiceCustomerId } = require('../utils/customers');
+const { resolveTax } = require('../utils/taxExemptions');
+const { resolveContactPicks, withContactSnapshot, invoiceRecipients } = require('../utils/customerContacts');
+const { logEmail } = require('../utils/customerActivity');
+const { lineDimensionsError } = require('../utils/areaPricing');
+const { parseDate } = require('../utils/recurrence');
 
 // If you mount authenticate/subscription in index.js, you don't need router.use(authenticate) here.
 // router.use(authenticate);
 
-const clamp = (v, min, max) => Math.min(Math.max(Number(v) || 0, min), max);
-const toString = (v) => (v == null ? '' : String(v));
-const toBool = (v, def = true) => {
-  if (typeof v === 'boolean') return v;
-  if (v == null) return def;
-  if (typeof v === 'number') return v !== 0;
-  if (typeof v === 'string') return !['false', '0', 'no', 'off'].includes(v.toLowerCase());
-  return def;
-};
+// YYYY-MM-DD with an optional HH:MM[:SS] (fraction and zone suffix ignored, as ::timestamp does)
+const PAID_AT_RE = /^(\d{4}-\d{2}-\d{2})(?:[T ]([01]\d|2[0-3]):([0-5]\d)(?::([0-5]\d)(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/** Shop-local 'YYYY-MM-DD HH:MM:SS' (midnight without a time) from a paid_at value, else null. */
+function parsePaidAt(value) {
+  const m = PAID_AT_RE.exec(String(value ?? '').trim());
+  const date = m && parseDate(m[1]);
+  if (!date) return null;
+  return `${date} ${m[2] ?? '00'}:${m[3] ?? '00'}:${m[4] ?? '00'}`;
+}
+
+/** Why an invoice can no longer be edited, or null while it is still open. */
+function lockReason(header) {
+  if (!header) return null;
+  if (header.voided_at) return 'voided';
+  if (Number(header.amount_credited) > 0) return 'credited';
+  if (Number(header.amount_paid) > 0 && ['paid', 'overpaid'].includes(header.payment_status)) {
+    return 'paid';
+  }
+  return null;
+}
 
 /**
  * POST /api/invoices/:id/email
  * Send an invoice PDF to the customer using store info as Reply-To (if present).
- * Body: { pdf_base64, to?, subject?, message_html?, message_text?, reply_to? }
+ * Body: { pdf_base64?, to?, subject?, message_html?, message_text?, reply_to? }
+ * `to` defaults to every customer contact flagged receives_invoices, else the invoice's
+ * contact, else the bill-to email.
+ * Without pdf_base64 the PDF is rendered server-side (pdf/invoicePdf.js).
  */
 router.post('/:id/email', async (req, res) => {
   const userId = req.user.id;
@@ -30,13 +73,14 @@ router.post('/:id/email', async (req, res) => {
   try {
     // Ownership check
     const hdr = await pool.query(
-      'SELECT customer_info FROM invoices WHERE id=$1 AND user_id=$2',
+      'SELECT customer_id, customer_info, invoice_number FROM invoices WHERE id=$1 AND user_id=$2',
       [invoiceId, userId]
     );
     if (hdr.rowCount === 0) return res.status(403).json({ error: 'Access denied' });
+    const invoiceLabel = hdr.rows[0].invoice_number || `#${invoiceId}`;
 
     const customer = hdr.rows[0]?.customer_info || {};
-    const fallbackTo = (customer.email || '').trim();
+    const fallbackTo = await invoiceRecipients(pool, userId, hdr.rows[0].customer_id, customer);
     const {
       to = fallbackTo,
       pdf_base64,
@@ -46,45 +90,43 @@ router.post('/:id/email', async (req, res) => {
       reply_to,
     } = req.body || {};
 
-    if (!to) return res.status(400).json({ error: 'Customer email is missing.' });
-    if (!pdf_base64) return res.status(400).json({ error: 'Missing pdf_base64' });
-
-    // Get store name & email (for From/Reply-To)
-    const s = await pool.query(
-      `SELECT email, name FROM store_info WHERE user_id = $1 LIMIT 1`,
-      [userId]
-    );
-    const storeEmail = (s.rows[0]?.email || '').trim();
-    const storeName  = (s.rows[0]?.name  || '').trim() || 'Your Store';
-
-    // Visible header From address (email part) — prefer MAIL_FROM, then SMTP_FROM, then SMTP_USER
-    const headerFromEmail =
-      process.env.MAIL_FROM || process.env.SMTP_FROM || process.env.SMTP_USER;
+    if (!to || !to.length) return res.status(400).json({ error: 'Customer email is missing.' });
 
-    // Replies should go to the store mailbox if present
-    const replyToAddr =
-      reply_to || (storeEmail ? `${storeName} <${storeEmail}>` : undefined);
+    // From shows the store name; replies go to the store mailbox
+    const { storeName, from, replyTo } = await storeMailIdentity(pool, userId, reply_to);
 
-    // Base64 → Buffer
-    const clean = String(pdf_base64).replace(/^data:application\/pdf;base64,/, '');
-    const pdfBuffer = Buffer.from(clean, 'base64');
+    // Base64 → Buffer, or render server-side when the client sent no PDF
+    let pdfBuffer;
+    if (pdf_base64) {
+      const clean = String(pdf_base64).replace(/^data:application\/pdf;base64,/, '');
+      pdfBuffer = Buffer.from(clean, 'base64');
+    } else {
+      pdfBuffer = await renderInvoicePdf(await loadInvoiceDocument(pool, userId, invoiceId));
+    }
 
     // Defaults
-    const defaultSubject = subject || `Invoice #${invoiceId} from ${storeName}`;
+    const defaultSubject = subject || `Invoice ${invoiceLabel} from ${storeName}`;
     const defaultText    = message_text || 'Please find your invoice attached.';
     const defaultHtml    = message_html || `<p>Please find your invoice attached.</p>`;
 
     await sendMail({
-      from: { email: headerFromEmail, name: storeName }, // 👈 visible From shows the store name
+      from,                                              // 👈 visible From shows the store name
       to,
       subject: defaultSubject,
       text: defaultText,
       html: defaultHtml,
-      replyTo: replyToAddr,                              // 👈 replies go to store email
-      attachments: [{ filename: `invoice-${invoiceId}.pdf`, content: pdfBuffer }],
+      replyTo,                                           // 👈 replies go to store email
+      attachments: [{ filename: `invoice-${hdr.rows[0].invoice_number || invoiceId}.pdf`, content: pdfBuffer }],
+    });
+    await logEmail(pool, userId, {
+      customerId: hdr.rows[0].customer_id,
+      invoiceId,
+      kind: 'invoice',
+      to,
+      subject: defaultSubject,
     });
 
-    res.json({ ok: true });
+    res.json({ ok: true, to });
   } catch (err) {
     console.error('Email invoice failed:', err);
     res.status(500).json({ error: 'Failed to send email' });
@@ -94,6 +136,18 @@ router.post('/:id/email', async (req, res) => {
 /**
  * POST /api/invoices
  * Inserts one row per selection (no dedup), allows display_name override.
+ * With source_estimate_id the estimate is kept, marked converted and linked (409 if already
+ * converted, or expired without override_expiry: true). Its deposit invoices are deducted
+ * (409 while one is unpaid, unless allow_open_deposits: true).
+ * payment_terms (+ payment_terms_days for custom) override the customer / store terms;
+ * due_date = invoice date + term days.
+ * Tax-exempt customers are billed without tax; an expired certificate is charged tax and
+ * reported in `warnings`.
+ * contact_id / billing_address_id / shipping_address_id pick the customer's contact and
+ * addresses (400 if not the customer's); they are copied into customer_info.
+ * Variation lines without a price are priced by quantity price breaks, or for area-priced
+ * products by width × height (+ dimension_unit in|ft, finishing) sent on the line.
+ * 400 for an area line without width / height (unless priced) or with finishing not offered.
  */
 router.post('/', async (req, res) => {
   const {
@@ -105,125 +159,267 @@ router.post('/', async (req, res) => {
     discount_value,
     notes,
     source_estimate_id,
+    override_expiry,
+    allow_open_deposits,
+    payment_terms,
+    payment_terms_days,
   } = req.body || {};
   const userId = req.user.id;
 
-  let discType = String(discount_type || '').toLowerCase() === 'percent' ? 'percent' : 'amount';
-  let discVal = Number(discount_value) || 0;
-  discVal = discType === 'percent' ? clamp(discVal, 0, 100) : clamp(discVal, 0, 1e12);
+  const { discType, discVal } = normalizeDiscount(discount_type, discount_value);
+  const termsOverride = parsePaymentTerms(payment_terms, payment_terms_days);
+  if (termsOverride?.error) return res.status(400).json({ error: termsOverride.error });
+  const dimensionsError = lineDimensionsError(variationItems);
+  if (dimensionsError) return res.status(400).json({ error: dimensionsError });
 
   const cleanNotes = toString(notes).slice(0, 2000);
   const srcEstId = Number(source_estimate_id);
+  const hasSourceEstimate = source_estimate_id != null && Number.isInteger(srcEstId);
 
+  let deposits = null;
+  let sourcePicks = {};
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
 
+    // Created from an estimate: keep it as the quote of record and link both ways
+    if (hasSourceEstimate) {
+      const est = await lockEstimate(client, userId, srcEstId);
+      if (!est) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({ error: 'Access denied' });
+      }
+      if (est.status === 'converted') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: 'Estimate was already converted to an invoice',
+          converted_invoice_id: est.converted_invoice_id,
+        });
+      }
+      if (isEstimateExpired(est) && !toBool(override_expiry, false)) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: 'Estimate has expired. Re-quote it or pass override_expiry: true to invoice it anyway.',
+          valid_until: est.valid_until,
+        });
+      }
+      sourcePicks = est;
+      deposits = await depositCredit(client, userId, srcEstId);
+      if (deposits.open.length && !toBool(allow_open_deposits, false)) {
+        await client.query('ROLLBACK');
+        return res.status(409).json(openDepositsError(deposits.open));
+      }
+    }
+
     const safeCustomer = typeof customer_info === 'object' ? { ...customer_info } : {};
     if (customer_id != null && safeCustomer.id == null) safeCustomer.id = customer_id;
+    const customerId = await resolveInvoiceCustomerId(client, userId, safeCustomer, customer_id);
+
+    // Contact / addresses picked for this invoice (an estimate's picks carry over)
+    const picks = await resolveContactPicks(client, userId, customerId, req.body || {}, sourcePicks);
+    if (picks.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: picks.error });
+    }
+
+    const pricingError = await variationLinesError(client, variationItems);
+    if (pricingError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: pricingError });
+    }
+
+    const invoiceNumber = await nextDocumentNumber(client, userId, 'invoice');
 
     const { rows: hdr } = await client.query(
-      `INSERT INTO invoices (user_id, customer_info, invoice_date, total, discount_type, discount_value, notes)
-       VALUES ($1, $2, (CURRENT_TIMESTAMP AT TIME ZONE 'America/New_York'), 0, $3, $4, $5)
+      `INSERT INTO invoices (user_id, invoice_number, customer_id, customer_info, invoice_date, total, discount_type, discount_value, notes,
+                             contact_id, billing_address_id, shipping_address_id)
+       VALUES ($1, $2, $3, $4, (CURRENT_TIMESTAMP AT TIME ZONE 'America/New_York'), 0, $5, $6, $7, $8, $9, $10)
        RETURNING id`,
-      [userId, safeCustomer, discType, discVal, cleanNotes]
+      [
+        userId, invoiceNumber, customerId, withContactSnapshot(safeCustomer, picks.snapshot), discType, discVal, cleanNotes,
+        picks.ids.contact_id, picks.ids.billing_address_id, picks.ids.shipping_address_id,
+      ]
     );
     const invoiceId = hdr[0].id;
 
-    let taxableSubtotal = 0;
-    let nonTaxableSubtotal = 0;
-
-    // Built-in lines
-    for (const it of (Array.isArray(variationItems) ? variationItems : [])) {
-      const variationId = Number(it.variation_id ?? it.variationId);
-      if (!Number.isFinite(variationId)) continue;
+    const subtotals = await insertInvoiceLines(client, invoiceId, { variationItems, customItems });
+    const tax = await resolveTax(client, userId, customerId);
+    const { total: finalTotal, deposit } = invoiceBreakdown({
+      ...subtotals,
+      taxRate: tax.taxRate,
+      discType,
+      discVal,
+      deposit: deposits ? deposits.applied : 0,
+    });
 
-      const qty = Math.max(1, parseInt(it.quantity, 10) || 1);
-      const price = Number(it.price) || 0;
-      const taxable = toBool(it.taxable, true);
-      const displayName = toString(it.display_name || it.product_name || '').trim() || null;
+    await client.query(
+      `UPDATE invoices SET total = $1, tax_rate = $2, deposit_applied = $3, kind = $4,
+                           tax_exempt = $7, tax_exempt_certificate = $8
+        WHERE id = $5 AND user_id = $6`,
+      [
+        finalTotal, tax.taxRate, deposit, deposits?.deposits.length ? 'final' : 'standard', invoiceId, userId,
+        tax.taxExempt, tax.certificate,
+      ]
+    );
 
-      const line = price * qty;
-      (taxable ? (taxableSubtotal += line) : (nonTaxableSubtotal += line));
+    const { due_date } = await applyPaymentTerms(client, userId, invoiceId, {
+      customerId,
+      override: termsOverride,
+    });
 
-      await client.query(
-        `INSERT INTO invoice_items
-           (invoice_id, product_variation_id, quantity, price, taxable, display_name)
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        [invoiceId, variationId, qty, price, taxable, displayName]
-      );
+    if (hasSourceEstimate) {
+      await markEstimateConverted(client, userId, srcEstId, invoiceId);
     }
 
-    // Custom lines
-    for (const it of (Array.isArray(customItems) ? customItems : [])) {
-      const qty = Math.max(1, parseInt(it.quantity, 10) || 1);
-      const price = Number(it.price) || 0;
-      const taxable = toBool(it.taxable, true);
-      const line = price * qty;
+    await client.query('COMMIT');
+    res.status(201).json({
+      message: 'Invoice saved',
+      invoiceId,
+      invoiceNumber,
+      due_date,
+      deposit_applied: deposit,
+      tax_exempt: tax.taxExempt,
+      warnings: tax.warnings,
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Invoices POST failed:', error);
+    res.status(500).json({ error: 'Failed to save invoice' });
+  } finally {
+    client.release();
+  }
+});
 
-      (taxable ? (taxableSubtotal += line) : (nonTaxableSubtotal += line));
+/**
+ * PUT /api/invoices/:id
+ * Replace children (keeps duplicates) and recompute the total with the store tax rate (none for
+ * customers with a current tax exemption)
+ * and the same discount rules as POST. Refused once the invoice is locked (paid, credited or voided).
+ * Body: { customer_id?, customer_info?, variationItems, customItems, discount_type, discount_value, notes,
+ *         payment_terms?, payment_terms_days?, contact_id?, billing_address_id?, shipping_address_id? }
+ */
+router.put('/:id', async (req, res) => {
+  const userId = req.user.id;
+  const invoiceId = parseInt(req.params.id, 10);
+  const {
+    customer_id,
+    customer_info,
+    variationItems = [],
+    customItems = [],
+    discount_type,
+    discount_value,
+    notes,
+    payment_terms,
+    payment_terms_days,
+  } = req.body || {};
 
-      await client.query(
-        `INSERT INTO custom_invoice_items
-           (invoice_id, product_name, size, price, quantity, accessory, taxable)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-        [
-          invoiceId,
-          toString(it.product_name || it.productName),
-          toString(it.size),
-          price,
-          qty,
-          toString(it.accessory),
-          taxable,
-        ]
-      );
+  if (!Number.isFinite(invoiceId)) {
+    return res.status(400).json({ error: 'Invalid invoice id' });
+  }
+
+  const { discType, discVal } = normalizeDiscount(discount_type, discount_value);
+  const termsOverride = parsePaymentTerms(payment_terms, payment_terms_days);
+  if (termsOverride?.error) return res.status(400).json({ error: termsOverride.error });
+  const dimensionsError = lineDimensionsError(variationItems);
+  if (dimensionsError) return res.status(400).json({ error: dimensionsError });
+  const cleanNotes = toString(notes).slice(0, 2000);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows: own } = await client.query(
+      `SELECT customer_id, customer_info, deposit_applied, contact_id, billing_address_id, shipping_address_id
+         FROM invoices WHERE id = $1 AND user_id = $2 FOR UPDATE`,
+      [invoiceId, userId]
+    );
+    if (!own[0]) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Tax rate
-    const { rows: rateRows } = await client.query(
-      `SELECT COALESCE(tax_rate, 0.06) AS tax_rate FROM store_info WHERE user_id = $1`,
-      [userId]
+    const { rows: hdr } = await client.query(
+      `${INVOICE_HEADER_SELECT}
+       WHERE inv.id = $1 AND inv.user_id = $2`,
+      [invoiceId, userId]
     );
-    const taxRate = Number(rateRows[0]?.tax_rate ?? 0.06);
+    const locked = lockReason(withPaymentStatus(hdr[0]));
+    if (locked) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `Invoice is locked (${locked}) and can no longer be edited.`, locked });
+    }
 
-    // Final total
-    let finalTotal;
-    if (discType === 'amount') {
-      const baseGrand = taxableSubtotal * (1 + taxRate) + nonTaxableSubtotal;
-      finalTotal = Math.max(0, baseGrand - clamp(discVal, 0, 1e12));
-    } else {
-      const pct = clamp(discVal, 0, 100) / 100;
-      const taxableAfter = taxableSubtotal * (1 - pct);
-      const nonTaxAfter = nonTaxableSubtotal * (1 - pct);
-      const taxAfter = taxableAfter * taxRate;
-      finalTotal = taxableAfter + nonTaxAfter + taxAfter;
+    const safeCustomer =
+      customer_info && typeof customer_info === 'object'
+        ? { ...customer_info }
+        : own[0].customer_info || {};
+    if (customer_id != null && safeCustomer.id == null) safeCustomer.id = customer_id;
+    // Re-linked only when a new bill-to is sent
+    const newBillTo = (customer_info && typeof customer_info === 'object') || customer_id != null;
+    const customerId = newBillTo
+      ? await resolveInvoiceCustomerId(client, userId, safeCustomer, customer_id)
+      : own[0].customer_id;
+
+    // Picks not sent are kept while they still belong to the customer
+    const picks = await resolveContactPicks(client, userId, customerId, req.body || {}, own[0]);
+    if (picks.error) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: picks.error });
     }
 
-    await client.query(`UPDATE invoices SET total = $1 WHERE id = $2 AND user_id = $3`, [
-      finalTotal,
-      invoiceId,
-      userId,
-    ]);
-
-    // If created from an estimate, delete that estimate atomically
-    if (Number.isFinite(srcEstId)) {
-      const { rowCount: own } = await client.query(
-        `SELECT 1 FROM estimates WHERE id = $1 AND user_id = $2`,
-        [srcEstId, userId]
-      );
-      if (own > 0) {
-        await client.query(`DELETE FROM estimate_items WHERE estimate_id = $1`, [srcEstId]);
-        await client.query(`DELETE FROM custom_estimate_items WHERE estimate_id = $1`, [srcEstId]);
-        await client.query(`DELETE FROM estimates WHERE id = $1 AND user_id = $2`, [srcEstId, userId]);
-      }
+    const pricingError = await variationLinesError(client, variationItems);
+    if (pricingError) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: pricingError });
+    }
+
+    await client.query(`DELETE FROM invoice_items WHERE invoice_id = $1`, [invoiceId]);
+    await client.query(`DELETE FROM custom_invoice_items WHERE invoice_id = $1`, [invoiceId]);
+
+    const subtotals = await insertInvoiceLines(client, invoiceId, { variationItems, customItems });
+    const tax = await resolveTax(client, userId, customerId);
+    // A final invoice keeps the deposits it deducted
+    const { total: finalTotal } = invoiceBreakdown({
+      ...subtotals,
+      taxRate: tax.taxRate,
+      discType,
+      discVal,
+      deposit: Number(own[0].deposit_applied) || 0,
+    });
+
+    await client.query(
+      `UPDATE invoices
+          SET customer_info = $1,
+              total = $2,
+              tax_rate = $3,
+              discount_type = $4,
+              discount_value = $5,
+              notes = $6,
+              customer_id = $9,
+              tax_exempt = $10,
+              tax_exempt_certificate = $11,
+              contact_id = $12,
+              billing_address_id = $13,
+              shipping_address_id = $14
+        WHERE id = $7 AND user_id = $8`,
+      [
+        withContactSnapshot(safeCustomer, picks.snapshot), finalTotal, tax.taxRate, discType, discVal, cleanNotes,
+        invoiceId, userId, customerId, tax.taxExempt, tax.certificate,
+        picks.ids.contact_id, picks.ids.billing_address_id, picks.ids.shipping_address_id,
+      ]
+    );
+
+    // Terms only change when given; the due date follows them
+    if (termsOverride) {
+      await applyPaymentTerms(client, userId, invoiceId, { override: termsOverride });
     }
 
     await client.query('COMMIT');
-    res.status(201).json({ message: 'Invoice saved', invoiceId });
-  } catch (error) {
+    res.json({ message: 'Invoice updated', invoiceId, tax_exempt: tax.taxExempt, warnings: tax.warnings });
+  } catch (err) {
     await client.query('ROLLBACK');
-    console.error('❌ Invoices POST failed:', error);
-    res.status(500).json({ error: 'Failed to save invoice' });
+    console.error('❌ Invoices PUT failed:', err);
+    res.status(500).json({ error: 'Failed to update invoice' });
   } finally {
     client.release();
   }
@@ -235,40 +431,28 @@ router.post('/', async (req, res) => {
 router.get('/', async (req, res) => {
   const userId = req.user.id;
   const search = req.query.q ? `%${req.query.q}%` : null;
-  const customerId = req.query.customer_id ? String(req.query.customer_id) : null;
+  const customerId = req.query.customer_id ? parseInt(req.query.customer_id, 10) : null;
+  if (req.query.customer_id && !Number.isInteger(customerId)) {
+    return res.status(400).json({ error: 'customer_id must be a number' });
+  }
 
   try {
     let sql, params;
 
     if (customerId) {
       sql = `
-        SELECT
-          inv.id,
-          inv.customer_info,
-          inv.invoice_date,
-          ROUND(inv.total, 2) AS total,
-          inv.discount_type,
-          inv.discount_value,
-          inv.notes
-        FROM invoices inv
+        ${INVOICE_HEADER_SELECT}
         WHERE inv.user_id = $1
-          AND (inv.customer_info::jsonb)->>'id' = $2
+          AND inv.customer_id = $2
         ORDER BY inv.invoice_date DESC
       `;
       params = [userId, customerId];
     } else if (search) {
       sql = `
-        SELECT
-          inv.id,
-          inv.customer_info,
-          inv.invoice_date,
-          ROUND(inv.total, 2) AS total,
-          inv.discount_type,
-          inv.discount_value,
-          inv.notes
-        FROM invoices inv
+        ${INVOICE_HEADER_SELECT}
         WHERE inv.user_id = $1
           AND (
+            inv.invoice_number                       ILIKE $2 OR
             ((inv.customer_info::jsonb)->>'name')    ILIKE $2 OR
             ((inv.customer_info::jsonb)->>'company') ILIKE $2 OR
             ((inv.customer_info::jsonb)->>'email')   ILIKE $2 OR
@@ -279,15 +463,7 @@ router.get('/', async (req, res) => {
       params = [userId, search];
     } else {
       sql = `
-        SELECT
-          inv.id,
-          inv.customer_info,
-          inv.invoice_date,
-          ROUND(inv.total, 2) AS total,
-          inv.discount_type,
-          inv.discount_value,
-          inv.notes
-        FROM invoices inv
+        ${INVOICE_HEADER_SELECT}
         WHERE inv.user_id = $1
         ORDER BY inv.invoice_date DESC
       `;
@@ -295,7 +471,7 @@ router.get('/', async (req, res) => {
     }
 
     const invoices = await pool.query(sql, params);
-    res.json(invoices.rows);
+    res.json(invoices.rows.map(withPaymentStatus));
   } catch (error) {
     console.error('❌ Invoices GET failed:', error);
     res.status(500).json({ error: 'Internal server error', where: 'Invoices GET failed' });
@@ -309,21 +485,12 @@ router.get('/:id', async (req, res) => {
 
   try {
     const result = await pool.query(
-      `
-      SELECT id,
-             customer_info,
-             invoice_date,
-             ROUND(total, 2) AS total,
-             discount_type,
-             discount_value,
-             notes
-        FROM invoices
-       WHERE id = $1 AND user_id = $2
-      `,
+      `${INVOICE_HEADER_SELECT}
+       WHERE inv.id = $1 AND inv.user_id = $2`,
       [invoiceId, userId]
     );
     if (result.rowCount === 0) return res.status(404).json({ error: 'Invoice not found' });
-    res.json(result.rows[0]);
+    res.json(withPaymentStatus(result.rows[0]));
   } catch (err) {
     console.error('❌ Invoice GET failed:', err);
     res.status(500).json({ error: 'Failed to load invoice' });
@@ -344,77 +511,344 @@ router.get('/:id/items', async (req, res) => {
       return res.status(403).json({ error: 'Access denied: invoice does not belong to user.' });
     }
 
-    const { rows: variationItems } = await pool.query(
-      `
-      SELECT
-        ii.id AS line_id,
-        ii.product_variation_id                              AS variation_id,
-        COALESCE(ii.display_name, p.name, 'Item')            AS product_name,
-        COALESCE(pv.size, '')                                AS size,
-        COALESCE(ii.price, pv.price, 0)::numeric(12,2)       AS price,
-        ii.quantity,
-        COALESCE(ii.taxable, TRUE)                           AS taxable,
-        COALESCE(pv.accessory, '')                           AS accessory
-      FROM invoice_items ii
-      LEFT JOIN product_variations pv ON ii.product_variation_id = pv.id
-      LEFT JOIN products p            ON pv.product_id = p.id
-      WHERE ii.invoice_id = $1
-      ORDER BY ii.id ASC
-      `,
-      [invoiceId]
+    const combinedItems = await loadInvoiceItems(pool, invoiceId);
+
+    res.json(combinedItems);
+  } catch (err) {
+    console.error('❌ Invoices items GET failed:', err);
+    res.status(500).json({ error: 'Failed to load invoice items' });
+  }
+});
+
+/** GET /api/invoices/:id/pdf — server-rendered invoice PDF */
+router.get('/:id/pdf', async (req, res) => {
+  const invoiceId = req.params.id;
+  const userId = req.user.id;
+
+  try {
+    const doc = await loadInvoiceDocument(pool, userId, invoiceId);
+    if (!doc) return res.status(404).json({ error: 'Invoice not found' });
+
+    const pdf = await renderInvoicePdf(doc);
+    const filename = `invoice-${doc.header.invoice_number || doc.header.id}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `${req.query.download ? 'attachment' : 'inline'}; filename="${filename}"`
     );
+    res.send(pdf);
+  } catch (err) {
+    console.error('❌ Invoice PDF failed:', err);
+    res.status(500).json({ error: 'Failed to render invoice PDF' });
+  }
+});
 
-    const { rows: customItems } = await pool.query(
-      `
-      SELECT
-        id AS line_id,
-        product_name,
-        size,
-        price::numeric(12,2) AS price,
-        quantity,
-        accessory,
-        COALESCE(taxable, TRUE) AS taxable
-      FROM custom_invoice_items
-      WHERE invoice_id = $1
-      ORDER BY id ASC
-      `,
-      [invoiceId]
+/**
+ * GET /api/invoices/:id/payments
+ * Payments recorded against the invoice, oldest first.
+ */
+router.get('/:id/payments', async (req, res) => {
+  const invoiceId = req.params.id;
+  const userId = req.user.id;
+
+  try {
+    const check = await pool.query(
+      `SELECT 1 FROM invoices WHERE id = $1 AND user_id = $2`,
+      [invoiceId, userId]
+    );
+    if (check.rowCount === 0) {
+      return res.status(403).json({ error: 'Access denied: invoice does not belong to user.' });
+    }
+
+    const { rows } = await pool.query(
+      `SELECT id, invoice_id, amount::numeric(12,2) AS amount, method, reference, paid_at, notes, created_at
+         FROM invoice_payments
+        WHERE invoice_id = $1 AND user_id = $2
+        ORDER BY paid_at ASC, id ASC`,
+      [invoiceId, userId]
     );
+    res.json(rows);
+  } catch (err) {
+    console.error('❌ Invoice payments GET failed:', err);
+    res.status(500).json({ error: 'Failed to load payments' });
+  }
+});
 
-    const combinedItems = [
-      ...variationItems.map(v => ({
-        type: 'variation',
-        line_id: v.line_id,
-        variation_id: v.variation_id,
-        product_name: v.product_name,
-        size: v.size,
-        price: v.price,
-        quantity: v.quantity,
-        accessory: v.accessory,
-        taxable: !!v.taxable,
-      })),
-      ...customItems.map(c => ({
-        type: 'custom',
-        line_id: c.line_id,
-        variation_id: null,
-        product_name: c.product_name,
-        size: c.size,
-        price: c.price,
-        quantity: c.quantity,
-        accessory: c.accessory,
-        taxable: !!c.taxable,
-      })),
-    ];
+/**
+ * GET /api/invoices/:id/reminders
+ * Reminder log (utils/invoiceReminders.js): one row per offset, oldest first.
+ */
+router.get('/:id/reminders', async (req, res) => {
+  const invoiceId = req.params.id;
+  const userId = req.user.id;
 
-    res.json(combinedItems);
+  try {
+    const check = await pool.query(
+      `SELECT 1 FROM invoices WHERE id = $1 AND user_id = $2`,
+      [invoiceId, userId]
+    );
+    if (check.rowCount === 0) {
+      return res.status(403).json({ error: 'Access denied: invoice does not belong to user.' });
+    }
+
+    const { rows } = await pool.query(
+      `SELECT id, offset_days, due_date, sent_to, status, attempts, error, created_at, sent_at
+         FROM invoice_reminders
+        WHERE invoice_id = $1 AND user_id = $2
+        ORDER BY created_at ASC, id ASC`,
+      [invoiceId, userId]
+    );
+    res.json(rows);
   } catch (err) {
-    console.error('❌ Invoices items GET failed:', err);
-    res.status(500).json({ error: 'Failed to load invoice items' });
+    console.error('❌ Invoice reminders GET failed:', err);
+    res.status(500).json({ error: 'Failed to load reminders' });
+  }
+});
+
+/**
+ * POST /api/invoices/:id/payment-link
+ * Stripe Checkout link for the balance due, paid to the shop's connected account
+ * (routes/connect.js). The payment is recorded by the Connect webhook once paid.
+ * An open link for the same amount is reused.
+ */
+router.post('/:id/payment-link', async (req, res) => {
+  const invoiceId = req.params.id;
+  const userId = req.user.id;
+
+  try {
+    const { rows } = await pool.query(
+      `${INVOICE_HEADER_SELECT}
+       WHERE inv.id = $1 AND inv.user_id = $2`,
+      [invoiceId, userId]
+    );
+    if (!rows[0]) {
+      return res.status(403).json({ error: 'Access denied: invoice does not belong to user.' });
+    }
+    const inv = withPaymentStatus(rows[0]);
+    if (inv.voided_at) {
+      return res.status(409).json({ error: 'Cannot take payment on a voided invoice.' });
+    }
+    const balance = round2(inv.balance_due);
+    if (!(balance > 0)) {
+      return res.status(409).json({ error: 'Invoice has no balance due.' });
+    }
+
+    const acct = await loadConnectAccount(pool, userId);
+    if (!acct.account_id || !acct.charges_enabled) {
+      return res.status(409).json({ error: 'Connect a Stripe account to accept online payments.' });
+    }
+
+    const { rows: open } = await pool.query(
+      `SELECT * FROM invoice_checkout_sessions
+        WHERE invoice_id = $1 AND user_id = $2 AND account_id = $3
+          AND status = 'open' AND amount = $4
+          AND expires_at > NOW() + INTERVAL '1 hour'
+        ORDER BY id DESC
+        LIMIT 1`,
+      [inv.id, userId, acct.account_id, balance]
+    );
+
+    let session = open[0];
+    if (!session) {
+      const store = await loadStoreProfile(pool, userId);
+      session = await createInvoiceCheckout(pool, {
+        userId,
+        invoiceId: inv.id,
+        invoiceLabel: inv.invoice_number || `#${inv.id}`,
+        accountId: acct.account_id,
+        amount: balance,
+        customerEmail: (inv.customer_info?.email || '').trim() || null,
+        storeName: store.name,
+      });
+    }
+
+    res.status(open[0] ? 200 : 201).json({
+      url: session.url,
+      session_id: session.session_id,
+      amount: round2(session.amount),
+      currency: session.currency,
+      expires_at: session.expires_at,
+      stub: session.stub,
+    });
+  } catch (err) {
+    console.error('❌ Invoice payment link failed:', err);
+    res.status(500).json({ error: 'Failed to create payment link' });
   }
 });
 
-/** DELETE /api/invoices/:id */
-router.delete('/:id', async (req, res) => {
+/**
+ * POST /api/invoices/:id/payments
+ * Body: { amount, method: cash|check|card|ach|other, reference?, paid_at? (YYYY-MM-DD[ HH:MM[:SS]]), notes? }
+ * Returns the new payment and the refreshed invoice header (amount_paid, balance_due, payment_status).
+ */
+router.post('/:id/payments', async (req, res) => {
+  const invoiceId = req.params.id;
+  const userId = req.user.id;
+  const { amount, method, reference, paid_at, notes } = req.body || {};
+
+  const amt = Math.round((Number(amount) || 0) * 100) / 100;
+  if (!(amt > 0)) return res.status(400).json({ error: 'Amount must be greater than zero.' });
+
+  const cleanMethod = toString(method).trim().toLowerCase();
+  if (!PAYMENT_METHODS.includes(cleanMethod)) {
+    return res.status(400).json({ error: `Method must be one of: ${PAYMENT_METHODS.join(', ')}` });
+  }
+
+  let paidAt = null;
+  if (paid_at) {
+    paidAt = parsePaidAt(paid_at);
+    if (!paidAt) return res.status(400).json({ error: 'Invalid paid_at date' });
+  }
+
+  try {
+    const check = await pool.query(
+      `SELECT voided_at FROM invoices WHERE id = $1 AND user_id = $2`,
+      [invoiceId, userId]
+    );
+    if (check.rowCount === 0) {
+      return res.status(403).json({ error: 'Access denied: invoice does not belong to user.' });
+    }
+    if (check.rows[0].voided_at) {
+      return res.status(409).json({ error: 'Cannot record a payment on a voided invoice.' });
+    }
+
+    const { rows } = await pool.query(
+      `INSERT INTO invoice_payments (invoice_id, user_id, amount, method, reference, paid_at, notes)
+       VALUES ($1, $2, $3, $4, $5,
+               COALESCE($6::timestamp, (CURRENT_TIMESTAMP AT TIME ZONE 'America/New_York')), $7)
+       RETURNING id, invoice_id, amount::numeric(12,2) AS amount, method, reference, paid_at, notes, created_at`,
+      [
+        invoiceId,
+        userId,
+        amt,
+        cleanMethod,
+        toString(reference).trim().slice(0, 100) || null,
+        paidAt,
+        toString(notes).trim().slice(0, 500) || null,
+      ]
+    );
+
+    const { rows: hdr } = await pool.query(
+      `${INVOICE_HEADER_SELECT}
+       WHERE inv.id = $1 AND inv.user_id = $2`,
+      [invoiceId, userId]
+    );
+
+    res.status(201).json({
+      message: 'Payment recorded',
+      payment: rows[0],
+      invoice: withPaymentStatus(hdr[0]),
+    });
+  } catch (err) {
+    console.error('❌ Invoice payment POST failed:', err);
+    res.status(500).json({ error: 'Failed to record payment' });
+  }
+});
+
+/** DELETE /api/invoices/:id/payments/:paymentId */
+router.delete('/:id/payments/:paymentId', async (req, res) => {
+  const invoiceId = req.params.id;
+  const paymentId = req.params.paymentId;
+  const userId = req.user.id;
+
+  try {
+    const result = await pool.query(
+      `DELETE FROM invoice_payments
+        WHERE id = $1 AND invoice_id = $2 AND user_id = $3
+        RETURNING id`,
+      [paymentId, invoiceId, userId]
+    );
+    if (result.rowCount === 0) return res.status(404).json({ error: 'Payment not found' });
+
+    const { rows: hdr } = await pool.query(
+      `${INVOICE_HEADER_SELECT}
+       WHERE inv.id = $1 AND inv.user_id = $2`,
+      [invoiceId, userId]
+    );
+
+    res.json({ message: 'Payment deleted', invoice: withPaymentStatus(hdr[0]) });
+  } catch (err) {
+    console.error('❌ Invoice payment DELETE failed:', err);
+    res.status(500).json({ error: 'Failed to delete payment' });
+  }
+});
+
+/**
+ * Voids an invoice in place: the record, its lines and its number are kept for the
+ * audit trail, but it carries no balance and drops out of revenue reports.
+ * Refused while payments are recorded against it.
+ */
+async function voidInvoice(req, res, reason) {
+  const invoiceId = req.params.id;
+  const userId = req.user.id;
+  const cleanReason = toString(reason).trim().slice(0, 500);
+
+  if (!cleanReason) return res.status(400).json({ error: 'A void reason is required.' });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(
+      `SELECT voided_at FROM invoices WHERE id = $1 AND user_id = $2 FOR UPDATE`,
+      [invoiceId, userId]
+    );
+    if (!rows[0]) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Access denied: invoice does not belong to user.' });
+    }
+    if (rows[0].voided_at) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Invoice is already voided.' });
+    }
+
+    const { rowCount: paid } = await client.query(
+      `SELECT 1 FROM invoice_payments WHERE invoice_id = $1 LIMIT 1`,
+      [invoiceId]
+    );
+    if (paid > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        error: 'Invoice has recorded payments. Delete them or issue a credit note instead.',
+      });
+    }
+
+    await client.query(
+      `UPDATE invoices
+          SET voided_at = (CURRENT_TIMESTAMP AT TIME ZONE 'America/New_York'),
+              void_reason = $1
+        WHERE id = $2 AND user_id = $3`,
+      [cleanReason, invoiceId, userId]
+    );
+
+    const { rows: hdr } = await client.query(
+      `${INVOICE_HEADER_SELECT}
+       WHERE inv.id = $1 AND inv.user_id = $2`,
+      [invoiceId, userId]
+    );
+
+    await client.query('COMMIT');
+    res.json({ message: 'Invoice voided', invoice: withPaymentStatus(hdr[0]) });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Invoice void failed:', err);
+    res.status(500).json({ error: 'Failed to void invoice' });
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * POST /api/invoices/:id/void
+ * Body: { reason }
+ */
+router.post('/:id/void', (req, res) => voidInvoice(req, res, req.body?.reason));
+
+/**
+ * GET /api/invoices/:id/credit-notes
+ * Credit notes issued against the invoice, with their lines.
+ */
+router.get('/:id/credit-notes', async (req, res) => {
   const invoiceId = req.params.id;
   const userId = req.user.id;
 
@@ -427,15 +861,222 @@ router.delete('/:id', async (req, res) => {
       return res.status(403).json({ error: 'Access denied: invoice does not belong to user.' });
     }
 
-    await pool.query(`DELETE FROM invoice_items WHERE invoice_id = $1`, [invoiceId]);
-    await pool.query(`DELETE FROM custom_invoice_items WHERE invoice_id = $1`, [invoiceId]);
-    await pool.query(`DELETE FROM invoices WHERE id = $1 AND user_id = $2`, [invoiceId, userId]);
+    const { rows } = await pool.query(
+      `SELECT
+         cn.id,
+         cn.credit_number,
+         cn.invoice_id,
+         cn.reason,
+         ROUND(cn.total, 2) AS total,
+         cn.created_at,
+         COALESCE(
+           json_agg(
+             json_build_object(
+               'line_type',      cni.line_type,
+               'source_line_id', cni.source_line_id,
+               'product_name',   cni.product_name,
+               'size',           cni.size,
+               'quantity',       cni.quantity,
+               'price',          cni.price::numeric(12,2),
+               'taxable',        cni.taxable
+             ) ORDER BY cni.id
+           ) FILTER (WHERE cni.id IS NOT NULL),
+           '[]'
+         ) AS items
+       FROM credit_notes cn
+       LEFT JOIN credit_note_items cni ON cni.credit_note_id = cn.id
+       WHERE cn.invoice_id = $1 AND cn.user_id = $2
+       GROUP BY cn.id
+       ORDER BY cn.created_at ASC, cn.id ASC`,
+      [invoiceId, userId]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('❌ Credit notes GET failed:', err);
+    res.status(500).json({ error: 'Failed to load credit notes' });
+  }
+});
+
+/**
+ * POST /api/invoices/:id/credit-notes
+ * Body: { reason, lines?: [{ type: 'variation'|'custom', line_id, quantity }] }
+ * Omit `lines` for a full credit of everything not yet credited. A partial credit is
+ * valued as its share of the invoice total (tax and discount included), so the
+ * credit notes of an invoice never add up to more than the invoice itself.
+ */
+router.post('/:id/credit-notes', async (req, res) => {
+  const invoiceId = parseInt(req.params.id, 10);
+  const userId = req.user.id;
+  const { reason, lines } = req.body || {};
+
+  if (!Number.isFinite(invoiceId)) return res.status(400).json({ error: 'Invalid invoice id' });
+
+  const cleanReason = toString(reason).trim().slice(0, 500);
+  if (!cleanReason) return res.status(400).json({ error: 'A credit reason is required.' });
+
+  const wantsFull = !Array.isArray(lines) || lines.length === 0;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows: invRows } = await client.query(
+      `SELECT inv.total, inv.voided_at, COALESCE(inv.tax_rate, si.tax_rate, 0.06) AS tax_rate
+         FROM invoices inv
+         LEFT JOIN store_info si ON si.user_id = inv.user_id
+        WHERE inv.id = $1 AND inv.user_id = $2
+        FOR UPDATE OF inv`,
+      [invoiceId, userId]
+    );
+    const inv = invRows[0];
+    if (!inv) {
+      await client.query('ROLLBACK');
+      return res.status(403).json({ error: 'Access denied: invoice does not belong to user.' });
+    }
+    if (inv.voided_at) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Cannot credit a voided invoice.' });
+    }
+
+    const { rows: origLines } = await client.query(
+      `SELECT 'variation'                              AS line_type,
+              ii.id                                    AS line_id,
+              COALESCE(ii.display_name, p.name, 'Item') AS product_name,
+              COALESCE(pv.size, '')                    AS size,
+              ii.quantity,
+              COALESCE(ii.price, pv.price, 0)          AS price,
+              COALESCE(ii.taxable, TRUE)               AS taxable
+         FROM invoice_items ii
+         LEFT JOIN product_variations pv ON ii.product_variation_id = pv.id
+         LEFT JOIN products p            ON pv.product_id = p.id
+        WHERE ii.invoice_id = $1
+       UNION ALL
+       SELECT 'custom', ci.id, ci.product_name, ci.size, ci.quantity, ci.price, COALESCE(ci.taxable, TRUE)
+         FROM custom_invoice_items ci
+        WHERE ci.invoice_id = $1`,
+      [invoiceId]
+    );
 
-    res.json({ message: 'Invoice deleted' });
+    const { rows: creditedRows } = await client.query(
+      `SELECT cni.line_type, cni.source_line_id, SUM(cni.quantity)::int AS qty
+         FROM credit_note_items cni
+         JOIN credit_notes cn ON cn.id = cni.credit_note_id
+        WHERE cn.invoice_id = $1
+        GROUP BY cni.line_type, cni.source_line_id`,
+      [invoiceId]
+    );
+    const { rows: prior } = await client.query(
+      `SELECT COALESCE(SUM(total), 0) AS credited FROM credit_notes WHERE invoice_id = $1`,
+      [invoiceId]
+    );
+
+    const keyOf = (type, id) => `${type}:${id}`;
+    const remaining = new Map(origLines.map(l => [keyOf(l.line_type, l.line_id), Number(l.quantity) || 0]));
+    for (const c of creditedRows) {
+      const k = keyOf(c.line_type, c.source_line_id);
+      if (remaining.has(k)) remaining.set(k, remaining.get(k) - c.qty);
+    }
+    const byKey = new Map(origLines.map(l => [keyOf(l.line_type, l.line_id), l]));
+
+    // Requested quantities per original line
+    const requested = new Map();
+    if (wantsFull) {
+      for (const [k, qty] of remaining) if (qty > 0) requested.set(k, qty);
+    } else {
+      for (const it of lines) {
+        const type = toString(it.type || it.line_type).toLowerCase() === 'custom' ? 'custom' : 'variation';
+        const k = keyOf(type, Number(it.line_id));
+        const qty = parseInt(it.quantity, 10);
+        if (!byKey.has(k)) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: `Line ${type} #${it.line_id} is not on this invoice.` });
+        }
+        if (!(qty >= 1)) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({ error: 'Credited quantity must be at least 1.' });
+        }
+        requested.set(k, (requested.get(k) || 0) + qty);
+      }
+      for (const [k, qty] of requested) {
+        if (qty > remaining.get(k)) {
+          await client.query('ROLLBACK');
+          return res.status(400).json({
+            error: `Only ${Math.max(0, remaining.get(k))} left to credit on ${byKey.get(k).product_name}.`,
+          });
+        }
+      }
+    }
+
+    if (requested.size === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Nothing left to credit on this invoice.' });
+    }
+
+    // Value the credit as its share of the invoice total (tax + discount included)
+    const taxRate = Number(inv.tax_rate) || 0;
+    const grossOf = (l, qty) => Number(l.price) * qty * (l.taxable ? 1 + taxRate : 1);
+    const invoiceGross = origLines.reduce((sum, l) => sum + grossOf(l, Number(l.quantity) || 0), 0);
+    let creditGross = 0;
+    for (const [k, qty] of requested) creditGross += grossOf(byKey.get(k), qty);
+
+    const creditable = round2(Number(inv.total) - Number(prior[0].credited));
+    const coversAll = [...remaining].every(([k, qty]) => qty <= 0 || requested.get(k) === qty);
+    let creditTotal = coversAll
+      ? creditable
+      : round2(invoiceGross > 0 ? (Number(inv.total) * creditGross) / invoiceGross : 0);
+    creditTotal = Math.min(creditTotal, creditable);
+
+    if (!(creditTotal > 0)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({ error: 'Nothing left to credit on this invoice.' });
+    }
+
+    const creditNumber = await nextDocumentNumber(client, userId, 'credit_note');
+    const { rows: cnRows } = await client.query(
+      `INSERT INTO credit_notes (user_id, invoice_id, credit_number, reason, total)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, credit_number, invoice_id, reason, ROUND(total, 2) AS total, created_at`,
+      [userId, invoiceId, creditNumber, cleanReason, creditTotal]
+    );
+    const creditNote = cnRows[0];
+
+    const items = [];
+    for (const [k, qty] of requested) {
+      const l = byKey.get(k);
+      await client.query(
+        `INSERT INTO credit_note_items
+           (credit_note_id, line_type, source_line_id, product_name, size, quantity, price, taxable)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [creditNote.id, l.line_type, l.line_id, l.product_name, l.size, qty, l.price, l.taxable]
+      );
+      items.push({
+        line_type: l.line_type,
+        source_line_id: l.line_id,
+        product_name: l.product_name,
+        size: l.size,
+        quantity: qty,
+        price: l.price,
+        taxable: l.taxable,
+      });
+    }
+
+    await client.query('COMMIT');
+    res.status(201).json({ message: 'Credit note issued', creditNote: { ...creditNote, items } });
   } catch (err) {
-    console.error('❌ Invoices DELETE failed:', err);
-    res.status(500).json({ error: 'Internal server error' });
+    await client.query('ROLLBACK');
+    console.error('❌ Credit note POST failed:', err);
+    res.status(500).json({ error: 'Failed to issue credit note' });
+  } finally {
+    client.release();
   }
 });
 
+/**
+ * DELETE /api/invoices/:id
+ * Kept for older clients: voids instead of removing the record.
+ * Body/query: { reason? }
+ */
+router.delete('/:id', (req, res) =>
+  voidInvoice(req, res, req.body?.reason || req.query.reason || 'Deleted'));
+
 module.exports = router;
@@ -2,6 +2,14 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../db');
 const authenticate = require('../middleware/authenticate');
+const { PRICE_BREAKS_JSON, parsePriceBreaks, replacePriceBreaks } = require('../utils/priceBreaks');
+const {
+  PRICING_MODES,
+  PRICING_MODE_SQL,
+  parseAreaRates,
+  loadPricedVariation,
+  quoteVariationLine,
+} = require('../utils/areaPricing');
 
 // All routes require authentication
 router.use(authenticate);
@@ -9,7 +17,9 @@ router.use(authenticate);
 /**
  * GET /api/products
  * Fetch base products with ONLY this user's NON-archived variations aggregated,
- * and EXCLUDE any base product the user archived.
+ * and EXCLUDE any base product the user archived. Each variation carries its
+ * price_breaks ([{ min_quantity, unit_price | flat_price }], ascending) and area rates
+ * (sqft_rate, min_charge, finishing_rates), used when the product's pricing_mode is 'area'.
  */
 router.get('/', async (req, res) => {
   const userId = req.user.id;
@@ -23,6 +33,7 @@ router.get('/', async (req, res) => {
         p.description,
         p.base_price,
         p.example_image,
+        ${PRICING_MODE_SQL} AS pricing_mode,
         COALESCE(
           json_agg(
             json_build_object(
@@ -30,7 +41,11 @@ router.get('/', async (req, res) => {
               'quantity',    v.quantity,
               'size',        v.size,
               'accessory',   v.accessory,
-              'price',       v.price
+              'price',       v.price,
+              'price_breaks', ${PRICE_BREAKS_JSON},
+              'sqft_rate',   v.sqft_rate,
+              'min_charge',  v.min_charge,
+              'finishing_rates', v.finishing_rates
             )
           ) FILTER (WHERE v.id IS NOT NULL),
           '[]'
@@ -40,13 +55,17 @@ router.get('/', async (req, res) => {
       LEFT JOIN user_archived_products upa
         ON upa.product_id = p.id
        AND upa.user_id = $1
+      -- this user's pricing mode for the product, if they picked one
+      LEFT JOIN user_product_pricing upp
+        ON upp.product_id = p.id
+       AND upp.user_id = $1
       -- include only this user's NON-archived variations
       LEFT JOIN product_variations v
         ON v.product_id = p.id
        AND v.user_id   = $1
        AND COALESCE(v.archived, false) = false
       WHERE COALESCE(upa.archived, false) = false
-      GROUP BY p.id
+      GROUP BY p.id, upp.pricing_mode
       ORDER BY p.id
       `,
       [userId]
@@ -62,36 +81,58 @@ router.get('/', async (req, res) => {
 /**
  * POST /api/products/:productId/variations
  * Create a new variation tied to the logged-in user.
+ * Optional price_breaks: [{ min_quantity, unit_price | flat_price }] (see PUT .../price-breaks)
+ * and area rates sqft_rate, min_charge, finishing_rates (see PUT .../area-pricing); with a
+ * sqft_rate, price may be left out (0).
  */
 router.post('/:productId/variations', async (req, res) => {
   const userId = req.user.id;
   const { productId } = req.params;
-  const { size, price, accessory, quantity } = req.body;
+  const { size, accessory, quantity, price_breaks } = req.body;
 
-  if (size == null && quantity == null) {
+  const area = parseAreaRates(req.body || {});
+  if (area.error) return res.status(400).json({ error: area.error });
+  const price = req.body.price ?? (area.values.sqft_rate != null ? 0 : null);
+
+  if (size == null && quantity == null && area.values.sqft_rate == null) {
     return res.status(400).json({ error: 'Quantity or size is required' });
   }
   if (price == null) {
     return res.status(400).json({ error: 'Price is required' });
   }
+  const parsed = price_breaks == null ? { breaks: [] } : parsePriceBreaks(price_breaks);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
 
+  const client = await pool.connect();
   try {
-    const result = await pool.query(
+    await client.query('BEGIN');
+    const result = await client.query(
       `
-      INSERT INTO product_variations (product_id, user_id, quantity, size, price, accessory)
-      VALUES ($1, $2, $3, $4, $5, $6)
+      INSERT INTO product_variations (product_id, user_id, quantity, size, price, accessory,
+                                      sqft_rate, min_charge, finishing_rates)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, 0), COALESCE($9::jsonb, '{}'::jsonb))
       RETURNING *
       `,
-      [productId, userId, quantity ?? null, size ?? null, price, accessory || 'None']
+      [
+        productId, userId, quantity ?? null, size ?? null, price, accessory || 'None',
+        area.values.sqft_rate ?? null, area.values.min_charge ?? null,
+        area.values.finishing_rates ? JSON.stringify(area.values.finishing_rates) : null,
+      ]
     );
+    const variation = result.rows[0];
+    variation.price_breaks = await replacePriceBreaks(client, userId, variation.id, parsed.breaks);
+    await client.query('COMMIT');
 
     res.status(201).json({
       message: 'Variation added',
-      variation: result.rows[0],
+      variation,
     });
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('POST /api/products/:productId/variations error:', error);
     res.status(500).json({ error: 'Failed to add variation' });
+  } finally {
+    client.release();
   }
 });
 
@@ -137,6 +178,180 @@ router.put('/variations/:id/price', async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/products/variations/:id/price-breaks
+ * Replace the quantity price breaks of a variation (only if not archived).
+ * Body: { breaks: [{ min_quantity, unit_price } | { min_quantity, flat_price }] } — a tier
+ * applies from min_quantity up to the next one; flat_price is the price of the whole line.
+ * Below the first tier (or with breaks: []) the variation's price applies.
+ */
+router.put('/variations/:id/price-breaks', async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+  const parsed = parsePriceBreaks(req.body?.breaks);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const own = await client.query(
+      `
+      SELECT id FROM product_variations
+       WHERE id = $1
+         AND user_id = $2
+         AND COALESCE(archived, false) = false
+       FOR UPDATE
+      `,
+      [id, userId]
+    );
+    if (own.rowCount === 0) {
+      await client.query('ROLLBACK');
+      return res
+        .status(404)
+        .json({ error: 'Variation not found, not owned by you, or archived' });
+    }
+
+    const breaks = await replacePriceBreaks(client, userId, own.rows[0].id, parsed.breaks);
+    await client.query('COMMIT');
+
+    res.json({
+      message: 'Price breaks updated',
+      variation_id: own.rows[0].id,
+      price_breaks: breaks,
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('PUT /api/products/variations/:id/price-breaks error:', error);
+    res.status(500).json({ error: 'Failed to update price breaks' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * PUT /api/products/variations/:id/area-pricing
+ * Set the area rates of a variation (only if not archived); keys not sent are kept.
+ * Body: { sqft_rate?, min_charge?, finishing_rates? } — min_charge is per piece;
+ * finishing_rates are per linear foot of finished edge, e.g. { grommets: 0.75, hemming: 0.5 }.
+ */
+router.put('/variations/:id/area-pricing', async (req, res) => {
+  const userId = req.user.id;
+  const { id } = req.params;
+  const area = parseAreaRates(req.body || {});
+  if (area.error) return res.status(400).json({ error: area.error });
+  const v = area.values;
+
+  try {
+    const result = await pool.query(
+      `
+      UPDATE product_variations
+         SET sqft_rate       = CASE WHEN $3 THEN $4::numeric ELSE sqft_rate END,
+             min_charge      = COALESCE($5, min_charge),
+             finishing_rates = COALESCE($6::jsonb, finishing_rates)
+       WHERE id = $1
+         AND user_id = $2
+         AND COALESCE(archived, false) = false
+       RETURNING *
+      `,
+      [
+        id, userId, 'sqft_rate' in v, v.sqft_rate ?? null, v.min_charge ?? null,
+        v.finishing_rates ? JSON.stringify(v.finishing_rates) : null,
+      ]
+    );
+
+    if (result.rowCount === 0) {
+      return res
+        .status(404)
+        .json({ error: 'Variation not found, not owned by you, or archived' });
+    }
+
+    res.json({
+      message: 'Area pricing updated',
+      variation: result.rows[0],
+    });
+  } catch (error) {
+    console.error('PUT /api/products/variations/:id/area-pricing error:', error);
+    res.status(500).json({ error: 'Failed to update area pricing' });
+  }
+});
+
+/**
+ * PUT /api/products/:productId/pricing-mode
+ * Body: { pricing_mode: 'fixed' | 'area' } — how this user's lines of the product are priced.
+ */
+router.put('/:productId/pricing-mode', async (req, res) => {
+  const userId = req.user.id;
+  const { productId } = req.params;
+  const mode = String(req.body?.pricing_mode || '').toLowerCase();
+
+  if (!PRICING_MODES.includes(mode)) {
+    return res.status(400).json({ error: `pricing_mode must be one of: ${PRICING_MODES.join(', ')}` });
+  }
+
+  try {
+    const product = await pool.query(`SELECT id FROM products WHERE id = $1`, [productId]);
+    if (product.rowCount === 0) return res.status(404).json({ error: 'Product not found' });
+
+    const result = await pool.query(
+      `
+      INSERT INTO user_product_pricing (user_id, product_id, pricing_mode, updated_at)
+      VALUES ($1, $2, $3, NOW())
+      ON CONFLICT (user_id, product_id)
+      DO UPDATE SET pricing_mode = EXCLUDED.pricing_mode, updated_at = EXCLUDED.updated_at
+      RETURNING product_id, pricing_mode
+      `,
+      [userId, product.rows[0].id, mode]
+    );
+
+    res.json({
+      message: 'Pricing mode updated',
+      ...result.rows[0],
+    });
+  } catch (error) {
+    console.error('PUT /api/products/:productId/pricing-mode error:', error);
+    res.status(500).json({ error: 'Failed to update pricing mode' });
+  }
+});
+
+/**
+ * POST /api/products/:productId/quote
+ * Price preview of one line, nothing saved.
+ * Body: { variation_id, quantity?, width?, height?, dimension_unit? (in|ft), finishing? }
+ * finishing: ['grommets'] or [{ type: 'grommets', edges: 'all' | ['top', 'bottom'] }].
+ * Area products return the breakdown (area_sqft, area_charge, minimum_applied, finishing);
+ * fixed ones the matching price break. Both return unit_price and line_total.
+ */
+router.post('/:productId/quote', async (req, res) => {
+  const userId = req.user.id;
+  const productId = Number(req.params.productId);
+  const body = req.body || {};
+  const variationId = Number(body.variation_id ?? body.variationId);
+  const qty = Math.max(1, parseInt(body.quantity, 10) || 1);
+
+  if (!Number.isInteger(variationId)) {
+    return res.status(400).json({ error: 'variation_id is required' });
+  }
+
+  try {
+    const variation = await loadPricedVariation(pool, variationId);
+    const owned = variation
+      && Number(variation.user_id) === Number(userId)
+      && Number(variation.product_id) === productId
+      && !variation.archived;
+    if (!owned) {
+      return res.status(404).json({ error: 'Variation not found, not owned by you, or archived' });
+    }
+
+    const quote = await quoteVariationLine(pool, variation, qty, body);
+    if (quote.error) return res.status(400).json({ error: quote.error });
+
+    res.json({ product_id: productId, variation_id: variationId, ...quote });
+  } catch (error) {
+    console.error('POST /api/products/:productId/quote error:', error);
+    res.status(500).json({ error: 'Failed to quote' });
+  }
+});
+
 /**
  * DELETE /api/products/variations/:id
  * Soft-delete (archive) a variation for the logged-in user.
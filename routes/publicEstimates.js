@@ -0,0 +1,277 @@
+// backend/routes/publicEstimates.js
+// Unauthenticated estimate approval pages, reached through POST /api/estimates/:id/share links.
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const { readShareToken } = require('../utils/estimateShare');
+const { convertEstimateToInvoice } = require('../utils/estimateConversion');
+const { TODAY_SQL, EXPIRABLE_STATUSES, isEstimateExpired } = require('../utils/estimateExpiry');
+const {
+  estimateTotals,
+  recomputeEstimateTotal,
+  selectEstimateOption,
+} = require('../utils/estimateOptions');
+const { snapshotEstimateRevision } = require('../utils/estimateRevisions');
+const { ESTIMATE_HEADER_SELECT, loadEstimateItems } = require('../utils/documentLoaders');
+const { loadStoreProfile } = require('../utils/storeInfo');
+const { toString } = require('../utils/lineItems');
+const { renderEstimatePdf } = require('../pdf/invoicePdf');
+
+const MAX_SIGNATURE_IMAGE = 500 * 1024; // data-URL characters
+const SIGNATURE_IMAGE_RE = /^data:image\/(png|jpeg);base64,[A-Za-z0-9+/=]+$/;
+const DECIDED = ['approved', 'declined'];
+// Statuses in which the customer can no longer approve or decline
+const CLOSED = [...DECIDED, 'converted', 'expired'];
+
+/**
+ * Resolves a share token to { estimateId, userId } when the token is valid and
+ * still the estimate's current link; null otherwise.
+ */
+async function resolveShare(db, token, { forUpdate = false } = {}) {
+  const share = readShareToken(token);
+  if (!share) return null;
+
+  const { rows } = await db.query(
+    `SELECT id, user_id, status,
+            (valid_until IS NOT NULL AND valid_until < ${TODAY_SQL}) AS valid_until_passed
+       FROM estimates
+      WHERE id = $1
+        AND share_token_id = $2
+        AND (share_expires_at IS NULL OR share_expires_at > NOW())
+      ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [share.estimateId, share.jti]
+  );
+  if (!rows[0]) return null;
+  // The expiry job may not have run yet; a lapsed open quote is already expired here
+  const status =
+    EXPIRABLE_STATUSES.includes(rows[0].status) && isEstimateExpired(rows[0]) ? 'expired' : rows[0].status;
+  return { estimateId: rows[0].id, userId: rows[0].user_id, status };
+}
+
+async function loadSharedDocument(db, estimateId, userId) {
+  const { rows } = await db.query(
+    `${ESTIMATE_HEADER_SELECT}
+     WHERE e.id = $1 AND e.user_id = $2`,
+    [estimateId, userId]
+  );
+  const items = await loadEstimateItems(db, estimateId);
+  const store = await loadStoreProfile(db, userId);
+  return { header: rows[0], items, store };
+}
+
+const clientIp = (req) => toString(req.ip || req.socket?.remoteAddress).slice(0, 100) || null;
+const clientAgent = (req) => toString(req.get('user-agent')).slice(0, 500) || null;
+
+const LINK_GONE = { error: 'This approval link is invalid or has expired.' };
+
+/** GET /api/public/estimates/:token — estimate as the customer sees it */
+router.get('/:token', async (req, res) => {
+  try {
+    const share = await resolveShare(pool, req.params.token);
+    if (!share) return res.status(404).json(LINK_GONE);
+
+    const { header, items, store } = await loadSharedDocument(pool, share.estimateId, share.userId);
+    const { groups } = await estimateTotals(pool, share.userId, share.estimateId);
+
+    const { rows: sig } = await pool.query(
+      `SELECT decision, signer_name, signature_text, decline_reason, signed_at
+         FROM estimate_signatures
+        WHERE estimate_id = $1
+        ORDER BY signed_at DESC, id DESC
+        LIMIT 1`,
+      [share.estimateId]
+    );
+
+    res.json({
+      estimate: {
+        estimate_number: header.estimate_number,
+        estimate_date: header.estimate_date,
+        customer_info: header.customer_info,
+        total: header.total,
+        tax_exempt: header.tax_exempt,
+        notes: header.notes,
+        status: share.status,
+        valid_until: header.valid_until,
+        link_expires_at: header.share_expires_at,
+      },
+      items,
+      option_groups: groups,
+      store: {
+        name: store.name,
+        address: store.address,
+        phone: store.phone,
+        email: store.email,
+        logo_url: store.logo_url,
+        tax_rate: store.tax_rate,
+        disclaimer: store.disclaimer,
+      },
+      decision: [...DECIDED, 'converted'].includes(share.status) ? sig[0] || null : null,
+    });
+  } catch (err) {
+    console.error('❌ Public estimate GET failed:', err);
+    res.status(500).json({ error: 'Failed to load estimate' });
+  }
+});
+
+/** GET /api/public/estimates/:token/pdf */
+router.get('/:token/pdf', async (req, res) => {
+  try {
+    const share = await resolveShare(pool, req.params.token);
+    if (!share) return res.status(404).json(LINK_GONE);
+
+    const doc = await loadSharedDocument(pool, share.estimateId, share.userId);
+    const pdf = await renderEstimatePdf(doc);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `inline; filename="estimate-${doc.header.estimate_number || doc.header.id}.pdf"`
+    );
+    res.send(pdf);
+  } catch (err) {
+    console.error('❌ Public estimate PDF failed:', err);
+    res.status(500).json({ error: 'Failed to render estimate PDF' });
+  }
+});
+
+/**
+ * POST /api/public/estimates/:token/approve
+ * Body: { signer_name, signature_text?, signature_image? (PNG/JPEG data URL), selected_options? }
+ * At least one of signature_text / signature_image is required. selected_options
+ * (option ids) records the customer's choice in each option group before signing.
+ * Converts to an invoice when store_info.auto_convert_on_approval is on.
+ */
+router.post('/:token/approve', async (req, res) => {
+  const signerName = toString(req.body?.signer_name).trim().slice(0, 200);
+  const signatureText = toString(req.body?.signature_text).trim().slice(0, 200) || null;
+  const signatureImage = toString(req.body?.signature_image).trim() || null;
+  const selectedOptions = Array.isArray(req.body?.selected_options)
+    ? req.body.selected_options.map(Number)
+    : [];
+
+  if (!signerName) return res.status(400).json({ error: 'signer_name is required' });
+  if (!signatureText && !signatureImage) {
+    return res.status(400).json({ error: 'A typed or drawn signature is required' });
+  }
+  if (signatureImage) {
+    if (signatureImage.length > MAX_SIGNATURE_IMAGE) {
+      return res.status(400).json({ error: 'Signature image is too large' });
+    }
+    if (!SIGNATURE_IMAGE_RE.test(signatureImage)) {
+      return res.status(400).json({ error: 'signature_image must be a PNG or JPEG data URL' });
+    }
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const share = await resolveShare(client, req.params.token, { forUpdate: true });
+    if (!share) {
+      await client.query('ROLLBACK');
+      return res.status(404).json(LINK_GONE);
+    }
+    if (CLOSED.includes(share.status)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `Estimate already ${share.status}` });
+    }
+
+    for (const optionId of selectedOptions) {
+      if (!Number.isInteger(optionId) || !(await selectEstimateOption(client, share.estimateId, optionId))) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: 'selected_options contains an unknown option' });
+      }
+    }
+    if (selectedOptions.length) {
+      await recomputeEstimateTotal(client, share.userId, share.estimateId);
+      await snapshotEstimateRevision(client, share.userId, share.estimateId);
+    }
+
+    const { rows: sigRows } = await client.query(
+      `INSERT INTO estimate_signatures
+         (estimate_id, user_id, decision, signer_name, signature_text, signature_image, ip, user_agent)
+       VALUES ($1, $2, 'approved', $3, $4, $5, $6, $7)
+       RETURNING signed_at`,
+      [share.estimateId, share.userId, signerName, signatureText, signatureImage, clientIp(req), clientAgent(req)]
+    );
+    await client.query(
+      `UPDATE estimates SET status = 'approved' WHERE id = $1`,
+      [share.estimateId]
+    );
+
+    const { rows: cfg } = await client.query(
+      `SELECT COALESCE(auto_convert_on_approval, FALSE) AS auto_convert
+         FROM store_info WHERE user_id = $1`,
+      [share.userId]
+    );
+
+    let invoiceNumber = null;
+    if (cfg[0]?.auto_convert) {
+      // Invoiced at the estimate's own discount, as the customer approved it
+      const converted = await convertEstimateToInvoice(client, share.userId, share.estimateId);
+      invoiceNumber = converted.invoiceNumber;
+    }
+
+    await client.query('COMMIT');
+    res.status(201).json({
+      ok: true,
+      status: invoiceNumber ? 'converted' : 'approved',
+      signed_at: sigRows[0].signed_at,
+      invoice_number: invoiceNumber,
+    });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Public estimate approve failed:', err);
+    res.status(500).json({ error: 'Failed to record approval' });
+  } finally {
+    client.release();
+  }
+});
+
+/**
+ * POST /api/public/estimates/:token/decline
+ * Body: { signer_name, reason? }
+ */
+router.post('/:token/decline', async (req, res) => {
+  const signerName = toString(req.body?.signer_name).trim().slice(0, 200);
+  const reason = toString(req.body?.reason).trim().slice(0, 1000) || null;
+
+  if (!signerName) return res.status(400).json({ error: 'signer_name is required' });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const share = await resolveShare(client, req.params.token, { forUpdate: true });
+    if (!share) {
+      await client.query('ROLLBACK');
+      return res.status(404).json(LINK_GONE);
+    }
+    if (CLOSED.includes(share.status)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: `Estimate already ${share.status}` });
+    }
+
+    const { rows } = await client.query(
+      `INSERT INTO estimate_signatures
+         (estimate_id, user_id, decision, signer_name, decline_reason, ip, user_agent)
+       VALUES ($1, $2, 'declined', $3, $4, $5, $6)
+       RETURNING signed_at`,
+      [share.estimateId, share.userId, signerName, reason, clientIp(req), clientAgent(req)]
+    );
+    await client.query(
+      `UPDATE estimates SET status = 'declined' WHERE id = $1`,
+      [share.estimateId]
+    );
+
+    await client.query('COMMIT');
+    res.status(201).json({ ok: true, status: 'declined', signed_at: rows[0].signed_at });
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('❌ Public estimate decline failed:', err);
+    res.status(500).json({ error: 'Failed to record decline' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,279 @@
+// backend/routes/recurringInvoices.js
+// Recurring invoice templates. The runner in utils/recurringInvoices.js turns them into
+// invoices on schedule; these routes only manage the templates.
+const express = require('express');
+const router = express.Router();
+const pool = require('../db');
+const { toString, toBool, normalizeDiscount, variationLinesError } = require('../utils/lineItems');
+const { parsePaymentTerms } = require('../utils/paymentTerms');
+const {
+  shopToday,
+  parseSchedule,
+  occurrenceOnOrAfter,
+  upcomingOccurrences,
+} = require('../utils/recurrence');
+const { RECURRING_SELECT, scheduleOf } = require('../utils/recurringInvoices');
+
+const MAX_LINES = 200;
+
+/**
+ * Validates a template body (same line / discount / terms fields as POST /api/invoices).
+ * Returns the column values or { error }.
+ */
+function templateFromBody(body) {
+  const {
+    name,
+    customer_id,
+    customer_info,
+    variationItems = [],
+    customItems = [],
+    discount_type,
+    discount_value,
+    notes,
+    payment_terms,
+    payment_terms_days,
+    auto_email,
+  } = body || {};
+
+  const schedule = parseSchedule(body || {});
+  if (schedule.error) return { error: schedule.error };
+
+  if (!Array.isArray(variationItems) || !Array.isArray(customItems)) {
+    return { error: 'variationItems and customItems must be arrays' };
+  }
+  if (variationItems.length + customItems.length === 0) {
+    return { error: 'A recurring invoice needs at least one line item' };
+  }
+  if (variationItems.length + customItems.length > MAX_LINES) {
+    return { error: `A recurring invoice can have at most ${MAX_LINES} line items` };
+  }
+
+  const terms = parsePaymentTerms(payment_terms, payment_terms_days);
+  if (terms?.error) return { error: terms.error };
+
+  const customer = customer_info && typeof customer_info === 'object' ? { ...customer_info } : {};
+  const customerId = customer_id != null && customer_id !== '' ? Number(customer_id) : customer.id ?? null;
+  if (customerId != null && !Number.isInteger(Number(customerId))) {
+    return { error: 'customer_id must be a number' };
+  }
+  if (customerId != null && customer.id == null) customer.id = Number(customerId);
+
+  const { discType, discVal } = normalizeDiscount(discount_type, discount_value);
+
+  return {
+    schedule,
+    values: {
+      name: toString(name).trim().slice(0, 200),
+      customer_id: customerId != null ? Number(customerId) : null,
+      customer_info: customer,
+      variation_items: JSON.stringify(variationItems),
+      custom_items: JSON.stringify(customItems),
+      discount_type: discType,
+      discount_value: discVal,
+      notes: toString(notes).slice(0, 2000),
+      payment_terms: terms?.terms || null,
+      payment_terms_days: terms ? terms.days : null,
+      auto_email: toBool(auto_email, false),
+    },
+  };
+}
+
+/** Loads the user's template, or null. */
+async function loadTemplate(db, userId, id) {
+  const { rows } = await db.query(`${RECURRING_SELECT} WHERE id = $1 AND user_id = $2`, [id, userId]);
+  return rows[0] || null;
+}
+
+/** GET /api/recurring-invoices */
+router.get('/', async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `${RECURRING_SELECT}
+        WHERE user_id = $1
+        ORDER BY active DESC, next_run_date ASC NULLS LAST, id ASC`,
+      [req.user.id]
+    );
+    res.json(rows);
+  } catch (err) {
+    console.error('❌ Recurring invoices GET failed:', err);
+    res.status(500).json({ error: 'Failed to load recurring invoices' });
+  }
+});
+
+/**
+ * GET /api/recurring-invoices/:id
+ * Template plus its run history (newest first) and the next scheduled dates.
+ */
+router.get('/:id', async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const tpl = await loadTemplate(pool, userId, req.params.id);
+    if (!tpl) return res.status(403).json({ error: 'Access denied' });
+
+    const { rows: runs } = await pool.query(
+      `SELECT r.id,
+              r.run_date::text AS run_date,
+              r.invoice_id,
+              inv.invoice_number,
+              r.email_status,
+              r.emailed_at,
+              r.email_error,
+              r.created_at
+         FROM recurring_invoice_runs r
+         LEFT JOIN invoices inv ON inv.id = r.invoice_id
+        WHERE r.recurring_id = $1 AND r.user_id = $2
+        ORDER BY r.run_date DESC
+        LIMIT 100`,
+      [tpl.id, userId]
+    );
+
+    const upcoming = tpl.active && tpl.next_run_date
+      ? upcomingOccurrences(scheduleOf(tpl), tpl.next_run_date)
+      : [];
+
+    res.json({ ...tpl, runs, upcoming });
+  } catch (err) {
+    console.error('❌ Recurring invoice GET failed:', err);
+    res.status(500).json({ error: 'Failed to load recurring invoice' });
+  }
+});
+
+/**
+ * POST /api/recurring-invoices
+ * Body: { name?, customer_id?, customer_info?, variationItems, customItems, discount_type,
+ *         discount_value, notes, payment_terms?, payment_terms_days?, cadence, interval?,
+ *         rule? (custom), start_date, end_date?, auto_email? }
+ * The first invoice is created on the first scheduled date from today on.
+ */
+router.post('/', async (req, res) => {
+  const parsed = templateFromBody(req.body);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const { schedule, values: v } = parsed;
+
+  const next = occurrenceOnOrAfter(schedule, shopToday());
+  if (!next) return res.status(400).json({ error: 'Schedule has no dates left before end_date' });
+
+  try {
+    const pricingError = await variationLinesError(pool, req.body.variationItems);
+    if (pricingError) return res.status(400).json({ error: pricingError });
+
+    const { rows } = await pool.query(
+      `INSERT INTO recurring_invoices
+         (user_id, name, customer_id, customer_info, variation_items, custom_items,
+          discount_type, discount_value, notes, payment_terms, payment_terms_days,
+          cadence, interval_count, rule, start_date, end_date, next_run_date, auto_email)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
+       RETURNING id`,
+      [
+        req.user.id, v.name, v.customer_id, v.customer_info, v.variation_items, v.custom_items,
+        v.discount_type, v.discount_value, v.notes, v.payment_terms, v.payment_terms_days,
+        schedule.cadence, schedule.interval, schedule.rule, schedule.start_date, schedule.end_date,
+        next, v.auto_email,
+      ]
+    );
+    res.status(201).json(await loadTemplate(pool, req.user.id, rows[0].id));
+  } catch (err) {
+    console.error('❌ Recurring invoice create failed:', err);
+    res.status(500).json({ error: 'Failed to create recurring invoice' });
+  }
+});
+
+/**
+ * PUT /api/recurring-invoices/:id
+ * Replaces the template. The next run is recomputed from today; dates already billed
+ * are never billed again.
+ */
+router.put('/:id', async (req, res) => {
+  const parsed = templateFromBody(req.body);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const { schedule, values: v } = parsed;
+  const next = occurrenceOnOrAfter(schedule, shopToday());
+
+  try {
+    const pricingError = await variationLinesError(pool, req.body.variationItems);
+    if (pricingError) return res.status(400).json({ error: pricingError });
+
+    const { rows } = await pool.query(
+      `UPDATE recurring_invoices
+          SET name = $3, customer_id = $4, customer_info = $5, variation_items = $6, custom_items = $7,
+              discount_type = $8, discount_value = $9, notes = $10,
+              payment_terms = $11, payment_terms_days = $12,
+              cadence = $13, interval_count = $14, rule = $15, start_date = $16, end_date = $17,
+              next_run_date = $18, auto_email = $19,
+              active = active AND $18::date IS NOT NULL,
+              updated_at = NOW()
+        WHERE id = $1 AND user_id = $2
+        RETURNING id`,
+      [
+        req.params.id, req.user.id,
+        v.name, v.customer_id, v.customer_info, v.variation_items, v.custom_items,
+        v.discount_type, v.discount_value, v.notes, v.payment_terms, v.payment_terms_days,
+        schedule.cadence, schedule.interval, schedule.rule, schedule.start_date, schedule.end_date,
+        next, v.auto_email,
+      ]
+    );
+    if (!rows[0]) return res.status(403).json({ error: 'Access denied' });
+    res.json(await loadTemplate(pool, req.user.id, rows[0].id));
+  } catch (err) {
+    console.error('❌ Recurring invoice update failed:', err);
+    res.status(500).json({ error: 'Failed to update recurring invoice' });
+  }
+});
+
+/** POST /api/recurring-invoices/:id/pause */
+router.post('/:id/pause', async (req, res) => {
+  try {
+    const { rowCount } = await pool.query(
+      `UPDATE recurring_invoices SET active = FALSE, updated_at = NOW()
+        WHERE id = $1 AND user_id = $2`,
+      [req.params.id, req.user.id]
+    );
+    if (rowCount === 0) return res.status(403).json({ error: 'Access denied' });
+    res.json(await loadTemplate(pool, req.user.id, req.params.id));
+  } catch (err) {
+    console.error('❌ Recurring invoice pause failed:', err);
+    res.status(500).json({ error: 'Failed to pause recurring invoice' });
+  }
+});
+
+/**
+ * POST /api/recurring-invoices/:id/resume
+ * Picks up at the next scheduled date from today; dates missed while paused are skipped.
+ */
+router.post('/:id/resume', async (req, res) => {
+  try {
+    const tpl = await loadTemplate(pool, req.user.id, req.params.id);
+    if (!tpl) return res.status(403).json({ error: 'Access denied' });
+
+    const next = occurrenceOnOrAfter(scheduleOf(tpl), shopToday());
+    if (!next) return res.status(409).json({ error: 'Schedule has ended; change end_date to resume it' });
+
+    await pool.query(
+      `UPDATE recurring_invoices SET active = TRUE, next_run_date = $3, updated_at = NOW()
+        WHERE id = $1 AND user_id = $2`,
+      [tpl.id, req.user.id, next]
+    );
+    res.json(await loadTemplate(pool, req.user.id, tpl.id));
+  } catch (err) {
+    console.error('❌ Recurring invoice resume failed:', err);
+    res.status(500).json({ error: 'Failed to resume recurring invoice' });
+  }
+});
+
+/** DELETE /api/recurring-invoices/:id — invoices already created are kept */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { rowCount } = await pool.query(
+      `DELETE FROM recurring_invoices WHERE id = $1 AND user_id = $2`,
+      [req.params.id, req.user.id]
+    );
+    if (rowCount === 0) return res.status(403).json({ error: 'Access denied' });
+    res.json({ message: 'Recurring invoice deleted' });
+  } catch (err) {
+    console.error('❌ Recurring invoice delete failed:', err);
+    res.status(500).json({ error: 'Failed to delete recurring invoice' });
+  }
+});
+
+module.exports = router;
@@ -2,32 +2,64 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../db');
 const authenticate = require('../middleware/authenticate');
+const { creditStatus, PAYMENT_SUMMARY_JOIN, PAYMENT_SUMMARY_COLUMNS, round2 } = require('../utils/invoicePayments');
+const { TODAY_SQL } = require('../utils/estimateExpiry');
+const { invoiceBreakdown } = require('../utils/lineItems');
+const { parseDate } = require('../utils/recurrence');
 
 router.use(authenticate);
 
 // ✅ GET Sales Report with taxable items
+// Voided invoices are left out of revenue; pass include_voided=1 to list them (net_total 0).
+// Credit notes reduce net_total. ?customer_id= limits it to one customer's invoices.
 router.get('/sales', async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, include_voided, customer_id } = req.query;
     const userId = req.user.id;
+    const withVoided = ['1', 'true', 'yes'].includes(String(include_voided || '').toLowerCase());
 
     let query = `
-      SELECT id, customer_info, invoice_date, total
-      FROM invoices
-      WHERE user_id = $1
+      SELECT inv.id,
+             inv.invoice_number,
+             inv.customer_id,
+             inv.customer_info,
+             inv.invoice_date,
+             inv.total,
+             COALESCE(inv.tax_exempt, FALSE) AS tax_exempt,
+             inv.tax_exempt_certificate,
+             inv.voided_at,
+             inv.void_reason,
+             ROUND(COALESCE(cred.amount_credited, 0), 2) AS amount_credited,
+             CASE WHEN inv.voided_at IS NOT NULL THEN 0
+                  ELSE ROUND(inv.total - COALESCE(cred.amount_credited, 0), 2)
+             END AS net_total
+      FROM invoices inv
+      LEFT JOIN LATERAL (
+        SELECT SUM(cn.total) AS amount_credited
+          FROM credit_notes cn
+         WHERE cn.invoice_id = inv.id
+      ) cred ON TRUE
+      WHERE inv.user_id = $1
     `;
     const params = [userId];
 
+    if (!withVoided) {
+      query += ' AND inv.voided_at IS NULL';
+    }
     if (startDate) {
       params.push(startDate);
-      query += ` AND invoice_date >= $${params.length}`;
+      query += ` AND inv.invoice_date >= $${params.length}`;
     }
     if (endDate) {
       params.push(endDate);
-      query += ` AND invoice_date <= $${params.length}`;
+      query += ` AND inv.invoice_date <= $${params.length}`;
+    }
+    if (customer_id) {
+      params.push(parseInt(customer_id, 10) || 0);
+      query += ` AND inv.customer_id = $${params.length}`;
     }
 
-    query += ' ORDER BY invoice_date DESC';
+    query += ' ORDER BY inv.invoice_date DESC';
 
     // ✅ Fetch invoices
     const invoices = await pool.query(query, params);
@@ -61,6 +93,8 @@ router.get('/sales', async (req, res) => {
 
       fullData.push({
         ...invoice,
+        voided: !!invoice.voided_at,
+        credit_status: creditStatus(invoice.total, invoice.amount_credited),
         items: [
           ...variationItems.map(v => ({
             type: 'variation',
@@ -93,4 +127,333 @@ router.get('/sales', async (req, res) => {
   }
 });
 
+
+// ✅ GET Estimate conversion (quote-to-invoice) for estimates dated in the range
+router.get('/estimate-conversion', async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const userId = req.user.id;
+
+    let query = `
+      SELECT e.status,
+             COUNT(*)::int                         AS count,
+             ROUND(COALESCE(SUM(e.total), 0), 2)   AS quoted_total,
+             ROUND(COALESCE(SUM(conv.total), 0), 2) AS billed_total
+      FROM estimates e
+      LEFT JOIN invoices conv ON conv.id = e.converted_invoice_id
+      WHERE e.user_id = $1
+    `;
+    const params = [userId];
+
+    if (startDate) {
+      params.push(startDate);
+      query += ` AND e.estimate_date >= $${params.length}`;
+    }
+    if (endDate) {
+      params.push(endDate);
+      query += ` AND e.estimate_date <= $${params.length}`;
+    }
+    query += ' GROUP BY e.status ORDER BY e.status';
+
+    const { rows } = await pool.query(query, params);
+
+    const total = rows.reduce((n, r) => n + r.count, 0);
+    const converted = rows.find(r => r.status === 'converted');
+    res.json({
+      total_estimates: total,
+      converted: converted ? converted.count : 0,
+      conversion_rate: total ? Math.round(((converted ? converted.count : 0) / total) * 10000) / 10000 : 0,
+      by_status: rows,
+    });
+  } catch (err) {
+    console.error('Error fetching estimate conversion report:', err);
+    res.status(500).json({ error: 'Failed to fetch estimate conversion report' });
+  }
+});
+
+// ✅ GET Sales per customer (net of credit notes, voided invoices left out)
+// Invoices not linked to a customer record are grouped by their bill-to name / company.
+router.get('/sales-by-customer', async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const userId = req.user.id;
+
+    let query = `
+      SELECT inv.customer_id,
+             CASE WHEN inv.customer_id IS NULL
+                  THEN LOWER(TRIM(COALESCE((inv.customer_info::jsonb)->>'name', ''))) || '|' ||
+                       LOWER(TRIM(COALESCE((inv.customer_info::jsonb)->>'company', '')))
+             END AS snapshot_key,
+             MAX(COALESCE(c.name, (inv.customer_info::jsonb)->>'name', ''))       AS name,
+             MAX(COALESCE(c.company, (inv.customer_info::jsonb)->>'company', '')) AS company,
+             COUNT(*)::int                                                        AS invoice_count,
+             ROUND(SUM(inv.total - COALESCE(cred.amount_credited, 0)), 2)         AS net_total,
+             ROUND(SUM(COALESCE(pay.amount_paid, 0)), 2)                          AS amount_paid,
+             MAX(inv.invoice_date)                                                AS last_invoice_date
+      FROM invoices inv
+      LEFT JOIN customers c ON c.id = inv.customer_id
+      ${PAYMENT_SUMMARY_JOIN}
+      WHERE inv.user_id = $1
+        AND inv.voided_at IS NULL
+    `;
+    const params = [userId];
+
+    if (startDate) {
+      params.push(startDate);
+      query += ` AND inv.invoice_date >= $${params.length}`;
+    }
+    if (endDate) {
+      params.push(endDate);
+      query += ` AND inv.invoice_date <= $${params.length}`;
+    }
+    query += ' GROUP BY inv.customer_id, snapshot_key ORDER BY net_total DESC';
+
+    const { rows } = await pool.query(query, params);
+    res.json(rows.map(({ snapshot_key, ...r }) => r));
+  } catch (err) {
+    console.error('Error fetching sales by customer report:', err);
+    res.status(500).json({ error: 'Failed to fetch sales by customer report' });
+  }
+});
+
+// ✅ GET Sales tax: taxable, non-taxable and tax-exempt sales with the tax charged
+// Voided invoices are left out; deposit invoices too (their tax is charged on the final invoice).
+// Exempt sales are the taxable lines of tax-exempt invoices, listed per certificate and customer.
+router.get('/sales-tax', async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+    const userId = req.user.id;
+
+    let query = `
+      SELECT inv.id,
+             inv.invoice_number,
+             inv.invoice_date,
+             inv.customer_id,
+             COALESCE(c.name, (inv.customer_info::jsonb)->>'name', '')       AS name,
+             COALESCE(c.company, (inv.customer_info::jsonb)->>'company', '') AS company,
+             COALESCE(inv.tax_rate, si.tax_rate, 0.06)                      AS tax_rate,
+             inv.discount_type,
+             inv.discount_value,
+             COALESCE(inv.tax_exempt, FALSE)                                AS tax_exempt,
+             inv.tax_exempt_certificate,
+             COALESCE(lines.taxable, 0)                                     AS taxable_subtotal,
+             COALESCE(lines.non_taxable, 0)                                 AS non_taxable_subtotal
+      FROM invoices inv
+      LEFT JOIN customers c ON c.id = inv.customer_id
+      LEFT JOIN store_info si ON si.user_id = inv.user_id
+      LEFT JOIN LATERAL (
+        SELECT SUM(CASE WHEN l.taxable THEN l.amount ELSE 0 END) AS taxable,
+               SUM(CASE WHEN l.taxable THEN 0 ELSE l.amount END) AS non_taxable
+          FROM (SELECT ii.price * ii.quantity AS amount, COALESCE(ii.taxable, TRUE) AS taxable
+                  FROM invoice_items ii WHERE ii.invoice_id = inv.id
+                UNION ALL
+                SELECT ci.price * ci.quantity, COALESCE(ci.taxable, TRUE)
+                  FROM custom_invoice_items ci WHERE ci.invoice_id = inv.id) l
+      ) lines ON TRUE
+      WHERE inv.user_id = $1
+        AND inv.voided_at IS NULL
+        AND COALESCE(inv.kind, 'standard') <> 'deposit'
+    `;
+    const params = [userId];
+
+    if (startDate) {
+      params.push(startDate);
+      query += ` AND inv.invoice_date >= $${params.length}`;
+    }
+    if (endDate) {
+      params.push(endDate);
+      query += ` AND inv.invoice_date <= $${params.length}`;
+    }
+    query += ' ORDER BY inv.invoice_date ASC, inv.id ASC';
+
+    const { rows } = await pool.query(query, params);
+
+    const totals = {
+      invoice_count: 0,
+      gross_sales: 0,
+      taxable_sales: 0,
+      non_taxable_sales: 0,
+      exempt_sales: 0,
+      tax_collected: 0,
+    };
+    const exempt = new Map();
+
+    for (const r of rows) {
+      const taxableSubtotal = Number(r.taxable_subtotal) || 0;
+      const nonTaxableSubtotal = Number(r.non_taxable_subtotal) || 0;
+      const discType = r.discount_type === 'percent' ? 'percent' : 'amount';
+      const discVal = Number(r.discount_value) || 0;
+      const b = invoiceBreakdown({ taxableSubtotal, nonTaxableSubtotal, taxRate: Number(r.tax_rate) || 0, discType, discVal });
+
+      // Sales before tax; a percent discount shrinks the taxable base, an amount discount does not
+      const sales = round2(b.total - b.tax);
+      const taxableBase = discType === 'percent'
+        ? taxableSubtotal * (1 - Math.min(Math.max(discVal, 0), 100) / 100)
+        : taxableSubtotal;
+      const taxablePart = round2(Math.min(taxableBase, sales));
+
+      totals.invoice_count += 1;
+      totals.gross_sales = round2(totals.gross_sales + sales);
+      totals.non_taxable_sales = round2(totals.non_taxable_sales + sales - taxablePart);
+      totals.tax_collected = round2(totals.tax_collected + round2(b.tax));
+
+      if (!r.tax_exempt) {
+        totals.taxable_sales = round2(totals.taxable_sales + taxablePart);
+        continue;
+      }
+
+      totals.exempt_sales = round2(totals.exempt_sales + taxablePart);
+      const certificate = r.tax_exempt_certificate || null;
+      const key = `${certificate || ''}|${r.customer_id ?? `${r.name}|${r.company}`.toLowerCase()}`;
+      if (!exempt.has(key)) {
+        exempt.set(key, {
+          certificate_number: certificate,
+          customer_id: r.customer_id,
+          name: r.name,
+          company: r.company,
+          invoice_count: 0,
+          exempt_sales: 0,
+          invoices: [],
+        });
+      }
+      const e = exempt.get(key);
+      e.invoice_count += 1;
+      e.exempt_sales = round2(e.exempt_sales + taxablePart);
+      e.invoices.push({
+        id: r.id,
+        invoice_number: r.invoice_number,
+        invoice_date: r.invoice_date,
+        sales,
+        exempt_sales: taxablePart,
+      });
+    }
+
+    res.json({
+      totals,
+      exempt_sales: [...exempt.values()].sort((a, b) => b.exempt_sales - a.exempt_sales),
+    });
+  } catch (err) {
+    console.error('Error fetching sales tax report:', err);
+    res.status(500).json({ error: 'Failed to fetch sales tax report' });
+  }
+});
+
+// Aging buckets by days past due (due date = invoice date for invoices without terms)
+const AGING_BUCKETS = [
+  ['current', -Infinity, 0],
+  ['1_30', 1, 30],
+  ['31_60', 31, 60],
+  ['61_90', 61, 90],
+  ['90_plus', 91, Infinity],
+];
+const bucketOf = (days) => AGING_BUCKETS.find(([, lo, hi]) => days >= lo && days <= hi)[0];
+const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(([key]) => [key, 0]));
+
+// Payments and credit notes made by the as_of date ($2), like PAYMENT_SUMMARY_JOIN otherwise
+const AGING_PAYMENT_JOIN = `
+  LEFT JOIN LATERAL (
+    SELECT SUM(ip.amount) AS amount_paid
+      FROM invoice_payments ip
+     WHERE ip.invoice_id = inv.id
+       AND ip.paid_at::date <= COALESCE($2::date, ${TODAY_SQL})
+  ) pay ON TRUE
+  LEFT JOIN LATERAL (
+    SELECT SUM(cn.total) AS amount_credited
+      FROM credit_notes cn
+     WHERE cn.invoice_id = inv.id
+       AND cn.created_at::date <= COALESCE($2::date, ${TODAY_SQL})
+  ) cred ON TRUE`;
+
+// ✅ GET Accounts-receivable aging: open balances per customer, bucketed by days past due
+// ?as_of=YYYY-MM-DD (defaults to today)
+router.get('/aging', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const asOf = req.query.as_of ? parseDate(req.query.as_of) : null;
+    if (req.query.as_of && !asOf) {
+      return res.status(400).json({ error: 'as_of must be a YYYY-MM-DD date' });
+    }
+
+    const { rows } = await pool.query(
+      `SELECT * FROM (
+         SELECT inv.id,
+                inv.invoice_number,
+                inv.customer_id,
+                inv.customer_info,
+                inv.invoice_date,
+                inv.total,
+                inv.payment_terms,
+                inv.payment_terms_days,
+                COALESCE(inv.due_date, inv.invoice_date::date) AS due_date,
+                COALESCE($2::date, ${TODAY_SQL}) AS as_of,
+                COALESCE($2::date, ${TODAY_SQL}) - COALESCE(inv.due_date, inv.invoice_date::date) AS days_past_due,
+                ${PAYMENT_SUMMARY_COLUMNS}
+           FROM invoices inv
+           ${AGING_PAYMENT_JOIN}
+          WHERE inv.user_id = $1
+            AND inv.voided_at IS NULL
+            AND inv.invoice_date::date <= COALESCE($2::date, ${TODAY_SQL})
+       ) aged
+       WHERE balance_due > 0
+       ORDER BY due_date ASC, id ASC`,
+      [userId, asOf]
+    );
+
+    const totals = { ...emptyBuckets(), total: 0 };
+    const byCustomer = new Map();
+
+    for (const r of rows) {
+      const info = r.customer_info || {};
+      const key = r.customer_id != null
+        ? `id:${r.customer_id}`
+        : `name:${String(info.name || '').trim().toLowerCase()}|${String(info.company || '').trim().toLowerCase()}`;
+
+      if (!byCustomer.has(key)) {
+        byCustomer.set(key, {
+          customer_id: r.customer_id,
+          name: info.name || '',
+          company: info.company || '',
+          email: info.email || '',
+          ...emptyBuckets(),
+          total: 0,
+          invoices: [],
+        });
+      }
+      const c = byCustomer.get(key);
+      const days = Number(r.days_past_due) || 0;
+      const bucket = bucketOf(days);
+      const balance = round2(r.balance_due);
+
+      c[bucket] = round2(c[bucket] + balance);
+      c.total = round2(c.total + balance);
+      totals[bucket] = round2(totals[bucket] + balance);
+      totals.total = round2(totals.total + balance);
+
+      c.invoices.push({
+        id: r.id,
+        invoice_number: r.invoice_number,
+        invoice_date: r.invoice_date,
+        due_date: r.due_date,
+        payment_terms: r.payment_terms,
+        payment_terms_days: r.payment_terms_days,
+        total: r.total,
+        amount_paid: r.amount_paid,
+        amount_credited: r.amount_credited,
+        balance_due: balance,
+        days_past_due: Math.max(0, days),
+        bucket,
+      });
+    }
+
+    res.json({
+      as_of: rows[0]?.as_of ?? asOf,
+      totals,
+      customers: [...byCustomer.values()].sort((a, b) => b.total - a.total),
+    });
+  } catch (err) {
+    console.error('Error fetching aging report:', err);
+    res.status(500).json({ error: 'Failed to fetch aging report' });
+  }
+});
+
 module.exports = router;
@@ -6,10 +6,12 @@ const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-
-// ---------- Constants ----------
-const DEFAULT_DISCLAIMER =
-  'By signing below, the customer agrees to the charges listed. Monitor calibration, file format, and production methods may cause slight differences.';
+const { DEFAULT_FORMATS, validateFormat } = require('../utils/documentNumbers');
+const { DEFAULT_DISCLAIMER } = require('../utils/storeInfo');
+const { toBool } = require('../utils/lineItems');
+const { DEFAULT_VALIDITY_DAYS, sanitizeValidityDays } = require('../utils/estimateExpiry');
+const { parsePaymentTerms } = require('../utils/paymentTerms');
+const { DEFAULT_REMINDER_OFFSETS, parseReminderOffsets } = require('../utils/invoiceReminders');
 
 // ---------- Auth ----------
 const authenticateToken = (req, res, next) => {
@@ -40,6 +42,29 @@ const sanitizeDisclaimer = (value) => {
   return s;
 };
 
+const sanitizeNumberFormat = (value, fallback) =>
+  (value && !validateFormat(value) ? String(value) : fallback);
+
+// Columns every store-info response carries
+const STORE_INFO_COLUMNS = `name, address, phone, email, logo_url, tax_rate, disclaimer,
+         invoice_number_format, estimate_number_format, auto_convert_on_approval,
+         estimate_validity_days, payment_terms, payment_terms_days, reminders_enabled,
+         reminder_offsets`;
+
+const toStoreInfoResponse = (row = {}) => ({
+  ...row,
+  tax_rate: sanitizeTaxRate(row.tax_rate),
+  disclaimer: sanitizeDisclaimer(row.disclaimer),
+  invoice_number_format: sanitizeNumberFormat(row.invoice_number_format, DEFAULT_FORMATS.invoice),
+  estimate_number_format: sanitizeNumberFormat(row.estimate_number_format, DEFAULT_FORMATS.estimate),
+  auto_convert_on_approval: !!row.auto_convert_on_approval,
+  estimate_validity_days: sanitizeValidityDays(row.estimate_validity_days),
+  payment_terms: row.payment_terms || 'due_on_receipt',
+  payment_terms_days: row.payment_terms ? Number(row.payment_terms_days) || 0 : 0,
+  reminders_enabled: !!row.reminders_enabled,
+  reminder_offsets: Array.isArray(row.reminder_offsets) ? row.reminder_offsets : DEFAULT_REMINDER_OFFSETS,
+});
+
 const logosDir = path.join(__dirname, '..', 'uploads', 'logos');
 const ensureLogosDir = () => {
   try { fs.mkdirSync(logosDir, { recursive: true }); } catch {}
@@ -105,17 +130,11 @@ router.post('/logo', authenticateToken, (req, res) => {
         `INSERT INTO store_info (user_id, logo_url)
          VALUES ($1, $2)
          ON CONFLICT (user_id) DO UPDATE SET logo_url = EXCLUDED.logo_url
-         RETURNING name, address, phone, email, logo_url, tax_rate, disclaimer`,
+         RETURNING ${STORE_INFO_COLUMNS}`,
         [userId, publicUrl]
       );
 
-      const row = result.rows[0] || {};
-      const out = {
-        ...row,
-        tax_rate: sanitizeTaxRate(row.tax_rate),
-        disclaimer: sanitizeDisclaimer(row.disclaimer),
-      };
-      return res.json(out);
+      return res.json(toStoreInfoResponse(result.rows[0]));
     } catch (e) {
       console.error('Logo save failed:', e);
       return res.status(500).json({ error: 'Failed to save logo' });
@@ -133,17 +152,12 @@ router.delete('/logo', authenticateToken, async (req, res) => {
     // Clear path in DB
     const result = await pool.query(
       `UPDATE store_info SET logo_url = '' WHERE user_id = $1
-       RETURNING name, address, phone, email, logo_url, tax_rate, disclaimer`,
+       RETURNING ${STORE_INFO_COLUMNS}`,
       [userId]
     );
 
-    const row = result.rows[0] || { name: '', address: '', phone: '', email: '', logo_url: '', tax_rate: 0.06, disclaimer: DEFAULT_DISCLAIMER };
-    const out = {
-      ...row,
-      tax_rate: sanitizeTaxRate(row.tax_rate),
-      disclaimer: sanitizeDisclaimer(row.disclaimer),
-    };
-    return res.json(out);
+    const row = result.rows[0] || { name: '', address: '', phone: '', email: '', logo_url: '' };
+    return res.json(toStoreInfoResponse(row));
   } catch (e) {
     console.error('Logo delete failed:', e);
     return res.status(500).json({ error: 'Failed to delete logo' });
@@ -152,15 +166,49 @@ router.delete('/logo', authenticateToken, async (req, res) => {
 
 // ---------- Upsert store info (text fields only) ----------
 router.post('/', authenticateToken, async (req, res) => {
-  const { name, address, phone, email, tax_rate, disclaimer } = req.body || {};
+  const {
+    name,
+    address,
+    phone,
+    email,
+    tax_rate,
+    disclaimer,
+    invoice_number_format,
+    estimate_number_format,
+    auto_convert_on_approval,
+    estimate_validity_days,
+    payment_terms,
+    payment_terms_days,
+    reminders_enabled,
+    reminder_offsets,
+  } = req.body || {};
   const userId = req.userId;
   const rate = sanitizeTaxRate(tax_rate);
   const safeDisclaimer = sanitizeDisclaimer(disclaimer);
 
+  // Number formats are optional here; omitted ones keep their stored value.
+  for (const fmt of [invoice_number_format, estimate_number_format]) {
+    if (fmt == null || fmt === '') continue;
+    const problem = validateFormat(fmt);
+    if (problem) return res.status(400).json({ error: problem });
+  }
+
+  // Payment terms are optional too; omitted keeps the stored terms
+  const terms = parsePaymentTerms(payment_terms, payment_terms_days);
+  if (terms?.error) return res.status(400).json({ error: terms.error });
+
+  // Reminder schedule: days relative to the due date; omitted keeps the stored schedule
+  const offsets = reminder_offsets == null ? null : parseReminderOffsets(reminder_offsets);
+  if (offsets?.error) return res.status(400).json({ error: offsets.error });
+
   try {
     const result = await pool.query(
-      `INSERT INTO store_info (user_id, name, address, phone, email, tax_rate, disclaimer)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
+      `INSERT INTO store_info (user_id, name, address, phone, email, tax_rate, disclaimer,
+                               invoice_number_format, estimate_number_format, auto_convert_on_approval,
+                               estimate_validity_days, payment_terms, payment_terms_days,
+                               reminders_enabled, reminder_offsets)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, COALESCE($10, FALSE), COALESCE($11, ${DEFAULT_VALIDITY_DAYS}),
+               $12, $13, COALESCE($14, FALSE), COALESCE($15::int[], '{${DEFAULT_REMINDER_OFFSETS.join(',')}}'))
        ON CONFLICT (user_id)
        DO UPDATE SET
          name = EXCLUDED.name,
@@ -168,18 +216,40 @@ router.post('/', authenticateToken, async (req, res) => {
          phone = EXCLUDED.phone,
          email = EXCLUDED.email,
          tax_rate = EXCLUDED.tax_rate,
-         disclaimer = EXCLUDED.disclaimer
-       RETURNING name, address, phone, email, logo_url, tax_rate, disclaimer`,
-      [userId, name || '', address || '', phone || '', email || '', rate, safeDisclaimer]
+         disclaimer = EXCLUDED.disclaimer,
+         invoice_number_format  = COALESCE(EXCLUDED.invoice_number_format,  store_info.invoice_number_format),
+         estimate_number_format = COALESCE(EXCLUDED.estimate_number_format, store_info.estimate_number_format),
+         auto_convert_on_approval = COALESCE($10, store_info.auto_convert_on_approval),
+         estimate_validity_days = COALESCE($11, store_info.estimate_validity_days),
+         payment_terms      = COALESCE(EXCLUDED.payment_terms, store_info.payment_terms),
+         payment_terms_days = CASE WHEN EXCLUDED.payment_terms IS NULL
+                                   THEN store_info.payment_terms_days
+                                   ELSE EXCLUDED.payment_terms_days END,
+         reminders_enabled = COALESCE($14, store_info.reminders_enabled),
+         reminder_offsets  = COALESCE($15::int[], store_info.reminder_offsets)
+       RETURNING ${STORE_INFO_COLUMNS}`,
+      [
+        userId,
+        name || '',
+        address || '',
+        phone || '',
+        email || '',
+        rate,
+        safeDisclaimer,
+        invoice_number_format ? String(invoice_number_format).trim() : null,
+        estimate_number_format ? String(estimate_number_format).trim() : null,
+        auto_convert_on_approval == null ? null : toBool(auto_convert_on_approval, false),
+        estimate_validity_days == null || estimate_validity_days === ''
+          ? null
+          : sanitizeValidityDays(estimate_validity_days),
+        terms ? terms.terms : null,
+        terms ? terms.days : null,
+        reminders_enabled == null ? null : toBool(reminders_enabled, false),
+        offsets,
+      ]
     );
 
-    const row = result.rows[0] || {};
-    const out = {
-      ...row,
-      tax_rate: sanitizeTaxRate(row.tax_rate),
-      disclaimer: sanitizeDisclaimer(row.disclaimer),
-    };
-    return res.status(200).json(out);
+    return res.status(200).json(toStoreInfoResponse(result.rows[0]));
   } catch (error) {
     console.error('Error saving store info:', error);
     return res.status(500).json({ error: 'Failed to save store info' });
@@ -192,13 +262,13 @@ router.get('/', authenticateToken, async (req, res) => {
 
   try {
     const result = await pool.query(
-      `SELECT name, address, phone, email, logo_url, tax_rate, disclaimer
+      `SELECT ${STORE_INFO_COLUMNS}
        FROM store_info WHERE user_id = $1`,
       [userId]
     );
 
     if (result.rows.length === 0) {
-      return res.status(200).json({
+      return res.status(200).json(toStoreInfoResponse({
         name: '',
         address: '',
         phone: '',
@@ -206,16 +276,10 @@ router.get('/', authenticateToken, async (req, res) => {
         logo_url: '',
         tax_rate: 0.06,
         disclaimer: DEFAULT_DISCLAIMER,
-      });
+      }));
     }
 
-    const row = result.rows[0];
-    const out = {
-      ...row,
-      tax_rate: sanitizeTaxRate(row.tax_rate),
-      disclaimer: sanitizeDisclaimer(row.disclaimer),
-    };
-    return res.status(200).json(out);
+    return res.status(200).json(toStoreInfoResponse(result.rows[0]));
   } catch (error) {
     console.error('Error fetching store info:', error);
     return res.status(500).json({ error: 'Failed to fetch store info' });
@@ -0,0 +1,285 @@
+// backend/utils/areaPricing.js
+// Area (per square foot) pricing of large-format products: banners, vinyl, signs. A product is
+// area-priced when its pricing mode (the user's choice, else the catalog's) is 'area'; its
+// variations then carry a sq-ft rate, a minimum charge per piece and per-foot finishing rates
+// (grommets, hemming, …). Lines of such products send width / height and get priced from those;
+// every other line keeps the fixed price / quantity price breaks.
+const { round2 } = require('./invoicePayments');
+const { loadPriceBreaks, unitPriceForQuantity, matchingBreak } = require('./priceBreaks');
+
+const PRICING_MODES = ['fixed', 'area'];
+const DIMENSION_UNITS = { in: 1 / 12, ft: 1 }; // → feet
+const EDGES = ['top', 'bottom', 'left', 'right'];
+const MAX_DIMENSION_FT = 500;
+const FINISHING_KEY = /^[a-z0-9_]{1,40}$/;
+
+/** SQL: the effective pricing mode of product `p` for the user joined as `upp`. */
+const PRICING_MODE_SQL = `COALESCE(upp.pricing_mode, p.pricing_mode, 'fixed')`;
+
+const round4 = (n) => Math.round(n * 1e4) / 1e4;
+
+/**
+ * width / height / dimension_unit of a line. Returns null when no dimensions were sent,
+ * { error }, or { width, height, dimension_unit, width_ft, height_ft, area_sqft }.
+ */
+function parseDimensions(it = {}) {
+  const sent = (k) => it[k] != null && it[k] !== '';
+  if (!sent('width') && !sent('height')) return null;
+
+  const unit = String(it.dimension_unit || it.unit || 'in').toLowerCase();
+  if (!DIMENSION_UNITS[unit]) return { error: `dimension_unit must be one of: ${Object.keys(DIMENSION_UNITS).join(', ')}` };
+
+  const width = Number(it.width);
+  const height = Number(it.height);
+  if (!(width > 0) || !(height > 0)) return { error: 'width and height must both be positive numbers' };
+
+  const widthFt = width * DIMENSION_UNITS[unit];
+  const heightFt = height * DIMENSION_UNITS[unit];
+  if (widthFt > MAX_DIMENSION_FT || heightFt > MAX_DIMENSION_FT) {
+    return { error: `width and height can be at most ${MAX_DIMENSION_FT} ft` };
+  }
+  return {
+    width,
+    height,
+    dimension_unit: unit,
+    width_ft: round4(widthFt),
+    height_ft: round4(heightFt),
+    area_sqft: round4(widthFt * heightFt),
+  };
+}
+
+/** 'all' | 'top,bottom' | ['top', 'bottom'] → edge list, or null when invalid. */
+function parseEdges(value) {
+  if (value == null || value === '' || value === 'all') return [...EDGES];
+  const list = (Array.isArray(value) ? value : String(value).split(','))
+    .map((e) => String(e).trim().toLowerCase())
+    .filter(Boolean);
+  if (!list.length || list.some((e) => !EDGES.includes(e))) return null;
+  return EDGES.filter((e) => list.includes(e));
+}
+
+/**
+ * A line's finishing: ['grommets'] or [{ type: 'grommets', edges: 'all' | [...] }].
+ * Returns { finishing: [{ type, edges }] } or { error }.
+ */
+function parseFinishing(value) {
+  if (value == null || value === '') return { finishing: [] };
+  if (!Array.isArray(value)) return { error: 'finishing must be an array' };
+
+  const finishing = [];
+  for (const raw of value) {
+    const type = String(typeof raw === 'object' && raw ? raw.type : raw).trim().toLowerCase();
+    if (!FINISHING_KEY.test(type)) return { error: `Unknown finishing "${type}"` };
+    const edges = parseEdges(typeof raw === 'object' && raw ? raw.edges : 'all');
+    if (!edges) return { error: `finishing ${type}: edges must be "all" or a list of ${EDGES.join(', ')}` };
+    if (finishing.some((f) => f.type === type)) return { error: `finishing ${type} is listed twice` };
+    finishing.push({ type, edges });
+  }
+  return { finishing };
+}
+
+/** Per-foot finishing rates from a request body ({ grommets: 0.75, … }), or { error }. */
+function parseFinishingRates(value) {
+  if (value == null) return { rates: {} };
+  if (typeof value !== 'object' || Array.isArray(value)) return { error: 'finishing_rates must be an object' };
+  const rates = {};
+  for (const [key, raw] of Object.entries(value)) {
+    const type = key.trim().toLowerCase();
+    const rate = Number(raw);
+    if (!FINISHING_KEY.test(type)) return { error: `Invalid finishing name "${key}"` };
+    if (!Number.isFinite(rate) || rate < 0) return { error: `finishing_rates.${type} must be a non-negative number` };
+    rates[type] = rate;
+  }
+  return { rates };
+}
+
+/**
+ * Area rates of a variation from a request body: sqft_rate (null clears it), min_charge,
+ * finishing_rates. Only keys sent are returned: { values } or { error }.
+ */
+function parseAreaRates(body = {}) {
+  const values = {};
+  if ('sqft_rate' in body) {
+    const rate = body.sqft_rate == null || body.sqft_rate === '' ? null : Number(body.sqft_rate);
+    if (rate != null && (!Number.isFinite(rate) || rate < 0)) return { error: 'sqft_rate must be a non-negative number' };
+    values.sqft_rate = rate;
+  }
+  if ('min_charge' in body) {
+    const min = Number(body.min_charge ?? 0);
+    if (!Number.isFinite(min) || min < 0) return { error: 'min_charge must be a non-negative number' };
+    values.min_charge = min;
+  }
+  if ('finishing_rates' in body) {
+    const parsed = parseFinishingRates(body.finishing_rates);
+    if (parsed.error) return { error: parsed.error };
+    values.finishing_rates = parsed.rates;
+  }
+  return { values };
+}
+
+// A line's sizing fields: top-level width / height / dimension_unit / finishing, or the
+// `dimensions` object the document loaders return (so a line sent back unchanged keeps them)
+const sizingOf = (it = {}) =>
+  it.width == null && it.height == null && it.dimensions && typeof it.dimensions === 'object' ? it.dimensions : it;
+
+/**
+ * First problem with the width / height / finishing of any variation line (for a 400 before
+ * anything is written), else null.
+ */
+function lineDimensionsError(variationItems) {
+  for (const it of Array.isArray(variationItems) ? variationItems : []) {
+    const dims = parseDimensions(sizingOf(it));
+    if (dims?.error) return dims.error;
+    const fin = parseFinishing(sizingOf(it).finishing);
+    if (fin.error) return fin.error;
+  }
+  return null;
+}
+
+/**
+ * Price of one piece of an area variation ({ sqft_rate, min_charge, finishing_rates }).
+ * Finishing is charged per foot of the chosen edges; the minimum applies to the print only.
+ * Returns the breakdown, or { error } for finishing the variation does not offer.
+ */
+function areaQuote(variation, dims, finishing = []) {
+  const rate = Number(variation.sqft_rate) || 0;
+  const minCharge = Number(variation.min_charge) || 0;
+  const rates = variation.finishing_rates || {};
+
+  const areaCharge = round2(dims.area_sqft * rate);
+  const printCharge = Math.max(areaCharge, minCharge);
+
+  const lines = [];
+  for (const f of finishing) {
+    if (rates[f.type] == null) return { error: `Finishing "${f.type}" is not offered on this variation` };
+    const lengthFt = round4(f.edges.reduce((sum, e) => sum + (e === 'top' || e === 'bottom' ? dims.width_ft : dims.height_ft), 0));
+    lines.push({ type: f.type, edges: f.edges, length_ft: lengthFt, rate: Number(rates[f.type]), amount: round2(lengthFt * rates[f.type]) });
+  }
+
+  return {
+    width: dims.width,
+    height: dims.height,
+    dimension_unit: dims.dimension_unit,
+    area_sqft: dims.area_sqft,
+    sqft_rate: rate,
+    area_charge: areaCharge,
+    min_charge: minCharge,
+    minimum_applied: printCharge > areaCharge,
+    finishing: lines,
+    unit_price: round2(printCharge + lines.reduce((sum, l) => sum + l.amount, 0)),
+  };
+}
+
+/** The variation with its product's effective pricing mode, or null. */
+async function loadPricedVariation(db, variationId) {
+  const { rows } = await db.query(
+    `SELECT v.id, v.product_id, v.user_id, v.price, v.sqft_rate, v.min_charge, v.finishing_rates,
+            COALESCE(v.archived, false) AS archived,
+            ${PRICING_MODE_SQL} AS pricing_mode
+       FROM product_variations v
+       JOIN products p ON p.id = v.product_id
+       LEFT JOIN user_product_pricing upp ON upp.product_id = v.product_id AND upp.user_id = v.user_id
+      WHERE v.id = $1`,
+    [variationId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Unit price and stored dimensions of a variation line. Area products with width / height
+ * are priced by area (dimensions kept in `area`); everything else by the quantity price
+ * breaks. An explicit price sent with the line (overridePrice) still wins.
+ * Returns { unitPrice, area: null | { width, height, dimension_unit, area_sqft, finishing } },
+ * or { error } for an area line without dimensions (and no price) or with finishing the
+ * variation does not offer.
+ */
+async function priceVariationLine(db, variationId, qty, it = {}, overridePrice = null) {
+  const v = await loadPricedVariation(db, variationId);
+  if (!v) return { unitPrice: overridePrice ?? 0, area: null };
+
+  // An area variation without a sq-ft rate yet keeps its fixed price
+  const byArea = v.pricing_mode === 'area' && v.sqft_rate != null;
+  const dims = byArea ? parseDimensions(sizingOf(it)) : null;
+  if (byArea && !dims && overridePrice == null) {
+    return { error: 'width and height are required for area-priced products' };
+  }
+  if (dims) {
+    if (dims.error) return { error: dims.error };
+    const fin = parseFinishing(sizingOf(it).finishing);
+    if (fin.error) return { error: fin.error };
+    const quote = areaQuote(v, dims, fin.finishing);
+    if (quote.error) return { error: quote.error };
+    return {
+      unitPrice: overridePrice ?? quote.unit_price,
+      area: {
+        width: quote.width,
+        height: quote.height,
+        dimension_unit: quote.dimension_unit,
+        area_sqft: quote.area_sqft,
+        finishing: quote.finishing,
+      },
+    };
+  }
+
+  if (overridePrice != null) return { unitPrice: overridePrice, area: null };
+  return { unitPrice: unitPriceForQuantity(await loadPriceBreaks(db, variationId), v.price, qty), area: null };
+}
+
+/**
+ * Preview of a line of the user's variation (POST /api/products/:productId/quote):
+ * area breakdown or matching price break, unit price and line total. Returns { error } for
+ * bad input.
+ */
+async function quoteVariationLine(db, variation, qty, it = {}) {
+  if (variation.pricing_mode === 'area') {
+    const dims = parseDimensions(it);
+    if (!dims) return { error: 'width and height are required for area-priced products' };
+    if (dims.error) return { error: dims.error };
+    const fin = parseFinishing(it.finishing);
+    if (fin.error) return { error: fin.error };
+    if (variation.sqft_rate == null) return { error: 'This variation has no sq-ft rate yet' };
+
+    const quote = areaQuote(variation, dims, fin.finishing);
+    if (quote.error) return { error: quote.error };
+    return { pricing_mode: 'area', quantity: qty, ...quote, line_total: round2(quote.unit_price * qty) };
+  }
+
+  const breaks = await loadPriceBreaks(db, variation.id);
+  const unitPrice = unitPriceForQuantity(breaks, variation.price, qty);
+  return {
+    pricing_mode: 'fixed',
+    quantity: qty,
+    base_price: Number(variation.price) || 0,
+    price_break: matchingBreak(breaks, qty),
+    unit_price: unitPrice,
+    line_total: round2(unitPrice * qty),
+  };
+}
+
+/** "36 × 72 in" (+ ", grommets (all edges)") for documents; '' without dimensions. */
+function dimensionLabel(line) {
+  if (line?.width == null || line?.height == null) return '';
+  const num = (n) => String(Number(n));
+  const bits = [`${num(line.width)} × ${num(line.height)} ${line.dimension_unit || 'in'}`];
+  for (const f of line.finishing || []) {
+    const edges = f.edges?.length === EDGES.length ? 'all edges' : (f.edges || []).join(' & ');
+    bits.push(`${String(f.type).replace(/_/g, ' ')} (${edges})`);
+  }
+  return bits.join(', ');
+}
+
+module.exports = {
+  PRICING_MODES,
+  PRICING_MODE_SQL,
+  EDGES,
+  parseDimensions,
+  parseFinishing,
+  parseFinishingRates,
+  parseAreaRates,
+  lineDimensionsError,
+  areaQuote,
+  loadPricedVariation,
+  priceVariationLine,
+  quoteVariationLine,
+  dimensionLabel,
+};
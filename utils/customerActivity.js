@@ -0,0 +1,109 @@
+// backend/utils/customerActivity.js
+// The CRM side of customers: tags, the log of emails sent, and the activity timeline that
+// merges estimates, invoices, payments, emails and notes into one list.
+const { estimateCustomerMatch } = require('./customers');
+
+const MAX_TAGS = 30;
+const MAX_TAG_LENGTH = 40;
+const DEFAULT_TIMELINE_LIMIT = 100;
+const MAX_TIMELINE_LIMIT = 500;
+
+/**
+ * Tags from an array or comma-separated string: trimmed, lower-cased, de-duplicated.
+ * Returns { tags } or { error }.
+ */
+function normalizeTags(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+  const tags = [...new Set(list.map((t) => String(t ?? '').trim().toLowerCase().replace(/\s+/g, ' ')).filter(Boolean))];
+  if (tags.some((t) => t.length > MAX_TAG_LENGTH)) {
+    return { error: `Tags can be at most ${MAX_TAG_LENGTH} characters` };
+  }
+  if (tags.length > MAX_TAGS) return { error: `A customer can have at most ${MAX_TAGS} tags` };
+  return { tags };
+}
+
+/**
+ * Records a sent email for the customer timeline. Never throws: a failed log entry must not
+ * turn a sent email into an error response.
+ */
+async function logEmail(db, userId, { customerId = null, invoiceId = null, estimateId = null, kind, to, subject }) {
+  try {
+    await db.query(
+      `INSERT INTO email_log (user_id, customer_id, invoice_id, estimate_id, kind, recipients, subject)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        userId, customerId, invoiceId, estimateId, kind,
+        (Array.isArray(to) ? to : [to]).filter(Boolean).join(', ').slice(0, 1000),
+        String(subject || '').slice(0, 500),
+      ]
+    );
+  } catch (err) {
+    console.error('⚠️ Email log insert failed:', err?.message || err);
+  }
+}
+
+// Invoice and payment times are stored as shop-local timestamps
+const SHOP_TIME = (expr) => `(${expr} AT TIME ZONE 'America/New_York')`;
+
+// One SELECT per event source; each yields (type, at, id, data). $1 = user, $2 = customer.
+const TIMELINE_SOURCES = [
+  `SELECT 'estimate' AS type, e.estimate_date::timestamptz AS at, e.id,
+          jsonb_build_object('estimate_id', e.id, 'estimate_number', e.estimate_number,
+                             'status', e.status, 'total', ROUND(e.total, 2),
+                             'converted_invoice_id', e.converted_invoice_id) AS data
+     FROM estimates e
+    WHERE e.user_id = $1 AND ${estimateCustomerMatch('$2::int')}`,
+  `SELECT 'invoice', ${SHOP_TIME('inv.invoice_date')}, inv.id,
+          jsonb_build_object('invoice_id', inv.id, 'invoice_number', inv.invoice_number,
+                             'kind', inv.kind, 'total', ROUND(inv.total, 2),
+                             'voided', inv.voided_at IS NOT NULL)
+     FROM invoices inv
+    WHERE inv.user_id = $1 AND inv.customer_id = $2`,
+  `SELECT 'payment', ${SHOP_TIME('ip.paid_at')}, ip.id,
+          jsonb_build_object('invoice_id', inv.id, 'invoice_number', inv.invoice_number,
+                             'amount', ip.amount, 'method', ip.method, 'reference', ip.reference)
+     FROM invoice_payments ip
+     JOIN invoices inv ON inv.id = ip.invoice_id
+    WHERE inv.user_id = $1 AND inv.customer_id = $2`,
+  `SELECT 'email', el.sent_at, el.id,
+          jsonb_build_object('kind', el.kind, 'to', el.recipients, 'subject', el.subject,
+                             'invoice_id', el.invoice_id, 'estimate_id', el.estimate_id)
+     FROM email_log el
+    WHERE el.user_id = $1 AND el.customer_id = $2`,
+  `SELECT 'note', n.created_at, n.id,
+          jsonb_build_object('body', n.body, 'author', n.author, 'pinned', n.pinned,
+                             'updated_at', n.updated_at)
+     FROM customer_notes n
+    WHERE n.user_id = $1 AND n.customer_id = $2`,
+];
+
+const TIMELINE_TYPES = ['estimate', 'invoice', 'payment', 'email', 'note'];
+
+/**
+ * The customer's activity, newest first (or oldest first with order 'asc').
+ * opts: { limit?, before? (ISO time, for paging back), types? (subset of TIMELINE_TYPES), order? }
+ * Returns [{ type, at, id, ...data }].
+ */
+async function customerTimeline(db, userId, customerId, { limit, before = null, types = null, order = 'desc' } = {}) {
+  const size = Math.min(MAX_TIMELINE_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_TIMELINE_LIMIT));
+  const dir = order === 'asc' ? 'ASC' : 'DESC';
+  const wanted = types?.length ? types : TIMELINE_TYPES;
+
+  const { rows } = await db.query(
+    `SELECT * FROM (${TIMELINE_SOURCES.join('\nUNION ALL\n')}) t
+      WHERE t.type = ANY($3::text[])
+        AND ($4::timestamptz IS NULL OR t.at ${dir === 'DESC' ? '<' : '>'} $4::timestamptz)
+      ORDER BY t.at ${dir}, t.type, t.id ${dir}
+      LIMIT $5`,
+    [userId, customerId, wanted, before, size]
+  );
+  return rows.map(({ data, ...r }) => ({ ...r, ...data }));
+}
+
+module.exports = {
+  MAX_TAGS,
+  TIMELINE_TYPES,
+  normalizeTags,
+  logEmail,
+  customerTimeline,
+};
@@ -0,0 +1,173 @@
+// backend/utils/customerContacts.js
+// Customer contacts and structured addresses, and how invoices / estimates pick them.
+// A document keeps the ids (contact_id, billing_address_id, shipping_address_id) and a copy
+// of the picked contact / addresses in customer_info, like the rest of the bill-to snapshot.
+const { toString, toBool } = require('./lineItems');
+
+const ADDRESS_KINDS = ['billing', 'shipping'];
+const CONTACT_FIELDS = ['name', 'role', 'email', 'phone'];
+const ADDRESS_FIELDS = ['label', 'street', 'street2', 'city', 'state', 'zip', 'country'];
+
+const CONTACT_COLUMNS = 'id, customer_id, name, role, email, phone, receives_invoices, created_at, updated_at';
+const ADDRESS_COLUMNS =
+  'id, customer_id, kind, label, street, street2, city, state, zip, country, is_default, created_at, updated_at';
+
+// Document column ↔ body key ↔ customer_info key
+const PICKS = [
+  { column: 'contact_id', table: 'customer_contacts', snapshot: 'contact', label: 'contact' },
+  {
+    column: 'billing_address_id',
+    table: 'customer_addresses',
+    snapshot: 'billing_address',
+    label: 'billing address',
+    kind: 'billing',
+  },
+  {
+    column: 'shipping_address_id',
+    table: 'customer_addresses',
+    snapshot: 'shipping_address',
+    label: 'shipping address',
+    kind: 'shipping',
+  },
+];
+
+const clean = (value, max = 200) => toString(value).trim().slice(0, max);
+
+/**
+ * Contact columns from a request body, or { error }. With partial = true only the keys sent
+ * are returned (PUT), otherwise missing ones default to ''.
+ */
+function contactFromBody(body = {}, partial = false) {
+  const out = {};
+  for (const key of CONTACT_FIELDS) {
+    if (partial && !(key in body)) continue;
+    out[key] = clean(body[key]);
+  }
+  if ('receives_invoices' in body || !partial) out.receives_invoices = toBool(body.receives_invoices, false);
+  if (!partial && !out.name && !out.email && !out.phone) {
+    return { error: 'A contact needs a name, email or phone' };
+  }
+  if (out.email && !/^[^\s@]+@[^\s@]+$/.test(out.email)) return { error: 'email is not a valid address' };
+  return { values: out };
+}
+
+/** Address columns from a request body, or { error }; partial as for contactFromBody. */
+function addressFromBody(body = {}, partial = false) {
+  const out = {};
+  if ('kind' in body || !partial) {
+    const kind = String(body.kind || 'billing').toLowerCase();
+    if (!ADDRESS_KINDS.includes(kind)) return { error: `kind must be one of: ${ADDRESS_KINDS.join(', ')}` };
+    out.kind = kind;
+  }
+  for (const key of ADDRESS_FIELDS) {
+    if (partial && !(key in body)) continue;
+    out[key] = clean(body[key]);
+  }
+  if ('is_default' in body || !partial) out.is_default = toBool(body.is_default, false);
+  if (!partial && !out.street && !out.city && !out.zip) {
+    return { error: 'An address needs at least a street, city or ZIP' };
+  }
+  return { values: out };
+}
+
+/** "123 Main St, Suite 4\nSpringfield, IL 62701" */
+function formatAddress(a) {
+  if (!a) return '';
+  const cityLine = [a.city, [a.state, a.zip].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+  return [[a.street, a.street2].filter(Boolean).join(', '), cityLine, a.country].filter(Boolean).join('\n');
+}
+
+/**
+ * Validates the contact / address picks of a document against its customer.
+ * Keys sent in body win; omitted keys keep `current` picks (PUT) while they still belong to
+ * the customer. Returns { ids: { contact_id, … }, snapshot: { contact, … } } or { error }.
+ */
+async function resolveContactPicks(db, userId, customerId, body = {}, current = {}) {
+  const ids = {};
+  const snapshot = {};
+
+  for (const pick of PICKS) {
+    const sent = pick.column in body;
+    const raw = sent ? body[pick.column] : current[pick.column];
+    if (raw == null || raw === '') {
+      ids[pick.column] = null;
+      snapshot[pick.snapshot] = null;
+      continue;
+    }
+
+    const id = Number(raw);
+    const { rows } = Number.isInteger(id) && customerId != null
+      ? await db.query(
+          `SELECT ${pick.table === 'customer_contacts' ? CONTACT_COLUMNS : ADDRESS_COLUMNS}
+             FROM ${pick.table}
+            WHERE id = $1 AND user_id = $2 AND customer_id = $3`,
+          [id, userId, customerId]
+        )
+      : { rows: [] };
+    const row = rows[0];
+
+    if (!row || (pick.kind && row.kind !== pick.kind)) {
+      // A stale pick (customer changed, address deleted) is dropped; an explicit one is an error
+      if (!sent) {
+        ids[pick.column] = null;
+        snapshot[pick.snapshot] = null;
+        continue;
+      }
+      return { error: `${pick.column} is not a ${pick.label} of this customer` };
+    }
+
+    ids[pick.column] = row.id;
+    snapshot[pick.snapshot] = pick.table === 'customer_contacts'
+      ? { id: row.id, name: row.name, role: row.role, email: row.email, phone: row.phone }
+      : { id: row.id, ...Object.fromEntries(ADDRESS_FIELDS.map((k) => [k, row[k]])), text: formatAddress(row) };
+  }
+
+  return { ids, snapshot };
+}
+
+/** customer_info with the picked contact / addresses copied in (unpicked ones removed). */
+function withContactSnapshot(customerInfo, snapshot) {
+  const info = { ...(customerInfo || {}) };
+  for (const [key, value] of Object.entries(snapshot || {})) {
+    if (value) info[key] = value;
+    else delete info[key];
+  }
+  return info;
+}
+
+/**
+ * Default recipients of an emailed invoice: the customer's contacts flagged receives_invoices,
+ * else the picked contact, else the bill-to email. Returns a de-duplicated list of addresses.
+ */
+async function invoiceRecipients(db, userId, customerId, customerInfo = {}) {
+  let emails = [];
+  if (customerId != null) {
+    const { rows } = await db.query(
+      `SELECT email FROM customer_contacts
+        WHERE customer_id = $1 AND user_id = $2 AND receives_invoices AND TRIM(email) <> ''
+        ORDER BY id`,
+      [customerId, userId]
+    );
+    emails = rows.map((r) => r.email.trim());
+  }
+  if (!emails.length) {
+    emails = [customerInfo?.contact?.email, customerInfo?.email]
+      .map((e) => String(e || '').trim())
+      .filter(Boolean)
+      .slice(0, 1);
+  }
+  const seen = new Set();
+  return emails.filter((e) => !seen.has(e.toLowerCase()) && seen.add(e.toLowerCase()));
+}
+
+module.exports = {
+  ADDRESS_KINDS,
+  CONTACT_COLUMNS,
+  ADDRESS_COLUMNS,
+  contactFromBody,
+  addressFromBody,
+  formatAddress,
+  resolveContactPicks,
+  withContactSnapshot,
+  invoiceRecipients,
+};
@@ -0,0 +1,386 @@
+// backend/utils/customerImport.js
+// Customer import (CSV with a column mapping, or vCard) and export (CSV / vCard 3.0).
+// Rows land through the same name + company match as POST /api/customers/upsert.
+const { parsePaymentTerms } = require('./paymentTerms');
+const { findUpsertMatch } = require('./customers');
+const { normalizeName, normalizePhone } = require('./customerMerge');
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Import targets and the spreadsheet headers recognised for each (compared normalized)
+const FIELD_ALIASES = {
+  name: ['name', 'customer', 'customer name', 'full name', 'contact', 'contact name', 'display name'],
+  first_name: ['first name', 'first', 'given name'],
+  last_name: ['last name', 'last', 'surname', 'family name'],
+  company: ['company', 'company name', 'business', 'business name', 'organization', 'organisation'],
+  email: ['email', 'e mail', 'email address'],
+  phone: ['phone', 'phone number', 'telephone', 'mobile', 'cell', 'tel'],
+  address: ['address', 'street', 'street address', 'address 1', 'address line 1', 'billing address'],
+  city: ['city', 'town'],
+  state: ['state', 'province', 'region'],
+  zip: ['zip', 'zip code', 'postal code', 'postcode'],
+  payment_terms: ['payment terms', 'terms'],
+  payment_terms_days: ['payment terms days', 'terms days', 'net days'],
+};
+const IMPORT_FIELDS = Object.keys(FIELD_ALIASES);
+
+const normHeader = (h) => String(h ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+/* ───────────── CSV ───────────── */
+
+/** RFC 4180 parser (quoted fields, "" escapes, CRLF); the delimiter is sniffed from the header line. */
+function parseCsv(text) {
+  const src = String(text ?? '').replace(/^\uFEFF/, '');
+  const firstLine = src.split(/\r?\n/, 1)[0] || '';
+  const delimiter = [',', ';', '\t'].reduce((best, d) =>
+    firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === '') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+const isBlankRow = (cells) => cells.every((v) => String(v).trim() === '');
+
+/**
+ * Resolves { field: header | column index } against the header row, filling unmapped fields
+ * from FIELD_ALIASES. Returns { columns: { field: index }, mapping: { field: header } } or { error }.
+ */
+function resolveMapping(headers, mapping) {
+  const normalized = headers.map(normHeader);
+  const columns = {};
+
+  for (const [field, target] of Object.entries(mapping || {})) {
+    if (!IMPORT_FIELDS.includes(field)) {
+      return { error: `Unknown mapping field "${field}". Fields: ${IMPORT_FIELDS.join(', ')}` };
+    }
+    if (target == null || target === '') continue;
+    const idx = Number.isInteger(target) ? target : normalized.indexOf(normHeader(target));
+    if (idx < 0 || idx >= headers.length) return { error: `Column "${target}" (for ${field}) is not in the file` };
+    columns[field] = idx;
+  }
+
+  const taken = new Set(Object.values(columns));
+  for (const field of IMPORT_FIELDS) {
+    if (columns[field] != null || (mapping && field in mapping)) continue;
+    const idx = normalized.findIndex((h, i) => !taken.has(i) && FIELD_ALIASES[field].includes(h));
+    if (idx >= 0) {
+      columns[field] = idx;
+      taken.add(idx);
+    }
+  }
+
+  if (columns.name == null && columns.company == null && columns.first_name == null && columns.last_name == null) {
+    return { error: 'No name or company column found; pass a mapping' };
+  }
+  return {
+    columns,
+    mapping: Object.fromEntries(Object.entries(columns).map(([f, i]) => [f, headers[i]])),
+  };
+}
+
+/** Drops the ' that csvCell puts before formula-like cells, so an export re-imports as it was. */
+const unescapeCsvCell = (s) => (/^'[=+\-@]/.test(s) ? s.slice(1) : s);
+
+/**
+ * CSV text → { rows: [{ row, fields }], mapping } or { error }. Row numbers count records
+ * with the header as 1, blank lines included, so they match the spreadsheet.
+ */
+function rowsFromCsv(text, mapping) {
+  const table = parseCsv(text);
+  const headerAt = table.findIndex((cells) => !isBlankRow(cells));
+  const records = table
+    .map((cells, i) => ({ row: i + 1, cells }))
+    .filter(({ row, cells }) => row > headerAt + 1 && !isBlankRow(cells));
+  if (headerAt < 0 || !records.length) return { error: 'The CSV needs a header row and at least one customer' };
+  if (records.length > MAX_IMPORT_ROWS) return { error: `At most ${MAX_IMPORT_ROWS} customers per import` };
+
+  const resolved = resolveMapping(table[headerAt], mapping);
+  if (resolved.error) return resolved;
+
+  const rows = records.map(({ row, cells }) => {
+    const fields = {};
+    for (const [field, idx] of Object.entries(resolved.columns)) {
+      fields[field] = unescapeCsvCell(String(cells[idx] ?? '').trim());
+    }
+    return { row, fields };
+  });
+  return { rows, mapping: resolved.mapping };
+}
+
+/* ───────────── vCard ───────────── */
+
+const unescapeVcard = (v) => v.replace(/\\n/gi, '\n').replace(/\\([,;\\])/g, '$1');
+
+const decodeQuotedPrintable = (v) =>
+  Buffer.from(v.replace(/=\r?\n/g, '').replace(/=([0-9A-F]{2})/gi, (_, h) => String.fromCharCode(parseInt(h, 16))), 'latin1')
+    .toString('utf8');
+
+/** vCard 2.1 / 3.0 / 4.0 text → { rows: [{ row, fields }] } or { error }. Row = card number. */
+function rowsFromVcf(text) {
+  // Unfold continuation lines (RFC 6350 §3.2)
+  const lines = String(text ?? '').replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const cards = [];
+  let card = null;
+
+  for (const line of lines) {
+    const colon = line.indexOf(':');
+    if (colon < 0) continue;
+    const [rawName, ...params] = line.slice(0, colon).split(';');
+    const prop = rawName.replace(/^.*\./, '').toUpperCase(); // drop "item1." groups
+    let value = line.slice(colon + 1);
+
+    if (prop === 'BEGIN' && value.trim().toUpperCase() === 'VCARD') {
+      card = {};
+      continue;
+    }
+    if (prop === 'END' && card) {
+      cards.push(card);
+      card = null;
+      continue;
+    }
+    if (!card || card[prop] != null) continue; // first value of each property wins
+    if (params.some((p) => /QUOTED-PRINTABLE/i.test(p))) value = decodeQuotedPrintable(value);
+    card[prop] = value;
+  }
+
+  if (!cards.length) return { error: 'No vCards found (expected BEGIN:VCARD … END:VCARD)' };
+  if (cards.length > MAX_IMPORT_ROWS) return { error: `At most ${MAX_IMPORT_ROWS} customers per import` };
+
+  const parts = (v) => String(v ?? '').split(/(?<!\\);/).map((p) => unescapeVcard(p).trim());
+  const rows = cards.map((c, i) => {
+    const [last = '', first = ''] = parts(c.N);
+    // ADR: PO box; extended; street; city; region; postal code; country
+    const [, , street = '', city = '', state = '', zip = ''] = parts(c.ADR);
+    const fn = unescapeVcard(c.FN || '').trim();
+    const org = parts(c.ORG)[0] || '';
+    return {
+      row: i + 1,
+      fields: {
+        // Business cards repeat the organization as FN; keep it as the company only
+        name: fn === org && !first && !last ? '' : fn,
+        first_name: first,
+        last_name: last,
+        company: org,
+        email: unescapeVcard(c.EMAIL || '').trim(),
+        phone: unescapeVcard(c.TEL || '').replace(/^tel:/i, '').trim(),
+        address: street,
+        city,
+        state,
+        zip,
+      },
+    };
+  });
+  return { rows };
+}
+
+/* ───────────── rows → customers ───────────── */
+
+/** Import fields → { customer: { name, company, email, phone, address, terms } } or { error }. */
+function customerFromFields(f) {
+  const name = (f.name || [f.first_name, f.last_name].filter(Boolean).join(' ')).trim().slice(0, 200);
+  const company = (f.company || '').trim().slice(0, 200);
+  if (!name && !company) return { error: 'A name or company is required' };
+
+  const email = (f.email || '').trim().slice(0, 200);
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return { error: `Invalid email "${email}"` };
+
+  const cityLine = [f.city, [f.state, f.zip].filter(Boolean).join(' ')].filter(Boolean).join(', ');
+  const address = [f.address, cityLine].filter(Boolean).join(', ').slice(0, 500);
+
+  let terms = null;
+  if (f.payment_terms) {
+    terms = parsePaymentTerms(f.payment_terms.toLowerCase().replace(/[\s-]+/g, '_'), f.payment_terms_days);
+    if (terms?.error) return { error: terms.error };
+  }
+
+  return { customer: { name, company, email, phone: (f.phone || '').slice(0, 50), address, terms } };
+}
+
+/**
+ * Decides what each row would do without writing: create, update (exact name + company
+ * match, as upsert) or error; plus likely duplicates by normalized name, email or phone.
+ * existing: the user's active customers (id, name, company, email, phone).
+ */
+async function planImport(db, userId, rows, existing) {
+  const index = new Map();
+  const addKey = (key, c) => {
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(c);
+  };
+  const keysOf = (c) => {
+    const name = normalizeName(c.name);
+    const company = normalizeName(c.company);
+    const email = String(c.email || '').trim().toLowerCase();
+    const phone = normalizePhone(c.phone);
+    return [
+      name || company ? ['name', `n:${name}|${company}`] : null,
+      email ? ['email', `e:${email}`] : null,
+      phone ? ['phone', `p:${phone}`] : null,
+    ].filter(Boolean);
+  };
+  for (const c of existing) for (const [, key] of keysOf(c)) addKey(key, c);
+
+  const plan = [];
+  const seen = new Map(); // exact name|company → first row number in this file
+  for (const { row, fields } of rows) {
+    const parsed = customerFromFields(fields);
+    if (parsed.error) {
+      plan.push({ row, action: 'error', error: parsed.error });
+      continue;
+    }
+    const c = parsed.customer;
+    const exactKey = `${c.name}\u0000${c.company}`;
+
+    const entry = { row, name: c.name, company: c.company, email: c.email, phone: c.phone, customer: c };
+    if (seen.has(exactKey)) {
+      entry.action = 'update';
+      entry.same_as_row = seen.get(exactKey);
+    } else {
+      seen.set(exactKey, row);
+      const matchId = await findUpsertMatch(db, userId, c.name, c.company);
+      entry.action = matchId ? 'update' : 'create';
+      if (matchId) entry.existing_id = matchId;
+    }
+
+    const dupes = new Map();
+    for (const [reason, key] of keysOf(c)) {
+      for (const other of index.get(key) || []) {
+        if (other.id === entry.existing_id) continue;
+        const d = dupes.get(other.id) || { id: other.id, name: other.name, company: other.company, reasons: [] };
+        d.reasons.push(reason);
+        dupes.set(other.id, d);
+      }
+    }
+    entry.possible_duplicates = [...dupes.values()];
+    plan.push(entry);
+  }
+  return plan;
+}
+
+/**
+ * Writes a plan inside the caller's transaction. Updates only fill in what the row has
+ * (blank cells never wipe existing data) and bring back deleted matches, as upsert does.
+ * Sets customer_id on each written entry; returns { created, updated }.
+ */
+async function applyImport(client, userId, plan) {
+  let created = 0;
+  let updated = 0;
+  for (const entry of plan) {
+    if (entry.action === 'error') continue;
+    const c = entry.customer;
+    const matchId = await findUpsertMatch(client, userId, c.name, c.company);
+
+    if (matchId) {
+      await client.query(
+        `UPDATE customers SET
+           email   = COALESCE(NULLIF($3, ''), email),
+           phone   = COALESCE(NULLIF($4, ''), phone),
+           address = COALESCE(NULLIF($5, ''), address),
+           payment_terms      = COALESCE($6, payment_terms),
+           payment_terms_days = CASE WHEN $6::text IS NULL THEN payment_terms_days ELSE $7::int END,
+           deleted_at = NULL
+         WHERE id = $1 AND user_id = $2`,
+        [matchId, userId, c.email, c.phone, c.address, c.terms?.terms ?? null, c.terms?.days ?? null]
+      );
+      entry.customer_id = matchId;
+      updated += 1;
+    } else {
+      const { rows } = await client.query(
+        `INSERT INTO customers (user_id, name, company, email, phone, address, payment_terms, payment_terms_days)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING id`,
+        [userId, c.name, c.company, c.email, c.phone, c.address, c.terms?.terms ?? null, c.terms?.days ?? null]
+      );
+      entry.customer_id = rows[0].id;
+      created += 1;
+    }
+  }
+  return { created, updated };
+}
+
+/* ───────────── export ───────────── */
+
+const EXPORT_COLUMNS = ['id', 'name', 'company', 'email', 'phone', 'address', 'payment_terms', 'payment_terms_days', 'created_at'];
+
+// Plain phone numbers (+15551234567, +1 (555) 123-4567) are not formulas worth guarding
+const PHONE_LIKE = /^\+[\d\s().-]+$/;
+
+// Quotes when needed; cells that a spreadsheet would run as a formula get a leading '
+function csvCell(value) {
+  let s = value == null ? '' : value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(s) && !PHONE_LIKE.test(s)) s = `'${s}`;
+  return /[",\r\n;]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function customersToCsv(customers) {
+  const lines = [EXPORT_COLUMNS.join(',')];
+  for (const c of customers) lines.push(EXPORT_COLUMNS.map((k) => csvCell(c[k])).join(','));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+const escapeVcard = (v) => String(v ?? '').replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/([,;])/g, '\\$1');
+
+function customersToVcf(customers) {
+  const out = [];
+  for (const c of customers) {
+    const fn = c.name || c.company || '';
+    out.push(
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      `FN:${escapeVcard(fn)}`,
+      `N:${escapeVcard(c.name || '')};;;;`,
+      ...(c.company ? [`ORG:${escapeVcard(c.company)}`] : []),
+      ...(c.email ? [`EMAIL;TYPE=INTERNET:${escapeVcard(c.email)}`] : []),
+      ...(c.phone ? [`TEL;TYPE=WORK:${escapeVcard(c.phone)}`] : []),
+      ...(c.address ? [`ADR;TYPE=WORK:;;${escapeVcard(c.address)};;;;`] : []),
+      'END:VCARD'
+    );
+  }
+  return `${out.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORT_FIELDS,
+  parseCsv,
+  rowsFromCsv,
+  rowsFromVcf,
+  customerFromFields,
+  planImport,
+  applyImport,
+  customersToCsv,
+  customersToVcf,
+};
@@ -0,0 +1,257 @@
+// backend/utils/customerMerge.js
+// Likely-duplicate customers and merging them into one surviving record. A merge re-points
+// every row listed in MERGE_REFERENCES, soft-deletes the duplicates and keeps enough in
+// customer_merges to undo it within the undo window.
+
+const MERGE_UNDO_DAYS = Math.max(1, parseInt(process.env.CUSTOMER_MERGE_UNDO_DAYS || '7', 10) || 7);
+const MAX_MERGE = 50;
+
+// Tables holding a customer id (each with user_id); a merge moves their rows to the survivor
+const MERGE_REFERENCES = [
+  { table: 'invoices', column: 'customer_id' },
+  { table: 'estimates', column: 'customer_id' },
+  { table: 'recurring_invoices', column: 'customer_id' },
+  { table: 'customer_contacts', column: 'customer_id' },
+  { table: 'customer_addresses', column: 'customer_id' },
+  { table: 'customer_notes', column: 'customer_id' },
+  { table: 'email_log', column: 'customer_id' },
+];
+
+// Survivor fields filled from a duplicate when the survivor has none
+const FILL_FIELDS = ['company', 'email', 'phone', 'address'];
+
+// Legal-form words that do not tell two businesses apart
+const NAME_NOISE = new Set(['inc', 'incorporated', 'llc', 'ltd', 'limited', 'co', 'corp', 'corporation', 'company', 'the']);
+
+/** "ACME, Inc." → "acme" */
+function normalizeName(value) {
+  return String(value ?? '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter((w) => w && !NAME_NOISE.has(w))
+    .join(' ');
+}
+
+const normalizeEmail = (value) => String(value ?? '').trim().toLowerCase();
+
+/** Digits only, US country code dropped; '' when too short to compare. */
+function normalizePhone(value) {
+  let digits = String(value ?? '').replace(/\D/g, '');
+  if (digits.length === 11 && digits.startsWith('1')) digits = digits.slice(1);
+  return digits.length >= 7 ? digits : '';
+}
+
+/**
+ * Groups customers sharing a normalized name + company, email or phone (transitively).
+ * Returns [{ reasons: ['name'|'email'|'phone', …], customers: [...] }] for groups of 2+,
+ * largest first; each group's customers are oldest first.
+ */
+function findDuplicateGroups(customers) {
+  const parent = new Map(customers.map((c) => [c.id, c.id]));
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  const reasons = new Map(); // root id → Set of reasons (collected after union)
+  const links = [];
+
+  const firstByKey = new Map();
+  for (const c of customers) {
+    const name = normalizeName(c.name);
+    const company = normalizeName(c.company);
+    const keys = [
+      ['name', name || company ? `${name}|${company}` : ''],
+      ['email', normalizeEmail(c.email)],
+      ['phone', normalizePhone(c.phone)],
+    ];
+    for (const [reason, value] of keys) {
+      if (!value) continue;
+      const key = `${reason}:${value}`;
+      if (!firstByKey.has(key)) {
+        firstByKey.set(key, c.id);
+        continue;
+      }
+      const other = firstByKey.get(key);
+      links.push([c.id, reason]);
+      const a = find(c.id);
+      const b = find(other);
+      if (a !== b) parent.set(a, b);
+    }
+  }
+
+  for (const [id, reason] of links) {
+    const root = find(id);
+    if (!reasons.has(root)) reasons.set(root, new Set());
+    reasons.get(root).add(reason);
+  }
+
+  const groups = new Map();
+  for (const c of customers) {
+    const root = find(c.id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(c);
+  }
+
+  return [...groups.entries()]
+    .filter(([, members]) => members.length > 1)
+    .map(([root, members]) => ({
+      reasons: [...(reasons.get(root) || [])].sort(),
+      customers: members.sort((a, b) => new Date(a.created_at) - new Date(b.created_at) || a.id - b.id),
+    }))
+    .sort((a, b) => b.customers.length - a.customers.length);
+}
+
+/**
+ * Merges duplicateIds into survivorId inside the caller's transaction. Returns
+ * { merge } (the customer_merges row), { notFound: true } for an unknown survivor, or
+ * { missing: [ids] } for duplicates that are not the user's active customers.
+ */
+async function mergeCustomers(client, userId, survivorId, duplicateIds) {
+  const ids = [survivorId, ...duplicateIds];
+  const { rows: locked } = await client.query(
+    `SELECT * FROM customers
+      WHERE id = ANY($1::int[]) AND user_id = $2 AND deleted_at IS NULL
+      ORDER BY id
+      FOR UPDATE`,
+    [ids, userId]
+  );
+  const byId = new Map(locked.map((c) => [c.id, c]));
+  const survivor = byId.get(survivorId);
+  if (!survivor) return { notFound: true };
+  const missing = duplicateIds.filter((id) => !byId.has(id));
+  if (missing.length) return { missing };
+
+  // Re-point references, remembering each row's previous customer id
+  const moved = {};
+  for (const { table, column } of MERGE_REFERENCES) {
+    const { rows } = await client.query(
+      `UPDATE ${table} t
+          SET ${column} = $1
+         FROM (SELECT id, ${column} AS from_id FROM ${table}
+                WHERE user_id = $2 AND ${column} = ANY($3::int[])
+                FOR UPDATE) old
+        WHERE t.id = old.id
+        RETURNING t.id, old.from_id`,
+      [survivorId, userId, duplicateIds]
+    );
+    if (rows.length) moved[table] = rows.map((r) => [r.id, r.from_id]);
+  }
+
+  // Estimates saved before customer_id existed only carry the id in their snapshot
+  const { rows: snapshotOnly } = await client.query(
+    `UPDATE estimates
+        SET customer_id = $1
+      WHERE user_id = $2
+        AND customer_id IS NULL
+        AND (customer_info::jsonb)->>'id' = ANY($3::text[])
+      RETURNING id`,
+    [survivorId, userId, duplicateIds.map(String)]
+  );
+  if (snapshotOnly.length) {
+    moved.estimates = [...(moved.estimates || []), ...snapshotOnly.map((r) => [r.id, null])];
+  }
+
+  // Fill the survivor's blanks from the duplicates, in the order given
+  const survivorFields = {};
+  for (const field of FILL_FIELDS) {
+    if (String(survivor[field] ?? '').trim()) continue;
+    const donor = duplicateIds.map((id) => byId.get(id)).find((c) => String(c[field] ?? '').trim());
+    if (!donor) continue;
+    survivorFields[field] = { before: survivor[field] ?? null, after: donor[field] };
+    await client.query(
+      `UPDATE customers SET ${field} = $1 WHERE id = $2 AND user_id = $3`,
+      [donor[field], survivorId, userId]
+    );
+  }
+
+  await client.query(
+    `UPDATE customers SET deleted_at = NOW(), merged_into = $1
+      WHERE id = ANY($2::int[]) AND user_id = $3`,
+    [survivorId, duplicateIds, userId]
+  );
+
+  const { rows } = await client.query(
+    `INSERT INTO customer_merges (user_id, survivor_id, merged_ids, moved, survivor_fields, undo_expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + ($6 || ' days')::interval)
+     RETURNING *`,
+    [userId, survivorId, duplicateIds, JSON.stringify(moved), JSON.stringify(survivorFields), String(MERGE_UNDO_DAYS)]
+  );
+  return { merge: rows[0] };
+}
+
+/**
+ * Reverts a merge inside the caller's transaction: rows still pointing at the survivor go
+ * back, the survivor's filled-in fields are cleared again (unless edited since) and the
+ * duplicates are restored. Returns { merge }, null when not the user's, or
+ * { undone: true } / { expired: true } / { survivorMergedInto } when the survivor has since
+ * been merged into another customer (undo that merge first).
+ */
+async function undoCustomerMerge(client, userId, mergeId) {
+  const { rows } = await client.query(
+    `SELECT *, undo_expires_at < NOW() AS expired
+       FROM customer_merges
+      WHERE id = $1 AND user_id = $2
+      FOR UPDATE`,
+    [mergeId, userId]
+  );
+  const merge = rows[0];
+  if (!merge) return null;
+  if (merge.undone_at) return { undone: true };
+  if (merge.expired) return { expired: true };
+
+  // The moved rows now sit on the survivor's own survivor; undoing here would restore empty duplicates
+  const { rows: survivor } = await client.query(
+    `SELECT merged_into FROM customers WHERE id = $1 AND user_id = $2`,
+    [merge.survivor_id, userId]
+  );
+  if (survivor[0]?.merged_into != null) return { survivorMergedInto: survivor[0].merged_into };
+
+  for (const { table, column } of MERGE_REFERENCES) {
+    const pairs = merge.moved?.[table] || [];
+    if (!pairs.length) continue;
+    await client.query(
+      `UPDATE ${table} t
+          SET ${column} = m.from_id
+         FROM UNNEST($1::int[], $2::int[]) AS m(id, from_id)
+        WHERE t.id = m.id AND t.user_id = $3 AND t.${column} = $4`,
+      [pairs.map(([id]) => id), pairs.map(([, from]) => from), userId, merge.survivor_id]
+    );
+  }
+
+  for (const [field, { before, after }] of Object.entries(merge.survivor_fields || {})) {
+    if (!FILL_FIELDS.includes(field)) continue;
+    await client.query(
+      `UPDATE customers SET ${field} = $1
+        WHERE id = $2 AND user_id = $3 AND ${field} IS NOT DISTINCT FROM $4`,
+      [before, merge.survivor_id, userId, after]
+    );
+  }
+
+  await client.query(
+    `UPDATE customers SET deleted_at = NULL, merged_into = NULL
+      WHERE id = ANY($1::int[]) AND user_id = $2 AND merged_into = $3`,
+    [merge.merged_ids, userId, merge.survivor_id]
+  );
+
+  const { rows: updated } = await client.query(
+    `UPDATE customer_merges SET undone_at = NOW() WHERE id = $1 RETURNING *`,
+    [merge.id]
+  );
+  return { merge: updated[0] };
+}
+
+module.exports = {
+  MERGE_UNDO_DAYS,
+  MAX_MERGE,
+  MERGE_REFERENCES,
+  normalizeName,
+  normalizePhone,
+  findDuplicateGroups,
+  mergeCustomers,
+  undoCustomerMerge,
+};
@@ -0,0 +1,123 @@
+// backend/utils/customers.js
+// How invoices / estimates are tied to a customer row, and the per-customer totals.
+// invoices.customer_id is the link; customer_info stays the bill-to snapshot taken at the time.
+const { PAYMENT_SUMMARY_JOIN } = require('./invoicePayments');
+
+/** SQL condition: invoice `inv` belongs to the customer whose id is `idExpr`. */
+const invoiceCustomerMatch = (idExpr) => `inv.customer_id = ${idExpr}`;
+
+/** SQL condition: estimate `e` belongs to the customer whose id is `idExpr`. */
+const estimateCustomerMatch = (idExpr) =>
+  `(e.customer_id = ${idExpr} OR (e.customer_id IS NULL AND (e.customer_info::jsonb)->>'id' = (${idExpr})::text))`;
+
+// A bill-to snapshot (jsonb SQL expression) → normalized field for comparison
+const snapField = (info, key) => `LOWER(TRIM(COALESCE((${info})->>'${key}', '')))`;
+const rowField = (key) => `LOWER(TRIM(COALESCE(c.${key}, '')))`;
+
+/**
+ * SQL conditions matching customers `c` to a bill-to snapshot `info` (jsonb expression):
+ * same name + company (an email on both sides must agree), or else the same email.
+ */
+const snapshotNameMatch = (info) => `
+  (${snapField(info, 'name')} <> '' OR ${snapField(info, 'company')} <> '')
+  AND ${rowField('name')} = ${snapField(info, 'name')}
+  AND ${rowField('company')} = ${snapField(info, 'company')}
+  AND (${snapField(info, 'email')} = '' OR ${rowField('email')} = '' OR ${rowField('email')} = ${snapField(info, 'email')})`;
+
+const snapshotEmailMatch = (info) => `
+  ${snapField(info, 'email')} <> ''
+  AND ${rowField('email')} = ${snapField(info, 'email')}`;
+
+/**
+ * The customers row an invoice belongs to: the explicit id (customer_id, else
+ * customer_info.id) when it is the user's, else the one customer whose details match the
+ * snapshot. Null when nothing (or more than one customer) matches.
+ */
+async function resolveInvoiceCustomerId(db, userId, customerInfo, customerId = null) {
+  const explicit = customerId ?? customerInfo?.id;
+  if (explicit != null && /^\d{1,9}$/.test(String(explicit).trim())) {
+    const { rows } = await db.query(
+      `SELECT id FROM customers WHERE id = $1 AND user_id = $2`,
+      [Number(explicit), userId]
+    );
+    if (rows[0]) return rows[0].id;
+  }
+
+  const info = customerInfo && typeof customerInfo === 'object' ? customerInfo : {};
+  for (const match of [snapshotNameMatch, snapshotEmailMatch]) {
+    const { rows } = await db.query(
+      `SELECT c.id FROM customers c
+        WHERE c.user_id = $1 AND c.deleted_at IS NULL AND ${match('$2::jsonb')}
+        LIMIT 2`,
+      [userId, JSON.stringify(info)]
+    );
+    if (rows.length === 1) return rows[0].id;
+  }
+  return null;
+}
+
+/**
+ * The customer an upsert of name + company lands on (exact match per user, as
+ * POST /api/customers/upsert has always done): an active match first, else a deleted one
+ * (the caller brings it back); a merged customer resolves to the one that finally absorbed it.
+ * Returns the id or null.
+ */
+async function findUpsertMatch(db, userId, name, company) {
+  // Merges can chain (A → B → C): follow merged_into up to the customer still standing
+  const { rows } = await db.query(
+    `WITH RECURSIVE hit AS (
+       SELECT id, merged_into, 0 AS depth FROM (
+         SELECT id, merged_into FROM customers
+          WHERE user_id = $3
+            AND COALESCE(name, '') = $1
+            AND COALESCE(company, '') = $2
+          ORDER BY (deleted_at IS NULL) DESC, id
+          LIMIT 1
+       ) m
+       UNION ALL
+       SELECT c.id, c.merged_into, hit.depth + 1
+         FROM hit
+         JOIN customers c ON c.id = hit.merged_into AND c.user_id = $3
+        WHERE hit.depth < 50
+     )
+     SELECT id FROM hit WHERE merged_into IS NULL`,
+    [String(name ?? '').trim(), String(company ?? '').trim(), userId]
+  );
+  return rows[0]?.id ?? null;
+}
+
+/**
+ * Lateral join of lifetime figures for customers aliased `c`. Voided invoices are ignored;
+ * revenue is net of credit notes.
+ */
+const CUSTOMER_STATS_JOIN = `
+  LEFT JOIN LATERAL (
+    SELECT COUNT(*)                                                             AS invoice_count,
+           SUM(inv.total - COALESCE(cred.amount_credited, 0))                   AS lifetime_revenue,
+           SUM(COALESCE(pay.amount_paid, 0))                                    AS total_paid,
+           SUM(inv.total - COALESCE(pay.amount_paid, 0) - COALESCE(cred.amount_credited, 0)) AS open_balance,
+           MAX(inv.invoice_date)                                                AS last_order_date
+      FROM invoices inv
+      ${PAYMENT_SUMMARY_JOIN}
+     WHERE inv.user_id = c.user_id
+       AND inv.voided_at IS NULL
+       AND ${invoiceCustomerMatch('c.id')}
+  ) stats ON TRUE`;
+
+const CUSTOMER_STATS_COLUMNS = `
+  COALESCE(stats.invoice_count, 0)::int               AS invoice_count,
+  ROUND(COALESCE(stats.lifetime_revenue, 0), 2)       AS lifetime_revenue,
+  ROUND(COALESCE(stats.total_paid, 0), 2)             AS total_paid,
+  ROUND(COALESCE(stats.open_balance, 0), 2)           AS open_balance,
+  stats.last_order_date`;
+
+module.exports = {
+  invoiceCustomerMatch,
+  snapshotNameMatch,
+  snapshotEmailMatch,
+  resolveInvoiceCustomerId,
+  findUpsertMatch,
+  estimateCustomerMatch,
+  CUSTOMER_STATS_JOIN,
+  CUSTOMER_STATS_COLUMNS,
+};
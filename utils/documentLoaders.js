@@ -0,0 +1,274 @@
+// backend/utils/documentLoaders.js
+// Header + line loaders shared by the JSON routes, the PDF renderer and mailers.
+const {
+  PAYMENT_SUMMARY_JOIN,
+  PAYMENT_SUMMARY_COLUMNS,
+  withPaymentStatus,
+} = require('./invoicePayments');
+const { loadStoreProfile } = require('./storeInfo');
+const { TODAY_SQL } = require('./estimateExpiry');
+const { dimensionLabel } = require('./areaPricing');
+
+// Invoice header columns (alias `inv`, source estimate `src`); append WHERE / ORDER BY.
+const INVOICE_HEADER_SELECT = `
+  SELECT
+    inv.id,
+    inv.invoice_number,
+    inv.customer_id,
+    inv.customer_info,
+    inv.contact_id,
+    inv.billing_address_id,
+    inv.shipping_address_id,
+    inv.invoice_date,
+    ROUND(inv.total, 2) AS total,
+    inv.tax_rate,
+    COALESCE(inv.tax_exempt, FALSE) AS tax_exempt,
+    inv.tax_exempt_certificate,
+    inv.discount_type,
+    inv.discount_value,
+    inv.notes,
+    inv.kind,
+    inv.deposit_applied,
+    inv.payment_terms,
+    inv.payment_terms_days,
+    COALESCE(inv.due_date, inv.invoice_date::date) AS due_date,
+    GREATEST(0, ${TODAY_SQL} - COALESCE(inv.due_date, inv.invoice_date::date)) AS days_past_due,
+    inv.source_estimate_id,
+    src.estimate_number AS source_estimate_number,
+    ROUND(src.total, 2) AS quoted_total,
+    ${PAYMENT_SUMMARY_COLUMNS}
+  FROM invoices inv
+  LEFT JOIN estimates src ON src.id = inv.source_estimate_id
+  ${PAYMENT_SUMMARY_JOIN}`;
+
+// Estimate header columns (alias `e`, converted invoice `conv`); append WHERE / ORDER BY.
+const ESTIMATE_HEADER_SELECT = `
+  SELECT
+    e.id,
+    e.estimate_number,
+    e.customer_id,
+    e.customer_info,
+    e.contact_id,
+    e.billing_address_id,
+    e.shipping_address_id,
+    e.estimate_date,
+    ROUND(e.total, 2) AS total,
+    COALESCE(e.tax_exempt, FALSE) AS tax_exempt,
+    e.tax_exempt_certificate,
+    e.discount_type,
+    e.discount_value,
+    e.notes,
+    e.status,
+    e.valid_until,
+    e.updated_at,
+    e.share_expires_at,
+    e.converted_invoice_id,
+    e.converted_at,
+    conv.invoice_number AS converted_invoice_number,
+    ROUND(conv.total, 2) AS billed_total
+  FROM estimates e
+  LEFT JOIN invoices conv ON conv.id = e.converted_invoice_id`;
+
+// Area-priced lines show their dimensions (and finishing) after the variation size
+const lineSize = (v) => [v.size, dimensionLabel(v)].filter(Boolean).join(', ');
+
+const lineDimensions = (v) =>
+  v.width == null
+    ? null
+    : {
+        width: Number(v.width),
+        height: Number(v.height),
+        dimension_unit: v.dimension_unit,
+        area_sqft: Number(v.area_sqft),
+        finishing: v.finishing || [],
+      };
+
+/** Invoice lines, variation lines first, NO DEDUP, each with its line_id. */
+async function loadInvoiceItems(db, invoiceId) {
+  const { rows: variationItems } = await db.query(
+    `
+    SELECT
+      ii.id AS line_id,
+      ii.product_variation_id                              AS variation_id,
+      COALESCE(ii.display_name, p.name, 'Item')            AS product_name,
+      COALESCE(pv.size, '')                                AS size,
+      COALESCE(ii.price, pv.price, 0)::numeric(12,2)       AS price,
+      ii.quantity,
+      COALESCE(ii.taxable, TRUE)                           AS taxable,
+      COALESCE(pv.accessory, '')                           AS accessory,
+      ii.width, ii.height, ii.dimension_unit, ii.area_sqft, ii.finishing
+    FROM invoice_items ii
+    LEFT JOIN product_variations pv ON ii.product_variation_id = pv.id
+    LEFT JOIN products p            ON pv.product_id = p.id
+    WHERE ii.invoice_id = $1
+    ORDER BY ii.id ASC
+    `,
+    [invoiceId]
+  );
+
+  const { rows: customItems } = await db.query(
+    `
+    SELECT
+      id AS line_id,
+      product_name,
+      size,
+      price::numeric(12,2) AS price,
+      quantity,
+      accessory,
+      COALESCE(taxable, TRUE) AS taxable
+    FROM custom_invoice_items
+    WHERE invoice_id = $1
+    ORDER BY id ASC
+    `,
+    [invoiceId]
+  );
+
+  return [
+    ...variationItems.map(v => ({
+      type: 'variation',
+      line_id: v.line_id,
+      variation_id: v.variation_id,
+      product_name: v.product_name,
+      size: lineSize(v),
+      price: v.price,
+      quantity: v.quantity,
+      accessory: v.accessory,
+      taxable: !!v.taxable,
+      dimensions: lineDimensions(v),
+    })),
+    ...customItems.map(c => ({
+      type: 'custom',
+      line_id: c.line_id,
+      variation_id: null,
+      product_name: c.product_name,
+      size: c.size,
+      price: c.price,
+      quantity: c.quantity,
+      accessory: c.accessory,
+      taxable: !!c.taxable,
+    })),
+  ];
+}
+
+/**
+ * Estimate lines with overrides coalesced, ordered by line id. Option lines carry their
+ * group/option names; included is false for alternatives that are not selected.
+ */
+async function loadEstimateItems(db, estimateId) {
+  const { rows: variationItems } = await db.query(
+    `
+    SELECT
+      ei.product_variation_id                             AS variation_id,
+      COALESCE(pv.size, '')                               AS size,
+      COALESCE(ei.unit_price, pv.price, 0)::numeric(12,2) AS price,
+      ei.quantity,
+      COALESCE(ei.taxable, TRUE)                          AS taxable,
+      COALESCE(pv.accessory, '')                          AS accessory,
+      COALESCE(ei.display_name, p.name, 'Item')           AS product_name,
+      ei.option_id,
+      o.name                                              AS option_name,
+      g.name                                              AS option_group,
+      (ei.option_id IS NULL OR g.selected_option_id = ei.option_id) AS included,
+      ei.width, ei.height, ei.dimension_unit, ei.area_sqft, ei.finishing
+    FROM estimate_items ei
+    LEFT JOIN product_variations pv    ON pv.id = ei.product_variation_id
+    LEFT JOIN products p               ON p.id = pv.product_id
+    LEFT JOIN estimate_options o       ON o.id = ei.option_id
+    LEFT JOIN estimate_option_groups g ON g.id = o.group_id
+    WHERE ei.estimate_id = $1
+    ORDER BY ei.id ASC
+    `,
+    [estimateId]
+  );
+
+  const { rows: customItems } = await db.query(
+    `
+    SELECT
+      ci.product_name,
+      ci.size,
+      ci.price::numeric(12,2)  AS price,
+      ci.quantity,
+      ci.accessory,
+      COALESCE(ci.taxable, TRUE) AS taxable,
+      ci.option_id,
+      o.name AS option_name,
+      g.name AS option_group,
+      (ci.option_id IS NULL OR g.selected_option_id = ci.option_id) AS included
+    FROM custom_estimate_items ci
+    LEFT JOIN estimate_options o       ON o.id = ci.option_id
+    LEFT JOIN estimate_option_groups g ON g.id = o.group_id
+    WHERE ci.estimate_id = $1
+    ORDER BY ci.id ASC
+    `,
+    [estimateId]
+  );
+
+  return [
+    ...variationItems.map(v => ({
+      type: 'variation',
+      variation_id: v.variation_id,
+      product_name: v.product_name,
+      size: lineSize(v),
+      price: Number(v.price),
+      quantity: v.quantity,
+      accessory: v.accessory,
+      taxable: !!v.taxable,
+      dimensions: lineDimensions(v),
+      option_id: v.option_id,
+      option_group: v.option_group,
+      option_name: v.option_name,
+      included: !!v.included,
+    })),
+    ...customItems.map(c => ({
+      type: 'custom',
+      variation_id: null,
+      product_name: c.product_name,
+      size: c.size,
+      price: Number(c.price),
+      quantity: c.quantity,
+      accessory: c.accessory,
+      taxable: !!c.taxable,
+      option_id: c.option_id,
+      option_group: c.option_group,
+      option_name: c.option_name,
+      included: !!c.included,
+    })),
+  ];
+}
+
+/** { header, items, store } for one of the user's invoices, or null. */
+async function loadInvoiceDocument(db, userId, invoiceId) {
+  const { rows } = await db.query(
+    `${INVOICE_HEADER_SELECT}
+     WHERE inv.id = $1 AND inv.user_id = $2`,
+    [invoiceId, userId]
+  );
+  if (!rows[0]) return null;
+
+  const items = await loadInvoiceItems(db, invoiceId);
+  const store = await loadStoreProfile(db, userId);
+  return { header: withPaymentStatus(rows[0]), items, store };
+}
+
+/** { header, items, store } for one of the user's estimates, or null. */
+async function loadEstimateDocument(db, userId, estimateId) {
+  const { rows } = await db.query(
+    `${ESTIMATE_HEADER_SELECT}
+     WHERE e.id = $1 AND e.user_id = $2`,
+    [estimateId, userId]
+  );
+  if (!rows[0]) return null;
+
+  const items = await loadEstimateItems(db, estimateId);
+  const store = await loadStoreProfile(db, userId);
+  return { header: rows[0], items, store };
+}
+
+module.exports = {
+  INVOICE_HEADER_SELECT,
+  ESTIMATE_HEADER_SELECT,
+  loadInvoiceItems,
+  loadEstimateItems,
+  loadInvoiceDocument,
+  loadEstimateDocument,
+};
@@ -0,0 +1,124 @@
+// backend/utils/documentNumbers.js
+// Per-store, gapless document numbering.
+//
+// Formats are stored in store_info and support these tokens:
+//   {YYYY} {YY} {MM}   date parts (America/New_York)
+//   {seq} / {seq:N}    the per-store counter, optionally zero-padded to N digits
+// The counter restarts each month when {MM} is used, each year when {YYYY}/{YY} is used.
+
+const DEFAULT_FORMATS = {
+  invoice: 'INV-{seq:5}',
+  estimate: 'EST-{seq:5}',
+  credit_note: 'CN-{seq:5}',
+};
+
+const FORMAT_COLUMNS = {
+  invoice: 'invoice_number_format',
+  estimate: 'estimate_number_format',
+};
+
+// Where issued numbers live (each unique per user)
+const NUMBER_COLUMNS = {
+  invoice: { table: 'invoices', column: 'invoice_number' },
+  estimate: { table: 'estimates', column: 'estimate_number' },
+  credit_note: { table: 'credit_notes', column: 'credit_number' },
+};
+
+const TOKEN_RE = /\{(YYYY|YY|MM|seq(?::(\d{1,2}))?)\}/g;
+
+/** Returns an error message for an invalid format, or null when it is usable. */
+function validateFormat(fmt) {
+  const s = String(fmt || '');
+  if (!s.trim()) return 'Number format cannot be empty';
+  if (s.length > 40) return 'Number format must be 40 characters or fewer';
+
+  const seqCount = (s.match(/\{seq(?::\d{1,2})?\}/g) || []).length;
+  if (seqCount !== 1) return 'Number format must contain {seq} exactly once';
+
+  // A monthly counter repeats every year unless the number also carries the year
+  if (s.includes('{MM}') && !s.includes('{YYYY}') && !s.includes('{YY}')) {
+    return '{MM} needs {YYYY} or {YY} too, or numbers would repeat every year';
+  }
+
+  const leftover = s.replace(TOKEN_RE, '');
+  if (/[{}]/.test(leftover)) return 'Unknown token in number format (use {YYYY}, {YY}, {MM}, {seq} or {seq:N})';
+
+  const pad = s.match(/\{seq:(\d{1,2})\}/);
+  if (pad && (Number(pad[1]) < 1 || Number(pad[1]) > 10)) return 'Sequence padding must be between 1 and 10';
+
+  return null;
+}
+
+function dateParts(date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/New_York',
+    year: 'numeric',
+    month: '2-digit',
+  }).formatToParts(date);
+  const get = (type) => parts.find(p => p.type === type)?.value;
+  return { YYYY: get('year'), MM: get('month') };
+}
+
+function periodFor(fmt, parts) {
+  if (fmt.includes('{MM}')) return `${parts.YYYY}-${parts.MM}`;
+  if (fmt.includes('{YYYY}') || fmt.includes('{YY}')) return parts.YYYY;
+  return '';
+}
+
+function formatNumber(fmt, seq, parts) {
+  return fmt.replace(TOKEN_RE, (_m, token, pad) => {
+    if (token === 'YYYY') return parts.YYYY;
+    if (token === 'YY') return parts.YYYY.slice(-2);
+    if (token === 'MM') return parts.MM;
+    return pad ? String(seq).padStart(Number(pad), '0') : String(seq);
+  });
+}
+
+/**
+ * Claims the next number for `docType` ('invoice' | 'estimate' | 'credit_note').
+ * Must run on the same client/transaction as the insert that uses it: the
+ * sequence row stays locked until COMMIT, and a ROLLBACK returns the number.
+ * Numbers already issued (after a format change the counter can land on one) are skipped.
+ */
+async function nextDocumentNumber(client, userId, docType) {
+  const column = FORMAT_COLUMNS[docType];
+  let fmt = DEFAULT_FORMATS[docType];
+
+  if (column) {
+    const { rows } = await client.query(
+      `SELECT ${column} AS fmt FROM store_info WHERE user_id = $1`,
+      [userId]
+    );
+    const stored = rows[0]?.fmt;
+    if (stored && !validateFormat(stored)) fmt = stored;
+  }
+
+  const parts = dateParts();
+  const period = periodFor(fmt, parts);
+
+  const { table, column: numberColumn } = NUMBER_COLUMNS[docType];
+  for (;;) {
+    const { rows } = await client.query(
+      `INSERT INTO document_sequences (user_id, doc_type, period, last_value)
+       VALUES ($1, $2, $3, 1)
+       ON CONFLICT (user_id, doc_type, period)
+       DO UPDATE SET last_value = document_sequences.last_value + 1
+       RETURNING last_value`,
+      [userId, docType, period]
+    );
+    const number = formatNumber(fmt, rows[0].last_value, parts);
+
+    const { rowCount: taken } = await client.query(
+      `SELECT 1 FROM ${table} WHERE user_id = $1 AND ${numberColumn} = $2 LIMIT 1`,
+      [userId, number]
+    );
+    if (!taken) return number;
+  }
+}
+
+module.exports = {
+  DEFAULT_FORMATS,
+  validateFormat,
+  formatNumber,
+  nextDocumentNumber,
+};
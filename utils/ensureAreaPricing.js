@@ -0,0 +1,48 @@
+// backend/utils/ensureAreaPricing.js
+const pool = require('../db');
+
+let _ran = false;
+
+async function ensureAreaPricing() {
+  if (_ran) return;
+  _ran = true;
+  try {
+    // Catalog default; a user can switch a product for their shop in user_product_pricing
+    await pool.query(`
+      ALTER TABLE products
+        ADD COLUMN IF NOT EXISTS pricing_mode TEXT NOT NULL DEFAULT 'fixed';
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS user_product_pricing (
+        user_id      INTEGER NOT NULL,
+        product_id   INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        pricing_mode TEXT NOT NULL CHECK (pricing_mode IN ('fixed', 'area')),
+        updated_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (user_id, product_id)
+      );
+    `);
+    // Area rates of a variation: per sq ft, minimum per piece, per-foot finishing ({ grommets: 0.75 })
+    await pool.query(`
+      ALTER TABLE product_variations
+        ADD COLUMN IF NOT EXISTS sqft_rate       NUMERIC,
+        ADD COLUMN IF NOT EXISTS min_charge      NUMERIC NOT NULL DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS finishing_rates JSONB NOT NULL DEFAULT '{}'::jsonb;
+    `);
+    // Dimensions an area line was priced with
+    for (const table of ['invoice_items', 'estimate_items']) {
+      await pool.query(`
+        ALTER TABLE ${table}
+          ADD COLUMN IF NOT EXISTS width          NUMERIC,
+          ADD COLUMN IF NOT EXISTS height         NUMERIC,
+          ADD COLUMN IF NOT EXISTS dimension_unit TEXT,
+          ADD COLUMN IF NOT EXISTS area_sqft      NUMERIC,
+          ADD COLUMN IF NOT EXISTS finishing      JSONB;
+      `);
+    }
+    console.log('✅ ensureAreaPricing: tables/columns present');
+  } catch (err) {
+    console.error('⚠️ ensureAreaPricing failed (non-fatal):', err);
+  }
+}
+
+module.exports = { ensureAreaPricing };
@@ -0,0 +1,56 @@
+// backend/utils/ensureCustomerActivity.js
+const pool = require('../db');
+
+let _ran = false;
+
+async function ensureCustomerActivity() {
+  if (_ran) return;
+  _ran = true;
+  try {
+    // Free-form tags, stored lower-case so filters are case-insensitive
+    await pool.query(`
+      ALTER TABLE customers
+        ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS customers_tags_idx ON customers USING GIN (tags);`);
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS customer_notes (
+        id          SERIAL PRIMARY KEY,
+        user_id     INTEGER NOT NULL,
+        customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+        body        TEXT NOT NULL,
+        author      TEXT NOT NULL DEFAULT '',
+        pinned      BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS customer_notes_customer_idx ON customer_notes (customer_id, created_at);
+    `);
+
+    // Every document email sent to a customer (invoices, estimates, statements, reminders, recurring)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS email_log (
+        id          SERIAL PRIMARY KEY,
+        user_id     INTEGER NOT NULL,
+        customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL,
+        invoice_id  INTEGER REFERENCES invoices(id) ON DELETE SET NULL,
+        estimate_id INTEGER REFERENCES estimates(id) ON DELETE SET NULL,
+        kind        TEXT NOT NULL,
+        recipients  TEXT NOT NULL DEFAULT '',
+        subject     TEXT NOT NULL DEFAULT '',
+        sent_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS email_log_customer_idx ON email_log (customer_id, sent_at);
+    `);
+    console.log('✅ ensureCustomerActivity: tables/columns present');
+  } catch (err) {
+    console.error('⚠️ ensureCustomerActivity failed (non-fatal):', err);
+  }
+}
+
+module.exports = { ensureCustomerActivity };
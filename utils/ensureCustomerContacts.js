@@ -0,0 +1,65 @@
+// backend/utils/ensureCustomerContacts.js
+const pool = require('../db');
+
+let _ran = false;
+
+async function ensureCustomerContacts() {
+  if (_ran) return;
+  _ran = true;
+  try {
+    // People at a customer (billing, shipping, artwork, …); receives_invoices marks invoice recipients
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS customer_contacts (
+        id                SERIAL PRIMARY KEY,
+        user_id           INTEGER NOT NULL,
+        customer_id       INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+        name              TEXT NOT NULL DEFAULT '',
+        role              TEXT NOT NULL DEFAULT '',
+        email             TEXT NOT NULL DEFAULT '',
+        phone             TEXT NOT NULL DEFAULT '',
+        receives_invoices BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS customer_contacts_customer_idx ON customer_contacts (customer_id);
+    `);
+    // Structured billing / shipping addresses; at most one default per kind (kept by the routes)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS customer_addresses (
+        id          SERIAL PRIMARY KEY,
+        user_id     INTEGER NOT NULL,
+        customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+        kind        TEXT NOT NULL DEFAULT 'billing' CHECK (kind IN ('billing', 'shipping')),
+        label       TEXT NOT NULL DEFAULT '',
+        street      TEXT NOT NULL DEFAULT '',
+        street2     TEXT NOT NULL DEFAULT '',
+        city        TEXT NOT NULL DEFAULT '',
+        state       TEXT NOT NULL DEFAULT '',
+        zip         TEXT NOT NULL DEFAULT '',
+        country     TEXT NOT NULL DEFAULT '',
+        is_default  BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS customer_addresses_customer_idx ON customer_addresses (customer_id);
+    `);
+    // The contact / addresses a document was made out to (copied into customer_info as well)
+    for (const table of ['invoices', 'estimates']) {
+      await pool.query(`
+        ALTER TABLE ${table}
+          ADD COLUMN IF NOT EXISTS contact_id          INTEGER REFERENCES customer_contacts(id) ON DELETE SET NULL,
+          ADD COLUMN IF NOT EXISTS billing_address_id  INTEGER REFERENCES customer_addresses(id) ON DELETE SET NULL,
+          ADD COLUMN IF NOT EXISTS shipping_address_id INTEGER REFERENCES customer_addresses(id) ON DELETE SET NULL;
+      `);
+    }
+    console.log('✅ ensureCustomerContacts: tables/columns present');
+  } catch (err) {
+    console.error('⚠️ ensureCustomerContacts failed (non-fatal):', err);
+  }
+}
+
+module.exports = { ensureCustomerContacts };
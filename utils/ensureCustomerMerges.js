@@ -0,0 +1,36 @@
+// backend/utils/ensureCustomerMerges.js
+const pool = require('../db');
+
+let _ran = false;
+
+async function ensureCustomerMerges() {
+  if (_ran) return;
+  _ran = true;
+  try {
+    // A merged customer is soft-deleted and points at the record that absorbed it
+    await pool.query(`
+      ALTER TABLE customers
+        ADD COLUMN IF NOT EXISTS merged_into INTEGER;
+    `);
+    // One row per merge: which rows were re-pointed (for undo) and what the survivor looked like
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS customer_merges (
+        id              SERIAL PRIMARY KEY,
+        user_id         INTEGER NOT NULL,
+        survivor_id     INTEGER NOT NULL,
+        merged_ids      INTEGER[] NOT NULL,
+        moved           JSONB NOT NULL DEFAULT '{}'::jsonb,
+        survivor_fields JSONB NOT NULL DEFAULT '{}'::jsonb,
+        undo_expires_at TIMESTAMPTZ NOT NULL,
+        undone_at       TIMESTAMPTZ,
+        created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS customer_merges_user_idx ON customer_merges (user_id, created_at);`);
+    console.log('✅ ensureCustomerMerges: table present');
+  } catch (err) {
+    console.error('⚠️ ensureCustomerMerges failed (non-fatal):', err);
+  }
+}
+
+module.exports = { ensureCustomerMerges };
@@ -0,0 +1,26 @@
+// backend/utils/ensureCustomerSoftDelete.js
+const pool = require('../db');
+
+let _ran = false;
+
+async function ensureCustomerSoftDelete() {
+  if (_ran) return;
+  _ran = true;
+  try {
+    // Deleted customers keep their row (invoices still point at them) until restored
+    await pool.query(`
+      ALTER TABLE customers
+        ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS customers_user_active_idx
+        ON customers (user_id, name)
+        WHERE deleted_at IS NULL;
+    `);
+    console.log('✅ ensureCustomerSoftDelete: columns present');
+  } catch (err) {
+    console.error('⚠️ ensureCustomerSoftDelete failed (non-fatal):', err);
+  }
+}
+
+module.exports = { ensureCustomerSoftDelete };
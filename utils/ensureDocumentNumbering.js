@@ -0,0 +1,40 @@
+// backend/utils/ensureDocumentNumbering.js
+const pool = require('../db');
+
+let _ran = false;
+
+async function ensureDocumentNumbering() {
+  if (_ran) return;
+  _ran = true;
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS document_sequences (
+        user_id     INTEGER NOT NULL,
+        doc_type    TEXT    NOT NULL,
+        period      TEXT    NOT NULL DEFAULT '',
+        last_value  INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (user_id, doc_type, period)
+      );
+    `);
+    await pool.query(`
+      ALTER TABLE store_info
+        ADD COLUMN IF NOT EXISTS invoice_number_format  TEXT,
+        ADD COLUMN IF NOT EXISTS estimate_number_format TEXT;
+    `);
+    await pool.query(`ALTER TABLE invoices  ADD COLUMN IF NOT EXISTS invoice_number  TEXT;`);
+    await pool.query(`ALTER TABLE estimates ADD COLUMN IF NOT EXISTS estimate_number TEXT;`);
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS invoices_user_invoice_number_uidx
+        ON invoices (user_id, invoice_number) WHERE invoice_number IS NOT NULL;
+    `);
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS estimates_user_estimate_number_uidx
+        ON estimates (user_id, estimate_number) WHERE estimate_number IS NOT NULL;
+    `);
+    console.log('✅ ensureDocumentNumbering: columns present');
+  } catch (err) {
+    console.error('⚠️ ensureDocumentNumbering failed (non-fatal):', err);
+  }
+}
+
+module.exports = { ensureDocumentNumbering };
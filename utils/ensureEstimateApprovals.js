@@ -0,0 +1,47 @@
+// backend/utils/ensureEstimateApprovals.js
+const pool = require('../db');
+
+let _ran = false;
+
+async function ensureEstimateApprovals() {
+  if (_ran) return;
+  _ran = true;
+  try {
+    await pool.query(`
+      ALTER TABLE estimates
+        ADD COLUMN IF NOT EXISTS status           TEXT NOT NULL DEFAULT 'draft',
+        ADD COLUMN IF NOT EXISTS share_token_id   TEXT,
+        ADD COLUMN IF NOT EXISTS share_expires_at TIMESTAMPTZ;
+    `);
+    await pool.query(`
+      ALTER TABLE store_info
+        ADD COLUMN IF NOT EXISTS auto_convert_on_approval BOOLEAN NOT NULL DEFAULT FALSE;
+    `);
+    // No FK to estimates: the signature record must outlive the estimate row.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS estimate_signatures (
+        id               SERIAL PRIMARY KEY,
+        estimate_id      INTEGER NOT NULL,
+        user_id          INTEGER NOT NULL,
+        decision         TEXT    NOT NULL CHECK (decision IN ('approved', 'declined')),
+        signer_name      TEXT    NOT NULL,
+        signature_text   TEXT,
+        signature_image  TEXT,
+        decline_reason   TEXT,
+        ip               TEXT,
+        user_agent       TEXT,
+        invoice_id       INTEGER,
+        signed_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS estimate_signatures_estimate_id_idx
+        ON estimate_signatures (estimate_id);
+    `);
+    console.log('✅ ensureEstimateApprovals: columns present');
+  } catch (err) {
+    console.error('⚠️ ensureEstimateApprovals failed (non-fatal):', err);
+  }
+}
+
+module.exports = { ensureEstimateApprovals };
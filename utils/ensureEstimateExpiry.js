@@ -0,0 +1,30 @@
+// backend/utils/ensureEstimateExpiry.js
+const pool = require('../db');
+
+let _ran = false;
+
+async function ensureEstimateExpiry() {
+  if (_ran) return;
+  _ran = true;
+  try {
+    // valid_until stays NULL (open-ended) on estimates created before this column existed
+    await pool.query(`
+      ALTER TABLE estimates
+        ADD COLUMN IF NOT EXISTS valid_until DATE,
+        ADD COLUMN IF NOT EXISTS updated_at  TIMESTAMPTZ;
+    `);
+    await pool.query(`
+      ALTER TABLE store_info
+        ADD COLUMN IF NOT EXISTS estimate_validity_days INTEGER NOT NULL DEFAULT 30;
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS estimates_valid_until_idx
+        ON estimates (valid_until) WHERE status IN ('draft', 'sent');
+    `);
+    console.log('✅ ensureEstimateExpiry: columns present');
+  } catch (err) {
+    console.error('⚠️ ensureEstimateExpiry failed (non-fatal):', err);
+  }
+}
+
+module.exports = { ensureEstimateExpiry };
@@ -0,0 +1,27 @@
+// backend/utils/ensureEstimateInvoiceLinks.js
+const pool = require('../db');
+
+let _ran = false;
+
+async function ensureEstimateInvoiceLinks() {
+  if (_ran) return;
+  _ran = true;
+  try {
+    await pool.query(`
+      ALTER TABLE estimates
+        ADD COLUMN IF NOT EXISTS converted_invoice_id INTEGER REFERENCES invoices(id) ON DELETE SET NULL,
+        ADD COLUMN IF NOT EXISTS converted_at         TIMESTAMPTZ;
+    `);
+    await pool.query(`
+      ALTER TABLE invoices
+        ADD COLUMN IF NOT EXISTS source_estimate_id INTEGER REFERENCES estimates(id) ON DELETE SET NULL;
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS estimates_user_status_idx ON estimates (user_id, status);`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS invoices_source_estimate_id_idx ON invoices (source_estimate_id);`);
+    console.log('✅ ensureEstimateInvoiceLinks: columns present');
+  } catch (err) {
+    console.error('⚠️ ensureEstimateInvoiceLinks failed (non-fatal):', err);
+  }
+}
+
+module.exports = { ensureEstimateInvoiceLinks };
@@ -0,0 +1,45 @@
+// backend/utils/ensureEstimateOptions.js
+const pool = require('../db');
+
+let _ran = false;
+
+async function ensureEstimateOptions() {
+  if (_ran) return;
+  _ran = true;
+  try {
+    // selected_option_id has no FK (groups and options reference each other); the routes validate it
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS estimate_option_groups (
+        id                  SERIAL PRIMARY KEY,
+        estimate_id         INTEGER NOT NULL REFERENCES estimates(id) ON DELETE CASCADE,
+        name                TEXT    NOT NULL,
+        position            INTEGER NOT NULL DEFAULT 0,
+        selected_option_id  INTEGER
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS estimate_options (
+        id           SERIAL PRIMARY KEY,
+        group_id     INTEGER NOT NULL REFERENCES estimate_option_groups(id) ON DELETE CASCADE,
+        estimate_id  INTEGER NOT NULL REFERENCES estimates(id) ON DELETE CASCADE,
+        name         TEXT    NOT NULL,
+        position     INTEGER NOT NULL DEFAULT 0
+      );
+    `);
+    await pool.query(`
+      ALTER TABLE estimate_items
+        ADD COLUMN IF NOT EXISTS option_id INTEGER REFERENCES estimate_options(id) ON DELETE CASCADE;
+    `);
+    await pool.query(`
+      ALTER TABLE custom_estimate_items
+        ADD COLUMN IF NOT EXISTS option_id INTEGER REFERENCES estimate_options(id) ON DELETE CASCADE;
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS estimate_option_groups_estimate_id_idx ON estimate_option_groups (estimate_id);`);
+    await pool.query(`CREATE INDEX IF NOT EXISTS estimate_options_group_id_idx ON estimate_options (group_id);`);
+    console.log('✅ ensureEstimateOptions: tables present');
+  } catch (err) {
+    console.error('⚠️ ensureEstimateOptions failed (non-fatal):', err);
+  }
+}
+
+module.exports = { ensureEstimateOptions };
@@ -0,0 +1,28 @@
+// backend/utils/ensureEstimateRevisions.js
+const pool = require('../db');
+
+let _ran = false;
+
+async function ensureEstimateRevisions() {
+  if (_ran) return;
+  _ran = true;
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS estimate_revisions (
+        id           SERIAL PRIMARY KEY,
+        estimate_id  INTEGER NOT NULL REFERENCES estimates(id) ON DELETE CASCADE,
+        user_id      INTEGER NOT NULL,
+        revision     INTEGER NOT NULL,
+        header       JSONB   NOT NULL,
+        items        JSONB   NOT NULL,
+        created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (estimate_id, revision)
+      );
+    `);
+    console.log('✅ ensureEstimateRevisions: table present');
+  } catch (err) {
+    console.error('⚠️ ensureEstimateRevisions failed (non-fatal):', err);
+  }
+}
+
+module.exports = { ensureEstimateRevisions };
@@ -0,0 +1,88 @@
+// backend/utils/ensureInvoiceCustomerLink.js
+const pool = require('../db');
+const { snapshotNameMatch, snapshotEmailMatch } = require('./customers');
+
+let _ran = false;
+
+const BACKFILL = 'invoice_customer_link';
+
+// Backfills invoices whose snapshot matches exactly one of the store's active customers
+const backfillByMatch = (match) => `
+  WITH candidates AS (
+    SELECT inv.id AS invoice_id, MIN(c.id) AS customer_id
+      FROM invoices inv
+      JOIN customers c ON c.user_id = inv.user_id
+     WHERE inv.customer_id IS NULL
+       AND c.deleted_at IS NULL
+       AND c.merged_into IS NULL
+       AND ${match('inv.customer_info::jsonb')}
+     GROUP BY inv.id
+    HAVING COUNT(*) = 1
+  )
+  UPDATE invoices inv
+     SET customer_id = m.customer_id
+    FROM candidates m
+   WHERE inv.id = m.invoice_id`;
+
+async function ensureInvoiceCustomerLink() {
+  if (_ran) return;
+  _ran = true;
+  try {
+    await pool.query(`
+      ALTER TABLE invoices
+        ADD COLUMN IF NOT EXISTS customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL;
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS invoices_user_customer_idx ON invoices (user_id, customer_id);`);
+    // One-time data fixes already applied, so a restart does not run them again
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS schema_backfills (
+        name   TEXT PRIMARY KEY,
+        ran_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+  } catch (err) {
+    console.error('⚠️ ensureInvoiceCustomerLink failed (non-fatal):', err);
+    return;
+  }
+
+  // Invoices saved before the column existed are linked once; later ones saved without
+  // a customer stay unlinked
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rowCount: first } = await client.query(
+      `INSERT INTO schema_backfills (name) VALUES ($1) ON CONFLICT (name) DO NOTHING`,
+      [BACKFILL]
+    );
+    if (!first) {
+      await client.query('ROLLBACK');
+      console.log('✅ ensureInvoiceCustomerLink: column present');
+      return;
+    }
+
+    // 1) the id the snapshot already carried, when it is the same store's customer
+    const byId = await client.query(`
+      UPDATE invoices inv
+         SET customer_id = c.id
+        FROM customers c
+       WHERE inv.customer_id IS NULL
+         AND (inv.customer_info::jsonb)->>'id' ~ '^[0-9]{1,9}$'
+         AND c.id = ((inv.customer_info::jsonb)->>'id')::int
+         AND c.user_id = inv.user_id
+    `);
+    // 2) name + company, then 3) email — only where exactly one customer matches
+    const byName = await client.query(backfillByMatch(snapshotNameMatch));
+    const byEmail = await client.query(backfillByMatch(snapshotEmailMatch));
+    await client.query('COMMIT');
+
+    const linked = byId.rowCount + byName.rowCount + byEmail.rowCount;
+    console.log(`✅ ensureInvoiceCustomerLink: column present, backfill done (${linked} invoices linked)`);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('⚠️ ensureInvoiceCustomerLink backfill failed (non-fatal):', err);
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = { ensureInvoiceCustomerLink };
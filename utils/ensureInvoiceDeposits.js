@@ -0,0 +1,27 @@
+// backend/utils/ensureInvoiceDeposits.js
+const pool = require('../db');
+
+let _ran = false;
+
+async function ensureInvoiceDeposits() {
+  if (_ran) return;
+  _ran = true;
+  try {
+    // kind: standard | deposit (upfront share of an estimate) | final (estimate balance after deposits)
+    // deposit_applied: deposits deducted from a final invoice's total
+    await pool.query(`
+      ALTER TABLE invoices
+        ADD COLUMN IF NOT EXISTS kind            TEXT NOT NULL DEFAULT 'standard',
+        ADD COLUMN IF NOT EXISTS deposit_applied NUMERIC(12,2) NOT NULL DEFAULT 0;
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS invoices_source_estimate_kind_idx
+        ON invoices (source_estimate_id, kind) WHERE source_estimate_id IS NOT NULL;
+    `);
+    console.log('✅ ensureInvoiceDeposits: columns present');
+  } catch (err) {
+    console.error('⚠️ ensureInvoiceDeposits failed (non-fatal):', err);
+  }
+}
+
+module.exports = { ensureInvoiceDeposits };
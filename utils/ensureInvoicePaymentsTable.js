@@ -0,0 +1,33 @@
+// backend/utils/ensureInvoicePaymentsTable.js
+const pool = require('../db');
+
+let _ran = false;
+
+async function ensureInvoicePaymentsTable() {
+  if (_ran) return;
+  _ran = true;
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS invoice_payments (
+        id          SERIAL PRIMARY KEY,
+        invoice_id  INTEGER NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+        user_id     INTEGER NOT NULL,
+        amount      NUMERIC(12,2) NOT NULL CHECK (amount > 0),
+        method      TEXT NOT NULL,
+        reference   TEXT,
+        paid_at     TIMESTAMP NOT NULL DEFAULT (CURRENT_TIMESTAMP AT TIME ZONE 'America/New_York'),
+        notes       TEXT,
+        created_at  TIMESTAMP NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS invoice_payments_invoice_id_idx
+        ON invoice_payments (invoice_id);
+    `);
+    console.log('✅ ensureInvoicePaymentsTable: table present');
+  } catch (err) {
+    console.error('⚠️ ensureInvoicePaymentsTable failed (non-fatal):', err);
+  }
+}
+
+module.exports = { ensureInvoicePaymentsTable };
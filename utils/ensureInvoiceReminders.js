@@ -0,0 +1,44 @@
+// backend/utils/ensureInvoiceReminders.js
+const pool = require('../db');
+
+let _ran = false;
+
+async function ensureInvoiceReminders() {
+  if (_ran) return;
+  _ran = true;
+  try {
+    // Offsets are days relative to the due date (negative = before). Reminders are opt-in per store.
+    await pool.query(`
+      ALTER TABLE store_info
+        ADD COLUMN IF NOT EXISTS reminders_enabled BOOLEAN   NOT NULL DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS reminder_offsets  INTEGER[] NOT NULL DEFAULT '{-3,0,7,14}';
+    `);
+    await pool.query(`
+      ALTER TABLE customers
+        ADD COLUMN IF NOT EXISTS reminders_paused BOOLEAN NOT NULL DEFAULT FALSE;
+    `);
+    // One row per invoice + offset; the row is claimed before sending so a reminder goes out once
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS invoice_reminders (
+        id          SERIAL PRIMARY KEY,
+        invoice_id  INTEGER NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+        user_id     INTEGER NOT NULL,
+        offset_days INTEGER NOT NULL,
+        due_date    DATE,
+        sent_to     TEXT,
+        status      TEXT NOT NULL DEFAULT 'sending',
+        attempts    INTEGER NOT NULL DEFAULT 1,
+        error       TEXT,
+        created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        sent_at     TIMESTAMPTZ,
+        UNIQUE (invoice_id, offset_days)
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS invoice_reminders_user_idx ON invoice_reminders (user_id, created_at);`);
+    console.log('✅ ensureInvoiceReminders: columns/table present');
+  } catch (err) {
+    console.error('⚠️ ensureInvoiceReminders failed (non-fatal):', err);
+  }
+}
+
+module.exports = { ensureInvoiceReminders };
@@ -0,0 +1,51 @@
+// backend/utils/ensureInvoiceVoidAndCredits.js
+const pool = require('../db');
+
+let _ran = false;
+
+async function ensureInvoiceVoidAndCredits() {
+  if (_ran) return;
+  _ran = true;
+  try {
+    await pool.query(`
+      ALTER TABLE invoices
+        ADD COLUMN IF NOT EXISTS voided_at   TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS void_reason TEXT,
+        ADD COLUMN IF NOT EXISTS tax_rate    NUMERIC;
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS credit_notes (
+        id             SERIAL PRIMARY KEY,
+        user_id        INTEGER NOT NULL,
+        invoice_id     INTEGER NOT NULL REFERENCES invoices(id),
+        credit_number  TEXT,
+        reason         TEXT,
+        total          NUMERIC(12,2) NOT NULL DEFAULT 0,
+        created_at     TIMESTAMP NOT NULL DEFAULT (CURRENT_TIMESTAMP AT TIME ZONE 'America/New_York')
+      );
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS credit_note_items (
+        id              SERIAL PRIMARY KEY,
+        credit_note_id  INTEGER NOT NULL REFERENCES credit_notes(id) ON DELETE CASCADE,
+        line_type       TEXT    NOT NULL,
+        source_line_id  INTEGER NOT NULL,
+        product_name    TEXT,
+        size            TEXT,
+        quantity        INTEGER NOT NULL,
+        price           NUMERIC NOT NULL,
+        taxable         BOOLEAN NOT NULL DEFAULT TRUE
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS credit_notes_invoice_id_idx ON credit_notes (invoice_id);`);
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS credit_notes_user_credit_number_uidx
+        ON credit_notes (user_id, credit_number) WHERE credit_number IS NOT NULL;
+    `);
+    console.log('✅ ensureInvoiceVoidAndCredits: columns present');
+  } catch (err) {
+    console.error('⚠️ ensureInvoiceVoidAndCredits failed (non-fatal):', err);
+  }
+}
+
+module.exports = { ensureInvoiceVoidAndCredits };
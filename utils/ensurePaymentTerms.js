@@ -0,0 +1,35 @@
+// backend/utils/ensurePaymentTerms.js
+const pool = require('../db');
+
+let _ran = false;
+
+async function ensurePaymentTerms() {
+  if (_ran) return;
+  _ran = true;
+  try {
+    // NULL terms on a customer mean "use the store default"
+    await pool.query(`
+      ALTER TABLE store_info
+        ADD COLUMN IF NOT EXISTS payment_terms      TEXT,
+        ADD COLUMN IF NOT EXISTS payment_terms_days INTEGER;
+    `);
+    await pool.query(`
+      ALTER TABLE customers
+        ADD COLUMN IF NOT EXISTS payment_terms      TEXT,
+        ADD COLUMN IF NOT EXISTS payment_terms_days INTEGER;
+    `);
+    // Invoices from before terms existed have no due_date; readers fall back to invoice_date
+    await pool.query(`
+      ALTER TABLE invoices
+        ADD COLUMN IF NOT EXISTS payment_terms      TEXT,
+        ADD COLUMN IF NOT EXISTS payment_terms_days INTEGER,
+        ADD COLUMN IF NOT EXISTS due_date           DATE;
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS invoices_user_due_date_idx ON invoices (user_id, due_date);`);
+    console.log('✅ ensurePaymentTerms: columns present');
+  } catch (err) {
+    console.error('⚠️ ensurePaymentTerms failed (non-fatal):', err);
+  }
+}
+
+module.exports = { ensurePaymentTerms };
@@ -0,0 +1,30 @@
+// backend/utils/ensurePriceBreaks.js
+const pool = require('../db');
+
+let _ran = false;
+
+async function ensurePriceBreaks() {
+  if (_ran) return;
+  _ran = true;
+  try {
+    // Quantity tiers of a variation: from min_quantity up, either a unit price or a flat line price
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS variation_price_breaks (
+        id           SERIAL PRIMARY KEY,
+        user_id      INTEGER NOT NULL,
+        variation_id INTEGER NOT NULL REFERENCES product_variations(id) ON DELETE CASCADE,
+        min_quantity INTEGER NOT NULL CHECK (min_quantity >= 1),
+        unit_price   NUMERIC CHECK (unit_price >= 0),
+        flat_price   NUMERIC CHECK (flat_price >= 0),
+        created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        CHECK ((unit_price IS NULL) <> (flat_price IS NULL)),
+        UNIQUE (variation_id, min_quantity)
+      );
+    `);
+    console.log('✅ ensurePriceBreaks: tables present');
+  } catch (err) {
+    console.error('⚠️ ensurePriceBreaks failed (non-fatal):', err);
+  }
+}
+
+module.exports = { ensurePriceBreaks };
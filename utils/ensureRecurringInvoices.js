@@ -0,0 +1,64 @@
+// backend/utils/ensureRecurringInvoices.js
+const pool = require('../db');
+
+let _ran = false;
+
+async function ensureRecurringInvoices() {
+  if (_ran) return;
+  _ran = true;
+  try {
+    // Templates: what to bill (same shape as POST /api/invoices) and when
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS recurring_invoices (
+        id                 SERIAL PRIMARY KEY,
+        user_id            INTEGER NOT NULL,
+        name               TEXT NOT NULL DEFAULT '',
+        customer_id        INTEGER,
+        customer_info      JSONB NOT NULL DEFAULT '{}'::jsonb,
+        variation_items    JSONB NOT NULL DEFAULT '[]'::jsonb,
+        custom_items       JSONB NOT NULL DEFAULT '[]'::jsonb,
+        discount_type      TEXT NOT NULL DEFAULT 'amount',
+        discount_value     NUMERIC(12,2) NOT NULL DEFAULT 0,
+        notes              TEXT NOT NULL DEFAULT '',
+        payment_terms      TEXT,
+        payment_terms_days INTEGER,
+        cadence            TEXT NOT NULL,
+        interval_count     INTEGER NOT NULL DEFAULT 1,
+        rule               TEXT,
+        start_date         DATE NOT NULL,
+        end_date           DATE,
+        next_run_date      DATE,
+        auto_email         BOOLEAN NOT NULL DEFAULT FALSE,
+        active             BOOLEAN NOT NULL DEFAULT TRUE,
+        last_run_at        TIMESTAMPTZ,
+        created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS recurring_invoices_due_idx
+        ON recurring_invoices (next_run_date) WHERE active;
+    `);
+    // One run per template per scheduled date — the runner's idempotency key.
+    // email_status: none | pending | sending | sent | failed (claimed before sending)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS recurring_invoice_runs (
+        id           SERIAL PRIMARY KEY,
+        recurring_id INTEGER NOT NULL REFERENCES recurring_invoices(id) ON DELETE CASCADE,
+        user_id      INTEGER NOT NULL,
+        run_date     DATE NOT NULL,
+        invoice_id   INTEGER REFERENCES invoices(id) ON DELETE SET NULL,
+        email_status TEXT NOT NULL DEFAULT 'none',
+        emailed_at   TIMESTAMPTZ,
+        email_error  TEXT,
+        created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (recurring_id, run_date)
+      );
+    `);
+    console.log('✅ ensureRecurringInvoices: tables present');
+  } catch (err) {
+    console.error('⚠️ ensureRecurringInvoices failed (non-fatal):', err);
+  }
+}
+
+module.exports = { ensureRecurringInvoices };
@@ -0,0 +1,51 @@
+// backend/utils/ensureSchema.js
+// Runs every idempotent schema helper once at boot, in dependency order.
+const { ensureLineOverrideColumns } = require('./ensureLineOverrideColumns');
+const { ensureInvoicePaymentsTable } = require('./ensureInvoicePaymentsTable');
+const { ensureDocumentNumbering } = require('./ensureDocumentNumbering');
+const { ensureInvoiceVoidAndCredits } = require('./ensureInvoiceVoidAndCredits');
+const { ensureEstimateApprovals } = require('./ensureEstimateApprovals');
+const { ensureEstimateInvoiceLinks } = require('./ensureEstimateInvoiceLinks');
+const { ensureEstimateExpiry } = require('./ensureEstimateExpiry');
+const { ensureEstimateRevisions } = require('./ensureEstimateRevisions');
+const { ensureEstimateOptions } = require('./ensureEstimateOptions');
+const { ensurePaymentTerms } = require('./ensurePaymentTerms');
+const { ensureInvoiceReminders } = require('./ensureInvoiceReminders');
+const { ensureStripeConnect } = require('./ensureStripeConnect');
+const { ensureInvoiceDeposits } = require('./ensureInvoiceDeposits');
+const { ensureRecurringInvoices } = require('./ensureRecurringInvoices');
+const { ensureCustomerSoftDelete } = require('./ensureCustomerSoftDelete');
+const { ensureInvoiceCustomerLink } = require('./ensureInvoiceCustomerLink');
+const { ensureCustomerMerges } = require('./ensureCustomerMerges');
+const { ensureTaxExemptions } = require('./ensureTaxExemptions');
+const { ensureCustomerContacts } = require('./ensureCustomerContacts');
+const { ensureCustomerActivity } = require('./ensureCustomerActivity');
+const { ensurePriceBreaks } = require('./ensurePriceBreaks');
+const { ensureAreaPricing } = require('./ensureAreaPricing');
+
+async function ensureSchema() {
+  await ensureLineOverrideColumns();
+  await ensureInvoicePaymentsTable();
+  await ensureDocumentNumbering();
+  await ensureInvoiceVoidAndCredits();
+  await ensureEstimateApprovals();
+  await ensureEstimateInvoiceLinks();
+  await ensureEstimateExpiry();
+  await ensureEstimateRevisions();
+  await ensureEstimateOptions();
+  await ensurePaymentTerms();
+  await ensureInvoiceReminders();
+  await ensureStripeConnect();
+  await ensureInvoiceDeposits();
+  await ensureRecurringInvoices();
+  await ensureCustomerSoftDelete();
+  await ensureCustomerMerges();
+  await ensureInvoiceCustomerLink();
+  await ensureTaxExemptions();
+  await ensureCustomerContacts();
+  await ensureCustomerActivity();
+  await ensurePriceBreaks();
+  await ensureAreaPricing();
+}
+
+module.exports = { ensureSchema };
@@ -0,0 +1,54 @@
+// backend/utils/ensureStripeConnect.js
+const pool = require('../db');
+
+let _ran = false;
+
+async function ensureStripeConnect() {
+  if (_ran) return;
+  _ran = true;
+  try {
+    // The shop's connected account (customers pay the shop directly)
+    await pool.query(`
+      ALTER TABLE store_info
+        ADD COLUMN IF NOT EXISTS stripe_account_id        TEXT,
+        ADD COLUMN IF NOT EXISTS stripe_charges_enabled   BOOLEAN NOT NULL DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS stripe_details_submitted BOOLEAN NOT NULL DEFAULT FALSE;
+    `);
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS store_info_stripe_account_id_key
+        ON store_info (stripe_account_id) WHERE stripe_account_id IS NOT NULL;
+    `);
+    // One Checkout Session per payment link; a paid session records exactly one payment
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS invoice_checkout_sessions (
+        id           SERIAL PRIMARY KEY,
+        invoice_id   INTEGER NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+        user_id      INTEGER NOT NULL,
+        session_id   TEXT NOT NULL UNIQUE,
+        account_id   TEXT NOT NULL,
+        amount       NUMERIC(12,2) NOT NULL,
+        currency     TEXT NOT NULL DEFAULT 'usd',
+        url          TEXT,
+        status       TEXT NOT NULL DEFAULT 'open',
+        stub         BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        expires_at   TIMESTAMPTZ,
+        completed_at TIMESTAMPTZ
+      );
+    `);
+    await pool.query(`CREATE INDEX IF NOT EXISTS invoice_checkout_sessions_invoice_idx ON invoice_checkout_sessions (invoice_id);`);
+    await pool.query(`
+      ALTER TABLE invoice_payments
+        ADD COLUMN IF NOT EXISTS stripe_session_id TEXT;
+    `);
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS invoice_payments_stripe_session_id_key
+        ON invoice_payments (stripe_session_id) WHERE stripe_session_id IS NOT NULL;
+    `);
+    console.log('✅ ensureStripeConnect: columns/table present');
+  } catch (err) {
+    console.error('⚠️ ensureStripeConnect failed (non-fatal):', err);
+  }
+}
+
+module.exports = { ensureStripeConnect };
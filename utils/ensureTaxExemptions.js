@@ -0,0 +1,37 @@
+// backend/utils/ensureTaxExemptions.js
+const pool = require('../db');
+
+let _ran = false;
+
+async function ensureTaxExemptions() {
+  if (_ran) return;
+  _ran = true;
+  try {
+    // The certificate file lives outside uploads/ (not public); tax_exempt_file is relative to TAX_CERT_DIR
+    await pool.query(`
+      ALTER TABLE customers
+        ADD COLUMN IF NOT EXISTS tax_exempt             BOOLEAN NOT NULL DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS tax_exempt_certificate TEXT,
+        ADD COLUMN IF NOT EXISTS tax_exempt_expires     DATE,
+        ADD COLUMN IF NOT EXISTS tax_exempt_file        TEXT,
+        ADD COLUMN IF NOT EXISTS tax_exempt_file_name   TEXT,
+        ADD COLUMN IF NOT EXISTS tax_exempt_file_type   TEXT;
+    `);
+    // Documents keep the exemption they were priced with (certificate number as of then)
+    await pool.query(`
+      ALTER TABLE invoices
+        ADD COLUMN IF NOT EXISTS tax_exempt             BOOLEAN NOT NULL DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS tax_exempt_certificate TEXT;
+    `);
+    await pool.query(`
+      ALTER TABLE estimates
+        ADD COLUMN IF NOT EXISTS tax_exempt             BOOLEAN NOT NULL DEFAULT FALSE,
+        ADD COLUMN IF NOT EXISTS tax_exempt_certificate TEXT;
+    `);
+    console.log('✅ ensureTaxExemptions: columns present');
+  } catch (err) {
+    console.error('⚠️ ensureTaxExemptions failed (non-fatal):', err);
+  }
+}
+
+module.exports = { ensureTaxExemptions };
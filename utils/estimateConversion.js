@@ -0,0 +1,216 @@
+// backend/utils/estimateConversion.js
+// Estimate lifecycle + estimate → invoice conversion, shared by the convert route,
+// POST /api/invoices (source_estimate_id) and the public approval flow.
+// Everything runs on the caller's client inside its transaction.
+const { nextDocumentNumber } = require('./documentNumbers');
+const { toString, normalizeDiscount, invoiceBreakdown, AREA_COLUMNS, areaValues } = require('./lineItems');
+const { resolveTax } = require('./taxExemptions');
+const { resolveContactPicks, withContactSnapshot } = require('./customerContacts');
+const { TODAY_SQL, isEstimateExpired } = require('./estimateExpiry');
+const { includedLineSql } = require('./estimateOptions');
+const { applyPaymentTerms } = require('./paymentTerms');
+const { depositCredit } = require('./estimateDeposits');
+const { resolveInvoiceCustomerId } = require('./customers');
+
+const ESTIMATE_STATUSES = ['draft', 'sent', 'approved', 'declined', 'converted', 'expired'];
+// 'converted' is only ever set by a conversion
+const MANUAL_ESTIMATE_STATUSES = ESTIMATE_STATUSES.filter((s) => s !== 'converted');
+
+/** Locks one of the user's estimates for the rest of the transaction; null if not theirs. */
+async function lockEstimate(client, userId, estimateId) {
+  const { rows } = await client.query(
+    `SELECT id, estimate_number, total, status, converted_invoice_id, customer_id, customer_info, notes, valid_until,
+            discount_type, discount_value, contact_id, billing_address_id, shipping_address_id,
+            (valid_until IS NOT NULL AND valid_until < ${TODAY_SQL}) AS valid_until_passed
+       FROM estimates
+      WHERE id = $1 AND user_id = $2
+      FOR UPDATE`,
+    [estimateId, userId]
+  );
+  return rows[0] || null;
+}
+
+/** Links estimate ⇄ invoice (and its approval signature) and marks the estimate converted. */
+async function markEstimateConverted(client, userId, estimateId, invoiceId) {
+  await client.query(
+    `UPDATE estimates
+        SET status = 'converted',
+            converted_invoice_id = $1,
+            converted_at = NOW()
+      WHERE id = $2 AND user_id = $3`,
+    [invoiceId, estimateId, userId]
+  );
+  await client.query(
+    `UPDATE invoices SET source_estimate_id = $1 WHERE id = $2 AND user_id = $3`,
+    [estimateId, invoiceId, userId]
+  );
+  // The customer's approval (if any) now points at what was billed
+  await client.query(
+    `UPDATE estimate_signatures
+        SET invoice_id = $1
+      WHERE estimate_id = $2 AND user_id = $3 AND decision = 'approved' AND invoice_id IS NULL`,
+    [invoiceId, estimateId, userId]
+  );
+}
+
+/**
+ * Copies the estimate's lines 1:1 (overrides carried; only the selected option of
+ * each option group) into a new numbered invoice
+ * and keeps the estimate as the quote of record, linked to the invoice.
+ * Deposit invoices already billed against the estimate are deducted (kind 'final').
+ * Tax follows the customer's exemption at conversion time.
+ * Returns { invoiceId, invoiceNumber, depositApplied, taxExempt, warnings },
+ * { alreadyConverted, invoiceId } when it was converted before, { expired, validUntil } when past its validity (unless allowExpired),
+ * { openDeposits } while a deposit invoice is unpaid (unless allowOpenDeposits),
+ * or null if the estimate is not the user's.
+ * opts: { discType?, discVal?, notes?, allowExpired?, allowOpenDeposits?, paymentTerms? } — the
+ * discount and notes default to the estimate's; paymentTerms ({ terms, days }) override the
+ * customer / store terms.
+ */
+async function convertEstimateToInvoice(
+  client,
+  userId,
+  estimateId,
+  { discType, discVal, notes, allowExpired = false, allowOpenDeposits = false, paymentTerms = null } = {}
+) {
+  const est = await lockEstimate(client, userId, estimateId);
+  if (!est) return null;
+  if (est.status === 'converted') {
+    return { alreadyConverted: true, invoiceId: est.converted_invoice_id };
+  }
+  if (!allowExpired && isEstimateExpired(est)) {
+    return { expired: true, validUntil: est.valid_until };
+  }
+
+  const deposits = await depositCredit(client, userId, estimateId);
+  if (deposits.open.length && !allowOpenDeposits) {
+    return { openDeposits: deposits.open };
+  }
+
+  const disc = discType == null
+    ? normalizeDiscount(est.discount_type, est.discount_value)
+    : normalizeDiscount(discType, discVal);
+  const invNotes = toString(notes ?? est.notes ?? '').slice(0, 2000);
+  const customerId = await resolveInvoiceCustomerId(client, userId, est.customer_info, est.customer_id);
+  // The estimate's contact / addresses carry over while they still belong to the customer
+  const picks = await resolveContactPicks(client, userId, customerId, {}, est);
+  const invoiceNumber = await nextDocumentNumber(client, userId, 'invoice');
+
+  const { rows: invRows } = await client.query(
+    `INSERT INTO invoices (user_id, invoice_number, customer_id, customer_info, invoice_date, total, discount_type, discount_value, notes,
+                           contact_id, billing_address_id, shipping_address_id)
+     VALUES ($1, $2, $3, $4, (CURRENT_TIMESTAMP AT TIME ZONE 'America/New_York'), 0, $5, $6, $7, $8, $9, $10)
+     RETURNING id`,
+    [
+      userId, invoiceNumber, customerId, withContactSnapshot(est.customer_info, picks.snapshot),
+      disc.discType, disc.discVal, invNotes,
+      picks.ids.contact_id, picks.ids.billing_address_id, picks.ids.shipping_address_id,
+    ]
+  );
+  const invoiceId = invRows[0].id;
+
+  // Copy base lines + the selected option of each group, overrides coalesced
+  const { rows: varItems } = await client.query(
+    `SELECT
+       ei.product_variation_id AS variation_id,
+       ei.quantity,
+       COALESCE(ei.unit_price, pv.price) AS unit_price,
+       COALESCE(ei.taxable, TRUE) AS taxable,
+       COALESCE(ei.display_name, p.name) AS display_name,
+       ei.width, ei.height, ei.dimension_unit, ei.area_sqft, ei.finishing
+     FROM estimate_items ei
+     JOIN product_variations pv ON pv.id = ei.product_variation_id
+     JOIN products p ON p.id = pv.product_id
+     WHERE ei.estimate_id = $1
+       AND ${includedLineSql('ei')}
+     ORDER BY ei.id ASC`,
+    [estimateId]
+  );
+
+  // Custom estimate lines
+  const { rows: custItems } = await client.query(
+    `SELECT
+       ci.product_name,
+       ci.size,
+       ci.price::numeric(12,2) AS price,
+       ci.quantity,
+       ci.accessory,
+       COALESCE(ci.taxable, TRUE) AS taxable
+     FROM custom_estimate_items ci
+     WHERE ci.estimate_id = $1
+       AND ${includedLineSql('ci')}
+     ORDER BY ci.id ASC`,
+    [estimateId]
+  );
+
+  let taxableSubtotal = 0;
+  let nonTaxableSubtotal = 0;
+
+  for (const it of varItems) {
+    const qty = Math.max(1, parseInt(it.quantity, 10) || 1);
+    const price = Number(it.unit_price) || 0;
+    const line = price * qty;
+
+    (it.taxable ? (taxableSubtotal += line) : (nonTaxableSubtotal += line));
+
+    await client.query(
+      `INSERT INTO invoice_items
+         (invoice_id, product_variation_id, quantity, price, taxable, display_name, ${AREA_COLUMNS})
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [invoiceId, it.variation_id, qty, price, it.taxable, it.display_name, ...areaValues(it.width != null ? it : null)]
+    );
+  }
+
+  for (const it of custItems) {
+    const qty = Math.max(1, parseInt(it.quantity, 10) || 1);
+    const price = Number(it.price) || 0;
+    const line = price * qty;
+
+    (it.taxable ? (taxableSubtotal += line) : (nonTaxableSubtotal += line));
+
+    await client.query(
+      `INSERT INTO custom_invoice_items
+         (invoice_id, product_name, size, price, quantity, accessory, taxable)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [invoiceId, it.product_name, it.size, price, qty, it.accessory, it.taxable]
+    );
+  }
+
+  const tax = await resolveTax(client, userId, customerId);
+  const { total, deposit } = invoiceBreakdown({
+    taxableSubtotal,
+    nonTaxableSubtotal,
+    taxRate: tax.taxRate,
+    discType: disc.discType,
+    discVal: disc.discVal,
+    deposit: deposits.applied,
+  });
+
+  await client.query(
+    `UPDATE invoices
+        SET total = $1, tax_rate = $2, deposit_applied = $3, kind = $4,
+            tax_exempt = $7, tax_exempt_certificate = $8
+      WHERE id = $5 AND user_id = $6`,
+    [
+      total, tax.taxRate, deposit, deposits.deposits.length ? 'final' : 'standard', invoiceId, userId,
+      tax.taxExempt, tax.certificate,
+    ]
+  );
+
+  await applyPaymentTerms(client, userId, invoiceId, {
+    customerId,
+    override: paymentTerms,
+  });
+
+  await markEstimateConverted(client, userId, estimateId, invoiceId);
+
+  return { invoiceId, invoiceNumber, depositApplied: deposit, taxExempt: tax.taxExempt, warnings: tax.warnings };
+}
+
+module.exports = {
+  ESTIMATE_STATUSES,
+  MANUAL_ESTIMATE_STATUSES,
+  lockEstimate,
+  markEstimateConverted,
+  convertEstimateToInvoice,
+};
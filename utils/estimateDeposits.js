@@ -0,0 +1,135 @@
+// backend/utils/estimateDeposits.js
+// Deposit (progress) invoices billed against an estimate before the final invoice.
+// Deposits are invoices with kind = 'deposit' and source_estimate_id set; the final
+// conversion deducts them through invoices.deposit_applied.
+const { nextDocumentNumber } = require('./documentNumbers');
+const { PAYMENT_SUMMARY_JOIN, PAYMENT_SUMMARY_COLUMNS, round2 } = require('./invoicePayments');
+const { applyPaymentTerms } = require('./paymentTerms');
+const { resolveInvoiceCustomerId } = require('./customers');
+const { resolveTax } = require('./taxExemptions');
+
+// Deposits are due before production unless the caller says otherwise
+const DEPOSIT_TERMS = { terms: 'due_on_receipt', days: 0 };
+
+/**
+ * Parses { percent } or { amount } from a request against the estimate total.
+ * Returns { amount, percent } (percent null for fixed amounts) or { error }.
+ */
+function parseDepositRequest({ percent, amount }, estimateTotal) {
+  const hasPercent = percent != null && percent !== '';
+  const hasAmount = amount != null && amount !== '';
+  if (hasPercent === hasAmount) return { error: 'Provide either percent or amount for the deposit' };
+
+  if (hasPercent) {
+    const p = Number(percent);
+    if (!Number.isFinite(p) || p <= 0 || p > 100) return { error: 'percent must be greater than 0 and at most 100' };
+    return { amount: round2((Number(estimateTotal) || 0) * (p / 100)), percent: p };
+  }
+
+  const a = round2(amount);
+  if (!(a > 0)) return { error: 'amount must be greater than zero' };
+  return { amount: a, percent: null };
+}
+
+/** The estimate's non-voided deposit invoices with payment figures, oldest first. */
+async function loadEstimateDeposits(db, userId, estimateId) {
+  const { rows } = await db.query(
+    `SELECT inv.id,
+            inv.invoice_number,
+            inv.invoice_date,
+            ROUND(inv.total, 2) AS total,
+            ${PAYMENT_SUMMARY_COLUMNS}
+       FROM invoices inv
+       ${PAYMENT_SUMMARY_JOIN}
+      WHERE inv.user_id = $1
+        AND inv.source_estimate_id = $2
+        AND inv.kind = 'deposit'
+        AND inv.voided_at IS NULL
+      ORDER BY inv.invoice_date ASC, inv.id ASC`,
+    [userId, estimateId]
+  );
+  return rows;
+}
+
+/**
+ * What a final invoice deducts: every deposit billed (net of credit notes).
+ * Deposits with a balance still open are listed in `open` so callers can refuse
+ * until they are paid.
+ * Returns { deposits, applied, received, open }.
+ */
+async function depositCredit(db, userId, estimateId) {
+  const deposits = await loadEstimateDeposits(db, userId, estimateId);
+  let applied = 0;
+  let received = 0;
+  for (const d of deposits) {
+    const net = round2(Number(d.total) - Number(d.amount_credited));
+    applied += net;
+    received += Math.min(round2(d.amount_paid), net);
+  }
+  return {
+    deposits,
+    applied: round2(applied),
+    received: round2(received),
+    open: deposits.filter((d) => round2(d.balance_due) > 0),
+  };
+}
+
+/** 409 body while deposit invoices for the estimate are still unpaid. */
+const openDepositsError = (open) => ({
+  error: 'Deposit invoices for this estimate are still unpaid. Record their payments, or pass allow_open_deposits: true to deduct them anyway.',
+  open_deposits: open.map((d) => ({ id: d.id, invoice_number: d.invoice_number, balance_due: d.balance_due })),
+});
+
+/**
+ * Bills a deposit against a locked estimate (lockEstimate row incl. estimate_number, total).
+ * One non-taxable line; the estimate keeps its status. Returns
+ * { invoiceId, invoiceNumber, amount } or { exceeds, remaining } when deposits would
+ * pass the estimate total.
+ */
+async function createDepositInvoice(client, userId, est, { amount, percent, notes = '', paymentTerms = null }) {
+  const { applied } = await depositCredit(client, userId, est.id);
+  const remaining = round2(Number(est.total) - applied);
+  if (amount > remaining) return { exceeds: true, remaining: Math.max(0, remaining) };
+
+  const estimateLabel = est.estimate_number || `#${est.id}`;
+  const customerId = await resolveInvoiceCustomerId(client, userId, est.customer_info, est.customer_id);
+  const invoiceNumber = await nextDocumentNumber(client, userId, 'invoice');
+  const tax = await resolveTax(client, userId, customerId);
+
+  const { rows } = await client.query(
+    `INSERT INTO invoices (user_id, invoice_number, customer_id, customer_info, invoice_date, total, tax_rate,
+                          discount_type, discount_value, notes, kind, source_estimate_id,
+                          tax_exempt, tax_exempt_certificate)
+     VALUES ($1, $2, $3, $4, (CURRENT_TIMESTAMP AT TIME ZONE 'America/New_York'), $5, $6,
+             'amount', 0, $7, 'deposit', $8, $9, $10)
+     RETURNING id`,
+    [
+      userId, invoiceNumber, customerId, est.customer_info || {}, amount, tax.taxRate, notes, est.id,
+      tax.taxExempt, tax.certificate,
+    ]
+  );
+  const invoiceId = rows[0].id;
+
+  // Tax is charged on the final invoice; the deposit is a prepayment of the taxed total
+  await client.query(
+    `INSERT INTO custom_invoice_items
+       (invoice_id, product_name, size, price, quantity, accessory, taxable)
+     VALUES ($1, $2, '', $3, 1, '', FALSE)`,
+    [invoiceId, `Deposit${percent != null ? ` (${percent}%)` : ''} — Estimate ${estimateLabel}`, amount]
+  );
+
+  await applyPaymentTerms(client, userId, invoiceId, {
+    customerId,
+    override: paymentTerms || DEPOSIT_TERMS,
+  });
+
+  return { invoiceId, invoiceNumber, amount };
+}
+
+module.exports = {
+  parseDepositRequest,
+  loadEstimateDeposits,
+  depositCredit,
+  openDepositsError,
+  createDepositInvoice,
+};
@@ -0,0 +1,74 @@
+// backend/utils/estimateExpiry.js
+// Estimate validity window + the periodic job that expires stale quotes.
+const pool = require('../db');
+const { parseDate } = require('./recurrence');
+
+const DEFAULT_VALIDITY_DAYS = 30;
+const MAX_VALIDITY_DAYS = 365;
+
+// Shop-local "today"; estimates are valid through their valid_until date.
+const TODAY_SQL = `(CURRENT_TIMESTAMP AT TIME ZONE 'America/New_York')::date`;
+
+// Only open quotes expire; approved / declined / converted ones keep their status.
+const EXPIRABLE_STATUSES = ['draft', 'sent'];
+
+/** 'YYYY-MM-DD' → same string, '' / null → null, anything else → undefined (invalid). */
+function parseValidUntil(value) {
+  if (value == null || value === '') return null;
+  return parseDate(value) ?? undefined;
+}
+
+const sanitizeValidityDays = (value) => {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) && n >= 1 && n <= MAX_VALIDITY_DAYS ? n : DEFAULT_VALIDITY_DAYS;
+};
+
+/** True when the estimate row ({ status, valid_until_passed }) can no longer be honoured. */
+const isEstimateExpired = (est) => est.status === 'expired' || !!est.valid_until_passed;
+
+/** Marks every open estimate past its valid_until as expired. Returns the number changed. */
+async function expireStaleEstimates(db = pool) {
+  const { rowCount } = await db.query(
+    `UPDATE estimates
+        SET status = 'expired',
+            updated_at = NOW()
+      WHERE status = ANY($1::text[])
+        AND valid_until IS NOT NULL
+        AND valid_until < ${TODAY_SQL}`,
+    [EXPIRABLE_STATUSES]
+  );
+  return rowCount;
+}
+
+let _timer = null;
+
+/** Runs expireStaleEstimates now and then every ESTIMATE_EXPIRY_INTERVAL_MINUTES (default 60). */
+function startEstimateExpiryJob() {
+  if (_timer) return;
+  const minutes = Math.max(1, parseInt(process.env.ESTIMATE_EXPIRY_INTERVAL_MINUTES || '60', 10) || 60);
+
+  const tick = async () => {
+    try {
+      const n = await expireStaleEstimates();
+      if (n > 0) console.log(`⏰ Estimate expiry: ${n} estimate(s) marked expired`);
+    } catch (err) {
+      console.error('⚠️ Estimate expiry job failed (will retry):', err?.message || err);
+    }
+  };
+
+  tick();
+  _timer = setInterval(tick, minutes * 60 * 1000);
+  _timer.unref();
+}
+
+module.exports = {
+  DEFAULT_VALIDITY_DAYS,
+  MAX_VALIDITY_DAYS,
+  TODAY_SQL,
+  EXPIRABLE_STATUSES,
+  parseValidUntil,
+  sanitizeValidityDays,
+  isEstimateExpired,
+  expireStaleEstimates,
+  startEstimateExpiryJob,
+};
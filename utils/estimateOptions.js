@@ -0,0 +1,189 @@
+// backend/utils/estimateOptions.js
+// Good/better/best option groups on estimates. Lines with option_id NULL are the
+// base of the quote; each group contributes the lines of its selected option.
+const { toString, loadTaxRate, insertEstimateLines } = require('./lineItems');
+const { round2 } = require('./invoicePayments');
+
+/** SQL condition for lines that count toward the estimate (alias of an *estimate_items table). */
+const includedLineSql = (alias) =>
+  `(${alias}.option_id IS NULL OR ${alias}.option_id IN (
+     SELECT selected_option_id FROM estimate_option_groups WHERE estimate_id = ${alias}.estimate_id))`;
+
+// Which option of a group starts selected: group.selected (index), else an option
+// flagged selected: true, else the first one.
+function initialSelection(group, options) {
+  const idx = parseInt(group.selected, 10);
+  if (Number.isInteger(idx) && idx >= 0 && idx < options.length) return idx;
+  const flagged = options.findIndex((o) => o && o.selected === true);
+  return flagged >= 0 ? flagged : 0;
+}
+
+/**
+ * Inserts option groups with their options and lines.
+ * optionGroups: [{ name, selected?, options: [{ name, selected?, variationItems, customItems }] }]
+ */
+async function saveOptionGroups(client, estimateId, optionGroups) {
+  const groups = Array.isArray(optionGroups) ? optionGroups : [];
+
+  for (const [gi, group] of groups.entries()) {
+    const options = (Array.isArray(group?.options) ? group.options : []).filter(Boolean);
+    if (options.length === 0) continue;
+
+    const groupName = toString(group.name).trim().slice(0, 120) || `Options ${gi + 1}`;
+    const { rows: g } = await client.query(
+      `INSERT INTO estimate_option_groups (estimate_id, name, position)
+       VALUES ($1, $2, $3)
+       RETURNING id`,
+      [estimateId, groupName, gi]
+    );
+
+    const selectedIdx = initialSelection(group, options);
+    let selectedId = null;
+
+    for (const [oi, option] of options.entries()) {
+      const optionName = toString(option.name).trim().slice(0, 120) || `Option ${oi + 1}`;
+      const { rows: o } = await client.query(
+        `INSERT INTO estimate_options (group_id, estimate_id, name, position)
+         VALUES ($1, $2, $3, $4)
+         RETURNING id`,
+        [g[0].id, estimateId, optionName, oi]
+      );
+      await insertEstimateLines(
+        client,
+        estimateId,
+        { variationItems: option.variationItems, customItems: option.customItems },
+        o[0].id
+      );
+      if (oi === selectedIdx) selectedId = o[0].id;
+    }
+
+    await client.query(
+      `UPDATE estimate_option_groups SET selected_option_id = $1 WHERE id = $2`,
+      [selectedId, g[0].id]
+    );
+  }
+}
+
+const amountsOf = ({ taxable, nonTaxable }, taxRate) => {
+  const tax = taxable * taxRate;
+  return { subtotal: round2(taxable + nonTaxable), tax: round2(tax), total: round2(taxable + nonTaxable + tax) };
+};
+
+/**
+ * Base, per-option and overall totals (estimate math: tax on taxable lines, no discount;
+ * no tax at all on an estimate marked tax-exempt).
+ * Each option also carries estimate_total — what the whole estimate comes to if it is chosen.
+ */
+async function estimateTotals(db, userId, estimateId) {
+  const { rows: est } = await db.query(
+    `SELECT COALESCE(tax_exempt, FALSE) AS tax_exempt FROM estimates WHERE id = $1 AND user_id = $2`,
+    [estimateId, userId]
+  );
+  const taxExempt = !!est[0]?.tax_exempt;
+  const taxRate = taxExempt ? 0 : await loadTaxRate(db, userId);
+
+  const { rows: lines } = await db.query(
+    `SELECT ei.option_id,
+            COALESCE(ei.unit_price, pv.price, 0)::numeric AS price,
+            ei.quantity,
+            COALESCE(ei.taxable, TRUE) AS taxable
+       FROM estimate_items ei
+       LEFT JOIN product_variations pv ON pv.id = ei.product_variation_id
+      WHERE ei.estimate_id = $1
+     UNION ALL
+     SELECT option_id, price::numeric, quantity, COALESCE(taxable, TRUE)
+       FROM custom_estimate_items
+      WHERE estimate_id = $1`,
+    [estimateId]
+  );
+
+  const { rows: optionRows } = await db.query(
+    `SELECT g.id AS group_id, g.name AS group_name, g.selected_option_id,
+            o.id AS option_id, o.name AS option_name
+       FROM estimate_option_groups g
+       JOIN estimate_options o ON o.group_id = g.id
+      WHERE g.estimate_id = $1
+      ORDER BY g.position, g.id, o.position, o.id`,
+    [estimateId]
+  );
+
+  // Raw sums per option ('base' for lines outside any group)
+  const sums = new Map();
+  const sumFor = (key) => {
+    if (!sums.has(key)) sums.set(key, { taxable: 0, nonTaxable: 0 });
+    return sums.get(key);
+  };
+  for (const l of lines) {
+    const amount = (Number(l.price) || 0) * (Number(l.quantity) || 0);
+    const s = sumFor(l.option_id == null ? 'base' : l.option_id);
+    (l.taxable ? (s.taxable += amount) : (s.nonTaxable += amount));
+  }
+
+  const groups = [];
+  for (const r of optionRows) {
+    let g = groups.find((x) => x.id === r.group_id);
+    if (!g) {
+      g = { id: r.group_id, name: r.group_name, selected_option_id: r.selected_option_id, options: [] };
+      groups.push(g);
+    }
+    g.options.push({ id: r.option_id, name: r.option_name, selected: r.option_id === r.selected_option_id });
+  }
+
+  const chosen = { ...sumFor('base') };
+  for (const g of groups) {
+    const sel = sumFor(g.selected_option_id);
+    chosen.taxable += sel.taxable;
+    chosen.nonTaxable += sel.nonTaxable;
+  }
+
+  for (const g of groups) {
+    const sel = sumFor(g.selected_option_id);
+    for (const o of g.options) {
+      const own = sumFor(o.id);
+      Object.assign(o, amountsOf(own, taxRate), {
+        estimate_total: amountsOf({
+          taxable: chosen.taxable - sel.taxable + own.taxable,
+          nonTaxable: chosen.nonTaxable - sel.nonTaxable + own.nonTaxable,
+        }, taxRate).total,
+      });
+    }
+  }
+
+  return {
+    tax_rate: taxRate,
+    tax_exempt: taxExempt,
+    base: amountsOf(sumFor('base'), taxRate),
+    groups,
+    ...amountsOf(chosen, taxRate),
+  };
+}
+
+/** Recomputes estimates.total from the base lines and selected options; returns estimateTotals. */
+async function recomputeEstimateTotal(client, userId, estimateId) {
+  const totals = await estimateTotals(client, userId, estimateId);
+  await client.query(
+    `UPDATE estimates SET total = $1 WHERE id = $2 AND user_id = $3`,
+    [totals.total, estimateId, userId]
+  );
+  return totals;
+}
+
+/** Selects optionId within its group. Returns false when it is not an option of this estimate. */
+async function selectEstimateOption(client, estimateId, optionId) {
+  const { rowCount } = await client.query(
+    `UPDATE estimate_option_groups g
+        SET selected_option_id = o.id
+       FROM estimate_options o
+      WHERE o.id = $2 AND o.estimate_id = $1 AND g.id = o.group_id`,
+    [estimateId, optionId]
+  );
+  return rowCount > 0;
+}
+
+module.exports = {
+  includedLineSql,
+  saveOptionGroups,
+  estimateTotals,
+  recomputeEstimateTotal,
+  selectEstimateOption,
+};
@@ -0,0 +1,125 @@
+// backend/utils/estimateRevisions.js
+// Numbered snapshots of an estimate (header + lines) taken on every save, and a
+// line-level diff between two of them.
+const { loadEstimateItems } = require('./documentLoaders');
+const { round2 } = require('./invoicePayments');
+
+// Header fields kept in each snapshot and compared by the diff
+const HEADER_FIELDS = ['customer_info', 'notes', 'discount_type', 'discount_value', 'total', 'valid_until'];
+// Line fields compared by the diff
+const LINE_FIELDS = ['product_name', 'price', 'quantity', 'taxable', 'included'];
+
+/**
+ * Stores the estimate's current state as its next revision and returns the
+ * revision number. Call inside the saving transaction, after the lines are written.
+ */
+async function snapshotEstimateRevision(client, userId, estimateId) {
+  const { rows } = await client.query(
+    `SELECT estimate_number, customer_info, notes, discount_type, discount_value,
+            ROUND(total, 2) AS total, valid_until::text AS valid_until
+       FROM estimates
+      WHERE id = $1 AND user_id = $2`,
+    [estimateId, userId]
+  );
+  if (!rows[0]) return null;
+
+  const items = await loadEstimateItems(client, estimateId);
+  const { rows: rev } = await client.query(
+    `INSERT INTO estimate_revisions (estimate_id, user_id, revision, header, items)
+     SELECT $1, $2, COALESCE(MAX(revision), 0) + 1, $3, $4
+       FROM estimate_revisions
+      WHERE estimate_id = $1
+     RETURNING revision`,
+    [estimateId, userId, JSON.stringify(rows[0]), JSON.stringify(items)]
+  );
+  return rev[0].revision;
+}
+
+/** True when the estimate has at least one stored revision. */
+async function hasRevisions(client, estimateId) {
+  const { rowCount } = await client.query(
+    `SELECT 1 FROM estimate_revisions WHERE estimate_id = $1 LIMIT 1`,
+    [estimateId]
+  );
+  return rowCount > 0;
+}
+
+// Variation lines match on variation id, custom lines on name/size/accessory, both
+// within their option group/option (by name — ids change on every save);
+// repeated lines (no dedup) match in order of appearance.
+function keyLines(items) {
+  const seen = new Map();
+  return (items || []).map((it) => {
+    const scope = it.option_id != null ? `${it.option_group || ''}/${it.option_name || ''}::` : '';
+    const base = scope + (it.type === 'variation'
+      ? `v:${it.variation_id}`
+      : `c:${String(it.product_name || '').trim().toLowerCase()}|${String(it.size || '').trim().toLowerCase()}|${String(it.accessory || '').trim().toLowerCase()}`);
+    const n = (seen.get(base) || 0) + 1;
+    seen.set(base, n);
+    return { key: `${base}#${n}`, line: it };
+  });
+}
+
+const normalizeField = (field, value) => {
+  if (field === 'price' || field === 'total' || field === 'discount_value') return round2(value);
+  if (field === 'quantity') return Number(value) || 0;
+  if (field === 'taxable') return !!value;
+  if (field === 'included') return value !== false; // snapshots from before option groups
+  if (field === 'customer_info') return JSON.stringify(value || {});
+  return value == null ? null : String(value);
+};
+
+function fieldChanges(fields, before, after) {
+  const changes = {};
+  for (const f of fields) {
+    const a = normalizeField(f, before[f]);
+    const b = normalizeField(f, after[f]);
+    if (a !== b) changes[f] = { from: before[f] ?? null, to: after[f] ?? null };
+  }
+  return changes;
+}
+
+const lineSummary = (it) => ({
+  type: it.type,
+  variation_id: it.variation_id,
+  product_name: it.product_name,
+  size: it.size,
+  accessory: it.accessory,
+  price: it.price,
+  quantity: it.quantity,
+  taxable: it.taxable,
+  option_group: it.option_group || null,
+  option_name: it.option_name || null,
+  included: it.included !== false,
+});
+
+/** { header, added, removed, changed } between two revision rows ({ header, items }). */
+function diffRevisions(from, to) {
+  const before = new Map(keyLines(from.items).map(({ key, line }) => [key, line]));
+  const after = keyLines(to.items);
+
+  const added = [];
+  const changed = [];
+  for (const { key, line } of after) {
+    const prev = before.get(key);
+    if (!prev) {
+      added.push(lineSummary(line));
+      continue;
+    }
+    before.delete(key);
+    const changes = fieldChanges(LINE_FIELDS, prev, line);
+    if (Object.keys(changes).length) {
+      changed.push({ ...lineSummary(line), changes });
+    }
+  }
+  const removed = [...before.values()].map(lineSummary);
+
+  return {
+    header: fieldChanges(HEADER_FIELDS, from.header || {}, to.header || {}),
+    added,
+    removed,
+    changed,
+  };
+}
+
+module.exports = { snapshotEstimateRevision, hasRevisions, diffRevisions };
@@ -0,0 +1,49 @@
+// backend/utils/estimateShare.js
+// Signed, expiring public links for estimate approval.
+// The token's jti must match estimates.share_token_id, so re-sharing or
+// revoking invalidates every older link.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Separate key from login tokens so a share link can never authenticate a user.
+const SHARE_SECRET =
+  process.env.ESTIMATE_SHARE_SECRET ||
+  `${process.env.JWT_SECRET || 'fallback-secret'}:estimate-share`;
+const SHARE_AUDIENCE = 'estimate-share';
+
+const FRONTEND_URL = (process.env.FRONTEND_URL || 'https://printshopinvoice.com').replace(/\/+$/, '');
+const APPROVE_PATH = process.env.ESTIMATE_APPROVE_PATH || '/estimate-approval.html';
+
+const DEFAULT_SHARE_DAYS = 14;
+const MAX_SHARE_DAYS = 90;
+
+/** Issues a token for estimateId; returns { token, jti, expiresAt, url }. */
+function issueShareToken(estimateId, days = DEFAULT_SHARE_DAYS) {
+  const ttlDays = Math.min(Math.max(parseInt(days, 10) || DEFAULT_SHARE_DAYS, 1), MAX_SHARE_DAYS);
+  const jti = crypto.randomBytes(16).toString('hex');
+  const token = jwt.sign({ eid: Number(estimateId) }, SHARE_SECRET, {
+    audience: SHARE_AUDIENCE,
+    jwtid: jti,
+    expiresIn: `${ttlDays}d`,
+  });
+  const { exp } = jwt.decode(token);
+  return {
+    token,
+    jti,
+    expiresAt: new Date(exp * 1000),
+    url: `${FRONTEND_URL}${APPROVE_PATH}?token=${encodeURIComponent(token)}`,
+  };
+}
+
+/** Returns { estimateId, jti } for a valid token, or null (bad signature / expired). */
+function readShareToken(token) {
+  try {
+    const payload = jwt.verify(String(token || ''), SHARE_SECRET, { audience: SHARE_AUDIENCE });
+    if (!Number.isInteger(payload.eid) || !payload.jti) return null;
+    return { estimateId: payload.eid, jti: payload.jti };
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { DEFAULT_SHARE_DAYS, MAX_SHARE_DAYS, issueShareToken, readShareToken };
@@ -0,0 +1,70 @@
+// backend/utils/invoicePayments.js
+const PAYMENT_METHODS = ['cash', 'check', 'card', 'ach', 'other'];
+
+/**
+ * Select-list + join fragments for the payment/credit summary of an invoice header.
+ * Both expect the invoices table to be aliased as `inv`. Voided invoices carry no balance.
+ */
+const PAYMENT_SUMMARY_JOIN = `
+  LEFT JOIN LATERAL (
+    SELECT SUM(ip.amount) AS amount_paid
+      FROM invoice_payments ip
+     WHERE ip.invoice_id = inv.id
+  ) pay ON TRUE
+  LEFT JOIN LATERAL (
+    SELECT SUM(cn.total) AS amount_credited
+      FROM credit_notes cn
+     WHERE cn.invoice_id = inv.id
+  ) cred ON TRUE`;
+
+const PAYMENT_SUMMARY_COLUMNS = `
+  inv.voided_at,
+  inv.void_reason,
+  ROUND(COALESCE(pay.amount_paid, 0), 2)      AS amount_paid,
+  ROUND(COALESCE(cred.amount_credited, 0), 2) AS amount_credited,
+  CASE WHEN inv.voided_at IS NOT NULL THEN 0
+       ELSE ROUND(inv.total - COALESCE(pay.amount_paid, 0) - COALESCE(cred.amount_credited, 0), 2)
+  END                                         AS balance_due`;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/** unpaid | partial | paid | overpaid */
+function paymentStatus(total, amountPaid) {
+  const t = round2(total);
+  const paid = round2(amountPaid);
+  if (paid > t) return 'overpaid';
+  if (paid === t) return 'paid';
+  if (paid <= 0) return 'unpaid';
+  return 'partial';
+}
+
+/** none | partial | full */
+function creditStatus(total, amountCredited) {
+  const credited = round2(amountCredited);
+  if (credited <= 0) return 'none';
+  return credited >= round2(total) ? 'full' : 'partial';
+}
+
+/**
+ * Adds `payment_status` (void for voided invoices), `credit_status` and `overdue` to a
+ * header row carrying total, amount_paid, amount_credited, balance_due and days_past_due.
+ */
+const withPaymentStatus = (row) =>
+  row && {
+    ...row,
+    payment_status: row.voided_at
+      ? 'void'
+      : paymentStatus(round2(row.total) - round2(row.amount_credited), row.amount_paid),
+    credit_status: creditStatus(row.total, row.amount_credited),
+    overdue: !row.voided_at && round2(row.balance_due) > 0 && Number(row.days_past_due) > 0,
+  };
+
+module.exports = {
+  PAYMENT_METHODS,
+  PAYMENT_SUMMARY_JOIN,
+  PAYMENT_SUMMARY_COLUMNS,
+  round2,
+  paymentStatus,
+  creditStatus,
+  withPaymentStatus,
+};
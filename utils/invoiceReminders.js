@@ -0,0 +1,241 @@
+// backend/utils/invoiceReminders.js
+// Scheduled payment reminders for open invoices, at store-configured offsets from the due date.
+// Every send is claimed in invoice_reminders first, so each invoice gets each reminder once.
+const pool = require('../db');
+const { sendMail } = require('./mailer');
+const { PAYMENT_SUMMARY_JOIN, PAYMENT_SUMMARY_COLUMNS, round2 } = require('./invoicePayments');
+const { storeMailIdentity } = require('./storeInfo');
+const { loadInvoiceDocument } = require('./documentLoaders');
+const { TODAY_SQL } = require('./estimateExpiry');
+const { renderInvoicePdf } = require('../pdf/invoicePdf');
+const { logEmail } = require('./customerActivity');
+
+const DEFAULT_REMINDER_OFFSETS = [-3, 0, 7, 14];
+const MIN_OFFSET = -60;
+const MAX_OFFSET = 365;
+const MAX_OFFSETS = 8;
+// A failed send is retried on later runs up to this many attempts in total
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Parses offsets given as an array or a comma-separated string ("-3, 0, 7, 14").
+ * Returns a sorted, de-duplicated array, or { error }.
+ */
+function parseReminderOffsets(value) {
+  const parts = Array.isArray(value) ? value : String(value ?? '').split(',');
+  const offsets = [];
+  for (const part of parts) {
+    if (typeof part === 'string' && part.trim() === '') continue;
+    const n = Number(part);
+    if (!Number.isInteger(n) || n < MIN_OFFSET || n > MAX_OFFSET) {
+      return { error: `reminder_offsets must be whole days from ${MIN_OFFSET} to ${MAX_OFFSET}` };
+    }
+    if (!offsets.includes(n)) offsets.push(n);
+  }
+  if (offsets.length > MAX_OFFSETS) {
+    return { error: `At most ${MAX_OFFSETS} reminder offsets are allowed` };
+  }
+  return offsets.sort((a, b) => a - b);
+}
+
+/** The reminder due now: the latest offset already reached, or null. */
+const reminderOffsetFor = (offsets, daysFromDue) =>
+  (offsets || []).filter((o) => o <= daysFromDue).reduce((max, o) => (max == null || o > max ? o : max), null);
+
+const money = (n) => `$${round2(n).toFixed(2)}`;
+const escapeHtml = (s) =>
+  String(s).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+/** Subject + text for one reminder; the tone follows how far past due the invoice is. */
+function reminderMessage({ storeName, invoiceLabel, balance, dueLabel, daysFromDue }) {
+  let subject;
+  let lead;
+  if (daysFromDue < 0) {
+    const n = -daysFromDue;
+    subject = `Reminder: invoice ${invoiceLabel} is due ${dueLabel}`;
+    lead = `This is a friendly reminder that invoice ${invoiceLabel} for ${money(balance)} is due in ${n} day${n === 1 ? '' : 's'}, on ${dueLabel}.`;
+  } else if (daysFromDue === 0) {
+    subject = `Reminder: invoice ${invoiceLabel} is due today`;
+    lead = `This is a friendly reminder that invoice ${invoiceLabel} for ${money(balance)} is due today.`;
+  } else {
+    subject = `Past due: invoice ${invoiceLabel}`;
+    lead = `Our records show that invoice ${invoiceLabel} was due on ${dueLabel} and has a balance of ${money(balance)}, now ${daysFromDue} day${daysFromDue === 1 ? '' : 's'} past due.`;
+  }
+
+  const text = [
+    'Hello,',
+    '',
+    lead,
+    '',
+    'A copy of the invoice is attached. If you have already sent payment, thank you, and please disregard this message.',
+    '',
+    'Thank you for your business,',
+    storeName,
+  ].join('\n');
+
+  const html = text
+    .split('\n\n')
+    .map((p) => `<p>${escapeHtml(p).replace(/\n/g, '<br/>')}</p>`)
+    .join('');
+
+  return { subject, text, html };
+}
+
+/**
+ * Open invoices whose first reminder offset has been reached, for stores with reminders on
+ * and customers who are not paused. Pass userId to limit to one store.
+ */
+async function findReminderCandidates(db, { userId = null } = {}) {
+  const { rows } = await db.query(
+    `SELECT * FROM (
+       SELECT inv.id,
+              inv.user_id,
+              inv.invoice_number,
+              inv.customer_id,
+              TRIM(inv.customer_info::jsonb->>'email') AS email,
+              inv.due_date,
+              TO_CHAR(inv.due_date, 'FMMonth FMDD, YYYY') AS due_label,
+              ${TODAY_SQL} - inv.due_date AS days_from_due,
+              s.reminder_offsets,
+              ${PAYMENT_SUMMARY_COLUMNS}
+         FROM invoices inv
+         JOIN store_info s ON s.user_id = inv.user_id AND s.reminders_enabled
+         LEFT JOIN customers c ON c.id = inv.customer_id AND c.user_id = inv.user_id
+         ${PAYMENT_SUMMARY_JOIN}
+        WHERE inv.voided_at IS NULL
+          AND inv.due_date IS NOT NULL
+          AND ($1::int IS NULL OR inv.user_id = $1)
+          AND NOT COALESCE(c.reminders_paused, FALSE)
+          AND COALESCE(TRIM(inv.customer_info::jsonb->>'email'), '') <> ''
+          AND inv.due_date + (SELECT MIN(o) FROM UNNEST(s.reminder_offsets) o) <= ${TODAY_SQL}
+     ) open_invoices
+     WHERE balance_due > 0
+     ORDER BY user_id, due_date, id`,
+    [userId]
+  );
+  return rows;
+}
+
+/** Claims the invoice + offset log row; returns its id, or null when it was already sent (or is being sent). */
+async function claimReminder(db, inv, offset) {
+  const { rows } = await db.query(
+    `INSERT INTO invoice_reminders (invoice_id, user_id, offset_days, due_date, sent_to)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (invoice_id, offset_days) DO UPDATE
+        SET status = 'sending',
+            attempts = invoice_reminders.attempts + 1,
+            error = NULL,
+            sent_to = EXCLUDED.sent_to
+      WHERE invoice_reminders.status = 'failed'
+        AND invoice_reminders.attempts < $6
+     RETURNING id`,
+    [inv.id, inv.user_id, offset, inv.due_date, inv.email, MAX_ATTEMPTS]
+  );
+  return rows[0]?.id ?? null;
+}
+
+/** Emails one reminder with the invoice PDF attached. */
+async function sendReminder(db, inv, daysFromDue) {
+  const { storeName, from, replyTo } = await storeMailIdentity(db, inv.user_id);
+  const invoiceLabel = inv.invoice_number || `#${inv.id}`;
+  const doc = await loadInvoiceDocument(db, inv.user_id, inv.id);
+  const pdfBuffer = await renderInvoicePdf(doc);
+
+  const { subject, text, html } = reminderMessage({
+    storeName,
+    invoiceLabel,
+    balance: inv.balance_due,
+    dueLabel: inv.due_label,
+    daysFromDue,
+  });
+
+  await sendMail({
+    from,
+    to: inv.email,
+    subject,
+    text,
+    html,
+    replyTo,
+    attachments: [{ filename: `invoice-${inv.invoice_number || inv.id}.pdf`, content: pdfBuffer }],
+  });
+  await logEmail(db, inv.user_id, {
+    customerId: inv.customer_id,
+    invoiceId: inv.id,
+    kind: 'reminder',
+    to: inv.email,
+    subject,
+  });
+}
+
+/**
+ * Sends every reminder that is due now. Only the latest reached offset is sent per
+ * invoice, so a late start does not send a burst of stale reminders.
+ * Returns { sent, failed }.
+ */
+async function sendDueReminders({ db = pool, userId = null } = {}) {
+  const candidates = await findReminderCandidates(db, { userId });
+  let sent = 0;
+  let failed = 0;
+
+  for (const inv of candidates) {
+    const daysFromDue = Number(inv.days_from_due);
+    const offset = reminderOffsetFor(inv.reminder_offsets, daysFromDue);
+    if (offset == null) continue;
+
+    const reminderId = await claimReminder(db, inv, offset);
+    if (!reminderId) continue;
+
+    try {
+      await sendReminder(db, inv, daysFromDue);
+      await db.query(
+        `UPDATE invoice_reminders SET status = 'sent', sent_at = NOW() WHERE id = $1`,
+        [reminderId]
+      );
+      sent += 1;
+    } catch (err) {
+      await db.query(
+        `UPDATE invoice_reminders SET status = 'failed', error = $2 WHERE id = $1`,
+        [reminderId, String(err?.message || err).slice(0, 1000)]
+      );
+      console.error(`⚠️ Reminder for invoice ${inv.id} failed:`, err?.message || err);
+      failed += 1;
+    }
+  }
+
+  return { sent, failed };
+}
+
+let _timer = null;
+let _running = false;
+
+/** Runs sendDueReminders now and then every INVOICE_REMINDER_INTERVAL_MINUTES (default 60). */
+function startInvoiceReminderJob() {
+  if (_timer) return;
+  const minutes = Math.max(1, parseInt(process.env.INVOICE_REMINDER_INTERVAL_MINUTES || '60', 10) || 60);
+
+  const tick = async () => {
+    if (_running) return; // a slow SMTP run must not overlap the next one
+    _running = true;
+    try {
+      const { sent, failed } = await sendDueReminders();
+      if (sent || failed) console.log(`⏰ Invoice reminders: ${sent} sent, ${failed} failed`);
+    } catch (err) {
+      console.error('⚠️ Invoice reminder job failed (will retry):', err?.message || err);
+    } finally {
+      _running = false;
+    }
+  };
+
+  tick();
+  _timer = setInterval(tick, minutes * 60 * 1000);
+  _timer.unref();
+}
+
+module.exports = {
+  DEFAULT_REMINDER_OFFSETS,
+  parseReminderOffsets,
+  reminderOffsetFor,
+  reminderMessage,
+  sendDueReminders,
+  startInvoiceReminderJob,
+};
@@ -0,0 +1,232 @@
+// backend/utils/lineItems.js
+// Shared line insertion + total math for invoices (create, update, convert) and
+// estimate line insertion (create, update, option groups).
+// Variation lines sent without a price are priced by the variation's quantity price breaks,
+// or by width × height for area-priced products (utils/areaPricing.js).
+const { priceVariationLine } = require('./areaPricing');
+
+const clamp = (v, min, max) => Math.min(Math.max(Number(v) || 0, min), max);
+const toString = (v) => (v == null ? '' : String(v));
+const toBool = (v, def = true) => {
+  if (typeof v === 'boolean') return v;
+  if (v == null) return def;
+  if (typeof v === 'number') return v !== 0;
+  if (typeof v === 'string') return !['false', '0', 'no', 'off'].includes(v.toLowerCase());
+  return def;
+};
+
+/** Normalizes discount input to { discType, discVal } the way invoices store it. */
+function normalizeDiscount(discount_type, discount_value) {
+  const discType = String(discount_type || '').toLowerCase() === 'percent' ? 'percent' : 'amount';
+  let discVal = Number(discount_value) || 0;
+  discVal = discType === 'percent' ? clamp(discVal, 0, 100) : clamp(discVal, 0, 1e12);
+  return { discType, discVal };
+}
+
+async function loadTaxRate(client, userId) {
+  const { rows } = await client.query(
+    `SELECT COALESCE(tax_rate, 0.06) AS tax_rate FROM store_info WHERE user_id = $1`,
+    [userId]
+  );
+  return Number(rows[0]?.tax_rate ?? 0.06);
+}
+
+/**
+ * Subtotal / discount / tax / total for an invoice.
+ * - amount discount comes off the taxed grand total (floored at 0)
+ * - percent discount reduces both subtotals before tax
+ * - deposit (final invoices) is deducted from that total
+ */
+function invoiceBreakdown({ taxableSubtotal, nonTaxableSubtotal, taxRate, discType, discVal, deposit = 0 }) {
+  const subtotal = taxableSubtotal + nonTaxableSubtotal;
+  // Deposits already billed come off last, after discount and tax
+  const lessDeposit = (b) => {
+    const applied = Math.min(clamp(deposit, 0, 1e12), b.total);
+    return { ...b, deposit: applied, total: b.total - applied };
+  };
+
+  if (discType === 'amount') {
+    const tax = taxableSubtotal * taxRate;
+    const gross = subtotal + tax;
+    const discount = Math.min(clamp(discVal, 0, 1e12), gross);
+    return lessDeposit({ subtotal, discount, tax, total: Math.max(0, gross - discount) });
+  }
+
+  const pct = clamp(discVal, 0, 100) / 100;
+  const discount = subtotal * pct;
+  const tax = taxableSubtotal * (1 - pct) * taxRate;
+  return lessDeposit({ subtotal, discount, tax, total: subtotal - discount + tax });
+}
+
+// Dimensions of area-priced lines (NULL on every other line)
+const AREA_COLUMNS = 'width, height, dimension_unit, area_sqft, finishing';
+const areaValues = (area) => [
+  area?.width ?? null,
+  area?.height ?? null,
+  area?.dimension_unit ?? null,
+  area?.area_sqft ?? null,
+  area ? JSON.stringify(area.finishing) : null,
+];
+
+/** The price sent for a line (unit_price, else price), or null when none was sent. */
+function overridePrice(it) {
+  const raw = it.unit_price != null && it.unit_price !== '' ? it.unit_price : it.price;
+  if (raw == null || raw === '') return null;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * First pricing problem of any variation line (area line without width / height, finishing
+ * the variation does not offer), else null. Run before inserting, for a 400.
+ */
+async function variationLinesError(client, variationItems) {
+  for (const it of (Array.isArray(variationItems) ? variationItems : [])) {
+    const variationId = Number(it.variation_id ?? it.variationId);
+    if (!Number.isFinite(variationId)) continue;
+    const qty = Math.max(1, parseInt(it.quantity, 10) || 1);
+    const { error } = await priceVariationLine(client, variationId, qty, it, overridePrice(it));
+    if (error) return error;
+  }
+  return null;
+}
+
+// Pricing of a line to insert; routes check variationLinesError first
+async function priceLine(client, variationId, qty, it) {
+  const priced = await priceVariationLine(client, variationId, qty, it, overridePrice(it));
+  if (priced.error) throw new Error(`Variation ${variationId}: ${priced.error}`);
+  return priced;
+}
+
+/**
+ * Inserts invoice_items / custom_invoice_items one row per selection (no dedup).
+ * Variation lines without a price get the price break matching their quantity, or the
+ * area price of their width / height (kept on the line).
+ * Returns the taxable and non-taxable subtotals of what was inserted.
+ */
+async function insertInvoiceLines(client, invoiceId, { variationItems, customItems }) {
+  let taxableSubtotal = 0;
+  let nonTaxableSubtotal = 0;
+
+  // Built-in lines
+  for (const it of (Array.isArray(variationItems) ? variationItems : [])) {
+    const variationId = Number(it.variation_id ?? it.variationId);
+    if (!Number.isFinite(variationId)) continue;
+
+    const qty = Math.max(1, parseInt(it.quantity, 10) || 1);
+    const { unitPrice: price, area } = await priceLine(client, variationId, qty, it);
+    const taxable = toBool(it.taxable, true);
+    const displayName = toString(it.display_name || it.product_name || '').trim() || null;
+
+    const line = price * qty;
+    (taxable ? (taxableSubtotal += line) : (nonTaxableSubtotal += line));
+
+    await client.query(
+      `INSERT INTO invoice_items
+         (invoice_id, product_variation_id, quantity, price, taxable, display_name, ${AREA_COLUMNS})
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [invoiceId, variationId, qty, price, taxable, displayName, ...areaValues(area)]
+    );
+  }
+
+  // Custom lines
+  for (const it of (Array.isArray(customItems) ? customItems : [])) {
+    const qty = Math.max(1, parseInt(it.quantity, 10) || 1);
+    const price = Number(it.price) || 0;
+    const taxable = toBool(it.taxable, true);
+    const line = price * qty;
+
+    (taxable ? (taxableSubtotal += line) : (nonTaxableSubtotal += line));
+
+    await client.query(
+      `INSERT INTO custom_invoice_items
+         (invoice_id, product_name, size, price, quantity, accessory, taxable)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        invoiceId,
+        toString(it.product_name || it.productName),
+        toString(it.size),
+        price,
+        qty,
+        toString(it.accessory),
+        taxable,
+      ]
+    );
+  }
+
+  return { taxableSubtotal, nonTaxableSubtotal };
+}
+
+/**
+ * Inserts estimate_items / custom_estimate_items one row per selection (no dedup),
+ * with per-line overrides: unit_price (else the area price of width / height for area
+ * products, the variation's price break for the quantity, else its price), taxable, display_name.
+ * optionId ties the lines to an option of an option group (null = base lines).
+ * Returns the taxable and non-taxable subtotals of what was inserted.
+ */
+async function insertEstimateLines(client, estimateId, { variationItems, customItems }, optionId = null) {
+  let taxableSubtotal = 0;
+  let nonTaxableSubtotal = 0;
+
+  // Built-in lines with overrides
+  for (const it of (Array.isArray(variationItems) ? variationItems : [])) {
+    const variationId = Number(it.variation_id ?? it.variationId);
+    if (!Number.isFinite(variationId)) continue;
+
+    const qty = Math.max(1, parseInt(it.quantity, 10) || 1);
+    const displayName = toString(it.display_name || it.product_name || '').trim() || null;
+    const taxable = toBool(it.taxable, true);
+    const { unitPrice: lineUnitPrice, area } = await priceLine(client, variationId, qty, it);
+
+    const lineTotal = lineUnitPrice * qty;
+    (taxable ? (taxableSubtotal += lineTotal) : (nonTaxableSubtotal += lineTotal));
+
+    await client.query(
+      `INSERT INTO estimate_items
+         (estimate_id, product_variation_id, quantity, unit_price, taxable, display_name, option_id, ${AREA_COLUMNS})
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+      [estimateId, variationId, qty, lineUnitPrice, taxable, displayName, optionId, ...areaValues(area)]
+    );
+  }
+
+  // Custom lines
+  for (const it of (Array.isArray(customItems) ? customItems : [])) {
+    const qty = Math.max(1, parseInt(it.quantity, 10) || 1);
+    const price = Number(it.price) || 0;
+    const taxable = toBool(it.taxable, true);
+
+    (taxable ? (taxableSubtotal += price * qty) : (nonTaxableSubtotal += price * qty));
+
+    await client.query(
+      `INSERT INTO custom_estimate_items
+         (estimate_id, product_name, size, price, quantity, accessory, taxable, option_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        estimateId,
+        toString(it.product_name || it.productName),
+        toString(it.size),
+        price,
+        qty,
+        toString(it.accessory),
+        taxable,
+        optionId,
+      ]
+    );
+  }
+
+  return { taxableSubtotal, nonTaxableSubtotal };
+}
+
+module.exports = {
+  clamp,
+  toString,
+  toBool,
+  normalizeDiscount,
+  loadTaxRate,
+  invoiceBreakdown,
+  AREA_COLUMNS,
+  areaValues,
+  variationLinesError,
+  insertInvoiceLines,
+  insertEstimateLines,
+};
@@ -0,0 +1,86 @@
+// backend/utils/paymentTerms.js
+// Payment terms (store default → customer → invoice override) and invoice due dates.
+const { TODAY_SQL } = require('./estimateExpiry');
+
+// Fixed terms and their day counts; 'custom' carries its own payment_terms_days
+const PAYMENT_TERMS = { due_on_receipt: 0, net_15: 15, net_30: 30, net_60: 60 };
+const TERM_CODES = [...Object.keys(PAYMENT_TERMS), 'custom'];
+const MAX_TERMS_DAYS = 365;
+const DEFAULT_TERMS = { terms: 'due_on_receipt', days: 0 };
+
+/**
+ * Parses request input. Returns null when no terms were given, { error } when they
+ * are invalid, else { terms, days }.
+ */
+function parsePaymentTerms(terms, days) {
+  if (terms == null || terms === '') return null;
+  const code = String(terms).trim().toLowerCase();
+  if (Object.prototype.hasOwnProperty.call(PAYMENT_TERMS, code)) {
+    return { terms: code, days: PAYMENT_TERMS[code] };
+  }
+  if (code === 'custom') {
+    const n = Number(days);
+    if (!Number.isInteger(n) || n < 0 || n > MAX_TERMS_DAYS) {
+      return { error: `payment_terms_days must be a whole number from 0 to ${MAX_TERMS_DAYS} for custom terms` };
+    }
+    return { terms: 'custom', days: n };
+  }
+  return { error: `payment_terms must be one of: ${TERM_CODES.join(', ')}` };
+}
+
+/** "Due on receipt", "Net 30", … */
+function paymentTermsLabel(terms, days) {
+  if (!terms) return '';
+  const n = Number(days) || 0;
+  return n === 0 ? 'Due on receipt' : `Net ${n}`;
+}
+
+/** The customer's terms when set, else the store's, else due on receipt. */
+async function resolvePaymentTerms(db, userId, customerId) {
+  if (customerId != null && customerId !== '') {
+    const { rows } = await db.query(
+      `SELECT payment_terms, payment_terms_days
+         FROM customers
+        WHERE id = $1 AND user_id = $2 AND payment_terms IS NOT NULL`,
+      [customerId, userId]
+    );
+    if (rows[0]) return { terms: rows[0].payment_terms, days: Number(rows[0].payment_terms_days) || 0 };
+  }
+
+  const { rows } = await db.query(
+    `SELECT payment_terms, payment_terms_days
+       FROM store_info
+      WHERE user_id = $1 AND payment_terms IS NOT NULL`,
+    [userId]
+  );
+  if (rows[0]) return { terms: rows[0].payment_terms, days: Number(rows[0].payment_terms_days) || 0 };
+  return { ...DEFAULT_TERMS };
+}
+
+/**
+ * Stores terms on the invoice and sets due_date = invoice date + days.
+ * override ({ terms, days } from parsePaymentTerms) wins over customer / store terms.
+ * Returns { terms, days, due_date }.
+ */
+async function applyPaymentTerms(client, userId, invoiceId, { customerId = null, override = null } = {}) {
+  const t = override || (await resolvePaymentTerms(client, userId, customerId));
+  const { rows } = await client.query(
+    `UPDATE invoices
+        SET payment_terms = $1,
+            payment_terms_days = $2,
+            due_date = COALESCE(invoice_date::date, ${TODAY_SQL}) + $2::int
+      WHERE id = $3 AND user_id = $4
+      RETURNING due_date`,
+    [t.terms, t.days, invoiceId, userId]
+  );
+  return { terms: t.terms, days: t.days, due_date: rows[0]?.due_date ?? null };
+}
+
+module.exports = {
+  PAYMENT_TERMS,
+  TERM_CODES,
+  parsePaymentTerms,
+  paymentTermsLabel,
+  resolvePaymentTerms,
+  applyPaymentTerms,
+};
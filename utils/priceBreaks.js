@@ -0,0 +1,107 @@
+// backend/utils/priceBreaks.js
+// Quantity price breaks of product variations (100 / 250 / 500 / 1000 …). A tier applies from
+// its min_quantity up to the next tier and is either a unit price or a flat price for the
+// whole line. Below the first tier the variation's own price applies.
+
+const MAX_BREAKS = 25;
+
+/** Unit prices are kept to 6 decimals so a flat tier spread over the quantity still adds up. */
+const roundUnit = (n) => Math.round(n * 1e6) / 1e6;
+
+/**
+ * Tiers from a request body list of { min_quantity, unit_price? | flat_price? }.
+ * Returns { breaks } sorted by min_quantity, or { error }.
+ */
+function parsePriceBreaks(list) {
+  if (!Array.isArray(list)) return { error: 'breaks must be an array' };
+  if (list.length > MAX_BREAKS) return { error: `A variation can have at most ${MAX_BREAKS} price breaks` };
+
+  const breaks = [];
+  for (const raw of list) {
+    const minQuantity = Number(raw?.min_quantity);
+    if (!Number.isInteger(minQuantity) || minQuantity < 1) {
+      return { error: 'min_quantity must be a whole number of at least 1' };
+    }
+    const hasUnit = raw.unit_price != null && raw.unit_price !== '';
+    const hasFlat = raw.flat_price != null && raw.flat_price !== '';
+    if (hasUnit === hasFlat) {
+      return { error: `Price break ${minQuantity} needs either unit_price or flat_price` };
+    }
+    const price = Number(hasUnit ? raw.unit_price : raw.flat_price);
+    if (!Number.isFinite(price) || price < 0) {
+      return { error: `Price break ${minQuantity} has an invalid price` };
+    }
+    if (breaks.some((b) => b.min_quantity === minQuantity)) {
+      return { error: `min_quantity ${minQuantity} is listed twice` };
+    }
+    breaks.push({
+      min_quantity: minQuantity,
+      unit_price: hasUnit ? price : null,
+      flat_price: hasFlat ? price : null,
+    });
+  }
+  breaks.sort((a, b) => a.min_quantity - b.min_quantity);
+  return { breaks };
+}
+
+/** The tier matching qty (highest min_quantity ≤ qty) of breaks sorted ascending, else null. */
+function matchingBreak(breaks, qty) {
+  let match = null;
+  for (const b of breaks || []) {
+    if (Number(b.min_quantity) <= qty) match = b;
+  }
+  return match;
+}
+
+/** Unit price of qty pieces: the matching tier's (flat prices spread over qty), else basePrice. */
+function unitPriceForQuantity(breaks, basePrice, qty) {
+  const tier = matchingBreak(breaks, qty);
+  if (!tier) return Number(basePrice) || 0;
+  if (tier.unit_price != null) return Number(tier.unit_price);
+  return roundUnit(Number(tier.flat_price) / qty);
+}
+
+/** The variation's price breaks, ascending. */
+async function loadPriceBreaks(db, variationId) {
+  const { rows } = await db.query(
+    `SELECT min_quantity, unit_price, flat_price
+       FROM variation_price_breaks
+      WHERE variation_id = $1
+      ORDER BY min_quantity`,
+    [variationId]
+  );
+  return rows;
+}
+
+/** Replaces the variation's price breaks with `breaks` (from parsePriceBreaks); run inside a transaction. */
+async function replacePriceBreaks(client, userId, variationId, breaks) {
+  await client.query(`DELETE FROM variation_price_breaks WHERE variation_id = $1`, [variationId]);
+  for (const b of breaks) {
+    await client.query(
+      `INSERT INTO variation_price_breaks (user_id, variation_id, min_quantity, unit_price, flat_price)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [userId, variationId, b.min_quantity, b.unit_price, b.flat_price]
+    );
+  }
+  return loadPriceBreaks(client, variationId);
+}
+
+/** Subquery: the price breaks of variation `v` as a JSON array, for product listings. */
+const PRICE_BREAKS_JSON = `
+  (SELECT COALESCE(json_agg(json_build_object(
+            'min_quantity', b.min_quantity,
+            'unit_price',   b.unit_price,
+            'flat_price',   b.flat_price
+          ) ORDER BY b.min_quantity), '[]')
+     FROM variation_price_breaks b
+    WHERE b.variation_id = v.id)`;
+
+module.exports = {
+  MAX_BREAKS,
+  PRICE_BREAKS_JSON,
+  parsePriceBreaks,
+  matchingBreak,
+  unitPriceForQuantity,
+  loadPriceBreaks,
+  replacePriceBreaks,
+};
@@ -0,0 +1,194 @@
+// backend/utils/recurrence.js
+// Day-level schedules for recurring invoices. Dates are 'YYYY-MM-DD' strings throughout.
+//   weekly    — every `interval` weeks from start_date
+//   monthly   — every `interval` months on start_date's day (clamped to short months)
+//   quarterly — every `interval` × 3 months, same day rule
+//   custom    — cron-like "DOM MON DOW" (or a 5-field cron whose minute/hour are ignored)
+
+const CADENCES = ['weekly', 'monthly', 'quarterly', 'custom'];
+const MAX_INTERVAL = 52;
+// A custom rule that matches nothing within this many days is rejected
+const CUSTOM_SEARCH_DAYS = 366 * 2;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const toUtc = (s) => {
+  const [y, m, d] = s.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+};
+const fmt = (dt) => dt.toISOString().slice(0, 10);
+
+/** 'YYYY-MM-DD' when value is a real calendar date, else null. */
+function parseDate(value) {
+  const s = String(value ?? '').trim().slice(0, 10);
+  if (!DATE_RE.test(s)) return null;
+  return fmt(toUtc(s)) === s ? s : null;
+}
+
+/** Today's date in the shop's time zone (matches TODAY_SQL). */
+const shopToday = () => new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+
+const addDays = (s, n) => {
+  const dt = toUtc(s);
+  dt.setUTCDate(dt.getUTCDate() + n);
+  return fmt(dt);
+};
+
+// Month arithmetic anchored on the start date's day, clamped to the month's last day
+const addMonthsAnchored = (start, n) => {
+  const [y, m, d] = start.split('-').map(Number);
+  const idx = (m - 1) + n;
+  const year = y + Math.floor(idx / 12);
+  const month = ((idx % 12) + 12) % 12;
+  const last = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return fmt(new Date(Date.UTC(year, month, Math.min(d, last))));
+};
+
+/* ───────────── custom rules ───────────── */
+
+// One cron field → Set of allowed values, or null for "*" (anything)
+function parseField(text, min, max) {
+  if (text === '*') return null;
+  const out = new Set();
+  for (const part of text.split(',')) {
+    const m = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+    if (!m) throw new Error(`Invalid schedule field "${text}"`);
+    const from = m[1] === '*' ? min : Number(m[1]);
+    const to = m[1] === '*' ? max : m[2] != null ? Number(m[2]) : m[3] != null ? max : from;
+    const step = m[3] != null ? Number(m[3]) : 1;
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Schedule field "${text}" must be within ${min}-${max}`);
+    }
+    for (let v = from; v <= to; v += step) out.add(v);
+  }
+  return out;
+}
+
+/** Parses "DOM MON DOW" (or 5-field cron); returns { dom, mon, dow } matchers or throws. */
+function parseCustomRule(rule) {
+  const fields = String(rule ?? '').trim().split(/\s+/).filter(Boolean);
+  if (fields.length === 5) fields.splice(0, 2); // minute / hour do not apply to a daily runner
+  if (fields.length !== 3) {
+    throw new Error('Custom schedule must be "day-of-month month day-of-week", e.g. "1,15 * *" or "* * 1"');
+  }
+  const dow = parseField(fields[2], 0, 7);
+  if (dow && dow.has(7)) dow.add(0); // 7 = Sunday, as in cron
+  return {
+    dom: parseField(fields[0], 1, 31),
+    mon: parseField(fields[1], 1, 12),
+    dow,
+  };
+}
+
+function matchesRule(rule, s) {
+  const dt = toUtc(s);
+  if (rule.mon && !rule.mon.has(dt.getUTCMonth() + 1)) return false;
+  const domOk = !rule.dom || rule.dom.has(dt.getUTCDate());
+  const dowOk = !rule.dow || rule.dow.has(dt.getUTCDay());
+  // cron: when both day fields are restricted, either may match
+  if (rule.dom && rule.dow) return domOk || dowOk;
+  return domOk && dowOk;
+}
+
+/* ───────────── schedules ───────────── */
+
+/**
+ * Validates a schedule from request input. Returns
+ * { cadence, interval, rule, start_date, end_date } or { error }.
+ */
+function parseSchedule({ cadence, interval, rule, start_date, end_date }) {
+  const c = String(cadence ?? '').trim().toLowerCase();
+  if (!CADENCES.includes(c)) return { error: `cadence must be one of: ${CADENCES.join(', ')}` };
+
+  const start = parseDate(start_date);
+  if (!start) return { error: 'start_date must be a YYYY-MM-DD date' };
+  let end = null;
+  if (end_date != null && end_date !== '') {
+    end = parseDate(end_date);
+    if (!end) return { error: 'end_date must be a YYYY-MM-DD date' };
+    if (end < start) return { error: 'end_date must not be before start_date' };
+  }
+
+  const n = interval == null || interval === '' ? 1 : Number(interval);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_INTERVAL) {
+    return { error: `interval must be a whole number from 1 to ${MAX_INTERVAL}` };
+  }
+
+  let cleanRule = null;
+  if (c === 'custom') {
+    try {
+      const parsed = parseCustomRule(rule);
+      cleanRule = String(rule).trim().split(/\s+/).join(' ');
+      let hit = false;
+      for (let i = 0; i < CUSTOM_SEARCH_DAYS && !hit; i += 1) hit = matchesRule(parsed, addDays(start, i));
+      if (!hit) return { error: 'Custom schedule never matches a date' };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+
+  return { cadence: c, interval: c === 'custom' ? 1 : n, rule: cleanRule, start_date: start, end_date: end };
+}
+
+/**
+ * First occurrence on or after `from` (defaults to start_date), or null when the
+ * schedule has ended. schedule: { cadence, interval, rule, start_date, end_date }.
+ */
+function occurrenceOnOrAfter(schedule, from) {
+  const start = schedule.start_date;
+  const target = from && from > start ? from : start;
+  const every = Math.max(1, Number(schedule.interval) || 1);
+  let next = null;
+
+  if (schedule.cadence === 'weekly') {
+    const days = Math.round((toUtc(target) - toUtc(start)) / 86400000);
+    const k = Math.ceil(days / (7 * every));
+    next = addDays(start, k * 7 * every);
+  } else if (schedule.cadence === 'monthly' || schedule.cadence === 'quarterly') {
+    const step = schedule.cadence === 'quarterly' ? 3 * every : every;
+    const [ty, tm] = target.split('-').map(Number);
+    const [sy, sm] = start.split('-').map(Number);
+    let k = Math.max(0, Math.floor(((ty - sy) * 12 + (tm - sm)) / step));
+    next = addMonthsAnchored(start, k * step);
+    while (next < target) {
+      k += 1;
+      next = addMonthsAnchored(start, k * step);
+    }
+  } else if (schedule.cadence === 'custom') {
+    const rule = parseCustomRule(schedule.rule);
+    for (let i = 0; i < CUSTOM_SEARCH_DAYS; i += 1) {
+      const d = addDays(target, i);
+      if (matchesRule(rule, d)) {
+        next = d;
+        break;
+      }
+    }
+  }
+
+  if (!next || (schedule.end_date && next > schedule.end_date)) return null;
+  return next;
+}
+
+/** The occurrence after `date` (exclusive), or null. */
+const occurrenceAfter = (schedule, date) => occurrenceOnOrAfter(schedule, addDays(date, 1));
+
+/** The next `count` occurrences on or after `from`. */
+function upcomingOccurrences(schedule, from, count = 5) {
+  const out = [];
+  let d = occurrenceOnOrAfter(schedule, from);
+  while (d && out.length < count) {
+    out.push(d);
+    d = occurrenceAfter(schedule, d);
+  }
+  return out;
+}
+
+module.exports = {
+  CADENCES,
+  shopToday,
+  parseDate,
+  parseSchedule,
+  occurrenceOnOrAfter,
+  occurrenceAfter,
+  upcomingOccurrences,
+};
@@ -0,0 +1,269 @@
+// backend/utils/recurringInvoices.js
+// Recurring invoice templates → real invoices. Each scheduled date is claimed once in
+// recurring_invoice_runs (UNIQUE recurring_id + run_date) in the same transaction that
+// creates the invoice and advances next_run_date, so restarts never bill twice.
+const pool = require('../db');
+const { sendMail } = require('./mailer');
+const { nextDocumentNumber } = require('./documentNumbers');
+const { normalizeDiscount, invoiceBreakdown, insertInvoiceLines } = require('./lineItems');
+const { applyPaymentTerms } = require('./paymentTerms');
+const { loadInvoiceDocument } = require('./documentLoaders');
+const { storeMailIdentity } = require('./storeInfo');
+const { resolveInvoiceCustomerId } = require('./customers');
+const { resolveTax } = require('./taxExemptions');
+const { TODAY_SQL } = require('./estimateExpiry');
+const { occurrenceAfter } = require('./recurrence');
+const { logEmail } = require('./customerActivity');
+const { renderInvoicePdf } = require('../pdf/invoicePdf');
+
+// Missed dates (server down) are billed on the next tick, at most this many per template
+const MAX_CATCH_UP = 12;
+
+// Template columns (dates as text so they stay calendar dates)
+const RECURRING_SELECT = `
+  SELECT id, user_id, name, customer_id, customer_info, variation_items, custom_items,
+         discount_type, discount_value, notes, payment_terms, payment_terms_days,
+         cadence, interval_count AS interval, rule,
+         start_date::text AS start_date, end_date::text AS end_date,
+         next_run_date::text AS next_run_date,
+         auto_email, active, last_run_at, created_at, updated_at
+    FROM recurring_invoices`;
+
+const scheduleOf = (tpl) => ({
+  cadence: tpl.cadence,
+  interval: tpl.interval,
+  rule: tpl.rule,
+  start_date: tpl.start_date,
+  end_date: tpl.end_date,
+});
+
+/** Creates the invoice for one run, the same way POST /api/invoices does. */
+async function materializeInvoice(client, tpl, runDate) {
+  const customer = { ...(tpl.customer_info || {}) };
+  if (tpl.customer_id != null && customer.id == null) customer.id = tpl.customer_id;
+  const { discType, discVal } = normalizeDiscount(tpl.discount_type, tpl.discount_value);
+  const customerId = await resolveInvoiceCustomerId(client, tpl.user_id, customer, tpl.customer_id);
+
+  const invoiceNumber = await nextDocumentNumber(client, tpl.user_id, 'invoice');
+  // Dated on the scheduled day; a catch-up run is not dated today
+  const { rows } = await client.query(
+    `INSERT INTO invoices (user_id, invoice_number, customer_id, customer_info, invoice_date, total, discount_type, discount_value, notes)
+     VALUES ($1, $2, $3, $4,
+             CASE WHEN $5::date = ${TODAY_SQL}
+                  THEN (CURRENT_TIMESTAMP AT TIME ZONE 'America/New_York')
+                  ELSE $5::date::timestamp END,
+             0, $6, $7, $8)
+     RETURNING id`,
+    [tpl.user_id, invoiceNumber, customerId, customer, runDate, discType, discVal, tpl.notes || '']
+  );
+  const invoiceId = rows[0].id;
+
+  const subtotals = await insertInvoiceLines(client, invoiceId, {
+    variationItems: tpl.variation_items,
+    customItems: tpl.custom_items,
+  });
+  const tax = await resolveTax(client, tpl.user_id, customerId);
+  const { total } = invoiceBreakdown({ ...subtotals, taxRate: tax.taxRate, discType, discVal });
+  for (const warning of tax.warnings) console.warn(`⚠️ Recurring invoice ${tpl.id}: ${warning}`);
+
+  await client.query(
+    `UPDATE invoices SET total = $1, tax_rate = $2, tax_exempt = $5, tax_exempt_certificate = $6
+      WHERE id = $3 AND user_id = $4`,
+    [total, tax.taxRate, invoiceId, tpl.user_id, tax.taxExempt, tax.certificate]
+  );
+
+  await applyPaymentTerms(client, tpl.user_id, invoiceId, {
+    customerId,
+    override: tpl.payment_terms ? { terms: tpl.payment_terms, days: Number(tpl.payment_terms_days) || 0 } : null,
+  });
+
+  return { invoiceId, invoiceNumber };
+}
+
+/**
+ * Bills the template's next due date, if any, and advances the schedule.
+ * Returns { runDate, invoiceId } or null when nothing is due (or another runner holds it).
+ */
+async function runRecurringOnce(recurringId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(
+      `${RECURRING_SELECT}
+        WHERE id = $1 AND active AND next_run_date <= ${TODAY_SQL}
+        FOR UPDATE SKIP LOCKED`,
+      [recurringId]
+    );
+    const tpl = rows[0];
+    if (!tpl) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const runDate = tpl.next_run_date;
+
+    const { rows: run } = await client.query(
+      `INSERT INTO recurring_invoice_runs (recurring_id, user_id, run_date, email_status)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (recurring_id, run_date) DO NOTHING
+       RETURNING id`,
+      [tpl.id, tpl.user_id, runDate, tpl.auto_email ? 'pending' : 'none']
+    );
+
+    let invoiceId = null;
+    if (run[0]) {
+      ({ invoiceId } = await materializeInvoice(client, tpl, runDate));
+      await client.query(
+        `UPDATE recurring_invoice_runs SET invoice_id = $1 WHERE id = $2`,
+        [invoiceId, run[0].id]
+      );
+    }
+
+    const next = occurrenceAfter(scheduleOf(tpl), runDate);
+    await client.query(
+      `UPDATE recurring_invoices
+          SET next_run_date = $2,
+              active = $3,
+              last_run_at = CASE WHEN $4 THEN NOW() ELSE last_run_at END
+        WHERE id = $1`,
+      [tpl.id, next, next != null, !!run[0]]
+    );
+
+    await client.query('COMMIT');
+    return { runDate, invoiceId };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/** Emails one run's invoice with the default invoice message. */
+async function emailRunInvoice(run) {
+  const doc = await loadInvoiceDocument(pool, run.user_id, run.invoice_id);
+  const to = (doc?.header.customer_info?.email || '').trim();
+  if (!to) throw new Error('Customer email is missing');
+
+  const { storeName, from, replyTo } = await storeMailIdentity(pool, run.user_id);
+  const label = doc.header.invoice_number || `#${run.invoice_id}`;
+  const subject = `Invoice ${label} from ${storeName}`;
+  await sendMail({
+    from,
+    to,
+    subject,
+    text: 'Please find your invoice attached.',
+    html: '<p>Please find your invoice attached.</p>',
+    replyTo,
+    attachments: [{ filename: `invoice-${doc.header.invoice_number || run.invoice_id}.pdf`, content: await renderInvoicePdf(doc) }],
+  });
+  await logEmail(pool, run.user_id, {
+    customerId: doc.header.customer_id,
+    invoiceId: run.invoice_id,
+    kind: 'recurring_invoice',
+    to,
+    subject,
+  });
+}
+
+/** Sends pending auto-emails; each run is claimed first so it is mailed at most once. */
+async function sendPendingRunEmails({ userId = null } = {}) {
+  const { rows } = await pool.query(
+    `SELECT id FROM recurring_invoice_runs
+      WHERE email_status = 'pending' AND invoice_id IS NOT NULL
+        AND ($1::int IS NULL OR user_id = $1)
+      ORDER BY id`,
+    [userId]
+  );
+
+  let sent = 0;
+  let failed = 0;
+  for (const { id } of rows) {
+    const { rows: claimed } = await pool.query(
+      `UPDATE recurring_invoice_runs SET email_status = 'sending'
+        WHERE id = $1 AND email_status = 'pending'
+        RETURNING id, user_id, invoice_id`,
+      [id]
+    );
+    if (!claimed[0]) continue;
+
+    try {
+      await emailRunInvoice(claimed[0]);
+      await pool.query(
+        `UPDATE recurring_invoice_runs SET email_status = 'sent', emailed_at = NOW() WHERE id = $1`,
+        [id]
+      );
+      sent += 1;
+    } catch (err) {
+      await pool.query(
+        `UPDATE recurring_invoice_runs SET email_status = 'failed', email_error = $2 WHERE id = $1`,
+        [id, String(err?.message || err).slice(0, 1000)]
+      );
+      console.error(`⚠️ Recurring invoice email (run ${id}) failed:`, err?.message || err);
+      failed += 1;
+    }
+  }
+  return { sent, failed };
+}
+
+/** Bills every due template (catching up missed dates), then sends auto-emails. */
+async function runDueRecurringInvoices({ userId = null } = {}) {
+  const { rows } = await pool.query(
+    `SELECT id FROM recurring_invoices
+      WHERE active AND next_run_date <= ${TODAY_SQL}
+        AND ($1::int IS NULL OR user_id = $1)
+      ORDER BY next_run_date, id`,
+    [userId]
+  );
+
+  let created = 0;
+  for (const { id } of rows) {
+    try {
+      for (let i = 0; i < MAX_CATCH_UP; i += 1) {
+        const result = await runRecurringOnce(id);
+        if (!result) break;
+        if (result.invoiceId) created += 1;
+      }
+    } catch (err) {
+      console.error(`⚠️ Recurring invoice ${id} failed:`, err?.message || err);
+    }
+  }
+
+  const { sent, failed } = await sendPendingRunEmails({ userId });
+  return { created, emailed: sent, emailFailed: failed };
+}
+
+let _timer = null;
+let _running = false;
+
+/** Runs runDueRecurringInvoices now and then every RECURRING_INVOICE_INTERVAL_MINUTES (default 60). */
+function startRecurringInvoiceJob() {
+  if (_timer) return;
+  const minutes = Math.max(1, parseInt(process.env.RECURRING_INVOICE_INTERVAL_MINUTES || '60', 10) || 60);
+
+  const tick = async () => {
+    if (_running) return;
+    _running = true;
+    try {
+      const { created, emailed, emailFailed } = await runDueRecurringInvoices();
+      if (created || emailed || emailFailed) {
+        console.log(`⏰ Recurring invoices: ${created} created, ${emailed} emailed, ${emailFailed} email failures`);
+      }
+    } catch (err) {
+      console.error('⚠️ Recurring invoice job failed (will retry):', err?.message || err);
+    } finally {
+      _running = false;
+    }
+  };
+
+  tick();
+  _timer = setInterval(tick, minutes * 60 * 1000);
+  _timer.unref();
+}
+
+module.exports = {
+  RECURRING_SELECT,
+  scheduleOf,
+  runDueRecurringInvoices,
+  startRecurringInvoiceJob,
+};
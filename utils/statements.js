@@ -0,0 +1,197 @@
+// backend/utils/statements.js
+// Customer statements of account: opening balance, the period's invoices, payments and
+// credit notes with a running balance, and the closing balance. Voided invoices (and any
+// payments or credits on them) are left out, like everywhere else balances are summed.
+const { round2 } = require('./invoicePayments');
+const { parseDate, shopToday } = require('./recurrence');
+const { formatAddress } = require('./customerContacts');
+
+// Same day: invoices first, then payments, then credits
+const ENTRY_ORDER = { invoice: 0, payment: 1, credit: 2 };
+
+/**
+ * ?from= / ?to= (YYYY-MM-DD). Defaults to the first of the current month through today.
+ * Returns { from, to } or { error }.
+ */
+function statementPeriod(fromRaw, toRaw) {
+  const today = shopToday();
+  const to = toRaw ? parseDate(toRaw) : today;
+  const from = fromRaw ? parseDate(fromRaw) : `${(to || today).slice(0, 8)}01`;
+  if (!from || !to) return { error: 'from and to must be YYYY-MM-DD dates' };
+  if (from > to) return { error: 'from must be on or before to' };
+  return { from, to };
+}
+
+// What the customer owed at the end of `dateExpr` (a SQL date): invoices dated through it,
+// less payments and credits made through it
+const balanceThrough = (dateExpr, cmp = '<=') => `
+  COALESCE((SELECT SUM(inv.total) FROM invoices inv
+             WHERE inv.user_id = $1 AND inv.customer_id = $2 AND inv.voided_at IS NULL
+               AND inv.invoice_date::date ${cmp} ${dateExpr}), 0)
+  - COALESCE((SELECT SUM(ip.amount) FROM invoice_payments ip
+               JOIN invoices inv ON inv.id = ip.invoice_id
+              WHERE inv.user_id = $1 AND inv.customer_id = $2 AND inv.voided_at IS NULL
+                AND ip.paid_at::date ${cmp} ${dateExpr}), 0)
+  - COALESCE((SELECT SUM(cn.total) FROM credit_notes cn
+               JOIN invoices inv ON inv.id = cn.invoice_id
+              WHERE inv.user_id = $1 AND inv.customer_id = $2 AND inv.voided_at IS NULL
+                AND cn.created_at::date ${cmp} ${dateExpr}), 0)`;
+
+/**
+ * The statement of one of the user's customers for { from, to }, or null if not theirs.
+ * Amounts on entries are signed: invoices add to the balance, payments / credits reduce it.
+ */
+async function buildStatement(db, userId, customerId, { from, to }) {
+  const { rows: cust } = await db.query(
+    `SELECT c.id, c.name, c.company, c.email, c.phone, c.address,
+            ba.street, ba.street2, ba.city, ba.state, ba.zip, ba.country
+       FROM customers c
+       LEFT JOIN LATERAL (
+         SELECT * FROM customer_addresses a
+          WHERE a.customer_id = c.id AND a.kind = 'billing'
+          ORDER BY a.is_default DESC, a.id
+          LIMIT 1
+       ) ba ON TRUE
+      WHERE c.id = $1 AND c.user_id = $2`,
+    [customerId, userId]
+  );
+  if (!cust[0]) return null;
+  const c = cust[0];
+
+  const { rows: bal } = await db.query(
+    `SELECT ${balanceThrough('$3::date', '<')} AS opening`,
+    [userId, customerId, from]
+  );
+  const opening = round2(bal[0].opening);
+
+  const { rows: entries } = await db.query(
+    `SELECT 'invoice' AS type, inv.invoice_date::date::text AS date, inv.id AS invoice_id, inv.invoice_number,
+            inv.invoice_number AS reference, inv.total AS amount, inv.id AS entry_id,
+            COALESCE(inv.due_date, inv.invoice_date::date)::text AS due_date, inv.kind AS detail
+       FROM invoices inv
+      WHERE inv.user_id = $1 AND inv.customer_id = $2 AND inv.voided_at IS NULL
+        AND inv.invoice_date::date BETWEEN $3::date AND $4::date
+     UNION ALL
+     SELECT 'payment', ip.paid_at::date::text, inv.id, inv.invoice_number,
+            ip.reference, -ip.amount, ip.id, NULL, ip.method
+       FROM invoice_payments ip
+       JOIN invoices inv ON inv.id = ip.invoice_id
+      WHERE inv.user_id = $1 AND inv.customer_id = $2 AND inv.voided_at IS NULL
+        AND ip.paid_at::date BETWEEN $3::date AND $4::date
+     UNION ALL
+     SELECT 'credit', cn.created_at::date::text, inv.id, inv.invoice_number,
+            cn.credit_number, -cn.total, cn.id, NULL, cn.reason
+       FROM credit_notes cn
+       JOIN invoices inv ON inv.id = cn.invoice_id
+      WHERE inv.user_id = $1 AND inv.customer_id = $2 AND inv.voided_at IS NULL
+        AND cn.created_at::date BETWEEN $3::date AND $4::date`,
+    [userId, customerId, from, to]
+  );
+  entries.sort((a, b) =>
+    a.date.localeCompare(b.date) || ENTRY_ORDER[a.type] - ENTRY_ORDER[b.type] || a.entry_id - b.entry_id);
+
+  const totals = { invoiced: 0, paid: 0, credited: 0 };
+  let balance = opening;
+  const transactions = entries.map((e) => {
+    const amount = round2(e.amount);
+    balance = round2(balance + amount);
+    if (e.type === 'invoice') totals.invoiced = round2(totals.invoiced + amount);
+    if (e.type === 'payment') totals.paid = round2(totals.paid - amount);
+    if (e.type === 'credit') totals.credited = round2(totals.credited - amount);
+    return {
+      date: e.date,
+      type: e.type,
+      invoice_id: e.invoice_id,
+      invoice_number: e.invoice_number,
+      reference: e.reference || null,
+      ...(e.type === 'invoice' ? { due_date: e.due_date, kind: e.detail } : {}),
+      ...(e.type === 'payment' ? { method: e.detail } : {}),
+      ...(e.type === 'credit' ? { reason: e.detail } : {}),
+      amount,
+      balance,
+    };
+  });
+
+  // Invoices still owing at the end of the period, oldest first
+  const { rows: open } = await db.query(
+    `SELECT * FROM (
+       SELECT inv.id AS invoice_id, inv.invoice_number,
+              inv.invoice_date::date::text AS invoice_date,
+              COALESCE(inv.due_date, inv.invoice_date::date)::text AS due_date,
+              GREATEST(0, $3::date - COALESCE(inv.due_date, inv.invoice_date::date)) AS days_past_due,
+              ROUND(inv.total, 2) AS total,
+              ROUND(inv.total
+                    - COALESCE((SELECT SUM(ip.amount) FROM invoice_payments ip
+                                 WHERE ip.invoice_id = inv.id AND ip.paid_at::date <= $3::date), 0)
+                    - COALESCE((SELECT SUM(cn.total) FROM credit_notes cn
+                                 WHERE cn.invoice_id = inv.id AND cn.created_at::date <= $3::date), 0), 2) AS balance_due
+         FROM invoices inv
+        WHERE inv.user_id = $1 AND inv.customer_id = $2 AND inv.voided_at IS NULL
+          AND inv.invoice_date::date <= $3::date
+     ) o
+     WHERE balance_due > 0
+     ORDER BY invoice_date, invoice_id`,
+    [userId, customerId, to]
+  );
+
+  return {
+    customer: {
+      id: c.id,
+      name: c.name || '',
+      company: c.company || '',
+      email: c.email || '',
+      phone: c.phone || '',
+      address: formatAddress(c.street || c.city || c.zip ? c : null) || c.address || '',
+    },
+    from,
+    to,
+    opening_balance: opening,
+    ...totals,
+    closing_balance: balance,
+    transactions,
+    open_invoices: open,
+  };
+}
+
+/** Ids of the user's active customers owing money at the end of `to`, largest balance first. */
+async function customersWithOpenBalance(db, userId, to) {
+  const { rows } = await db.query(
+    `SELECT c.id, ROUND(b.balance, 2) AS balance
+       FROM customers c
+       CROSS JOIN LATERAL (
+         SELECT COALESCE(SUM(inv.total - COALESCE(pay.amount, 0) - COALESCE(cred.amount, 0)), 0) AS balance
+           FROM invoices inv
+           LEFT JOIN LATERAL (
+             SELECT SUM(ip.amount) AS amount FROM invoice_payments ip
+              WHERE ip.invoice_id = inv.id AND ip.paid_at::date <= $2::date
+           ) pay ON TRUE
+           LEFT JOIN LATERAL (
+             SELECT SUM(cn.total) AS amount FROM credit_notes cn
+              WHERE cn.invoice_id = inv.id AND cn.created_at::date <= $2::date
+           ) cred ON TRUE
+          WHERE inv.user_id = c.user_id AND inv.customer_id = c.id AND inv.voided_at IS NULL
+            AND inv.invoice_date::date <= $2::date
+       ) b
+      WHERE c.user_id = $1 AND c.deleted_at IS NULL AND b.balance >= 0.005
+      ORDER BY b.balance DESC, c.id`,
+    [userId, to]
+  );
+  return rows.map((r) => r.id);
+}
+
+/** "statement-acme-2024-05-31.pdf" */
+function statementFileName(statement) {
+  const who = String(statement.customer.company || statement.customer.name || `customer-${statement.customer.id}`)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40) || `customer-${statement.customer.id}`;
+  return `statement-${who}-${statement.to}.pdf`;
+}
+
+module.exports = {
+  statementPeriod,
+  buildStatement,
+  customersWithOpenBalance,
+  statementFileName,
+};
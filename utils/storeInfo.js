@@ -0,0 +1,51 @@
+// backend/utils/storeInfo.js
+const DEFAULT_DISCLAIMER =
+  'By signing below, the customer agrees to the charges listed. Monitor calibration, file format, and production methods may cause slight differences.';
+
+/** Store profile used on documents and outgoing mail; defaults filled in when unset. */
+async function loadStoreProfile(db, userId) {
+  const { rows } = await db.query(
+    `SELECT name, address, phone, email, logo_url, tax_rate, disclaimer
+       FROM store_info
+      WHERE user_id = $1
+      LIMIT 1`,
+    [userId]
+  );
+  const row = rows[0] || {};
+  const rate = Number(row.tax_rate);
+  return {
+    name: (row.name || '').trim(),
+    address: row.address || '',
+    phone: row.phone || '',
+    email: (row.email || '').trim(),
+    logo_url: row.logo_url || '',
+    tax_rate: Number.isFinite(rate) && rate >= 0 && rate <= 1 ? rate : 0.06,
+    disclaimer: (row.disclaimer || '').trim() || DEFAULT_DISCLAIMER,
+  };
+}
+
+/**
+ * From / Reply-To for mail sent on the store's behalf: the visible From shows the
+ * store name on our sending address, replies go to the store mailbox when it has one.
+ * replyTo overrides the store mailbox.
+ */
+async function storeMailIdentity(db, userId, replyTo) {
+  const { rows } = await db.query(
+    `SELECT email, name FROM store_info WHERE user_id = $1 LIMIT 1`,
+    [userId]
+  );
+  const storeEmail = (rows[0]?.email || '').trim();
+  const storeName = (rows[0]?.name || '').trim() || 'Your Store';
+
+  // Visible header From address (email part) — prefer MAIL_FROM, then SMTP_FROM, then SMTP_USER
+  const fromEmail = process.env.MAIL_FROM || process.env.SMTP_FROM || process.env.SMTP_USER;
+
+  return {
+    storeName,
+    storeEmail,
+    from: { email: fromEmail, name: storeName },
+    replyTo: replyTo || (storeEmail ? `${storeName} <${storeEmail}>` : undefined),
+  };
+}
+
+module.exports = { DEFAULT_DISCLAIMER, loadStoreProfile, storeMailIdentity };
@@ -0,0 +1,230 @@
+// backend/utils/stripeConnect.js
+// Stripe Connect for shops: onboarding of the store's own account, Checkout Sessions for
+// invoice balances on that account, and recording of paid sessions as invoice payments.
+// STRIPE_CONNECT_STUB=1 swaps every Stripe call for a local stand-in so the whole flow
+// (onboard → payment link → paid) can be exercised without Stripe.
+const crypto = require('crypto');
+const Stripe = require('stripe');
+const pool = require('../db');
+const { round2 } = require('./invoicePayments');
+
+const STUB_MODE = ['1', 'true', 'yes'].includes(String(process.env.STRIPE_CONNECT_STUB || '').toLowerCase());
+// No client in stub mode, so the stand-in runs without STRIPE_SECRET_KEY
+const stripe = STUB_MODE ? null : Stripe(process.env.STRIPE_SECRET_KEY);
+const CURRENCY = (process.env.STRIPE_CONNECT_CURRENCY || 'usd').toLowerCase();
+
+const FRONTEND = (process.env.FRONTEND_URL || 'https://printshopinvoice.com').replace(/\/+$/, '');
+const CONNECT_RETURN_PATH = process.env.STRIPE_CONNECT_RETURN_PATH || '/settings.html';
+const PAYMENT_RETURN_PATH = process.env.INVOICE_PAYMENT_RETURN_PATH || '/invoice-payment.html';
+// Where the stand-in checkout page is served (this API)
+const API_URL = (process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, '');
+
+// invoice_payments.method for payments made through a payment link
+const ONLINE_PAYMENT_METHOD = 'stripe';
+const SESSION_TTL_HOURS = 23; // Checkout allows at most 24h
+
+const stubId = (prefix) => `${prefix}_stub_${crypto.randomBytes(12).toString('hex')}`;
+
+/** { account_id, charges_enabled, details_submitted } for the store; account_id null when not connected. */
+async function loadConnectAccount(db, userId) {
+  const { rows } = await db.query(
+    `SELECT stripe_account_id, stripe_charges_enabled, stripe_details_submitted
+       FROM store_info
+      WHERE user_id = $1`,
+    [userId]
+  );
+  return {
+    account_id: rows[0]?.stripe_account_id || null,
+    charges_enabled: !!rows[0]?.stripe_charges_enabled,
+    details_submitted: !!rows[0]?.stripe_details_submitted,
+  };
+}
+
+/** Copies capability flags from a Stripe account object onto the store that owns it. */
+async function syncConnectAccount(db, account) {
+  await db.query(
+    `UPDATE store_info
+        SET stripe_charges_enabled = $2,
+            stripe_details_submitted = $3
+      WHERE stripe_account_id = $1`,
+    [account.id, !!account.charges_enabled, !!account.details_submitted]
+  );
+}
+
+/**
+ * Creates the store's connected account on first use and returns an onboarding link:
+ * { account_id, url }. The store_info row must exist.
+ */
+async function startOnboarding(db, userId, email) {
+  let { account_id: accountId } = await loadConnectAccount(db, userId);
+
+  if (!accountId) {
+    if (STUB_MODE) {
+      accountId = stubId('acct');
+    } else {
+      const account = await stripe.accounts.create({
+        type: 'express',
+        email: email || undefined,
+        metadata: { userId: String(userId) },
+        capabilities: { card_payments: { requested: true }, transfers: { requested: true } },
+      });
+      accountId = account.id;
+    }
+    const { rowCount } = await db.query(
+      `UPDATE store_info
+          SET stripe_account_id = $2,
+              stripe_charges_enabled = $3,
+              stripe_details_submitted = $3
+        WHERE user_id = $1`,
+      [userId, accountId, STUB_MODE]
+    );
+    if (rowCount === 0) return null;
+  }
+
+  if (STUB_MODE) {
+    return { account_id: accountId, url: `${FRONTEND}${CONNECT_RETURN_PATH}?stripe_connected=1&stub=1` };
+  }
+
+  const link = await stripe.accountLinks.create({
+    account: accountId,
+    type: 'account_onboarding',
+    refresh_url: `${FRONTEND}${CONNECT_RETURN_PATH}?stripe_refresh=1`,
+    return_url: `${FRONTEND}${CONNECT_RETURN_PATH}?stripe_connected=1`,
+  });
+  return { account_id: accountId, url: link.url };
+}
+
+/** Re-reads the account from Stripe (onboarding may have finished) and returns loadConnectAccount. */
+async function refreshConnectAccount(db, userId) {
+  const current = await loadConnectAccount(db, userId);
+  if (!current.account_id || STUB_MODE) return current;
+
+  const account = await stripe.accounts.retrieve(current.account_id);
+  await syncConnectAccount(db, account);
+  return loadConnectAccount(db, userId);
+}
+
+/**
+ * Opens a Checkout Session for `amount` on the store's connected account and logs it.
+ * Returns the invoice_checkout_sessions row.
+ */
+async function createInvoiceCheckout(db, { userId, invoiceId, invoiceLabel, accountId, amount, customerEmail, storeName }) {
+  const cents = Math.round(round2(amount) * 100);
+  const returnUrl = (status) =>
+    `${FRONTEND}${PAYMENT_RETURN_PATH}?invoice=${encodeURIComponent(invoiceLabel)}&status=${status}`;
+
+  let sessionId;
+  let url;
+  let expiresAt;
+
+  if (STUB_MODE) {
+    sessionId = stubId('cs');
+    url = `${API_URL}/api/webhook/stripe/connect-stub/${sessionId}`;
+    expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 3600 * 1000);
+  } else {
+    const metadata = { invoice_id: String(invoiceId), user_id: String(userId) };
+    const session = await stripe.checkout.sessions.create(
+      {
+        mode: 'payment',
+        line_items: [{
+          quantity: 1,
+          price_data: {
+            currency: CURRENCY,
+            unit_amount: cents,
+            product_data: { name: `Invoice ${invoiceLabel}${storeName ? ` — ${storeName}` : ''}` },
+          },
+        }],
+        ...(customerEmail ? { customer_email: customerEmail } : {}),
+        client_reference_id: String(invoiceId),
+        metadata,
+        payment_intent_data: { metadata },
+        expires_at: Math.floor(Date.now() / 1000) + SESSION_TTL_HOURS * 3600,
+        success_url: returnUrl('paid'),
+        cancel_url: returnUrl('canceled'),
+      },
+      { stripeAccount: accountId }
+    );
+    sessionId = session.id;
+    url = session.url;
+    expiresAt = new Date(session.expires_at * 1000);
+  }
+
+  const { rows } = await db.query(
+    `INSERT INTO invoice_checkout_sessions
+       (invoice_id, user_id, session_id, account_id, amount, currency, url, stub, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [invoiceId, userId, sessionId, accountId, cents / 100, CURRENCY, url, STUB_MODE, expiresAt]
+  );
+  return rows[0];
+}
+
+/**
+ * Records a paid Checkout Session as an invoice payment (once per session).
+ * session: { id, amount_total?, payment_intent? } as sent by Stripe; accountId is the
+ * connected account the event came from and must match the one the session was opened on.
+ * Returns { invoiceId, recorded } or null for sessions we did not create.
+ */
+async function recordCheckoutPayment(session, accountId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(
+      `SELECT id, invoice_id, user_id, account_id, amount
+         FROM invoice_checkout_sessions
+        WHERE session_id = $1
+        FOR UPDATE`,
+      [session.id]
+    );
+    const row = rows[0];
+    if (!row || (accountId && row.account_id !== accountId)) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const amount = session.amount_total != null ? session.amount_total / 100 : Number(row.amount);
+    const reference = typeof session.payment_intent === 'string' ? session.payment_intent : session.id;
+
+    const { rowCount } = await client.query(
+      `INSERT INTO invoice_payments (invoice_id, user_id, amount, method, reference, notes, stripe_session_id)
+       VALUES ($1, $2, $3, $4, $5, 'Paid online (Stripe Checkout)', $6)
+       ON CONFLICT (stripe_session_id) WHERE stripe_session_id IS NOT NULL DO NOTHING`,
+      [row.invoice_id, row.user_id, amount, ONLINE_PAYMENT_METHOD, reference.slice(0, 100), session.id]
+    );
+    await client.query(
+      `UPDATE invoice_checkout_sessions
+          SET status = 'paid', completed_at = COALESCE(completed_at, NOW())
+        WHERE id = $1`,
+      [row.id]
+    );
+
+    await client.query('COMMIT');
+    return { invoiceId: row.invoice_id, recorded: rowCount > 0 };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/** Marks an unpaid session expired. */
+async function expireCheckoutSession(sessionId) {
+  await pool.query(
+    `UPDATE invoice_checkout_sessions SET status = 'expired' WHERE session_id = $1 AND status = 'open'`,
+    [sessionId]
+  );
+}
+
+module.exports = {
+  STUB_MODE,
+  ONLINE_PAYMENT_METHOD,
+  loadConnectAccount,
+  syncConnectAccount,
+  startOnboarding,
+  refreshConnectAccount,
+  createInvoiceCheckout,
+  recordCheckoutPayment,
+  expireCheckoutSession,
+};
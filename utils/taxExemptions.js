@@ -0,0 +1,106 @@
+// backend/utils/taxExemptions.js
+// Sales-tax exemption of customers (schools, churches, non-profits). Documents for an exempt
+// customer are priced at a 0 tax rate and remember the certificate number; an expired
+// certificate no longer exempts and produces a warning instead.
+const fs = require('fs');
+const path = require('path');
+const { loadTaxRate } = require('./lineItems');
+const { TODAY_SQL } = require('./estimateExpiry');
+const { resolveInvoiceCustomerId } = require('./customers');
+
+// Certificate files (not served publicly; downloads go through the API)
+const TAX_CERT_DIR = process.env.TAX_CERT_DIR || path.join(__dirname, '..', 'private', 'tax-certificates');
+const CERT_TYPES = { 'application/pdf': '.pdf', 'image/png': '.png', 'image/jpeg': '.jpg' };
+const MAX_CERT_BYTES = 10 * 1024 * 1024;
+
+/** SQL: customer `c` is marked exempt but its certificate has expired. */
+const TAX_EXEMPT_EXPIRED_SQL = `(c.tax_exempt AND COALESCE(c.tax_exempt_expires < ${TODAY_SQL}, FALSE))`;
+
+// Exemption fields of customer `c` as returned by the tax-exemption routes
+const TAX_EXEMPTION_COLUMNS = `
+  c.id AS customer_id,
+  c.tax_exempt,
+  c.tax_exempt_certificate AS certificate_number,
+  c.tax_exempt_expires::text AS expires_on,
+  ${TAX_EXEMPT_EXPIRED_SQL} AS expired,
+  c.tax_exempt_file_name AS certificate_file_name,
+  c.tax_exempt_file_type AS certificate_file_type`;
+
+/** { certificate_number, expires_on, expired } for an exempt customer of the user, else null. */
+async function loadTaxExemption(db, userId, customerId) {
+  if (customerId == null) return null;
+  const { rows } = await db.query(
+    `SELECT tax_exempt_certificate AS certificate_number,
+            tax_exempt_expires::text AS expires_on,
+            COALESCE(tax_exempt_expires < ${TODAY_SQL}, FALSE) AS expired
+       FROM customers
+      WHERE id = $1 AND user_id = $2 AND tax_exempt`,
+    [customerId, userId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Tax for a document billed to customerId: { taxRate, taxExempt, certificate, warnings }.
+ * Exempt customers get rate 0; an expired certificate falls back to the store rate.
+ */
+async function resolveTax(db, userId, customerId) {
+  const exemption = await loadTaxExemption(db, userId, customerId);
+  if (exemption && !exemption.expired) {
+    return { taxRate: 0, taxExempt: true, certificate: exemption.certificate_number || null, warnings: [] };
+  }
+
+  const warnings = exemption
+    ? [`Tax-exempt certificate${exemption.certificate_number ? ` ${exemption.certificate_number}` : ''} expired on ${exemption.expires_on}; sales tax was charged.`]
+    : [];
+  return { taxRate: await loadTaxRate(db, userId), taxExempt: false, certificate: null, warnings };
+}
+
+/**
+ * Sets the estimate's tax_exempt / tax_exempt_certificate from its customer; call before
+ * recomputeEstimateTotal. Returns the resolveTax result.
+ */
+async function applyEstimateTax(client, userId, estimateId, customerInfo, customerId = null) {
+  const resolvedId = await resolveInvoiceCustomerId(client, userId, customerInfo, customerId);
+  const tax = await resolveTax(client, userId, resolvedId);
+  await client.query(
+    `UPDATE estimates SET tax_exempt = $1, tax_exempt_certificate = $2 WHERE id = $3 AND user_id = $4`,
+    [tax.taxExempt, tax.certificate, estimateId, userId]
+  );
+  return tax;
+}
+
+/** Absolute path of a stored certificate (tax_exempt_file is relative to TAX_CERT_DIR). */
+const certificatePath = (relative) => path.join(TAX_CERT_DIR, path.normalize(relative).replace(/^(\.\.[/\\])+/, ''));
+
+/** Writes an uploaded certificate (multer memory file) under the user's folder; returns its relative path. */
+async function saveCertificateFile(userId, customerId, file) {
+  const relative = path.join(String(userId), `customer-${customerId}-${Date.now()}${CERT_TYPES[file.mimetype]}`);
+  await fs.promises.mkdir(path.dirname(certificatePath(relative)), { recursive: true });
+  await fs.promises.writeFile(certificatePath(relative), file.buffer);
+  return relative;
+}
+
+/** Deletes a stored certificate; a file already gone is fine. */
+async function removeCertificateFile(relative) {
+  if (!relative) return;
+  try {
+    await fs.promises.unlink(certificatePath(relative));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error('⚠️ Tax certificate delete failed:', err.message);
+  }
+}
+
+module.exports = {
+  TAX_CERT_DIR,
+  CERT_TYPES,
+  MAX_CERT_BYTES,
+  TAX_EXEMPT_EXPIRED_SQL,
+  TAX_EXEMPTION_COLUMNS,
+  loadTaxExemption,
+  resolveTax,
+  applyEstimateTax,
+  certificatePath,
+  saveCertificateFile,
+  removeCertificateFile,
+};